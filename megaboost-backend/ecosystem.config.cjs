@@ -13,6 +13,23 @@ module.exports = {
         PORT: "5000"
       }
     },
+    {
+      name: "megaboost-worker",
+      script: "src/engine/workerProcessEntry.js",
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: "4G",
+      // Drain deadline (WORKER_DRAIN_DEADLINE_MS, 120s) plus the 10s shutdown
+      // budget, so pm2 never kills a node halfway through handing accounts off.
+      kill_timeout: 135000,
+      env: {
+        NODE_ENV: "production",
+        PROCESS_ROLE: "worker",
+        WORKER_COMMAND_HOST: "127.0.0.1",
+        WORKER_COMMAND_PORT: "5001"
+      }
+    },
     {
       name: "seanboost-telegram",
       script: "src/telegram/controlProcessEntry.js",
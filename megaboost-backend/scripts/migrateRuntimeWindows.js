@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db");
+const Account = require("../src/model/Account");
+const { resolveRuntimeWindowConfig } = require("../src/utils/runtimeWindow");
+
+const BATCH_SIZE = 500;
+
+function missingWindowsFilter() {
+  return {
+    $or: [
+      { runtimeWindows: { $exists: false } },
+      { runtimeWindows: null },
+      { runtimeWindows: { $size: 0 } }
+    ]
+  };
+}
+
+async function main() {
+  await connectDB();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Account.bulkWrite(operations, { ordered: false });
+    updated += Number(result.modifiedCount || 0);
+    operations = [];
+  };
+
+  const cursor = Account.find(missingWindowsFilter())
+    .select("_id runtimeStart runtimeEnd runtimeWindow")
+    .lean()
+    .cursor();
+
+  for await (const account of cursor) {
+    scanned += 1;
+    const { runtimeWindow } = resolveRuntimeWindowConfig(account);
+    operations.push({
+      updateOne: {
+        filter: { _id: account._id, ...missingWindowsFilter() },
+        update: { $set: { runtimeWindows: [runtimeWindow] } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log("[migrate:runtime-windows] complete");
+  console.log(`[migrate:runtime-windows] accounts_scanned=${scanned}`);
+  console.log(`[migrate:runtime-windows] accounts_updated=${updated}`);
+}
+
+main()
+  .catch((error) => {
+    console.error(`[migrate:runtime-windows] failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close().catch(() => null);
+    }
+  });
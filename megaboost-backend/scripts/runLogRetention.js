@@ -0,0 +1,36 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/db");
+const { runLogRetention } = require("../src/engine/logRetentionRunner");
+
+// Applies the saved log retention policy once, even when the scheduled job is
+// disabled. Usage: npm run logs:retention
+async function run() {
+  await connectDB();
+
+  const result = await runLogRetention({ force: true });
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  console.log(
+    `[LOG-RETENTION] Deleted ${result.deleted} log record(s), archived ${result.archived}${
+      result.archiveFile ? ` to logs/archive/${result.archiveFile}` : ""
+    }`
+  );
+  if (result.truncated) {
+    console.log("[LOG-RETENTION] Archive limit reached; run again to continue.");
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("[LOG-RETENTION] Failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    try {
+      await mongoose.disconnect();
+    } catch {}
+  });
@@ -4,6 +4,22 @@ const mongoose = require("mongoose");
 const { Server } = require("socket.io");
 const connectDB = require("./config/db");
 const workerManager = require("./src/engine/workerGateway");
+const {
+  startScheduledCommandRunner,
+  stopScheduledCommandRunner
+} = require("./src/engine/scheduledCommandRunner");
+const {
+  startLogRetentionRunner,
+  stopLogRetentionRunner
+} = require("./src/engine/logRetentionRunner");
+const {
+  startAlertRuleRunner,
+  stopAlertRuleRunner
+} = require("./src/engine/alertRuleRunner");
+const {
+  startDigestRunner,
+  stopDigestRunner
+} = require("./src/engine/digestRunner");
 const Account = require("./src/model/Account");
 const User = require("./src/model/User");
 const { AUTH_COOKIE_NAME, verifyAuthToken } = require("./src/utils/authToken");
@@ -243,11 +259,16 @@ async function shutdown(signal, exitCode = 0) {
     process.exit(1);
   }, SHUTDOWN_TIMEOUT_MS);
   forceExitTimer.unref();
+  workerManager.stopNodeMonitor();
+  stopScheduledCommandRunner();
+  stopLogRetentionRunner();
+  stopAlertRuleRunner();
+  stopDigestRunner();
 
   try {
     if (typeof workerManager.shouldManageWorkerLifecycle === "function" &&
       workerManager.shouldManageWorkerLifecycle()) {
-      await workerManager.stopAll();
+      await workerManager.stopAll({ preserveJobs: true });
       console.log("[SHUTDOWN] Workers stopped.");
     }
   } catch (error) {
@@ -283,6 +304,18 @@ async function startServer() {
     server.listen(PORT, HOST, () => {
       console.log(`Server running on ${HOST}:${PORT}`);
     });
+
+    if (workerManager.shouldManageWorkerLifecycle()) {
+      await workerManager.restoreStartQueue().catch((error) => {
+        console.error(`Failed to restore start queue: ${error.message}`);
+      });
+    } else {
+      workerManager.startNodeMonitor();
+    }
+    startScheduledCommandRunner();
+    startLogRetentionRunner();
+    startAlertRuleRunner();
+    startDigestRunner();
   } catch (error) {
     console.error(`Failed to start server: ${error.message}`);
     process.exit(1);
@@ -13,6 +13,10 @@ const adminRoutes = require("./routes/adminRoutes");
 const healthRoutes = require("./routes/health");
 const internalEventIngestRoutes = require("./internal/eventIngest");
 const { requireAuth } = require("./middleware/requireAuth");
+const { privateLogGuard } = require("./middleware/privateLogGuard");
+const { runWithStatusContext } = require("./utils/statusTransitions");
+const { operationMiddleware } = require("./utils/operationContext");
+const { sendMetrics } = require("./utils/metrics");
 
 const app = express();
 app.set("trust proxy", 1);
@@ -74,7 +78,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Operation-Id"],
+  exposedHeaders: ["X-Operation-Id"]
 };
 
 if (!isProduction) {
@@ -86,6 +91,8 @@ app.use(compression());
 app.use(express.json({ limit: "2mb" }));
 app.use(express.urlencoded({ extended: true, limit: "2mb" }));
 app.use(cookieParser());
+app.use(operationMiddleware);
+app.use((req, res, next) => runWithStatusContext({ actor: "user" }, next));
 
 if (isProduction && String(process.env.ENABLE_REQUEST_TIMING_LOGS || "0") === "1") {
   const slowThresholdMs = Number(process.env.REQUEST_SLOW_THRESHOLD_MS || 1000);
@@ -116,6 +123,8 @@ app.get("/api/health", (_req, res) => {
   });
 });
 
+// Prometheus scrape endpoint; /api/metrics keeps the JSON snapshot.
+app.get("/metrics", sendMetrics);
 app.use("/api", healthRoutes);
 app.use("/api/internal", internalEventIngestRoutes);
 
@@ -126,6 +135,10 @@ app.use("/api/accounts", require("./routes/accountRoutes"));
 app.use("/api/workers", requireAuth, require("./routes/workerRoutes"));
 app.use("/api/license", require("./routes/licenseRoutes"));
 app.use("/api/bump", requireAuth, require("./routes/bumpRoutes"));
+app.use("/api/scheduled-commands", requireAuth, require("./routes/scheduledCommandRoutes"));
+app.use("/api/analytics", requireAuth, require("./routes/analyticsRoutes"));
+app.use("/api/alerts", requireAuth, require("./routes/alertRoutes"));
+app.use("/api/digests", requireAuth, require("./routes/digestRoutes"));
 app.use("/api/settings", requireAuth, settingsRoutes);
 
 const frontendDistCandidates = [
@@ -133,6 +146,7 @@ const frontendDistCandidates = [
   path.join(__dirname, "..", "..", "megaboost-dashboard", "dist"),
 ];
 const logsDir = path.join(__dirname, "..", "logs");
+app.use("/logs", privateLogGuard);
 app.use("/logs", express.static(logsDir));
 
 const frontendDistPath = frontendDistCandidates.find((distPath) =>
@@ -1,6 +1,12 @@
 const Account = require("../model/Account");
 const TelegramGroupBinding = require("../model/TelegramGroupBinding");
 const User = require("../model/User");
+const AccountStatusEvent = require("../model/AccountStatusEvent");
+const BumpEvent = require("../model/BumpEvent");
+const FailureEvidence = require("../model/FailureEvidence");
+const Log = require("../model/Log");
+const { isStatusTransitionError } = require("../utils/statusTransitions");
+const { parseDateRange } = require("../utils/dateRange");
 const mongoose = require("mongoose");
 const workerManager = require("../engine/workerGateway");
 const { runAccount, testProxyNavigation } = workerManager;
@@ -16,6 +22,24 @@ const {
 const { logActivity, getClientIp } = require("../utils/activityLogger");
 const { emitAccountUpdate } = require("../utils/socketEvents");
 const { tenantFilter } = require("../utils/tenant");
+const {
+  getTagListError,
+  normalizeTag,
+  normalizeTagList,
+  resolveAccountTarget
+} = require("../utils/accountTags");
+const { changesPresetFields } = require("../utils/bumpPresets");
+const {
+  deleteFailureEvidenceForAccount,
+  resolveEvidenceFilePath
+} = require("../utils/failureEvidence");
+const {
+  isBlockedAccount,
+  pauseAccountNow,
+  resumeAccountNow
+} = require("../utils/accountCommands");
+const { runWithStatusContext } = require("../utils/statusTransitions");
+const { resolvePausedUntil } = require("../utils/timedPause");
 const {
   DEFAULT_TIMEZONE,
   DEFAULT_TIMEZONE_LABEL,
@@ -23,7 +47,11 @@ const {
   RUNTIME_WINDOW_PATTERN,
   buildScheduleDecisionLogPayload
 } = require("../utils/timing");
-const { resolveRuntimeWindowConfig } = require("../utils/runtimeWindow");
+const {
+  normalizeRuntimeCalendar,
+  parseRuntimeWindowList,
+  resolveRuntimeWindowConfig
+} = require("../utils/runtimeWindow");
 const {
   getTimingSettingsForUser,
   buildAccountSchedulePreview,
@@ -87,6 +115,12 @@ function normalizeAccountPayload(payload, options = {}) {
   const isUpdate = Boolean(options.isUpdate);
   const hasField = (key) => Object.prototype.hasOwnProperty.call(data, key);
   delete data.controlAlias;
+  // Preset membership is managed by the preset routes only.
+  delete data.presetId;
+
+  if (hasField("tags")) {
+    data.tags = normalizeTagList(data.tags);
+  }
 
   if (data.proxyString && !data.proxyHost) {
     const [host, port, username, password] = String(data.proxyString).split(":");
@@ -127,6 +161,14 @@ function normalizeAccountPayload(payload, options = {}) {
     data.runtimeWindow = data.runtimeWindow ? String(data.runtimeWindow).trim() : "";
   }
 
+  if (hasField("runtimeCalendar")) {
+    // Invalid calendars are left as sent so validation can report them.
+    const normalizedCalendar = normalizeRuntimeCalendar(data.runtimeCalendar);
+    if (normalizedCalendar.errors.length === 0) {
+      data.runtimeCalendar = normalizedCalendar.calendar;
+    }
+  }
+
   const hasRuntimeStartField =
     hasField("runtimeStart") || hasField("runtimeStartTime") || hasField("runFromTime");
   const hasRuntimeEndField =
@@ -140,6 +182,21 @@ function normalizeAccountPayload(payload, options = {}) {
     data.runtimeStart = runtimeConfig.runtimeStart;
     data.runtimeEnd = runtimeConfig.runtimeEnd;
     data.runtimeWindow = runtimeConfig.runtimeWindow;
+    // Clients that only know the single window replace the whole list.
+    if (!hasField("runtimeWindows")) {
+      data.runtimeWindows = [runtimeConfig.runtimeWindow];
+    }
+  }
+
+  if (hasField("runtimeWindows")) {
+    const windowList = parseRuntimeWindowList(data.runtimeWindows);
+    if (windowList.errors.length === 0 && windowList.normalized.length > 0) {
+      const [first] = windowList.windows;
+      data.runtimeWindows = windowList.normalized;
+      data.runtimeWindow = first.normalized;
+      data.runtimeStart = first.runtimeStart;
+      data.runtimeEnd = first.runtimeEnd;
+    }
   }
 
   if (hasField("screenWidth") && data.screenWidth !== undefined && data.screenWidth !== null && data.screenWidth !== "") {
@@ -152,6 +209,9 @@ function normalizeAccountPayload(payload, options = {}) {
   if (!isUpdate || hasField("maxDailyBumps")) {
     data.maxDailyBumps = Number(isUpdate ? data.maxDailyBumps : data.maxDailyBumps || 10);
   }
+  if (!isUpdate || hasField("priority")) {
+    data.priority = Number(isUpdate ? data.priority : data.priority || 1);
+  }
   if (!isUpdate || hasField("baseInterval") || hasField("baseIntervalMinutes")) {
     data.baseIntervalMinutes = Number(
       isUpdate
@@ -202,6 +262,13 @@ function normalizeAccountPayload(payload, options = {}) {
 
 const SUPPORTED_PROXY_TYPES = new Set(["http", "socks5"]);
 
+function getRuntimeWindowsError(value) {
+  const { windows, errors } = parseRuntimeWindowList(value);
+  if (errors.length > 0) return `Runtime windows: ${errors[0]}`;
+  if (windows.length === 0) return "At least one runtime window is required";
+  return null;
+}
+
 function validateAccountPayload(data) {
   if (!data.email) return "Email is required";
   if (!data.password || String(data.password).length < 6) {
@@ -223,6 +290,13 @@ function validateAccountPayload(data) {
   if (data.maxDailyBumps < 1 || data.maxDailyBumps > 500) {
     return "Max daily bumps must be between 1 and 500";
   }
+  if (!Number.isInteger(data.priority) || data.priority < 1 || data.priority > 10) {
+    return "Priority must be a whole number between 1 and 10";
+  }
+  if (data.tags !== undefined) {
+    const tagError = getTagListError(data.tags);
+    if (tagError) return tagError;
+  }
   if (data.randomMin < 0 || data.randomMax < 0 || data.randomMax < data.randomMin) {
     return "Random range is invalid";
   }
@@ -256,6 +330,14 @@ function validateAccountPayload(data) {
   ) {
     return "Runtime window must be in HH:MM-HH:MM format";
   }
+  if (data.runtimeWindows !== undefined) {
+    const windowError = getRuntimeWindowsError(data.runtimeWindows);
+    if (windowError) return windowError;
+  }
+  if (data.runtimeCalendar) {
+    const [calendarError] = normalizeRuntimeCalendar(data.runtimeCalendar).errors;
+    if (calendarError) return `Runtime calendar: ${calendarError}`;
+  }
 
   return null;
 }
@@ -271,6 +353,16 @@ function validateAccountUpdatePayload(patch = {}) {
     return "Runtime window must be in HH:MM-HH:MM format";
   }
 
+  if (hasField("runtimeWindows")) {
+    const windowError = getRuntimeWindowsError(patch.runtimeWindows);
+    if (windowError) return windowError;
+  }
+
+  if (hasField("runtimeCalendar")) {
+    const [calendarError] = normalizeRuntimeCalendar(patch.runtimeCalendar).errors;
+    if (calendarError) return `Runtime calendar: ${calendarError}`;
+  }
+
   if (hasField("proxyType") && !SUPPORTED_PROXY_TYPES.has(String(patch.proxyType || ""))) {
     return "Proxy type must be either http or socks5";
   }
@@ -296,6 +388,18 @@ function validateAccountUpdatePayload(patch = {}) {
     }
   }
 
+  if (hasField("priority")) {
+    const value = Number(patch.priority);
+    if (!Number.isInteger(value) || value < 1 || value > 10) {
+      return "Priority must be a whole number between 1 and 10";
+    }
+  }
+
+  if (hasField("tags")) {
+    const tagError = getTagListError(patch.tags);
+    if (tagError) return tagError;
+  }
+
   if (hasField("maxDailyRuntime") || hasField("maxDailyRuntimeHours")) {
     const value = Number(patch.maxDailyRuntimeHours ?? patch.maxDailyRuntime);
     if (!Number.isFinite(value) || value < 1 || value > 24) {
@@ -351,6 +455,8 @@ const TIMING_UPDATE_FIELDS = new Set([
   "randomMax",
   "randomMaxMinutes",
   "runtimeWindow",
+  "runtimeWindows",
+  "runtimeCalendar",
   "runtimeStart",
   "runtimeEnd",
   "runtimeStartTime",
@@ -362,6 +468,58 @@ const TIMING_UPDATE_FIELDS = new Set([
   "timezone"
 ]);
 
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+
+  return parsed;
+}
+
+function parseListParam(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter((item) => item && item !== "all");
+}
+
+function applyCreatedAtRange(filter, { from, to } = {}) {
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+}
+
+async function findScopedAccountRef(req) {
+  return Account.findOne(getScopedFilter(req, { _id: req.params.id }))
+    .select("_id")
+    .lean();
+}
+
+async function findAccountPage(Model, filter, req) {
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = Math.min(100, parsePositiveInt(req.query.limit, 50));
+  const [items, total] = await Promise.all([
+    Model.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    items,
+    page,
+    limit,
+    total,
+    pages: Math.max(1, Math.ceil(total / limit))
+  };
+}
+
 function ensureDbConnected(res) {
   if (mongoose.connection.readyState !== 1) {
     res.status(503).json({
@@ -429,6 +587,18 @@ function isStartAllEligibleAccount(account) {
   return START_ALL_ELIGIBLE_STATUSES.has(status);
 }
 
+const RETRY_RESET_STATUSES = new Set(["retry_scheduled", "stalled", "crashed", "error", "blocked"]);
+
+function hasRetryState(account) {
+  const workerState = account?.workerState || {};
+  return (
+    RETRY_RESET_STATUSES.has(normalizeStatusValue(account?.status)) ||
+    Number(workerState.failureCount || 0) > 0 ||
+    Boolean(workerState.nextRetryAt) ||
+    Boolean(workerState.blockedReason)
+  );
+}
+
 async function submitVerificationWithWorkerFallback(accountId, code, fallbackSubmit) {
   if (typeof workerManager.submitVerificationCode === "function") {
     try {
@@ -518,14 +688,18 @@ exports.getAccounts = async (req, res) => {
     if (!ensureDbConnected(res)) return;
 
     const accountLimit = await resolveUserAccountLimit(req);
-    const accounts = await Account.find(getScopedFilter(req)).sort({ createdAt: -1 });
+    const tag = normalizeTag(req.query?.tag);
+    const [data, usedAccounts] = await Promise.all([
+      Account.find(getScopedFilter(req, tag ? { tags: tag } : {})).sort({ createdAt: -1 }),
+      Account.countDocuments(getScopedFilter(req))
+    ]);
 
     return res.status(200).json({
       success: true,
-      count: accounts.length,
-      data: accounts,
+      count: data.length,
+      data,
       meta: {
-        usedAccounts: accounts.length,
+        usedAccounts,
         accountLimit
       }
     });
@@ -775,6 +949,11 @@ exports.updateAccount = async (req, res) => {
     let schedulePreview = null;
     let schedulePatch = {};
 
+    // Editing timing directly means the account no longer follows its preset.
+    if (existing.presetId && changesPresetFields(existing, payload)) {
+      payload.presetId = null;
+    }
+
     if (timingChanged) {
       const nextAccountState = {
         ...(existing.toObject ? existing.toObject() : existing),
@@ -860,6 +1039,7 @@ exports.deleteAccount = async (req, res) => {
       userId: req.user?._id,
       accountId: account._id
     }).catch(() => null);
+    await deleteFailureEvidenceForAccount(account._id).catch(() => null);
 
     const deleteSuffix = Math.floor(Date.now() / 1000);
 
@@ -914,7 +1094,8 @@ exports.startAccount = async (req, res) => {
       ip: clientIp,
       userId: req.user?._id,
       resetRuntimeFields: true,
-      emitPendingConnectionTest: true
+      emitPendingConnectionTest: true,
+      strictStatus: true
     });
 
     return res.status(200).json({
@@ -922,6 +1103,9 @@ exports.startAccount = async (req, res) => {
       message: "Account started"
     });
   } catch (error) {
+    if (isStatusTransitionError(error)) {
+      return sendStructuredEngineError(res, error, "Illegal status transition");
+    }
     return res.status(500).json({
       success: false,
       message: error.message
@@ -945,7 +1129,8 @@ exports.stopAccount = async (req, res) => {
 
     await workerManager.requestStop(account._id.toString(), {
       ip: clientIp,
-      userId: req.user?._id
+      userId: req.user?._id,
+      strictStatus: true
     });
 
     await logActivity({
@@ -962,6 +1147,9 @@ exports.stopAccount = async (req, res) => {
       message: "Account stopped"
     });
   } catch (error) {
+    if (isStatusTransitionError(error)) {
+      return sendStructuredEngineError(res, error, "Illegal status transition");
+    }
     return res.status(500).json({
       success: false,
       message: error.message
@@ -1016,29 +1204,155 @@ exports.restartAccount = async (req, res) => {
   }
 };
 
+// Body: { duration } ("2h", "1h30m" or minutes) or { until } ("18:00" or a
+// date and time in the app timezone). Neither pauses until resumed by hand.
+exports.pauseAccount = async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    const account = await Account.findOne(getScopedFilter(req, { _id: req.params.id }));
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const status = String(account.status || "").toLowerCase();
+    if (status !== "paused" && !RUNNING_LIKE_STATUSES.has(status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Only running or paused accounts can be paused"
+      });
+    }
+
+    const appTimingSettings = await getTimingSettingsForUser(account.userId).catch(() => ({
+      timezone: DEFAULT_TIMEZONE
+    }));
+    const { pausedUntil, error } = resolvePausedUntil(req.body || {}, {
+      timezone: appTimingSettings?.timezone || DEFAULT_TIMEZONE
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await runWithStatusContext({ reason: "account_pause" }, () =>
+      pauseAccountNow(account, {
+        userId: String(account.userId || req.user?._id || ""),
+        ip: clientIp,
+        reason: "account_pause",
+        pausedUntil
+      })
+    );
+
+    await logActivity({
+      level: "info",
+      message: pausedUntil
+        ? `Paused account until ${pausedUntil.toISOString()}: ${account.email}`
+        : `Paused account: ${account.email}`,
+      ip: clientIp,
+      email: account.email,
+      accountId: account._id,
+      userId: req.user?._id,
+      metadata: {
+        pausedUntil
+      }
+    }).catch(() => null);
+
+    const latest = await Account.findOne(getScopedFilter(req, { _id: req.params.id }));
+
+    return res.status(200).json({
+      success: true,
+      message: "Account paused",
+      data: latest
+    });
+  } catch (error) {
+    if (isStatusTransitionError(error)) {
+      return sendStructuredEngineError(res, error, "Illegal status transition");
+    }
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.resumeAccount = async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    const account = await Account.findOne(getScopedFilter(req, { _id: req.params.id }));
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    if (String(account.status || "").toLowerCase() !== "paused") {
+      return res.status(409).json({
+        success: false,
+        message: "Account is not paused"
+      });
+    }
+    if (isBlockedAccount(account)) {
+      return res.status(409).json({
+        success: false,
+        message: "Cannot resume blocked/banned account"
+      });
+    }
+
+    await runWithStatusContext({ reason: "account_resume" }, () =>
+      resumeAccountNow(account, {
+        userId: String(account.userId || req.user?._id || ""),
+        ip: clientIp
+      })
+    );
+
+    await logActivity({
+      level: "info",
+      message: `Resumed account: ${account.email}`,
+      ip: clientIp,
+      email: account.email,
+      accountId: account._id,
+      userId: req.user?._id
+    }).catch(() => null);
+
+    const latest = await Account.findOne(getScopedFilter(req, { _id: req.params.id }));
+
+    return res.status(200).json({
+      success: true,
+      message: "Account resumed",
+      data: latest
+    });
+  } catch (error) {
+    if (isStatusTransitionError(error)) {
+      return sendStructuredEngineError(res, error, "Illegal status transition");
+    }
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 exports.startAllAccounts = async (req, res) => {
   try {
     if (!ensureDbConnected(res)) return;
 
     const clientIp = getClientIp(req);
-    const hasAccountIdsFilter = Array.isArray(req.body?.accountIds);
-    const requestedIds = hasAccountIdsFilter
-      ? req.body.accountIds
-          .map((value) => String(value || "").trim())
-          .filter((value) => value && mongoose.Types.ObjectId.isValid(value))
-      : [];
-
-    if (hasAccountIdsFilter && requestedIds.length === 0) {
+    const bulkTarget = resolveAccountTarget(req.body, { allowAll: true });
+    if (bulkTarget.error) {
       return res.status(400).json({
         success: false,
-        message: "No valid accountIds provided"
+        message: bulkTarget.error
       });
     }
 
-    const query = getScopedFilter(
-      req,
-      requestedIds.length > 0 ? { _id: { $in: requestedIds } } : {}
-    );
+    const query = getScopedFilter(req, bulkTarget.filter);
 
     const accounts = await Account.find(query).select("_id email status workerState");
     const eligible = [];
@@ -1088,7 +1402,8 @@ exports.startAllAccounts = async (req, res) => {
           ip: clientIp,
           userId: req.user?._id,
           resetRuntimeFields: true,
-          emitPendingConnectionTest: true
+          emitPendingConnectionTest: true,
+          strictStatus: true
         })
       )
     );
@@ -1108,6 +1423,7 @@ exports.startAllAccounts = async (req, res) => {
       failed.push({
         accountId,
         email: account.email,
+        code: isStatusTransitionError(result.reason) ? result.reason.code : undefined,
         message: result.reason?.message || "Failed to start account"
       });
     });
@@ -1118,6 +1434,7 @@ exports.startAllAccounts = async (req, res) => {
       ip: clientIp,
       userId: req.user?._id,
       metadata: {
+        tag: bulkTarget.target.tag || null,
         requested: accounts.length,
         eligible: eligible.length,
         started: startedAccountIds.length,
@@ -1154,24 +1471,15 @@ exports.stopAllAccounts = async (req, res) => {
     if (!ensureDbConnected(res)) return;
 
     const clientIp = getClientIp(req);
-    const hasAccountIdsFilter = Array.isArray(req.body?.accountIds);
-    const requestedIds = hasAccountIdsFilter
-      ? req.body.accountIds
-          .map((value) => String(value || "").trim())
-          .filter((value) => value && mongoose.Types.ObjectId.isValid(value))
-      : [];
-
-    if (hasAccountIdsFilter && requestedIds.length === 0) {
+    const bulkTarget = resolveAccountTarget(req.body, { allowAll: true });
+    if (bulkTarget.error) {
       return res.status(400).json({
         success: false,
-        message: "No valid accountIds provided"
+        message: bulkTarget.error
       });
     }
 
-    const query = getScopedFilter(
-      req,
-      requestedIds.length > 0 ? { _id: { $in: requestedIds } } : {}
-    );
+    const query = getScopedFilter(req, bulkTarget.filter);
 
     const accounts = await Account.find(query).select("_id email status");
     const accountById = new Map(accounts.map((account) => [String(account._id), account]));
@@ -1192,7 +1500,7 @@ exports.stopAllAccounts = async (req, res) => {
     }
 
     for (const runningId of runningWorkerIds) {
-      if (requestedIds.length === 0 || accountById.has(runningId)) {
+      if (bulkTarget.target.all || accountById.has(runningId)) {
         stopTargetIds.add(runningId);
       }
     }
@@ -1202,7 +1510,8 @@ exports.stopAllAccounts = async (req, res) => {
       targetIds.map((accountId) =>
         workerManager.requestStop(accountId, {
           ip: clientIp,
-          userId: req.user?._id
+          userId: req.user?._id,
+          strictStatus: true
         })
       )
     );
@@ -1222,6 +1531,7 @@ exports.stopAllAccounts = async (req, res) => {
       failed.push({
         accountId,
         email: account?.email || "",
+        code: isStatusTransitionError(result.reason) ? result.reason.code : undefined,
         message: result.reason?.message || "Failed to stop account"
       });
     });
@@ -1232,6 +1542,7 @@ exports.stopAllAccounts = async (req, res) => {
       ip: clientIp,
       userId: req.user?._id,
       metadata: {
+        tag: bulkTarget.target.tag || null,
         requested: accounts.length,
         targeted: stopTargetIds.size,
         stopped: stoppedAccountIds.length,
@@ -1261,6 +1572,183 @@ exports.stopAllAccounts = async (req, res) => {
   }
 };
 
+exports.restartAccounts = async (req, res) => {
+  try {
+    if (!ensureDbConnected(res)) return;
+
+    const clientIp = getClientIp(req);
+    const bulkTarget = resolveAccountTarget(req.body, { allowAll: true });
+    if (bulkTarget.error) {
+      return res.status(400).json({
+        success: false,
+        message: bulkTarget.error
+      });
+    }
+
+    const accounts = await Account.find(getScopedFilter(req, bulkTarget.filter));
+    const eligible = [];
+    const skipped = [];
+
+    for (const account of accounts) {
+      const statusValue = normalizeStatusValue(account.status);
+      if (account?.workerState?.blockedReason || statusValue === "banned" || statusValue === "blocked") {
+        skipped.push({ accountId: String(account._id), email: account.email, reason: "blocked_reason" });
+        continue;
+      }
+      if (!isRunningLikeStatus(statusValue)) {
+        skipped.push({
+          accountId: String(account._id),
+          email: account.email,
+          reason: `status_${statusValue || "unknown"}`
+        });
+        continue;
+      }
+      eligible.push(account);
+    }
+
+    const settled = await Promise.allSettled(
+      eligible.map((account) =>
+        workerManager.restartAccount(account, {
+          ip: clientIp,
+          userId: req.user?._id,
+          stopTimeoutMs: 5000,
+          restartDelayMs: 3000
+        })
+      )
+    );
+
+    const restartedAccountIds = [];
+    const failed = [];
+
+    settled.forEach((result, index) => {
+      const account = eligible[index];
+      if (result.status === "fulfilled") {
+        restartedAccountIds.push(String(account._id));
+        return;
+      }
+      failed.push({
+        accountId: String(account._id),
+        email: account.email,
+        message: result.reason?.message || "Failed to restart account"
+      });
+    });
+
+    await logActivity({
+      level: failed.length > 0 ? "warning" : "info",
+      message: `Bulk restart requested: ${restartedAccountIds.length}/${eligible.length} eligible`,
+      ip: clientIp,
+      userId: req.user?._id,
+      metadata: {
+        tag: bulkTarget.target.tag || null,
+        requested: accounts.length,
+        eligible: eligible.length,
+        restarted: restartedAccountIds.length,
+        skipped: skipped.length,
+        failed: failed.length
+      }
+    }).catch(() => null);
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      message:
+        failed.length === 0
+          ? `Restarting ${restartedAccountIds.length} account(s)`
+          : `Restarting ${restartedAccountIds.length} account(s); ${failed.length} failed`,
+      data: {
+        requested: accounts.length,
+        eligible: eligible.length,
+        restarted: restartedAccountIds.length,
+        skipped,
+        failed,
+        restartedAccountIds
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.resetRetryAccounts = async (req, res) => {
+  try {
+    if (!ensureDbConnected(res)) return;
+
+    const clientIp = getClientIp(req);
+    const bulkTarget = resolveAccountTarget(req.body, { allowAll: true });
+    if (bulkTarget.error) {
+      return res.status(400).json({
+        success: false,
+        message: bulkTarget.error
+      });
+    }
+
+    const accounts = await Account.find(getScopedFilter(req, bulkTarget.filter)).select(
+      "_id email status workerState"
+    );
+    const eligible = accounts.filter(hasRetryState);
+
+    const settled = await Promise.allSettled(
+      eligible.map((account) =>
+        workerManager.resetRetry(String(account._id), {
+          userId: req.user?._id
+        })
+      )
+    );
+
+    const resetAccountIds = [];
+    const failed = [];
+
+    settled.forEach((result, index) => {
+      const account = eligible[index];
+      if (result.status === "fulfilled" && result.value) {
+        resetAccountIds.push(String(account._id));
+        return;
+      }
+      failed.push({
+        accountId: String(account._id),
+        email: account.email,
+        message: result.reason?.message || "Failed to reset retry state"
+      });
+    });
+
+    await logActivity({
+      level: failed.length > 0 ? "warning" : "info",
+      message: `Bulk retry reset: ${resetAccountIds.length}/${eligible.length} with retry state`,
+      ip: clientIp,
+      userId: req.user?._id,
+      metadata: {
+        tag: bulkTarget.target.tag || null,
+        requested: accounts.length,
+        eligible: eligible.length,
+        reset: resetAccountIds.length,
+        failed: failed.length
+      }
+    }).catch(() => null);
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      message:
+        failed.length === 0
+          ? `Reset retry state on ${resetAccountIds.length} account(s)`
+          : `Reset retry state on ${resetAccountIds.length} account(s); ${failed.length} failed`,
+      data: {
+        requested: accounts.length,
+        eligible: eligible.length,
+        reset: resetAccountIds.length,
+        failed,
+        resetAccountIds
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 exports.testAccount = async (req, res) => {
   try {
     const account = await Account.findOne(
@@ -1363,6 +1851,228 @@ exports.getAccountStatus = async (req, res) => {
   }
 };
 
+exports.getStatusHistory = async (req, res) => {
+  try {
+    if (!ensureDbConnected(res)) return;
+
+    const account = await findScopedAccountRef(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const filter = { accountId: account._id };
+    const actors = parseListParam(req.query.actor);
+    if (actors.length > 0) {
+      filter.actor = { $in: actors };
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await findAccountPage(AccountStatusEvent, filter, req)
+    });
+  } catch (error) {
+    console.error("[GET /api/accounts/:id/status-history] Error:", error.stack || error.message);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.getAccountActivity = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    if (!ensureDbConnected(res)) return;
+
+    const account = await findScopedAccountRef(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const filter = applyCreatedAtRange({ accountId: account._id }, range);
+    const levels = parseListParam(req.query.level);
+    if (levels.length > 0) {
+      filter.level = { $in: levels };
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await findAccountPage(Log, filter, req)
+    });
+  } catch (error) {
+    console.error("[GET /api/accounts/:id/activity] Error:", error.stack || error.message);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.getAccountBumps = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    if (!ensureDbConnected(res)) return;
+
+    const account = await findScopedAccountRef(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const rangeFilter = applyCreatedAtRange({ accountId: account._id }, range);
+    const filter = { ...rangeFilter };
+    const outcomes = parseListParam(req.query.outcome);
+    if (outcomes.length > 0) {
+      filter.outcome = { $in: outcomes };
+    }
+    if (req.query.cooldown === "true" || req.query.cooldown === "false") {
+      filter.cooldownDetected = req.query.cooldown === "true";
+    }
+
+    const [pageData, outcomeRows] = await Promise.all([
+      findAccountPage(BumpEvent, filter, req),
+      BumpEvent.aggregate([
+        { $match: rangeFilter },
+        { $group: { _id: "$outcome", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const stats = outcomeRows.reduce(
+      (acc, row) => {
+        acc.attempts += row.count;
+        acc.byOutcome[row._id] = row.count;
+        return acc;
+      },
+      { attempts: 0, byOutcome: {} }
+    );
+    stats.success = Number(stats.byOutcome.success || 0);
+    stats.cooldown = Number(stats.byOutcome.cooldown || 0);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...pageData,
+        stats
+      }
+    });
+  } catch (error) {
+    console.error("[GET /api/accounts/:id/bumps] Error:", error.stack || error.message);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.getAccountEvidence = async (req, res) => {
+  try {
+    if (!ensureDbConnected(res)) return;
+
+    const account = await findScopedAccountRef(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const filter = applyCreatedAtRange({ accountId: account._id }, req.query);
+    const reasons = parseListParam(req.query.reason);
+    if (reasons.length > 0) {
+      filter.reason = { $in: reasons };
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await findAccountPage(FailureEvidence, filter, req)
+    });
+  } catch (error) {
+    console.error("[GET /api/accounts/:id/evidence] Error:", error.stack || error.message);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const EVIDENCE_FILE_KINDS = {
+  screenshot: { field: "screenshotFile", contentType: "image/png" },
+  // Served as text so the captured page's scripts never run on the dashboard origin.
+  html: { field: "htmlFile", contentType: "text/plain; charset=utf-8" }
+};
+
+exports.getAccountEvidenceFile = async (req, res) => {
+  try {
+    if (!ensureDbConnected(res)) return;
+
+    const kind = EVIDENCE_FILE_KINDS[req.params.kind];
+    if (!kind || !mongoose.Types.ObjectId.isValid(req.params.evidenceId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Evidence not found"
+      });
+    }
+
+    const account = await findScopedAccountRef(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    const evidence = await FailureEvidence.findOne({
+      _id: req.params.evidenceId,
+      accountId: account._id
+    }).lean();
+    const filePath = resolveEvidenceFilePath(evidence?.[kind.field]);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: "Evidence not found"
+      });
+    }
+
+    res.set("Content-Type", kind.contentType);
+    res.set("Content-Security-Policy", "sandbox");
+    res.set("Cache-Control", "private, max-age=3600");
+    return res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: "Evidence file is no longer available"
+        });
+      }
+    });
+  } catch (error) {
+    console.error("[GET /api/accounts/:id/evidence/:evidenceId] Error:", error.stack || error.message);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 exports.resetRetry = async (req, res) => {
   try {
     if (!ensureDbConnected(res)) return;
@@ -4,6 +4,7 @@ const License = require("../model/License");
 const User = require("../model/User");
 const { sanitizeUser } = require("./authController");
 const { generateLicenseKey, maskLicenseKey } = require("../utils/licenseKey");
+const { getLogCollectionStats } = require("../utils/logRetention");
 
 const SALT_ROUNDS = 10;
 const LICENSE_KEY_RETRY_LIMIT = 5;
@@ -99,7 +100,7 @@ exports.getAdminOverview = async (_req, res) => {
     const now = new Date();
     const inSevenDays = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
 
-    const [totalUsers, totalLicenses, activeLicenses, expiringSoon] = await Promise.all([
+    const [totalUsers, totalLicenses, activeLicenses, expiringSoon, logs] = await Promise.all([
       User.countDocuments({}),
       License.countDocuments({}),
       License.countDocuments({
@@ -112,7 +113,8 @@ exports.getAdminOverview = async (_req, res) => {
           $gte: now,
           $lte: inSevenDays
         }
-      })
+      }),
+      getLogCollectionStats().catch(() => null)
     ]);
 
     return res.status(200).json({
@@ -121,7 +123,8 @@ exports.getAdminOverview = async (_req, res) => {
         totalUsers,
         totalLicenses,
         activeLicenses,
-        expiringSoon
+        expiringSoon,
+        logs
       }
     });
   } catch (error) {
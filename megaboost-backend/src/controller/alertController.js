@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const AlertEvent = require("../model/AlertEvent");
+const AlertRule = require("../model/AlertRule");
+const { tenantFilter, getTenantUserId } = require("../utils/tenant");
+const {
+  ALERT_EVENT_STATUSES,
+  ALERT_SEVERITIES,
+  describeCondition,
+  normalizeAlertRuleInput,
+  resolveWebhookHost
+} = require("../utils/alertRules");
+
+const MAX_ALERT_RULES = 50;
+const DEFAULT_EVENT_LIMIT = 100;
+const MAX_EVENT_LIMIT = 500;
+
+function toRuleResponse(rule) {
+  const plain = rule?.toObject ? rule.toObject() : rule;
+  return {
+    ...plain,
+    description: describeCondition(plain.condition)
+  };
+}
+
+async function findScopedRule(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid rule id"
+    });
+    return null;
+  }
+
+  const rule = await AlertRule.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      message: "Alert rule not found"
+    });
+    return null;
+  }
+  return rule;
+}
+
+exports.listAlertRules = async (req, res) => {
+  try {
+    const [rules, firing] = await Promise.all([
+      AlertRule.find(tenantFilter(req)).sort({ createdAt: 1 }).lean(),
+      AlertEvent.aggregate([
+        { $match: tenantFilter(req, { status: "firing" }) },
+        { $group: { _id: "$ruleId", count: { $sum: 1 } } }
+      ])
+    ]);
+    const firingByRule = new Map(firing.map((entry) => [String(entry._id), entry.count]));
+
+    return res.status(200).json({
+      success: true,
+      data: rules.map((rule) => ({
+        ...toRuleResponse(rule),
+        firingCount: firingByRule.get(String(rule._id)) || 0
+      }))
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.createAlertRule = async (req, res) => {
+  try {
+    const { rule, error } = normalizeAlertRuleInput(req.body || {});
+    const webhookError = error
+      ? null
+      : rule.channels.webhookUrl && (await resolveWebhookHost(rule.channels.webhookUrl));
+    if (error || webhookError) {
+      return res.status(400).json({
+        success: false,
+        message: error || webhookError
+      });
+    }
+
+    const existingCount = await AlertRule.countDocuments(tenantFilter(req));
+    if (existingCount >= MAX_ALERT_RULES) {
+      return res.status(409).json({
+        success: false,
+        message: `At most ${MAX_ALERT_RULES} alert rules are allowed`
+      });
+    }
+
+    const created = await AlertRule.create({
+      ...rule,
+      userId: getTenantUserId(req)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Alert rule created",
+      data: toRuleResponse(created)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.updateAlertRule = async (req, res) => {
+  try {
+    const existing = await findScopedRule(req, res);
+    if (!existing) return null;
+
+    const { rule, error } = normalizeAlertRuleInput(req.body || {}, existing.toObject());
+    const webhookChanged =
+      !error &&
+      rule.channels.webhookUrl &&
+      rule.channels.webhookUrl !== existing.channels?.webhookUrl;
+    const webhookError = webhookChanged ? await resolveWebhookHost(rule.channels.webhookUrl) : null;
+    if (error || webhookError) {
+      return res.status(400).json({
+        success: false,
+        message: error || webhookError
+      });
+    }
+
+    const conditionChanged =
+      JSON.stringify(rule.condition) !== JSON.stringify(existing.toObject().condition) ||
+      rule.forMinutes !== existing.forMinutes;
+    existing.set(rule);
+    // Time already waited counts toward the old condition only.
+    if (conditionChanged || !rule.enabled) {
+      existing.pending = [];
+    }
+    await existing.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rule saved",
+      data: toRuleResponse(existing)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.deleteAlertRule = async (req, res) => {
+  try {
+    const existing = await findScopedRule(req, res);
+    if (!existing) return null;
+
+    await existing.deleteOne();
+    // History stays; nothing is left firing for a rule that no longer runs.
+    const resolved = await AlertEvent.updateMany(
+      { ruleId: existing._id, status: "firing" },
+      { $set: { status: "resolved", resolvedAt: new Date() } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rule deleted",
+      data: {
+        resolvedCount: resolved.modifiedCount || 0
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.listAlertEvents = async (req, res) => {
+  try {
+    const filter = {};
+    const status = String(req.query?.status || "").trim().toLowerCase();
+    if (status) {
+      if (!ALERT_EVENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${ALERT_EVENT_STATUSES.join(", ")}`
+        });
+      }
+      filter.status = status;
+    }
+
+    const severity = String(req.query?.severity || "").trim().toLowerCase();
+    if (severity) {
+      if (!ALERT_SEVERITIES.includes(severity)) {
+        return res.status(400).json({
+          success: false,
+          message: `severity must be one of: ${ALERT_SEVERITIES.join(", ")}`
+        });
+      }
+      filter.severity = severity;
+    }
+
+    const ruleId = String(req.query?.ruleId || "").trim();
+    if (ruleId) {
+      if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid rule id"
+        });
+      }
+      filter.ruleId = ruleId;
+    }
+
+    const requestedLimit = Number(req.query?.limit || DEFAULT_EVENT_LIMIT);
+    const limit = Number.isInteger(requestedLimit)
+      ? Math.min(Math.max(requestedLimit, 1), MAX_EVENT_LIMIT)
+      : DEFAULT_EVENT_LIMIT;
+
+    const events = await AlertEvent.find(tenantFilter(req, filter))
+      .sort({ firedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
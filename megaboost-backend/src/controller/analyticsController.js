@@ -0,0 +1,414 @@
+const mongoose = require("mongoose");
+const Account = require("../model/Account");
+const AccountStatusEvent = require("../model/AccountStatusEvent");
+const BumpEvent = require("../model/BumpEvent");
+const BumpPreset = require("../model/BumpPreset");
+const { getOrCreateAppSettings } = require("../utils/appSettings");
+const { DEFAULT_TIMEZONE } = require("../utils/timing");
+const { getTenantUserId, tenantFilter } = require("../utils/tenant");
+const {
+  CHECKPOINT_STATUSES,
+  DRIFT_LATE_MS,
+  FAILURE_OUTCOMES,
+  LOGIN_ATTEMPT_STATUSES,
+  LOGIN_FAILURE_STATUSES,
+  dayKeyExpression,
+  driftBucketStage,
+  listRangeDays,
+  parseAnalyticsRange,
+  ratio,
+  roundMs,
+  shapeBumpsPerAccountDay,
+  shapeCooldownsByDay,
+  shapeDriftByDay,
+  shapeDriftHistogram,
+  shapeHourHeatmap,
+  shapeLoginsByDay,
+  shapeOutcomesByDay
+} = require("../utils/bumpAnalytics");
+
+const ACCOUNT_SERIES_LIMIT = 10;
+const ACCOUNT_TABLE_LIMIT = 200;
+
+async function resolveRange(req) {
+  const settings = await getOrCreateAppSettings(getTenantUserId(req)).catch(() => null);
+  return parseAnalyticsRange(req.query || {}, {
+    timezone: settings?.timezone || DEFAULT_TIMEZONE
+  });
+}
+
+// Returns { match, range } or { status, message }. Self-test cycles are not
+// real bumps, so they never count towards analytics.
+async function buildAnalyticsScope(req) {
+  const accountId = String(req.query?.accountId || "").trim();
+  if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+    return { status: 400, message: "Invalid accountId" };
+  }
+
+  const { range, error } = await resolveRange(req);
+  if (error) {
+    return { status: 400, message: error };
+  }
+
+  const match = tenantFilter(req, {
+    createdAt: { $gte: range.from, $lte: range.to }
+  });
+  if (accountId) {
+    match.accountId = new mongoose.Types.ObjectId(accountId);
+  }
+
+  return {
+    range,
+    days: listRangeDays(range),
+    match,
+    bumpMatch: { ...match, selfTest: { $ne: true } }
+  };
+}
+
+function sendRangeError(res, scope) {
+  return res.status(scope.status).json({
+    success: false,
+    message: scope.message
+  });
+}
+
+function sendAnalytics(res, scope, data) {
+  return res.status(200).json({
+    success: true,
+    data: {
+      range: {
+        from: scope.range.from,
+        to: scope.range.to,
+        timezone: scope.range.timezone,
+        days: scope.days
+      },
+      ...data
+    }
+  });
+}
+
+function sendServerError(res, label, error) {
+  console.error(`[ANALYTICS] ${label} failed:`, error.message);
+  return res.status(500).json({
+    success: false,
+    message: error.message
+  });
+}
+
+function loginStatusMatch(match) {
+  return {
+    ...match,
+    accepted: { $ne: false },
+    to: { $in: [...LOGIN_ATTEMPT_STATUSES, ...LOGIN_FAILURE_STATUSES, ...CHECKPOINT_STATUSES] }
+  };
+}
+
+// GET /api/analytics/summary
+exports.getSummary = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const [bumpRows, loginRows] = await Promise.all([
+      BumpEvent.aggregate([
+        { $match: scope.bumpMatch },
+        {
+          $group: {
+            _id: null,
+            attempts: { $sum: 1 },
+            success: { $sum: { $cond: [{ $eq: ["$outcome", "success"] }, 1, 0] } },
+            cooldowns: { $sum: { $cond: ["$cooldownDetected", 1, 0] } },
+            failures: { $sum: { $cond: [{ $in: ["$outcome", FAILURE_OUTCOMES] }, 1, 0] } },
+            avgCooldownMs: { $avg: "$cooldownMs" },
+            avgDriftMs: { $avg: "$driftMs" },
+            maxDriftMs: { $max: "$driftMs" },
+            lateStarts: { $sum: { $cond: [{ $gt: ["$driftMs", DRIFT_LATE_MS] }, 1, 0] } },
+            accounts: { $addToSet: "$accountId" }
+          }
+        }
+      ]),
+      AccountStatusEvent.aggregate([
+        { $match: loginStatusMatch(scope.match) },
+        { $group: { _id: "$to", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const bumps = bumpRows[0] || {};
+    const attempts = Number(bumps.attempts || 0);
+    const loginCounts = Object.fromEntries(loginRows.map((row) => [row._id, Number(row.count || 0)]));
+    const sumStatuses = (statuses) =>
+      statuses.reduce((sum, status) => sum + Number(loginCounts[status] || 0), 0);
+    const loginAttempts = sumStatuses(LOGIN_ATTEMPT_STATUSES);
+    const loginFailures = sumStatuses(LOGIN_FAILURE_STATUSES);
+
+    return sendAnalytics(res, scope, {
+      bumps: {
+        attempts,
+        success: Number(bumps.success || 0),
+        failures: Number(bumps.failures || 0),
+        successRate: ratio(Number(bumps.success || 0), attempts),
+        failureRate: ratio(Number(bumps.failures || 0), attempts),
+        accounts: (bumps.accounts || []).length
+      },
+      cooldowns: {
+        count: Number(bumps.cooldowns || 0),
+        frequency: ratio(Number(bumps.cooldowns || 0), attempts),
+        avgCooldownMs: roundMs(bumps.avgCooldownMs)
+      },
+      drift: {
+        avgDriftMs: roundMs(bumps.avgDriftMs),
+        maxDriftMs: roundMs(bumps.maxDriftMs),
+        lateStarts: Number(bumps.lateStarts || 0)
+      },
+      logins: {
+        attempts: loginAttempts,
+        failures: loginFailures,
+        checkpoints: sumStatuses(CHECKPOINT_STATUSES),
+        failureRate: ratio(loginFailures, loginAttempts),
+        byStatus: Object.fromEntries(
+          LOGIN_FAILURE_STATUSES.map((status) => [status, Number(loginCounts[status] || 0)])
+        )
+      }
+    });
+  } catch (error) {
+    return sendServerError(res, "summary", error);
+  }
+};
+
+// GET /api/analytics/bumps-per-day
+exports.getBumpsPerDay = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const rows = await BumpEvent.aggregate([
+      { $match: { ...scope.bumpMatch, outcome: "success" } },
+      {
+        $group: {
+          _id: { day: dayKeyExpression(scope.range.timezone), accountId: "$accountId" },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const accountIds = Array.from(new Set(rows.map((row) => String(row._id.accountId))));
+    const accounts = await Account.find(tenantFilter(req, { _id: { $in: accountIds } }))
+      .select("_id email")
+      .lean();
+
+    return sendAnalytics(res, scope, {
+      series: shapeBumpsPerAccountDay(
+        rows,
+        scope.days,
+        new Map(accounts.map((account) => [String(account._id), account.email])),
+        ACCOUNT_SERIES_LIMIT
+      )
+    });
+  } catch (error) {
+    return sendServerError(res, "bumps-per-day", error);
+  }
+};
+
+// GET /api/analytics/outcomes
+exports.getOutcomes = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const rows = await BumpEvent.aggregate([
+      { $match: scope.bumpMatch },
+      {
+        $group: {
+          _id: { day: dayKeyExpression(scope.range.timezone), outcome: "$outcome" },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return sendAnalytics(res, scope, {
+      daily: shapeOutcomesByDay(rows, scope.days)
+    });
+  } catch (error) {
+    return sendServerError(res, "outcomes", error);
+  }
+};
+
+// GET /api/analytics/cooldowns
+exports.getCooldowns = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const rows = await BumpEvent.aggregate([
+      { $match: { ...scope.bumpMatch, cooldownDetected: true } },
+      {
+        $group: {
+          _id: dayKeyExpression(scope.range.timezone),
+          count: { $sum: 1 },
+          avgCooldownMs: { $avg: "$cooldownMs" }
+        }
+      }
+    ]);
+
+    return sendAnalytics(res, scope, {
+      daily: shapeCooldownsByDay(rows, scope.days)
+    });
+  } catch (error) {
+    return sendServerError(res, "cooldowns", error);
+  }
+};
+
+// GET /api/analytics/drift
+exports.getDrift = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const match = { ...scope.bumpMatch, driftMs: { $type: "number" } };
+    const [dailyRows, histogramRows] = await Promise.all([
+      BumpEvent.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: dayKeyExpression(scope.range.timezone),
+            samples: { $sum: 1 },
+            avgDriftMs: { $avg: "$driftMs" },
+            maxDriftMs: { $max: "$driftMs" },
+            late: { $sum: { $cond: [{ $gt: ["$driftMs", DRIFT_LATE_MS] }, 1, 0] } }
+          }
+        }
+      ]),
+      BumpEvent.aggregate([{ $match: match }, driftBucketStage()])
+    ]);
+
+    return sendAnalytics(res, scope, {
+      daily: shapeDriftByDay(dailyRows, scope.days),
+      histogram: shapeDriftHistogram(histogramRows)
+    });
+  } catch (error) {
+    return sendServerError(res, "drift", error);
+  }
+};
+
+// GET /api/analytics/logins
+exports.getLogins = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const rows = await AccountStatusEvent.aggregate([
+      { $match: loginStatusMatch(scope.match) },
+      {
+        $group: {
+          _id: { day: dayKeyExpression(scope.range.timezone), status: "$to" },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return sendAnalytics(res, scope, {
+      daily: shapeLoginsByDay(rows, scope.days)
+    });
+  } catch (error) {
+    return sendServerError(res, "logins", error);
+  }
+};
+
+// GET /api/analytics/heatmap
+exports.getHourHeatmap = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const timezone = scope.range.timezone;
+    const rows = await BumpEvent.aggregate([
+      { $match: scope.bumpMatch },
+      {
+        $group: {
+          _id: {
+            weekday: { $isoDayOfWeek: { date: "$createdAt", timezone } },
+            hour: { $hour: { date: "$createdAt", timezone } }
+          },
+          attempts: { $sum: 1 },
+          success: { $sum: { $cond: [{ $eq: ["$outcome", "success"] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return sendAnalytics(res, scope, {
+      heatmap: shapeHourHeatmap(rows)
+    });
+  } catch (error) {
+    return sendServerError(res, "heatmap", error);
+  }
+};
+
+// GET /api/analytics/accounts
+// One row per account with its current timing config next to how it did, so
+// configs can be compared.
+exports.getAccountPerformance = async (req, res) => {
+  try {
+    const scope = await buildAnalyticsScope(req);
+    if (scope.status) return sendRangeError(res, scope);
+
+    const rows = await BumpEvent.aggregate([
+      { $match: scope.bumpMatch },
+      {
+        $group: {
+          _id: "$accountId",
+          attempts: { $sum: 1 },
+          success: { $sum: { $cond: [{ $eq: ["$outcome", "success"] }, 1, 0] } },
+          failures: { $sum: { $cond: [{ $in: ["$outcome", FAILURE_OUTCOMES] }, 1, 0] } },
+          cooldowns: { $sum: { $cond: ["$cooldownDetected", 1, 0] } },
+          avgCooldownMs: { $avg: "$cooldownMs" },
+          avgDriftMs: { $avg: "$driftMs" }
+        }
+      },
+      { $sort: { attempts: -1 } },
+      { $limit: ACCOUNT_TABLE_LIMIT }
+    ]);
+
+    const accounts = await Account.find(tenantFilter(req, { _id: { $in: rows.map((row) => row._id) } }))
+      .select(
+        "_id email status presetId tags proxyType baseIntervalMinutes randomMinMinutes randomMaxMinutes maxDailyBumps"
+      )
+      .lean();
+    const accountsById = new Map(accounts.map((account) => [String(account._id), account]));
+    const presetIds = accounts.map((account) => account.presetId).filter(Boolean);
+    const presets =
+      presetIds.length > 0
+        ? await BumpPreset.find(tenantFilter(req, { _id: { $in: presetIds } })).select("_id name").lean()
+        : [];
+    const presetNames = new Map(presets.map((preset) => [String(preset._id), preset.name]));
+
+    return sendAnalytics(res, scope, {
+      accounts: rows.map((row) => {
+        const account = accountsById.get(String(row._id)) || {};
+        return {
+          accountId: String(row._id),
+          email: account.email || String(row._id),
+          status: account.status || null,
+          config: {
+            preset: account.presetId ? presetNames.get(String(account.presetId)) || null : null,
+            baseIntervalMinutes: account.baseIntervalMinutes ?? null,
+            randomMinMinutes: account.randomMinMinutes ?? null,
+            randomMaxMinutes: account.randomMaxMinutes ?? null,
+            maxDailyBumps: account.maxDailyBumps ?? null,
+            proxyType: account.proxyType || null,
+            tags: account.tags || []
+          },
+          attempts: row.attempts,
+          success: row.success,
+          failures: row.failures,
+          cooldowns: row.cooldowns,
+          successRate: ratio(row.success, row.attempts),
+          cooldownFrequency: ratio(row.cooldowns, row.attempts),
+          avgCooldownMs: roundMs(row.avgCooldownMs),
+          avgDriftMs: roundMs(row.avgDriftMs)
+        };
+      })
+    });
+  } catch (error) {
+    return sendServerError(res, "accounts", error);
+  }
+};
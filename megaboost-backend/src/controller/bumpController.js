@@ -1,36 +1,65 @@
+const mongoose = require("mongoose");
 const Account = require("../model/Account");
 const { tenantFilter } = require("../utils/tenant");
 const {
   QUICK_BUMP_PRESETS,
   DEFAULT_TIMEZONE,
   DEFAULT_TIMEZONE_LABEL,
-  DEFAULT_UI_TIME_FORMAT,
-  buildScheduleDecisionLogPayload,
-  getRuntimeWindowClockRange
+  DEFAULT_UI_TIME_FORMAT
 } = require("../utils/timing");
+const { applyTimingUpdate, getTimingSettingsForUser } = require("../utils/accountTiming");
+const { buildQuickPresetAccountUpdate, resolveQuickPreset } = require("../utils/bumpPresets");
+const { resolveAccountTarget } = require("../utils/accountTags");
 const {
-  getTimingSettingsForUser,
-  buildAccountSchedulePreview,
-  buildManagedSchedulePatch,
-  requestWorkerReschedule,
-  shouldPersistManagedSchedule
-} = require("../utils/accountTiming");
+  normalizeRuntimeCalendar,
+  parseRuntimeWindowList
+} = require("../utils/runtimeWindow");
+const {
+  MAX_SIMULATION_DAYS,
+  parseCycleSeconds,
+  simulateSchedule
+} = require("../utils/scheduleSimulator");
 
 const QUICK_PRESETS = QUICK_BUMP_PRESETS;
 
-function normalizePresetName(presetValue) {
-  const value = String(presetValue || "")
-    .trim()
-    .toLowerCase()
-    .replace(/[\s-]+/g, "_");
-
-  if (value === "businesshours") return "business_hours";
-  return value;
+const SIMULATION_CONFIG_FIELDS = [
+  "baseInterval",
+  "baseIntervalMinutes",
+  "randomMin",
+  "randomMinMinutes",
+  "randomMax",
+  "randomMaxMinutes",
+  "maxDailyBumps",
+  "maxDailyRuntime",
+  "maxDailyRuntimeHours",
+  "runtimeWindow",
+  "runtimeWindows",
+  "runtimeStart",
+  "runtimeEnd",
+  "runtimeCalendar"
+];
+
+function pickSimulationConfig(source = {}) {
+  const config = {};
+  SIMULATION_CONFIG_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      config[field] = source[field];
+    }
+  });
+  return config;
 }
 
-function resolvePreset(presetValue) {
-  const normalized = normalizePresetName(presetValue);
-  return QUICK_PRESETS[normalized] || null;
+function validateSimulationConfig(config) {
+  if (config.runtimeWindows !== undefined) {
+    const { windows, errors } = parseRuntimeWindowList(config.runtimeWindows);
+    if (errors.length > 0) return `Runtime windows: ${errors[0]}`;
+    if (windows.length === 0) return "At least one runtime window is required";
+  }
+  if (config.runtimeCalendar !== undefined) {
+    const [calendarError] = normalizeRuntimeCalendar(config.runtimeCalendar).errors;
+    if (calendarError) return `Runtime calendar: ${calendarError}`;
+  }
+  return null;
 }
 
 function normalizeApplyTo(applyToValue) {
@@ -48,7 +77,7 @@ exports.getQuickPresets = async (_req, res) => {
 
 exports.applyQuickPreset = async (req, res) => {
   try {
-    const preset = resolvePreset(req.body?.preset);
+    const preset = resolveQuickPreset(req.body?.preset);
     if (!preset) {
       return res.status(400).json({
         success: false,
@@ -57,7 +86,17 @@ exports.applyQuickPreset = async (req, res) => {
       });
     }
 
-    const applyTo = normalizeApplyTo(req.body?.applyTo);
+    // accountIds or a tag take precedence over applyTo.
+    const hasTarget = req.body?.accountIds !== undefined || req.body?.tag !== undefined;
+    const accountTarget = hasTarget ? resolveAccountTarget(req.body) : null;
+    if (accountTarget?.error) {
+      return res.status(400).json({
+        success: false,
+        message: accountTarget.error
+      });
+    }
+
+    const applyTo = hasTarget ? "target" : normalizeApplyTo(req.body?.applyTo);
     if (!applyTo) {
       return res.status(400).json({
         success: false,
@@ -65,93 +104,127 @@ exports.applyQuickPreset = async (req, res) => {
       });
     }
 
-    const filter = tenantFilter(req, applyTo === "stopped" ? { status: "stopped" } : {});
-    const runtimeRange = getRuntimeWindowClockRange(preset.runtimeWindow);
-    const update = {
-      baseInterval: preset.baseInterval,
-      baseIntervalMinutes: preset.baseInterval,
-      randomMin: preset.randomMin,
-      randomMinMinutes: preset.randomMin,
-      randomMax: preset.randomMax,
-      randomMaxMinutes: preset.randomMax,
-      runtimeWindow: preset.runtimeWindow,
-      runtimeStart: runtimeRange.start24h,
-      runtimeEnd: runtimeRange.end24h,
-      timezone: DEFAULT_TIMEZONE
-    };
-    const accounts = await Account.find(filter)
-      .select(
-        "_id email userId status lastBumpAt workerState baseInterval randomMin randomMax maxDailyRuntime runtimeWindow nextBumpAt nextBumpDelayMs"
-      );
-    const appTimingSettings = await getTimingSettingsForUser(req.user?._id).catch(() => ({
-      timezone: DEFAULT_TIMEZONE,
-      timezoneLabel: DEFAULT_TIMEZONE_LABEL,
-      uiTimeFormat: DEFAULT_UI_TIME_FORMAT
-    }));
+    const filter = tenantFilter(
+      req,
+      accountTarget ? accountTarget.filter : applyTo === "stopped" ? { status: "stopped" } : {}
+    );
+    const update = buildQuickPresetAccountUpdate(preset);
+    const result = await applyTimingUpdate({
+      filter,
+      update,
+      userId: req.user?._id,
+      reason: `quick_preset_${preset.key}`
+    });
 
-    const now = new Date();
-    const bulkOperations = [];
-    const reschedules = [];
-    const timingByAccountId = {};
-
-    for (const account of accounts) {
-      const nextAccountState = {
-        ...(account.toObject ? account.toObject() : account),
-        ...update
-      };
-      const schedulePreview = buildAccountSchedulePreview(nextAccountState, appTimingSettings, {
-        now,
-        anchorAt: nextAccountState.lastBumpAt || now
+    return res.status(200).json({
+      success: true,
+      message: `Applied ${preset.name} preset to ${result.modifiedCount || 0} account(s).`,
+      data: {
+        preset: preset.key,
+        applyTo,
+        target: accountTarget ? accountTarget.target : null,
+        matchedCount: result.matchedCount,
+        modifiedCount: result.modifiedCount,
+        values: update,
+        timing: result.timing
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.simulateBumpSchedule = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const config = pickSimulationConfig(body.config || {});
+    const configError = validateSimulationConfig(config);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
       });
-      const schedulePatch = buildManagedSchedulePatch(nextAccountState, schedulePreview);
-      const setPatch = {
-        ...update,
-        ...schedulePatch
-      };
-
-      bulkOperations.push({
-        updateOne: {
-          filter: { _id: account._id },
-          update: {
-            $set: setPatch
-          }
-        }
+    }
+
+    const days = Number(body.days ?? 7);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SIMULATION_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be a whole number between 1 and ${MAX_SIMULATION_DAYS}`
       });
+    }
 
-      timingByAccountId[String(account._id)] = buildScheduleDecisionLogPayload(schedulePreview);
+    const cycle = parseCycleSeconds(body.cycleSeconds);
+    if (cycle.error) {
+      return res.status(400).json({
+        success: false,
+        message: cycle.error
+      });
+    }
 
-      if (shouldPersistManagedSchedule(nextAccountState) && schedulePatch.nextBumpAt) {
-        reschedules.push(
-          requestWorkerReschedule(nextAccountState, schedulePreview, {
-            userId: req.user?._id,
-            reason: `quick_preset_${preset.key}`
-          }).catch(() => null)
-        );
-      }
+    const startAt = body.startAt ? new Date(body.startAt) : new Date();
+    if (Number.isNaN(startAt.valueOf())) {
+      return res.status(400).json({
+        success: false,
+        message: "startAt must be a valid date"
+      });
     }
 
-    const result =
-      bulkOperations.length > 0
-        ? await Account.bulkWrite(bulkOperations)
-        : {
-            matchedCount: 0,
-            modifiedCount: 0
-          };
+    let account = {};
+    if (body.accountId) {
+      if (!mongoose.Types.ObjectId.isValid(body.accountId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid accountId"
+        });
+      }
+      account = await Account.findOne(tenantFilter(req, { _id: body.accountId }))
+        .select(SIMULATION_CONFIG_FIELDS.join(" "))
+        .lean();
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: "Account not found"
+        });
+      }
+    }
 
-    if (reschedules.length > 0) {
-      await Promise.allSettled(reschedules);
+    const merged = { ...account, ...config };
+    // A proposed single window replaces the stored list, as it does on save.
+    const changesSingleWindow = ["runtimeWindow", "runtimeStart", "runtimeEnd"].some(
+      (field) => config[field] !== undefined
+    );
+    if (changesSingleWindow && config.runtimeWindows === undefined) {
+      delete merged.runtimeWindows;
     }
 
+    const appTimingSettings = await getTimingSettingsForUser(req.user?._id).catch(() => ({
+      timezone: DEFAULT_TIMEZONE,
+      timezoneLabel: DEFAULT_TIMEZONE_LABEL,
+      uiTimeFormat: DEFAULT_UI_TIME_FORMAT
+    }));
+    const seed =
+      body.seed !== undefined && body.seed !== null && String(body.seed).trim()
+        ? String(body.seed).trim()
+        : String(Date.now());
+
+    const forecast = simulateSchedule({
+      account: merged,
+      appSettings: appTimingSettings,
+      start: startAt,
+      days,
+      seed,
+      cycleSeconds: cycle.cycleSeconds
+    });
+
     return res.status(200).json({
       success: true,
-      message: `Applied ${preset.name} preset to ${result.modifiedCount || 0} account(s).`,
       data: {
-        preset: preset.key,
-        applyTo,
-        matchedCount: result.matchedCount || accounts.length,
-        modifiedCount: result.modifiedCount || 0,
-        values: update,
-        timing: timingByAccountId
+        accountId: body.accountId || null,
+        ...forecast
       }
     });
   } catch (error) {
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const Account = require("../model/Account");
+const BumpPreset = require("../model/BumpPreset");
+const { tenantFilter } = require("../utils/tenant");
+const { applyTimingUpdate } = require("../utils/accountTiming");
+const { resolveAccountTarget } = require("../utils/accountTags");
+const { buildPresetAccountUpdate, normalizeBumpPresetInput } = require("../utils/bumpPresets");
+
+function sendPresetError(res, error) {
+  if (Number(error?.code) === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A preset with this name already exists"
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message
+  });
+}
+
+async function findScopedPreset(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid preset id"
+    });
+    return null;
+  }
+
+  const preset = await BumpPreset.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!preset) {
+    res.status(404).json({
+      success: false,
+      message: "Preset not found"
+    });
+    return null;
+  }
+  return preset;
+}
+
+exports.listBumpPresets = async (req, res) => {
+  try {
+    const [presets, counts] = await Promise.all([
+      BumpPreset.find(tenantFilter(req)).sort({ name: 1 }).lean(),
+      Account.aggregate([
+        { $match: tenantFilter(req, { presetId: { $ne: null } }) },
+        { $group: { _id: "$presetId", count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByPreset = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+
+    return res.status(200).json({
+      success: true,
+      data: presets.map((preset) => ({
+        ...preset,
+        accountCount: countByPreset.get(String(preset._id)) || 0
+      }))
+    });
+  } catch (error) {
+    return sendPresetError(res, error);
+  }
+};
+
+exports.createBumpPreset = async (req, res) => {
+  try {
+    const { preset, error } = normalizeBumpPresetInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const created = await BumpPreset.create({
+      ...preset,
+      userId: req.user?._id
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    return sendPresetError(res, error);
+  }
+};
+
+exports.updateBumpPreset = async (req, res) => {
+  try {
+    const existing = await findScopedPreset(req, res);
+    if (!existing) return null;
+
+    const body = req.body || {};
+    const merged = { ...existing.toObject() };
+    // A legacy single window replaces the stored list.
+    if (body.runtimeWindow !== undefined && body.runtimeWindows === undefined) {
+      delete merged.runtimeWindows;
+    }
+    const { preset, error } = normalizeBumpPresetInput({ ...merged, ...body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    existing.set(preset);
+    await existing.save();
+
+    const reapplied = await applyTimingUpdate({
+      filter: tenantFilter(req, { presetId: existing._id }),
+      update: buildPresetAccountUpdate(existing),
+      userId: req.user?._id,
+      reason: "bump_preset_updated"
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Preset saved and re-applied to ${reapplied.matchedCount} account(s).`,
+      data: {
+        preset: existing,
+        matchedCount: reapplied.matchedCount,
+        modifiedCount: reapplied.modifiedCount,
+        timing: reapplied.timing
+      }
+    });
+  } catch (error) {
+    return sendPresetError(res, error);
+  }
+};
+
+exports.deleteBumpPreset = async (req, res) => {
+  try {
+    const existing = await findScopedPreset(req, res);
+    if (!existing) return null;
+
+    await existing.deleteOne();
+    // Accounts keep their current timing, they just stop following the preset.
+    const detached = await Account.updateMany(tenantFilter(req, { presetId: existing._id }), {
+      $set: { presetId: null }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Preset deleted",
+      data: {
+        detachedCount: detached.modifiedCount || 0
+      }
+    });
+  } catch (error) {
+    return sendPresetError(res, error);
+  }
+};
+
+exports.applyBumpPreset = async (req, res) => {
+  try {
+    const preset = await findScopedPreset(req, res);
+    if (!preset) return null;
+
+    const { filter, target, error } = resolveAccountTarget(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await applyTimingUpdate({
+      filter: tenantFilter(req, filter),
+      update: buildPresetAccountUpdate(preset),
+      userId: req.user?._id,
+      reason: "bump_preset_applied"
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Applied ${preset.name} preset to ${result.matchedCount} account(s).`,
+      data: {
+        preset: preset._id,
+        target,
+        matchedCount: result.matchedCount,
+        modifiedCount: result.modifiedCount,
+        timing: result.timing
+      }
+    });
+  } catch (error) {
+    return sendPresetError(res, error);
+  }
+};
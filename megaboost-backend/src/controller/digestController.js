@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const DigestReport = require("../model/DigestReport");
+const { generateDigestReport } = require("../engine/digestRunner");
+const { getOrCreateAppSettings } = require("../utils/appSettings");
+const { DIGEST_PERIODS } = require("../utils/digestReports");
+const { toDateTime } = require("../utils/timing");
+const { tenantFilter, getTenantUserId } = require("../utils/tenant");
+
+const DEFAULT_REPORT_LIMIT = 30;
+const MAX_REPORT_LIMIT = 200;
+// Listing leaves out the per-account rows; the detail endpoint has them.
+const LIST_PROJECTION = "-accounts";
+
+function readPeriod(value) {
+  const period = String(value || "").trim().toLowerCase();
+  if (!period) return { period: "" };
+  if (!DIGEST_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${DIGEST_PERIODS.join(", ")}` };
+  }
+  return { period };
+}
+
+exports.listDigestReports = async (req, res) => {
+  try {
+    const { period, error } = readPeriod(req.query?.period);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const requestedLimit = Number(req.query?.limit || DEFAULT_REPORT_LIMIT);
+    const limit = Number.isInteger(requestedLimit)
+      ? Math.min(Math.max(requestedLimit, 1), MAX_REPORT_LIMIT)
+      : DEFAULT_REPORT_LIMIT;
+
+    const reports = await DigestReport.find(tenantFilter(req, period ? { period } : {}))
+      .select(LIST_PROJECTION)
+      .sort({ to: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.getDigestReport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid report id"
+      });
+    }
+
+    const report = await DigestReport.findOne(tenantFilter(req, { _id: req.params.id })).lean();
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Digest report not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Builds a digest for the period ending now and sends it like a scheduled one.
+exports.runDigestReport = async (req, res) => {
+  try {
+    const { period, error } = readPeriod(req.body?.period || "daily");
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const userId = getTenantUserId(req);
+    const settings = await getOrCreateAppSettings(userId);
+    const now = new Date();
+    const end = toDateTime(now, settings.timezone);
+    const slot = {
+      period,
+      periodKey: "",
+      from: (period === "weekly" ? end.minus({ weeks: 1 }) : end.minus({ days: 1 })).toUTC().toJSDate(),
+      to: now,
+      timezone: end.zoneName
+    };
+
+    const report = await generateDigestReport(
+      { userId: settings.userId, timezone: settings.timezone, digest: settings.digest },
+      slot,
+      { manual: true, now }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Digest generated",
+      data: report
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -3,6 +3,15 @@ const Account = require("../model/Account");
 const mongoose = require("mongoose");
 const { createActivityLog } = require("../utils/activityLogger");
 const { getTenantUserId, tenantFilter } = require("../utils/tenant");
+const { normalizeOperationId } = require("../utils/operationContext");
+const {
+  LOG_EXPORT_FORMATS,
+  buildCsvHeader,
+  buildLogExportFileName,
+  formatLogCsvRow,
+  formatLogNdjsonLine
+} = require("../utils/logExport");
+const { parseDateRange } = require("../utils/dateRange");
 
 const LEVELS = new Set(["success", "warning", "error", "info"]);
 const LOG_SELECT_FIELDS = "_id level message email ip accountId metadata createdAt";
@@ -47,7 +56,7 @@ function escapeRegex(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function buildBaseFilter({ level, email }) {
+function buildBaseFilter({ level, email, from, to, operationId }) {
   const filter = {};
 
   if (level && level !== "all" && LEVELS.has(level)) {
@@ -58,6 +67,18 @@ function buildBaseFilter({ level, email }) {
     filter.email = email;
   }
 
+  const normalizedOperationId = normalizeOperationId(operationId);
+  if (normalizedOperationId) {
+    filter["metadata.operationId"] = normalizedOperationId;
+  }
+
+  const { from: fromDate, to: toDate } = parseDateRange({ from, to });
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
   return filter;
 }
 
@@ -86,8 +107,8 @@ function mergeFilter(baseFilter, searchClause) {
   };
 }
 
-function buildTextFilter({ level, email, q }) {
-  const baseFilter = buildBaseFilter({ level, email });
+function buildTextFilter({ q, ...params }) {
+  const baseFilter = buildBaseFilter(params);
   if (!q) {
     return baseFilter;
   }
@@ -95,8 +116,8 @@ function buildTextFilter({ level, email, q }) {
   return mergeFilter(baseFilter, { $text: { $search: q } });
 }
 
-function buildRegexFilter({ level, email, q }) {
-  const baseFilter = buildBaseFilter({ level, email });
+function buildRegexFilter({ q, ...params }) {
+  const baseFilter = buildBaseFilter(params);
   if (!q) {
     return baseFilter;
   }
@@ -116,6 +137,29 @@ function isTextIndexError(error) {
   );
 }
 
+function readFilterParams(query = {}) {
+  return {
+    level: String(query.level || "all").trim().toLowerCase() || "all",
+    q: String(query.q ?? query.search ?? "").trim(),
+    email: String(query.email || "").trim(),
+    from: String(query.from || "").trim(),
+    to: String(query.to || "").trim(),
+    operationId: String(query.operationId || "").trim()
+  };
+}
+
+// Sends the 400 for an unparseable from/to and returns true, so handlers can
+// bail out before querying.
+function rejectInvalidDateRange(res, params) {
+  const { error } = parseDateRange(params);
+  if (!error) return false;
+  res.status(400).json({
+    success: false,
+    message: error
+  });
+  return true;
+}
+
 function setNoStore(res) {
   res.set("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
   res.set("Pragma", "no-cache");
@@ -165,11 +209,7 @@ async function getPagedLogsAndStats({ filter, page, limit }) {
 async function withSearchFallback(params, runner) {
   const q = String(params.q || "").trim();
 
-  const textFilter = buildTextFilter({
-    level: params.level,
-    email: params.email,
-    q
-  });
+  const textFilter = buildTextFilter({ ...params, q });
 
   if (!q) {
     return runner(textFilter);
@@ -187,11 +227,7 @@ async function withSearchFallback(params, runner) {
       error.message
     );
 
-    const regexFilter = buildRegexFilter({
-      level: params.level,
-      email: params.email,
-      q
-    });
+    const regexFilter = buildRegexFilter({ ...params, q });
 
     return runner(regexFilter);
   }
@@ -279,13 +315,11 @@ exports.getLogsPaged = async (req, res) => {
     const page = parsePositiveInt(req.query.page, 1);
     const requestedLimit = parsePositiveInt(req.query.limit, 50);
     const limit = clamp(requestedLimit, 1, 100);
-
-    const level = String(req.query.level || "all").trim().toLowerCase() || "all";
-    const q = String(req.query.q ?? req.query.search ?? "").trim();
-    const email = String(req.query.email || "").trim();
+    const params = readFilterParams(req.query);
+    if (rejectInvalidDateRange(res, params)) return;
 
     const pageData = await withSearchFallback(
-      { level, email, q },
+      params,
       (filter) =>
         getPagedLogsAndStats({
           filter: tenantFilter(req, filter),
@@ -350,12 +384,11 @@ exports.getLogStats = async (req, res) => {
   try {
     setNoStore(res);
 
-    const level = String(req.query.level || "all").trim().toLowerCase() || "all";
-    const q = String(req.query.q ?? req.query.search ?? "").trim();
-    const email = String(req.query.email || "").trim();
+    const params = readFilterParams(req.query);
+    if (rejectInvalidDateRange(res, params)) return;
 
     const stats = await withSearchFallback(
-      { level, email, q },
+      params,
       (filter) => getStats(tenantFilter(req, filter))
     );
 
@@ -372,6 +405,95 @@ exports.getLogStats = async (req, res) => {
   }
 };
 
+// Resolves once the response can take more data, or once the client has gone.
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// EXPORT LOGS (same filters as the paged list, streamed as CSV or NDJSON)
+exports.exportLogs = async (req, res) => {
+  const format = String(req.query.format || "csv").trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(LOG_EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      message: "format must be csv or ndjson"
+    });
+  }
+  const params = readFilterParams(req.query);
+  if (rejectInvalidDateRange(res, params)) return;
+
+  let cursor = null;
+  let clientGone = false;
+  res.on("close", () => {
+    clientGone = !res.writableFinished;
+  });
+
+  try {
+    // Read the first record inside the fallback so a missing text index is
+    // detected before any headers go out.
+    const opened = await withSearchFallback(
+      params,
+      async (filter) => {
+        const nextCursor = Log.find(tenantFilter(req, filter))
+          .select(LOG_SELECT_FIELDS)
+          .sort({ createdAt: -1, _id: -1 })
+          .lean()
+          .cursor({ batchSize: 500 });
+        try {
+          return { cursor: nextCursor, first: await nextCursor.next() };
+        } catch (error) {
+          await nextCursor.close().catch(() => null);
+          throw error;
+        }
+      }
+    );
+    cursor = opened.cursor;
+
+    setNoStore(res);
+    res.status(200);
+    res.set("Content-Type", LOG_EXPORT_FORMATS[format].contentType);
+    res.set("Content-Disposition", `attachment; filename="${buildLogExportFileName(format)}"`);
+
+    const formatRecord = format === "csv" ? formatLogCsvRow : formatLogNdjsonLine;
+    if (format === "csv") {
+      res.write(buildCsvHeader());
+    }
+
+    for (let log = opened.first; log && !clientGone; log = await cursor.next()) {
+      if (!res.write(formatRecord(log))) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!clientGone) {
+      res.end();
+    }
+  } catch (error) {
+    console.error("Export Logs Error:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    // Headers are gone, so cut the stream short rather than hand back a file
+    // that looks complete.
+    res.destroy(error);
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => null);
+    }
+  }
+};
+
 // GET ANALYTICS (daily / weekly + level breakdown)
 exports.getLogAnalytics = async (req, res) => {
   try {
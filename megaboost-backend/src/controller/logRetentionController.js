@@ -0,0 +1,82 @@
+const LogRetentionPolicy = require("../model/LogRetentionPolicy");
+const { runLogRetention } = require("../engine/logRetentionRunner");
+const {
+  getLogCollectionStats,
+  getOrCreateLogRetentionPolicy,
+  normalizeLogRetentionPolicy
+} = require("../utils/logRetention");
+
+exports.getLogRetention = async (_req, res) => {
+  try {
+    const [policy, stats] = await Promise.all([
+      getOrCreateLogRetentionPolicy(),
+      getLogCollectionStats()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: { policy, stats }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.updateLogRetention = async (req, res) => {
+  try {
+    const current = await getOrCreateLogRetentionPolicy();
+    const { policy, error } = normalizeLogRetentionPolicy(req.body || {}, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updated = await LogRetentionPolicy.findOneAndUpdate(
+      { key: "default" },
+      { $set: { ...policy, updatedBy: req.user?._id || null } },
+      { new: true }
+    ).lean();
+
+    return res.status(200).json({
+      success: true,
+      message: "Log retention policy saved",
+      data: updated
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.runLogRetentionNow = async (_req, res) => {
+  try {
+    const result = await runLogRetention({ force: true });
+    if (result.error) {
+      return res.status(500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Deleted ${Number(result.deleted || 0)} log record(s)`,
+      data: {
+        result,
+        stats: await getLogCollectionStats()
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+const Account = require("../model/Account");
+const BumpPreset = require("../model/BumpPreset");
+const ScheduledCommand = require("../model/ScheduledCommand");
+const { tenantFilter, getTenantUserId } = require("../utils/tenant");
+const { getOrCreateAppSettings } = require("../utils/appSettings");
+const { DEFAULT_TIMEZONE } = require("../utils/timing");
+const {
+  SCHEDULED_COMMAND_STATUSES,
+  normalizeScheduledCommandInput
+} = require("../utils/scheduledCommands");
+
+const MAX_LISTED_COMMANDS = 100;
+
+exports.listScheduledCommands = async (req, res) => {
+  try {
+    const status = String(req.query?.status || "").trim().toLowerCase();
+    if (status && !SCHEDULED_COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SCHEDULED_COMMAND_STATUSES.join(", ")}`
+      });
+    }
+
+    const commands = await ScheduledCommand.find(tenantFilter(req, status ? { status } : {}))
+      .sort({ runAt: -1 })
+      .limit(MAX_LISTED_COMMANDS)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      data: commands
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.createScheduledCommand = async (req, res) => {
+  try {
+    const settings = await getOrCreateAppSettings(getTenantUserId(req));
+    const { command, error } = normalizeScheduledCommandInput(req.body || {}, {
+      timezone: settings?.timezone || DEFAULT_TIMEZONE
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (command.target.type === "account") {
+      const ownedCount = await Account.countDocuments(
+        tenantFilter(req, { _id: { $in: command.target.accountIds } })
+      );
+      if (ownedCount !== command.target.accountIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: "One or more accounts were not found"
+        });
+      }
+    }
+
+    if (command.presetId) {
+      const preset = await BumpPreset.exists(tenantFilter(req, { _id: command.presetId }));
+      if (!preset) {
+        return res.status(404).json({
+          success: false,
+          message: "Preset not found"
+        });
+      }
+    }
+
+    const created = await ScheduledCommand.create({
+      ...command,
+      userId: getTenantUserId(req)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Command scheduled",
+      data: created
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.cancelScheduledCommand = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid command id"
+      });
+    }
+
+    const cancelled = await ScheduledCommand.findOneAndUpdate(
+      tenantFilter(req, { _id: req.params.id, status: "pending" }),
+      { $set: { status: "cancelled", completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      const exists = await ScheduledCommand.exists(tenantFilter(req, { _id: req.params.id }));
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? "Only pending commands can be cancelled" : "Command not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Command cancelled",
+      data: cancelled
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
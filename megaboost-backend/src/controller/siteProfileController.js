@@ -0,0 +1,123 @@
+const SiteProfile = require("../model/SiteProfile");
+const workerGateway = require("../engine/workerGateway");
+const {
+  DEFAULT_SITE_PROFILE,
+  activateSiteProfile,
+  getSiteProfile,
+  getSiteProfileMeta,
+  saveSiteProfile,
+  validateSiteProfile
+} = require("../utils/siteProfile");
+
+function sendProfileError(res, error) {
+  const status = Number(error?.status) || 500;
+  return res.status(status).json({
+    success: false,
+    message: error.message,
+    ...(Array.isArray(error?.errors) ? { errors: error.errors } : {})
+  });
+}
+
+// Pushes the active version to every worker node so running workers pick it
+// up now instead of on their next poll.
+async function broadcastReload() {
+  return workerGateway.reloadSiteProfile().catch((error) => {
+    console.error("[SITE-PROFILE] Reload broadcast failed:", error.message);
+    return [];
+  });
+}
+
+exports.getActiveSiteProfile = async (_req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: {
+        profile: getSiteProfile(),
+        meta: getSiteProfileMeta(),
+        defaults: DEFAULT_SITE_PROFILE
+      }
+    });
+  } catch (error) {
+    return sendProfileError(res, error);
+  }
+};
+
+exports.listSiteProfileVersions = async (_req, res) => {
+  try {
+    const versions = await SiteProfile.find()
+      .sort({ version: -1 })
+      .limit(50)
+      .populate("createdBy", "username email")
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    return sendProfileError(res, error);
+  }
+};
+
+exports.validateSiteProfileDraft = async (req, res) => {
+  try {
+    const { profile, errors } = validateSiteProfile(req.body?.profile);
+    return res.status(200).json({
+      success: true,
+      data: {
+        valid: errors.length === 0,
+        errors,
+        profile
+      }
+    });
+  } catch (error) {
+    return sendProfileError(res, error);
+  }
+};
+
+exports.publishSiteProfile = async (req, res) => {
+  try {
+    const created = await saveSiteProfile(req.body?.profile, {
+      createdBy: req.user?._id || null,
+      note: String(req.body?.note || "").trim()
+    });
+    const nodes = await broadcastReload();
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        ...created,
+        active: true,
+        nodes
+      }
+    });
+  } catch (error) {
+    return sendProfileError(res, error);
+  }
+};
+
+exports.activateSiteProfileVersion = async (req, res) => {
+  try {
+    const version = Number.parseInt(req.params.version, 10);
+    if (!Number.isFinite(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid version"
+      });
+    }
+
+    const activated = await activateSiteProfile(version);
+    const nodes = await broadcastReload();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...activated,
+        active: true,
+        nodes
+      }
+    });
+  } catch (error) {
+    return sendProfileError(res, error);
+  }
+};
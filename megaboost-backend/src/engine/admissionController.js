@@ -0,0 +1,270 @@
+const fs = require("fs").promises;
+const os = require("os");
+const { getEventLoopLagMs } = require("../utils/eventLoopLag");
+
+function readNumberEnv(name, fallback, min = 0) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const parsed = Number(raw);
+  if (!Number.isFinite(parsed) || parsed < min) return fallback;
+  return parsed;
+}
+
+const ADMISSION_MODE = (() => {
+  const value = String(process.env.ADMISSION_CONTROL || "resource").trim().toLowerCase();
+  return value === "static" ? "static" : "resource";
+})();
+const STATIC_MAX_CONCURRENCY = (() => {
+  const parsed = Number(process.env.MAX_CONCURRENCY || 8);
+  if (!Number.isFinite(parsed) || parsed < 1) return 8;
+  return Math.floor(parsed);
+})();
+const ADMISSION_MIN_CONCURRENCY = Math.floor(readNumberEnv("ADMISSION_MIN_CONCURRENCY", 1, 0));
+// The static cap stays the ceiling unless the admission cap is set explicitly,
+// so switching to resource admission never raises the browser count on its own.
+const ADMISSION_MAX_CONCURRENCY = Math.max(
+  ADMISSION_MIN_CONCURRENCY,
+  Math.floor(readNumberEnv("ADMISSION_MAX_CONCURRENCY", STATIC_MAX_CONCURRENCY, 1))
+);
+const ADMISSION_SAMPLE_MS = Math.floor(readNumberEnv("ADMISSION_SAMPLE_MS", 5000, 1000));
+const ADMISSION_BURST = Math.floor(readNumberEnv("ADMISSION_BURST", 2, 1));
+
+// A resource enters pressure at its high watermark and leaves it only once it
+// drops below the low one. A high watermark of 0 disables that resource.
+const WATERMARKS = Object.freeze({
+  memory: Object.freeze({
+    high: readNumberEnv("ADMISSION_MEMORY_HIGH", 0.9),
+    low: readNumberEnv("ADMISSION_MEMORY_LOW", 0.8)
+  }),
+  cpu: Object.freeze({
+    high: readNumberEnv("ADMISSION_CPU_HIGH", 1.5),
+    low: readNumberEnv("ADMISSION_CPU_LOW", 1)
+  }),
+  chromeRssMb: Object.freeze({
+    high: readNumberEnv("ADMISSION_CHROME_RSS_HIGH_MB", 0),
+    low: readNumberEnv("ADMISSION_CHROME_RSS_LOW_MB", 0)
+  }),
+  eventLoopLagMs: Object.freeze({
+    high: readNumberEnv("ADMISSION_EVENT_LOOP_LAG_HIGH_MS", 500),
+    low: readNumberEnv("ADMISSION_EVENT_LOOP_LAG_LOW_MS", 200)
+  })
+});
+
+const PAGE_SIZE_BYTES = 4096;
+
+let snapshot = null;
+let pressured = new Set();
+let startsSinceSample = 0;
+let samplerTimer = null;
+const counters = {
+  admitted: 0,
+  deferred: 0,
+  recycled: 0
+};
+
+// Sums the resident memory of every process descended from this one, which
+// covers the Chrome instances the worker launches. Linux only.
+async function sampleChromeRssBytes(rootPid = process.pid) {
+  let entries = [];
+  try {
+    entries = await fs.readdir("/proc");
+  } catch {
+    return 0;
+  }
+
+  const children = new Map();
+  const rssByPid = new Map();
+  await Promise.all(
+    entries
+      .filter((entry) => /^\d+$/.test(entry))
+      .map(async (pid) => {
+        try {
+          const stat = await fs.readFile(`/proc/${pid}/stat`, "utf8");
+          // The command name may contain spaces, so fields are read after ")".
+          const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+          const ppid = Number(fields[1]);
+          rssByPid.set(Number(pid), Number(fields[21]) * PAGE_SIZE_BYTES);
+          if (!children.has(ppid)) children.set(ppid, []);
+          children.get(ppid).push(Number(pid));
+        } catch {
+          // Process exited while scanning.
+        }
+      })
+  );
+
+  let total = 0;
+  const stack = [...(children.get(rootPid) || [])];
+  while (stack.length > 0) {
+    const pid = stack.pop();
+    total += rssByPid.get(pid) || 0;
+    stack.push(...(children.get(pid) || []));
+  }
+  return total;
+}
+
+async function sampleResources() {
+  const totalMemory = os.totalmem();
+  const freeMemory = os.freemem();
+  const cpuCount = Math.max(1, os.cpus().length);
+  const chromeRssBytes = await sampleChromeRssBytes();
+
+  return {
+    memory: totalMemory > 0 ? Number((1 - freeMemory / totalMemory).toFixed(4)) : 0,
+    cpu: Number((os.loadavg()[0] / cpuCount).toFixed(3)),
+    chromeRssMb: Number((chromeRssBytes / (1024 * 1024)).toFixed(1)),
+    eventLoopLagMs: Number(getEventLoopLagMs() || 0),
+    freeMemoryBytes: freeMemory,
+    totalMemoryBytes: totalMemory,
+    sampledAt: new Date().toISOString()
+  };
+}
+
+function evaluateAdmission(sample = {}, options = {}) {
+  const watermarks = options.watermarks || WATERMARKS;
+  const activeCount = Math.max(0, Number(options.activeCount) || 0);
+  const minConcurrency = Number.isFinite(options.minConcurrency)
+    ? options.minConcurrency
+    : ADMISSION_MIN_CONCURRENCY;
+  const previous = options.pressured instanceof Set ? options.pressured : new Set();
+  const nextPressured = new Set();
+  const over = [];
+  const reasons = [];
+
+  Object.entries(watermarks).forEach(([resource, { high, low }]) => {
+    const value = Number(sample[resource]);
+    if (!(high > 0) || !Number.isFinite(value)) return;
+
+    if (value >= high) {
+      nextPressured.add(resource);
+      over.push(resource);
+      reasons.push(`${resource}_high`);
+    } else if (previous.has(resource) && value >= Math.min(low, high)) {
+      nextPressured.add(resource);
+      reasons.push(`${resource}_above_low`);
+    }
+  });
+
+  let decision = "admit";
+  if (over.length > 0 && activeCount > minConcurrency) {
+    decision = "recycle";
+  } else if (nextPressured.size > 0) {
+    decision = "defer";
+  }
+
+  return {
+    decision,
+    reasons,
+    pressured: nextPressured
+  };
+}
+
+async function refreshAdmission(activeCount = 0) {
+  if (ADMISSION_MODE === "static") {
+    snapshot = {
+      decision: activeCount < STATIC_MAX_CONCURRENCY ? "admit" : "defer",
+      reasons: activeCount < STATIC_MAX_CONCURRENCY ? [] : ["max_concurrency"],
+      sample: null,
+      evaluatedAt: new Date().toISOString()
+    };
+    return getAdmissionSnapshot(activeCount);
+  }
+
+  const sample = await sampleResources();
+  const result = evaluateAdmission(sample, {
+    activeCount,
+    pressured
+  });
+  pressured = result.pressured;
+  startsSinceSample = 0;
+  snapshot = {
+    decision: result.decision,
+    reasons: result.reasons,
+    sample,
+    evaluatedAt: sample.sampledAt
+  };
+  return getAdmissionSnapshot(activeCount);
+}
+
+function canAdmit(activeCount = 0) {
+  if (ADMISSION_MODE === "static") {
+    return activeCount < STATIC_MAX_CONCURRENCY;
+  }
+  if (activeCount >= ADMISSION_MAX_CONCURRENCY) return false;
+  if (activeCount < ADMISSION_MIN_CONCURRENCY) return true;
+  // Fresh browsers do not show up in the sample until the next tick, so only
+  // a small burst is let through per sample.
+  if (!snapshot || snapshot.decision !== "admit") return false;
+  return startsSinceSample < ADMISSION_BURST;
+}
+
+// Effective slot count reported to the registry and the status payload.
+function getAdmissionCapacity(activeCount = 0) {
+  if (ADMISSION_MODE === "static") return STATIC_MAX_CONCURRENCY;
+  const decision = snapshot?.decision || "admit";
+  if (decision === "admit") return ADMISSION_MAX_CONCURRENCY;
+  return Math.max(ADMISSION_MIN_CONCURRENCY, Math.min(activeCount, ADMISSION_MAX_CONCURRENCY));
+}
+
+function recordAdmission(outcome) {
+  if (!Object.prototype.hasOwnProperty.call(counters, outcome)) return;
+  counters[outcome] += 1;
+  if (outcome === "admitted") {
+    startsSinceSample += 1;
+  }
+}
+
+function getAdmissionSnapshot(activeCount = 0) {
+  return {
+    mode: ADMISSION_MODE,
+    decision: snapshot?.decision || "admit",
+    reasons: snapshot?.reasons || [],
+    pressured: Array.from(pressured),
+    activeWorkers: activeCount,
+    capacity: getAdmissionCapacity(activeCount),
+    minConcurrency: ADMISSION_MODE === "static" ? STATIC_MAX_CONCURRENCY : ADMISSION_MIN_CONCURRENCY,
+    maxConcurrency: ADMISSION_MODE === "static" ? STATIC_MAX_CONCURRENCY : ADMISSION_MAX_CONCURRENCY,
+    sample: snapshot?.sample || null,
+    watermarks: ADMISSION_MODE === "static" ? null : WATERMARKS,
+    evaluatedAt: snapshot?.evaluatedAt || null,
+    counters: { ...counters }
+  };
+}
+
+function startAdmissionSampler(getActiveCount, onSample) {
+  if (samplerTimer) return;
+
+  const tick = () => {
+    const activeCount = Number(getActiveCount?.() || 0);
+    refreshAdmission(activeCount)
+      .then((result) => onSample?.(result))
+      .catch((error) => {
+        console.error("[ADMISSION] Sample failed:", error.message);
+      });
+  };
+
+  tick();
+  samplerTimer = setInterval(tick, ADMISSION_SAMPLE_MS);
+  if (typeof samplerTimer.unref === "function") {
+    samplerTimer.unref();
+  }
+}
+
+function stopAdmissionSampler() {
+  if (!samplerTimer) return;
+  clearInterval(samplerTimer);
+  samplerTimer = null;
+}
+
+module.exports = {
+  WATERMARKS,
+  canAdmit,
+  evaluateAdmission,
+  getAdmissionCapacity,
+  getAdmissionSnapshot,
+  recordAdmission,
+  refreshAdmission,
+  sampleChromeRssBytes,
+  sampleResources,
+  startAdmissionSampler,
+  stopAdmissionSampler
+};
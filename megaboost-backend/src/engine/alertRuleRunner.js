@@ -0,0 +1,388 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const Account = require("../model/Account");
+const AccountStatusEvent = require("../model/AccountStatusEvent");
+const AlertEvent = require("../model/AlertEvent");
+const AlertRule = require("../model/AlertRule");
+const Log = require("../model/Log");
+const WorkerJob = require("../model/WorkerJob");
+const { logActivity } = require("../utils/activityLogger");
+const { sendTelegramMessage } = require("../utils/telegram");
+const {
+  buildAlertWebhookPayload,
+  formatAlertTelegramMessage,
+  isNonPublicAddress,
+  isNonPublicWebhookHost,
+  isWebhookHostAllowlisted,
+  planAlertEvaluation
+} = require("../utils/alertRules");
+
+const ALERT_RULE_POLL_MS = (() => {
+  const parsed = Number(process.env.ALERT_RULE_POLL_MS || 60000);
+  if (!Number.isFinite(parsed) || parsed < 10000) return 60000;
+  return Math.floor(parsed);
+})();
+const WEBHOOK_TIMEOUT_MS = 8000;
+const MAX_RECORDED_NOTIFICATIONS = 20;
+const MAX_LISTED_EMAILS = 5;
+const TENANT_KEY = "tenant";
+const RUNNER_IP = "alerts";
+// Accounts expected to be bumping; a start clears the "no successful bump" clock.
+const BUMPING_STATUSES = ["running", "active", "bumping", "waiting_cooldown", "retry_scheduled", "stalled"];
+const START_STATUSES = ["starting", "restarting"];
+const LOG_LEVEL_BY_SEVERITY = { info: "info", warning: "warning", critical: "error" };
+
+let runnerTimer = null;
+let tickInProgress = false;
+
+function accountKey(accountId) {
+  return `account:${accountId}`;
+}
+
+function listEmails(accounts) {
+  const emails = accounts.slice(0, MAX_LISTED_EMAILS).map((account) => account.email);
+  const extra = accounts.length - emails.length;
+  return extra > 0 ? `${emails.join(", ")} +${extra} more` : emails.join(", ");
+}
+
+// Each collector returns findings: { key, value, message, accountId?, email? }.
+const collectors = {
+  async account_crashes(rule, now) {
+    const { threshold, windowMinutes } = rule.condition;
+    const rows = await Log.aggregate([
+      {
+        $match: {
+          userId: rule.userId,
+          "metadata.event": "worker_crashed",
+          createdAt: { $gte: new Date(now.valueOf() - windowMinutes * 60 * 1000) }
+        }
+      },
+      { $group: { _id: "$accountId", count: { $sum: 1 }, email: { $last: "$email" } } },
+      { $match: { _id: { $ne: null }, count: { $gt: threshold } } }
+    ]);
+    return rows.map((row) => ({
+      key: accountKey(row._id),
+      accountId: row._id,
+      email: row.email || "",
+      value: row.count,
+      message: `${row.email || row._id} crashed ${row.count} times in the last ${windowMinutes} min`
+    }));
+  },
+
+  async no_successful_bump(rule, now) {
+    const { hours } = rule.condition;
+    const cutoff = new Date(now.valueOf() - hours * 60 * 60 * 1000);
+    const [accounts, recentStarts] = await Promise.all([
+      Account.find({
+        userId: rule.userId,
+        status: { $in: BUMPING_STATUSES },
+        $or: [{ lastBumpAt: null }, { lastBumpAt: { $lt: cutoff } }]
+      })
+        .select("email lastBumpAt")
+        .lean(),
+      AccountStatusEvent.distinct("accountId", {
+        userId: rule.userId,
+        to: { $in: START_STATUSES },
+        createdAt: { $gte: cutoff }
+      })
+    ]);
+    const startedRecently = new Set(recentStarts.map(String));
+
+    return accounts
+      .filter((account) => !startedRecently.has(String(account._id)))
+      .map((account) => ({
+        key: accountKey(account._id),
+        accountId: account._id,
+        email: account.email || "",
+        value: account.lastBumpAt
+          ? Math.floor((now.valueOf() - new Date(account.lastBumpAt).valueOf()) / 60000)
+          : null,
+        message: account.lastBumpAt
+          ? `${account.email} has not bumped since ${new Date(account.lastBumpAt).toISOString()}`
+          : `${account.email} has been running for over ${hours} h without a successful bump`
+      }));
+  },
+
+  async accounts_in_status(rule) {
+    const { status, threshold } = rule.condition;
+    const accounts = await Account.find({ userId: rule.userId, status }).select("email").lean();
+    if (accounts.length <= threshold) return [];
+    return [
+      {
+        key: TENANT_KEY,
+        value: accounts.length,
+        message: `${accounts.length} account(s) are ${status}: ${listEmails(accounts)}`
+      }
+    ];
+  },
+
+  async queue_backlog(rule, now) {
+    const { threshold } = rule.condition;
+    // Retries waiting out their backoff are scheduled, not backed up.
+    const queued = await WorkerJob.countDocuments({
+      userId: rule.userId,
+      status: "pending",
+      notBefore: { $lte: now }
+    });
+    if (queued <= threshold) return [];
+    return [
+      {
+        key: TENANT_KEY,
+        value: queued,
+        message: `${queued} account start(s) are waiting in the queue`
+      }
+    ];
+  }
+};
+
+function webhookError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// DNS lookup for webhook sockets that refuses non-public addresses, so a name
+// that re-resolves to an internal host after the rule was saved is still
+// blocked at connect time.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some((entry) => isNonPublicAddress(entry.address))) {
+      return callback(webhookError("WEBHOOK_PRIVATE_ADDRESS", `${hostname} is not a public host`));
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Plain http(s) request rather than fetch: it takes the lookup guard above
+// and never follows a redirect to somewhere else.
+function postWebhook(url, payload) {
+  return new Promise((resolve) => {
+    let target = null;
+    try {
+      target = new URL(url);
+    } catch {
+      resolve({ ok: false, reason: "invalid_url" });
+      return;
+    }
+    if (isNonPublicWebhookHost(target.hostname)) {
+      resolve({ ok: false, reason: "private_address" });
+      return;
+    }
+
+    const body = JSON.stringify(payload);
+    const transport = target.protocol === "https:" ? https : http;
+    const request = transport.request(
+      target,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+        lookup: isWebhookHostAllowlisted(target.hostname) ? undefined : publicOnlyLookup
+      },
+      (response) => {
+        response.resume();
+        clearTimeout(timeout);
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+        resolve(ok ? { ok: true } : { ok: false, reason: `status_${response.statusCode}` });
+      }
+    );
+    const timeout = setTimeout(
+      () => request.destroy(webhookError("WEBHOOK_TIMEOUT", "Webhook timed out")),
+      WEBHOOK_TIMEOUT_MS
+    );
+    request.on("error", (error) => {
+      clearTimeout(timeout);
+      let reason = "send_failed";
+      if (error.code === "WEBHOOK_TIMEOUT") reason = "timeout";
+      if (error.code === "WEBHOOK_PRIVATE_ADDRESS") reason = "private_address";
+      resolve({ ok: false, reason });
+    });
+    request.end(body);
+  });
+}
+
+// Sends one notice on every channel the rule has and records how each went.
+async function deliverAlert(rule, event, kind) {
+  const at = new Date();
+  const notifications = [];
+
+  if (rule.channels?.telegram) {
+    const result = await sendTelegramMessage(formatAlertTelegramMessage(rule, event, kind), {
+      userId: String(rule.userId),
+      throttleKey: `alert:${rule._id}:${event.key}`,
+      skipThrottle: true
+    }).catch(() => ({ ok: false, reason: "send_failed" }));
+    notifications.push({ kind, channel: "telegram", ok: Boolean(result?.ok), reason: result?.reason || "", at });
+  }
+
+  if (rule.channels?.webhookUrl) {
+    const result = await postWebhook(rule.channels.webhookUrl, buildAlertWebhookPayload(rule, event, kind));
+    notifications.push({ kind, channel: "webhook", ok: result.ok, reason: result.reason || "", at });
+  }
+
+  if (kind !== "reminder") {
+    await logActivity({
+      level: kind === "resolved" ? "success" : LOG_LEVEL_BY_SEVERITY[rule.severity] || "warning",
+      message: `${kind === "resolved" ? "Alert resolved" : "Alert"}: ${rule.name} | ${event.message}`,
+      ip: RUNNER_IP,
+      email: event.email || undefined,
+      accountId: event.accountId || undefined,
+      userId: rule.userId,
+      metadata: {
+        telegram: false,
+        alertRuleId: String(rule._id),
+        alertEventId: String(event._id),
+        severity: rule.severity
+      }
+    }).catch(() => null);
+  }
+
+  return notifications;
+}
+
+async function recordNotifications(eventId, notifications, notifiedAt) {
+  const update = {
+    $push: { notifications: { $each: notifications, $slice: -MAX_RECORDED_NOTIFICATIONS } }
+  };
+  if (notifiedAt) update.$set = { lastNotifiedAt: notifiedAt };
+  await AlertEvent.updateOne({ _id: eventId }, update);
+}
+
+async function findLastNotifiedAt(rule, keys, now) {
+  if (keys.length === 0) return new Map();
+  const recent = await AlertEvent.find({
+    ruleId: rule._id,
+    key: { $in: keys },
+    lastNotifiedAt: { $gte: new Date(now.valueOf() - rule.cooldownMinutes * 60 * 1000) }
+  })
+    .select("key lastNotifiedAt")
+    .lean();
+  const byKey = new Map();
+  for (const event of recent) {
+    const previous = byKey.get(event.key);
+    if (!previous || event.lastNotifiedAt > previous) byKey.set(event.key, event.lastNotifiedAt);
+  }
+  return byKey;
+}
+
+async function evaluateAlertRule(rule, now = new Date()) {
+  const collect = collectors[rule.condition?.type];
+  if (!collect) throw new Error(`Unknown condition type: ${rule.condition?.type}`);
+
+  const findings = await collect(rule, now);
+  const openEvents = await AlertEvent.find({ ruleId: rule._id, status: "firing" }).lean();
+  const openKeys = new Set(openEvents.map((event) => event.key));
+  const lastNotifiedAt = await findLastNotifiedAt(
+    rule,
+    findings.map((finding) => finding.key).filter((key) => !openKeys.has(key)),
+    now
+  );
+  const plan = planAlertEvaluation({ rule, findings, openEvents, lastNotifiedAt, now });
+
+  for (const { finding, notify } of plan.fire) {
+    const event = await AlertEvent.create({
+      userId: rule.userId,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      severity: rule.severity,
+      conditionType: rule.condition.type,
+      key: finding.key,
+      accountId: finding.accountId || null,
+      email: finding.email || "",
+      message: finding.message,
+      value: finding.value ?? null,
+      status: "firing",
+      firedAt: now,
+      lastSeenAt: now,
+      suppressed: !notify
+    });
+    if (notify) {
+      await recordNotifications(event._id, await deliverAlert(rule, event.toObject(), "fired"), now);
+    }
+  }
+
+  for (const { event, finding } of [...plan.remind, ...plan.touch]) {
+    await AlertEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: { lastSeenAt: now, message: finding.message, value: finding.value ?? null },
+        $inc: { occurrences: 1 }
+      }
+    );
+  }
+  for (const { event, finding } of plan.remind) {
+    const current = { ...event, message: finding.message, value: finding.value ?? null };
+    await recordNotifications(event._id, await deliverAlert(rule, current, "reminder"), now);
+  }
+
+  for (const event of plan.resolve) {
+    await AlertEvent.updateOne(
+      { _id: event._id, status: "firing" },
+      { $set: { status: "resolved", resolvedAt: now } }
+    );
+    // Only alerts someone was told about get a resolution notice.
+    if (event.lastNotifiedAt) {
+      const resolved = { ...event, status: "resolved", resolvedAt: now };
+      await recordNotifications(event._id, await deliverAlert(rule, resolved, "resolved"));
+    }
+  }
+
+  await AlertRule.updateOne(
+    { _id: rule._id },
+    { $set: { pending: plan.pending, lastEvaluatedAt: now, lastError: "" } }
+  );
+  return plan;
+}
+
+async function runAlertRules(now = new Date()) {
+  const rules = await AlertRule.find({ enabled: true }).lean();
+  let evaluated = 0;
+  for (const rule of rules) {
+    try {
+      await evaluateAlertRule(rule, now);
+      evaluated += 1;
+    } catch (error) {
+      console.error(`[ALERTS] Rule ${rule._id} failed: ${error.message}`);
+      await AlertRule.updateOne(
+        { _id: rule._id },
+        { $set: { lastEvaluatedAt: now, lastError: error.message || "Evaluation failed" } }
+      ).catch(() => null);
+    }
+  }
+  return evaluated;
+}
+
+function startAlertRuleRunner() {
+  if (runnerTimer) return;
+
+  const tick = () => {
+    if (tickInProgress) return;
+    tickInProgress = true;
+    runAlertRules()
+      .catch((error) => {
+        console.error("[ALERTS] Tick failed:", error.message);
+      })
+      .finally(() => {
+        tickInProgress = false;
+      });
+  };
+
+  tick();
+  runnerTimer = setInterval(tick, ALERT_RULE_POLL_MS);
+  if (typeof runnerTimer.unref === "function") {
+    runnerTimer.unref();
+  }
+}
+
+function stopAlertRuleRunner() {
+  if (!runnerTimer) return;
+  clearInterval(runnerTimer);
+  runnerTimer = null;
+}
+
+module.exports = {
+  evaluateAlertRule,
+  runAlertRules,
+  startAlertRuleRunner,
+  stopAlertRuleRunner
+};
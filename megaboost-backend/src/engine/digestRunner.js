@@ -0,0 +1,146 @@
+const Account = require("../model/Account");
+const AccountStatusEvent = require("../model/AccountStatusEvent");
+const AppSettings = require("../model/AppSettings");
+const BumpEvent = require("../model/BumpEvent");
+const DigestReport = require("../model/DigestReport");
+const User = require("../model/User");
+const { sendTelegramMessage } = require("../utils/telegram");
+const {
+  FAILURE_STATUSES,
+  buildDigestReport,
+  formatDigestTelegramMessage,
+  listDueDigestSlots,
+  normalizeDigestSettings
+} = require("../utils/digestReports");
+
+const DIGEST_POLL_MS = (() => {
+  const parsed = Number(process.env.DIGEST_POLL_MS || 5 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 60000) return 5 * 60 * 1000;
+  return Math.floor(parsed);
+})();
+
+let runnerTimer = null;
+let tickInProgress = false;
+
+async function collectDigestReport(userId, slot, now) {
+  const range = { $gte: slot.from, $lt: slot.to };
+  const [accounts, bumpRows, statusRows, user] = await Promise.all([
+    Account.find({ userId })
+      .select("email status maxDailyRuntimeHours maxDailyRuntime workerState.dailyRuntimeDayKey workerState.dailyRuntimeUsedMs")
+      .lean(),
+    BumpEvent.aggregate([
+      { $match: { userId, selfTest: { $ne: true }, createdAt: range } },
+      { $group: { _id: { accountId: "$accountId", outcome: "$outcome" }, count: { $sum: 1 } } }
+    ]),
+    AccountStatusEvent.aggregate([
+      { $match: { userId, accepted: { $ne: false }, to: { $in: FAILURE_STATUSES }, createdAt: range } },
+      { $group: { _id: "$to", count: { $sum: 1 } } }
+    ]),
+    User.findById(userId).populate("licenseId").select("licenseId").lean()
+  ]);
+
+  return buildDigestReport({ slot, accounts, bumpRows, statusRows, license: user?.licenseId || null, now });
+}
+
+async function sendDigestReport(report, digest) {
+  if (!digest.telegram) return;
+  const result = await sendTelegramMessage(formatDigestTelegramMessage(report), {
+    userId: String(report.userId),
+    throttleKey: `digest:${report.userId}:${report.periodKey}`,
+    skipThrottle: true
+  }).catch(() => ({ ok: false, reason: "send_failed" }));
+
+  await DigestReport.updateOne(
+    { _id: report._id },
+    {
+      $set: {
+        telegram: {
+          ok: Boolean(result?.ok),
+          reason: result?.reason || "",
+          sentAt: result?.ok ? new Date() : null
+        }
+      }
+    }
+  );
+}
+
+// Builds, stores and sends one digest. Returns null when the slot was already
+// handled (by this or another API process).
+async function generateDigestReport(settings, slot, { manual = false, now = new Date() } = {}) {
+  const digest = normalizeDigestSettings(settings.digest);
+  const report = await collectDigestReport(settings.userId, slot, now);
+
+  let created = null;
+  try {
+    created = await DigestReport.create({
+      ...report,
+      userId: settings.userId,
+      manual,
+      periodKey: manual ? `manual:${now.toISOString()}` : slot.periodKey
+    });
+  } catch (error) {
+    if (Number(error?.code) === 11000) return null;
+    throw error;
+  }
+
+  await sendDigestReport(created.toObject(), digest);
+  return DigestReport.findById(created._id).lean();
+}
+
+async function runDueDigests(now = new Date()) {
+  const settingsList = await AppSettings.find({
+    $or: [{ "digest.daily": true }, { "digest.weekly": true }]
+  })
+    .select("userId timezone digest")
+    .lean();
+
+  let sent = 0;
+  for (const settings of settingsList) {
+    const slots = listDueDigestSlots(settings.digest, { now, timezone: settings.timezone });
+    for (const slot of slots) {
+      try {
+        const exists = await DigestReport.exists({ userId: settings.userId, periodKey: slot.periodKey });
+        if (exists) continue;
+        if (await generateDigestReport(settings, slot, { now })) sent += 1;
+      } catch (error) {
+        console.error(`[DIGEST] ${slot.periodKey} for user ${settings.userId} failed: ${error.message}`);
+      }
+    }
+  }
+  return sent;
+}
+
+function startDigestRunner() {
+  if (runnerTimer) return;
+
+  const tick = () => {
+    if (tickInProgress) return;
+    tickInProgress = true;
+    runDueDigests()
+      .catch((error) => {
+        console.error("[DIGEST] Tick failed:", error.message);
+      })
+      .finally(() => {
+        tickInProgress = false;
+      });
+  };
+
+  tick();
+  runnerTimer = setInterval(tick, DIGEST_POLL_MS);
+  if (typeof runnerTimer.unref === "function") {
+    runnerTimer.unref();
+  }
+}
+
+function stopDigestRunner() {
+  if (!runnerTimer) return;
+  clearInterval(runnerTimer);
+  runnerTimer = null;
+}
+
+module.exports = {
+  generateDigestReport,
+  runDueDigests,
+  startDigestRunner,
+  stopDigestRunner
+};
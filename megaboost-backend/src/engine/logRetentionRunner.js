@@ -0,0 +1,97 @@
+const LogRetentionPolicy = require("../model/LogRetentionPolicy");
+const { enforceLogRetention, getOrCreateLogRetentionPolicy } = require("../utils/logRetention");
+const { pruneExpiredFailureEvidence } = require("../utils/failureEvidence");
+
+const LOG_RETENTION_INTERVAL_MS = (() => {
+  const parsed = Number(process.env.LOG_RETENTION_INTERVAL_MS || 60 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 60000) return 60 * 60 * 1000;
+  return Math.floor(parsed);
+})();
+
+let runnerTimer = null;
+let runInProgress = null;
+
+async function recordRun(result) {
+  await LogRetentionPolicy.updateOne(
+    { key: "default" },
+    {
+      $set: {
+        lastRunAt: new Date(),
+        lastRunResult: {
+          deleted: Number(result.deleted || 0),
+          archived: Number(result.archived || 0),
+          archiveFile: result.archiveFile || null,
+          truncated: Boolean(result.truncated),
+          error: result.error || null
+        }
+      }
+    }
+  );
+}
+
+async function executeRetention({ force = false } = {}) {
+  const policy = await getOrCreateLogRetentionPolicy();
+  if (!policy.enabled && !force) {
+    return { skipped: true, reason: "disabled" };
+  }
+
+  let result;
+  try {
+    result = await enforceLogRetention(policy);
+  } catch (error) {
+    result = { deleted: 0, archived: 0, archiveFile: null, truncated: false, error: error.message };
+  }
+
+  await recordRun(result).catch(() => null);
+  if (result.deleted > 0 || result.error) {
+    console.log(
+      `[LOG-RETENTION] deleted=${result.deleted} archived=${result.archived}${
+        result.archiveFile ? ` file=${result.archiveFile}` : ""
+      }${result.error ? ` error=${result.error}` : ""}`
+    );
+  }
+  return result;
+}
+
+// Runs the policy once. Overlapping calls (the timer and an admin's "run now")
+// share the same run instead of sweeping twice.
+function runLogRetention(options = {}) {
+  if (!runInProgress) {
+    runInProgress = executeRetention(options).finally(() => {
+      runInProgress = null;
+    });
+  }
+  return runInProgress;
+}
+
+function startLogRetentionRunner() {
+  if (runnerTimer) return;
+
+  const tick = () => {
+    runLogRetention().catch((error) => {
+      console.error("[LOG-RETENTION] Run failed:", error.message);
+    });
+    // Failure evidence has its own age limit and is swept even when the log policy is off.
+    pruneExpiredFailureEvidence().catch((error) => {
+      console.error("[EVIDENCE] Expired evidence sweep failed:", error.message);
+    });
+  };
+
+  tick();
+  runnerTimer = setInterval(tick, LOG_RETENTION_INTERVAL_MS);
+  if (typeof runnerTimer.unref === "function") {
+    runnerTimer.unref();
+  }
+}
+
+function stopLogRetentionRunner() {
+  if (!runnerTimer) return;
+  clearInterval(runnerTimer);
+  runnerTimer = null;
+}
+
+module.exports = {
+  runLogRetention,
+  startLogRetentionRunner,
+  stopLogRetentionRunner
+};
@@ -0,0 +1,247 @@
+const Account = require("../model/Account");
+const BumpPreset = require("../model/BumpPreset");
+const ScheduledCommand = require("../model/ScheduledCommand");
+const { logActivity } = require("../utils/activityLogger");
+const { applyTimingUpdate } = require("../utils/accountTiming");
+const { ACCOUNT_COMMAND_SELECT, runAccountCommand } = require("../utils/accountCommands");
+const { runWithOperation } = require("../utils/operationContext");
+const {
+  buildPresetAccountUpdate,
+  buildQuickPresetAccountUpdate,
+  resolveQuickPreset
+} = require("../utils/bumpPresets");
+
+const SCHEDULED_COMMAND_POLL_MS = (() => {
+  const parsed = Number(process.env.SCHEDULED_COMMAND_POLL_MS || 15000);
+  if (!Number.isFinite(parsed) || parsed < 1000) return 15000;
+  return Math.floor(parsed);
+})();
+// A command still "running" after this long belongs to a process that died
+// mid-run. It is failed rather than retried so actions never fire twice.
+const SCHEDULED_COMMAND_STALE_MS = 10 * 60 * 1000;
+const MAX_RECORDED_FAILURES = 20;
+const RUNNER_IP = "scheduler";
+
+let runnerTimer = null;
+let tickInProgress = false;
+
+function buildTargetFilter(command) {
+  const target = command.target || {};
+  const filter = { userId: command.userId };
+
+  if (target.type === "account") {
+    filter._id = { $in: target.accountIds || [] };
+  } else if (target.type === "tag") {
+    filter.tags = target.tag;
+  }
+
+  return filter;
+}
+
+function describeTarget(target = {}) {
+  if (target.type === "tag") return `tag "${target.tag}"`;
+  if (target.type === "account") {
+    const count = Array.isArray(target.accountIds) ? target.accountIds.length : 0;
+    return `${count} account(s)`;
+  }
+  return "all accounts";
+}
+
+async function resolvePresetUpdate(command) {
+  if (command.presetId) {
+    const preset = await BumpPreset.findOne({
+      _id: command.presetId,
+      userId: command.userId
+    }).lean();
+    if (!preset) throw new Error("Saved preset no longer exists");
+    return { name: preset.name, update: buildPresetAccountUpdate(preset) };
+  }
+
+  const preset = resolveQuickPreset(command.presetKey);
+  if (!preset) throw new Error(`Unknown preset: ${command.presetKey}`);
+  return { name: preset.name, update: buildQuickPresetAccountUpdate(preset) };
+}
+
+async function runApplyPreset(command) {
+  const { name, update } = await resolvePresetUpdate(command);
+  const result = await applyTimingUpdate({
+    filter: buildTargetFilter(command),
+    update,
+    userId: command.userId,
+    reason: "scheduled_preset_applied"
+  });
+
+  return {
+    matched: result.matchedCount,
+    succeeded: result.matchedCount,
+    skipped: 0,
+    failed: 0,
+    failures: [],
+    message: `Applied ${name} preset to ${result.matchedCount} account(s)`
+  };
+}
+
+async function runAccountAction(command) {
+  const accounts = await Account.find(buildTargetFilter(command)).select(ACCOUNT_COMMAND_SELECT);
+  const reason = `scheduled_${command.action}`;
+  let succeeded = 0;
+  let skipped = 0;
+  const failures = [];
+
+  // One account at a time: these go through the same gateway calls as the
+  // dashboard buttons and should not burst the start queue.
+  for (const account of accounts) {
+    try {
+      const outcome = await runAccountCommand(command.action, account, {
+        userId: command.userId,
+        ip: RUNNER_IP,
+        actor: "scheduler",
+        reason
+      });
+      if (outcome.skipped) {
+        skipped += 1;
+      } else {
+        succeeded += 1;
+      }
+    } catch (error) {
+      failures.push({
+        accountId: account._id,
+        email: account.email,
+        code: error.code || undefined,
+        message: error.message || `Failed to ${command.action} account`
+      });
+    }
+  }
+
+  return {
+    matched: accounts.length,
+    succeeded,
+    skipped,
+    failed: failures.length,
+    failures: failures.slice(0, MAX_RECORDED_FAILURES),
+    message: `${command.action}: ${succeeded} done, ${skipped} skipped, ${failures.length} failed`
+  };
+}
+
+async function executeScheduledCommand(command) {
+  let result;
+  let status = "completed";
+
+  try {
+    result =
+      command.action === "apply_preset"
+        ? await runApplyPreset(command)
+        : await runAccountAction(command);
+    if (result.matched > 0 && result.failed === result.matched) {
+      status = "failed";
+    }
+  } catch (error) {
+    status = "failed";
+    result = {
+      matched: 0,
+      succeeded: 0,
+      skipped: 0,
+      failed: 0,
+      failures: [],
+      message: error.message || "Scheduled command failed"
+    };
+  }
+
+  await ScheduledCommand.updateOne(
+    { _id: command._id, status: "running" },
+    { $set: { status, result, completedAt: new Date() } }
+  );
+
+  await logActivity({
+    level: status === "failed" ? "error" : result.failed > 0 ? "warning" : "info",
+    message: `Scheduled ${command.action} for ${describeTarget(command.target)}: ${result.message}`,
+    ip: RUNNER_IP,
+    userId: command.userId,
+    metadata: {
+      scheduledCommandId: String(command._id),
+      action: command.action,
+      target: command.target,
+      runAt: command.runAt,
+      matched: result.matched,
+      succeeded: result.succeeded,
+      skipped: result.skipped,
+      failed: result.failed
+    }
+  }).catch(() => null);
+
+  return { status, result };
+}
+
+async function failStaleCommands(now) {
+  await ScheduledCommand.updateMany(
+    {
+      status: "running",
+      startedAt: { $lte: new Date(now.valueOf() - SCHEDULED_COMMAND_STALE_MS) }
+    },
+    {
+      $set: {
+        status: "failed",
+        completedAt: now,
+        "result.message": "Interrupted before completion"
+      }
+    }
+  );
+}
+
+async function claimNextDueCommand(now) {
+  return ScheduledCommand.findOneAndUpdate(
+    { status: "pending", runAt: { $lte: now } },
+    { $set: { status: "running", startedAt: now } },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+}
+
+async function runDueScheduledCommands(now = new Date()) {
+  await failStaleCommands(now);
+
+  let executed = 0;
+  let command = await claimNextDueCommand(now);
+  while (command) {
+    // Each command is its own operation, like an operator clicking it.
+    const claimed = command;
+    await runWithOperation(null, () => executeScheduledCommand(claimed));
+    executed += 1;
+    command = await claimNextDueCommand(new Date());
+  }
+  return executed;
+}
+
+function startScheduledCommandRunner() {
+  if (runnerTimer) return;
+
+  const tick = () => {
+    if (tickInProgress) return;
+    tickInProgress = true;
+    runDueScheduledCommands()
+      .catch((error) => {
+        console.error("[SCHEDULER] Tick failed:", error.message);
+      })
+      .finally(() => {
+        tickInProgress = false;
+      });
+  };
+
+  tick();
+  runnerTimer = setInterval(tick, SCHEDULED_COMMAND_POLL_MS);
+  if (typeof runnerTimer.unref === "function") {
+    runnerTimer.unref();
+  }
+}
+
+function stopScheduledCommandRunner() {
+  if (!runnerTimer) return;
+  clearInterval(runnerTimer);
+  runnerTimer = null;
+}
+
+module.exports = {
+  executeScheduledCommand,
+  runDueScheduledCommands,
+  startScheduledCommandRunner,
+  stopScheduledCommandRunner
+};
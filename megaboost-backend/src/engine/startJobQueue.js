@@ -0,0 +1,229 @@
+const WorkerJob = require("../model/WorkerJob");
+const { WORKER_NODE_ID } = require("./workerRegistry");
+const { getOperationId } = require("../utils/operationContext");
+
+const JOB_LEASE_MS = (() => {
+  const parsed = Number(process.env.WORKER_JOB_LEASE_MS || 10 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 30 * 1000) return 10 * 60 * 1000;
+  return Math.floor(parsed);
+})();
+
+function normalizeId(value) {
+  return String(value || "").trim();
+}
+
+function buildScopeFilter(options = {}) {
+  const filter = {};
+  if (options?.localOnly) {
+    filter.nodeId = { $in: [WORKER_NODE_ID, null] };
+  } else if (options?.ownedOnly) {
+    filter.nodeId = WORKER_NODE_ID;
+  } else if (options?.unassignedOnly) {
+    filter.nodeId = null;
+  }
+  const userId = normalizeId(options?.userId);
+  if (userId) {
+    filter.userId = userId;
+  }
+  if (options?.type) {
+    filter.type = options.type;
+  }
+  return filter;
+}
+
+function isDuplicateKeyError(error) {
+  return Number(error?.code) === 11000;
+}
+
+async function enqueueJob(accountId, options = {}) {
+  const key = normalizeId(accountId);
+  if (!key) return false;
+
+  const notBeforeMs = new Date(options?.notBefore || Date.now()).valueOf();
+  const set = {
+    type: options?.type === "retry" ? "retry" : "start",
+    status: "pending",
+    // Jobs handed off by a draining node pass nodeId: null so any node may
+    // lease them.
+    nodeId: options?.nodeId === undefined ? WORKER_NODE_ID : options.nodeId || null,
+    notBefore: new Date(Number.isNaN(notBeforeMs) ? Date.now() : notBeforeMs),
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    ip: String(options?.ip || ""),
+    operationId: options?.operationId === undefined ? getOperationId() : options.operationId || null
+  };
+  if (Number.isFinite(Number(options?.priority))) {
+    set.priority = Number(options.priority);
+  }
+
+  try {
+    await WorkerJob.updateOne(
+      {
+        accountId: key,
+        $or: [{ status: "pending" }, { leaseOwner: WORKER_NODE_ID }]
+      },
+      {
+        $set: set,
+        $setOnInsert: {
+          userId: normalizeId(options?.userId) || null
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function leaseNextJob(now = new Date()) {
+  return WorkerJob.findOneAndUpdate(
+    {
+      nodeId: { $in: [WORKER_NODE_ID, null] },
+      notBefore: { $lte: now },
+      $or: [
+        { status: "pending" },
+        { status: "leased", leaseExpiresAt: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: "leased",
+        leaseOwner: WORKER_NODE_ID,
+        leaseExpiresAt: new Date(now.valueOf() + JOB_LEASE_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    {
+      sort: { priority: -1, notBefore: 1, createdAt: 1 },
+      new: true
+    }
+  ).lean();
+}
+
+async function renewJobLease(job) {
+  if (!job?._id) return false;
+  const result = await WorkerJob.updateOne(
+    {
+      _id: job._id,
+      status: "leased",
+      leaseOwner: WORKER_NODE_ID
+    },
+    {
+      $set: {
+        leaseExpiresAt: new Date(Date.now() + JOB_LEASE_MS)
+      }
+    }
+  );
+  return Number(result?.modifiedCount || 0) > 0;
+}
+
+// Only removes the job if it is still held under this lease; a retry enqueued
+// while the start was in flight resets it to pending and must survive.
+async function completeJob(job) {
+  if (!job?._id) return false;
+  const result = await WorkerJob.deleteOne({
+    _id: job._id,
+    status: "leased",
+    leaseOwner: WORKER_NODE_ID
+  });
+  return Number(result?.deletedCount || 0) > 0;
+}
+
+// Hands a leased job to the node that owns the account instead of starting it here.
+async function handoffJob(job, nodeId) {
+  if (!job?._id) return false;
+  const result = await WorkerJob.updateOne(
+    {
+      _id: job._id,
+      status: "leased",
+      leaseOwner: WORKER_NODE_ID
+    },
+    {
+      $set: {
+        nodeId: String(nodeId || "").trim() || null,
+        status: "pending",
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+  return Number(result?.modifiedCount || 0) > 0;
+}
+
+async function releaseNodeJobs(nodeId) {
+  const key = String(nodeId || "").trim();
+  if (!key) return 0;
+  const result = await WorkerJob.updateMany(
+    { nodeId: key },
+    {
+      $set: {
+        nodeId: null,
+        status: "pending",
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+  return Number(result?.modifiedCount || 0);
+}
+
+async function removeJobs(accountId, options = {}) {
+  const filter = buildScopeFilter(options);
+  const key = normalizeId(accountId);
+  if (key) {
+    filter.accountId = key;
+  }
+  const result = await WorkerJob.deleteMany(filter);
+  return Number(result?.deletedCount || 0);
+}
+
+async function listJobs(options = {}) {
+  return WorkerJob.find(buildScopeFilter(options))
+    .sort({ priority: -1, notBefore: 1, createdAt: 1 })
+    .lean();
+}
+
+async function countJobs(options = {}) {
+  const filter = buildScopeFilter(options);
+  const [queued, retryScheduled] = await Promise.all([
+    WorkerJob.countDocuments({ ...filter, type: "start" }),
+    WorkerJob.countDocuments({ ...filter, type: "retry" })
+  ]);
+  return { queued, retryScheduled };
+}
+
+async function releaseOwnedLeases() {
+  const result = await WorkerJob.updateMany(
+    {
+      status: "leased",
+      leaseOwner: WORKER_NODE_ID
+    },
+    {
+      $set: {
+        status: "pending",
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+  return Number(result?.modifiedCount || 0);
+}
+
+module.exports = {
+  WORKER_NODE_ID,
+  JOB_LEASE_MS,
+  enqueueJob,
+  leaseNextJob,
+  renewJobLease,
+  completeJob,
+  handoffJob,
+  releaseNodeJobs,
+  removeJobs,
+  listJobs,
+  countJobs,
+  releaseOwnedLeases
+};
@@ -1,5 +1,9 @@
 const Account = require("../model/Account");
 const { logActivity } = require("../utils/activityLogger");
+const {
+  runWithStatusContext,
+  evaluateStatusTransition
+} = require("../utils/statusTransitions");
 
 function statusToLevel(status) {
   const value = String(status || "").trim().toLowerCase();
@@ -34,15 +38,21 @@ async function updateStatus(accountId, newStatus, options = {}) {
   }
 
   try {
-    const previous = await Account.findByIdAndUpdate(
-      accountId,
-      {
-        status: nextStatus
-      },
-      {
-        new: false
-      }
-    ).select("email status");
+    const writeStatus = () =>
+      Account.findByIdAndUpdate(
+        accountId,
+        {
+          status: nextStatus
+        },
+        {
+          new: false
+        }
+      )
+        .select("email status")
+        .exec();
+    const previous = options.reason
+      ? await runWithStatusContext({ reason: options.reason }, writeStatus)
+      : await writeStatus();
 
     if (!previous) {
       return;
@@ -54,6 +64,9 @@ async function updateStatus(accountId, newStatus, options = {}) {
     if (previousStatus === nextStatus) {
       return;
     }
+    if (!evaluateStatusTransition(previousStatus, nextStatus).accepted) {
+      return;
+    }
 
     const extraMetadata = normalizeMetadata(options.metadata) || {};
     await logActivity({
@@ -1,7 +1,33 @@
 const fs = require("fs").promises;
 const path = require("path");
 const Account = require("../model/Account");
+const BumpEvent = require("../model/BumpEvent");
 const { updateStatus } = require("./statusManager");
+const {
+  runWithStatusContext,
+  assertStatusTransition
+} = require("../utils/statusTransitions");
+const {
+  formatOperationTag,
+  runWithOperation,
+  runWithoutOperation
+} = require("../utils/operationContext");
+const {
+  recordPhaseTimings,
+  startTrace,
+  summarizePhaseTimings,
+  tracePhase,
+  writeTrace
+} = require("../utils/phaseTracer");
+const {
+  getSiteProfile,
+  loadSiteProfile,
+  startSiteProfileReload,
+  urlMatches
+} = require("../utils/siteProfile");
+const startJobQueue = require("./startJobQueue");
+const workerRegistry = require("./workerRegistry");
+const admissionController = require("./admissionController");
 const { launchStealthBrowser } = require("./browserLauncher");
 const {
   solveCaptcha,
@@ -11,7 +37,10 @@ const {
 const { logActivity } = require("../utils/activityLogger");
 const { sendTelegramEvent } = require("../utils/telegram");
 const { getOrCreateAppSettings } = require("../utils/appSettings");
+const { releaseBumpSlot, reserveBumpSlot } = require("../utils/bumpBudget");
 const { normalizeUserId } = require("../utils/socketEvents");
+const metrics = require("../utils/metrics");
+const { captureFailureEvidence, trackConsoleErrors } = require("../utils/failureEvidence");
 const {
   DEFAULT_TIMEZONE,
   calculateEffectiveDelayMs,
@@ -20,6 +49,7 @@ const {
   buildScheduleDecisionLogPayload,
   evaluateRuntimeAvailability,
   isWithinRuntimeWindowAt,
+  normalizeTimingConfig,
   resolveAppTimingSettings
 } = require("../utils/timing");
 const {
@@ -27,11 +57,9 @@ const {
   emitToUserEvent
 } = require("../internal/eventBridge");
 
-const ROOT_URL = "https://megapersonals.eu";
-const POSTS_LIST_URL = `${ROOT_URL}/users/posts/list`;
-const LOGIN_URL =
-  process.env.LOGIN_URL || `${ROOT_URL}/users/auth/login`;
-const COOKIES_DIR = path.join(__dirname, "..", "..", "cookies");
+const COOKIES_DIR =
+  String(process.env.COOKIES_DIR || "").trim() ||
+  path.join(__dirname, "..", "..", "cookies");
 const COOLDOWN_BUFFER_MS = Number(
   process.env.BUMP_COOLDOWN_BUFFER_MS || 2 * 60 * 1000
 );
@@ -76,13 +104,6 @@ const HEARTBEAT_RUNNING_STATUSES = new Set([
   "awaiting_2fa",
   "awaiting_verification_code"
 ]);
-const BANNED_MESSAGE_SELECTOR = ".banned-message-small";
-const POSTS_LIST_READY_SELECTOR = [
-  "#managePublishAd",
-  "[id='managePublishAd']",
-  "button[id*='managePublishAd']",
-  "a[id*='managePublishAd']"
-].join(", ");
 const POSTS_LIST_NAVIGATION_TIMEOUT_MS = (() => {
   const parsed = Number(process.env.POSTS_LIST_NAVIGATION_TIMEOUT_MS || 60000);
   if (!Number.isFinite(parsed) || parsed < 10000) return 60000;
@@ -105,7 +126,7 @@ const NAVIGATION_TIMEOUT_RECYCLE_THRESHOLD = (() => {
 })();
 
 function isPostsListUrl(url) {
-  return String(url || "").includes("/users/posts/list");
+  return urlMatches(url, "postsList");
 }
 
 function resolveProxyLabel(account, fallbackIp = "") {
@@ -140,7 +161,7 @@ async function detectBannedState(page) {
         banned: true,
         text
       };
-    }, BANNED_MESSAGE_SELECTOR)
+    }, getSiteProfile().selectors.bannedMessage)
     .catch(() => ({
       banned: false,
       text: ""
@@ -148,42 +169,23 @@ async function detectBannedState(page) {
 }
 
 function isLoginUrl(url) {
-  const value = String(url || "").toLowerCase();
-  return value.includes("/users/auth/login") || value.includes("/users/login");
-}
-
-const LOGIN_SELECTORS = {
-  email:
-    process.env.USER_SELECTOR ||
-    "#email, input[name='email'], input[name='username'], input[type='email']",
-  password:
-    process.env.PASS_SELECTOR ||
-    "#password, input[name='password'], input[type='password']",
-  captchaImage:
-    process.env.CAPTCHA_IMG_SELECTOR ||
-    "#captcha_image_itself, img.captcha, img[src*='captcha']",
-  captchaInput:
-    process.env.CAPTCHA_INPUT_SELECTOR ||
-    "#captcha_code, input[name='captcha'], input[placeholder*='code']",
-  submit:
-    process.env.SUBMIT_SELECTOR ||
-    "#submit, #login_submit, button[type='submit'], input[type='submit'], input[type='button'][value*='submit' i], button[id*='submit' i], input[id*='submit' i], button[name='submit'], input[name='submit']"
-};
+  return urlMatches(url, "login");
+}
 
 const BACKOFF_BASE_MS = 15000;
 const BACKOFF_MAX_MS = 15 * 60 * 1000;
 const BACKOFF_JITTER_MS = 5000;
 const FAILURE_LIMIT = 5;
-const MAX_CONCURRENCY = (() => {
-  const parsed = Number(process.env.MAX_CONCURRENCY || 8);
-  if (!Number.isFinite(parsed) || parsed < 1) return 8;
-  return Math.floor(parsed);
-})();
 const RECOVERY_INTERVAL_MS = (() => {
   const parsed = Number(process.env.WORKER_RECOVERY_INTERVAL_MS || 30000);
   if (!Number.isFinite(parsed) || parsed < 0) return 30000;
   return Math.floor(parsed);
 })();
+const QUEUE_POLL_INTERVAL_MS = (() => {
+  const parsed = Number(process.env.WORKER_QUEUE_POLL_MS || 5000);
+  if (!Number.isFinite(parsed) || parsed < 1000) return 5000;
+  return Math.floor(parsed);
+})();
 const STALE_START_RECOVERY_MS = (() => {
   const parsed = Number(
     process.env.WORKER_STALE_START_RECOVERY_MS || 2 * 60 * 1000
@@ -191,6 +193,21 @@ const STALE_START_RECOVERY_MS = (() => {
   if (!Number.isFinite(parsed) || parsed < 0) return 2 * 60 * 1000;
   return Math.floor(parsed);
 })();
+const WORKER_DRAIN_DEADLINE_MS = (() => {
+  const parsed = Number(process.env.WORKER_DRAIN_DEADLINE_MS || 2 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 0) return 2 * 60 * 1000;
+  return Math.floor(parsed);
+})();
+const RECYCLE_MIN_IDLE_MS = (() => {
+  const parsed = Number(process.env.ADMISSION_RECYCLE_MIN_IDLE_MS || 2 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 0) return 2 * 60 * 1000;
+  return Math.floor(parsed);
+})();
+const BUMP_BUDGET_RECHECK_MS = (() => {
+  const parsed = Number(process.env.BUMP_BUDGET_RECHECK_MS || 5 * 60 * 1000);
+  if (!Number.isFinite(parsed) || parsed < 10 * 1000) return 5 * 60 * 1000;
+  return Math.floor(parsed);
+})();
 const WORKER_WATCHDOG_INTERVAL_MS = (() => {
   const parsed = Number(process.env.WORKER_WATCHDOG_INTERVAL_MS || 30 * 1000);
   if (!Number.isFinite(parsed) || parsed < 5000) return 30 * 1000;
@@ -245,15 +262,18 @@ const RECOVERY_CYCLE_OUTCOMES = new Set([
 const runningWorkers = new Map();
 const accountRuntimeRegistry = new Map();
 const startingLocks = new Set();
-const startQueue = [];
 const queuedAccounts = new Set();
-const retryTimers = new Map();
 const stopRequests = new Set();
+const drainingAccounts = new Set();
+const handingOffAccounts = new Set();
 const heartbeatDebugLastPrintedAt = new Map();
 const heartbeatByAccountId = new Map();
 let heartbeatSummaryTimer = null;
 let recoveryTimer = null;
+let queuePollTimer = null;
 let recoveryInProgress = false;
+let drainState = null;
+let drainPromise = null;
 const WORKER_KEY_SEPARATOR = ":";
 
 // Pending verification sessions map
@@ -678,7 +698,8 @@ function getWorkerDebugSnapshot(accountOrId, options = {}) {
 
   return {
     ...entry,
-    progressAgeMs: Math.max(0, Date.now() - getRuntimeProgressTimestamp(ref.entry))
+    progressAgeMs: Math.max(0, Date.now() - getRuntimeProgressTimestamp(ref.entry)),
+    phaseTimings: summarizePhaseTimings(ref.entry.phaseTimings)
   };
 }
 
@@ -839,9 +860,12 @@ async function emitHeartbeatSummary() {
     return;
   }
 
+  const jobCounts = await startJobQueue
+    .countJobs({ localOnly: true })
+    .catch(() => ({ queued: 0 }));
   const memoryUsageMb = (process.memoryUsage().rss / (1024 * 1024)).toFixed(1);
   console.log(
-    `[HEARTBEAT] totals: bumping=${totals.bumping} cooldown=${totals.cooldown} running=${totals.running} stopped=${totals.stopped} blocked=${totals.blocked} queued=${startQueue.length} memMB=${memoryUsageMb}`
+    `[HEARTBEAT] totals: bumping=${totals.bumping} cooldown=${totals.cooldown} running=${totals.running} stopped=${totals.stopped} blocked=${totals.blocked} queued=${jobCounts.queued} memMB=${memoryUsageMb}`
   );
 }
 
@@ -873,7 +897,7 @@ function startRecoveryLoop() {
   }
 
   const runRecovery = () => {
-    recoverOverdueAccounts().catch((error) => {
+    runWithStatusContext({ actor: "recovery" }, recoverOverdueAccounts).catch((error) => {
       console.error("[RECOVERY] Timer failed:", error.message);
     });
   };
@@ -889,6 +913,38 @@ function startRecoveryLoop() {
   }
 }
 
+function startQueuePoller() {
+  if (queuePollTimer) {
+    return;
+  }
+
+  queuePollTimer = setInterval(() => {
+    processQueue().catch((error) => {
+      console.error("[QUEUE] Poll failed:", error.message);
+    });
+  }, QUEUE_POLL_INTERVAL_MS);
+  if (typeof queuePollTimer.unref === "function") {
+    queuePollTimer.unref();
+  }
+}
+
+async function restoreStartQueue() {
+  const released = await startJobQueue.releaseOwnedLeases();
+  const jobs = await startJobQueue.listJobs({ type: "start", localOnly: true });
+  for (const job of jobs) {
+    queuedAccounts.add(buildWorkerKey(job.userId, job.accountId));
+  }
+
+  console.log(
+    `[QUEUE] Restored ${jobs.length} queued start(s) on ${startJobQueue.WORKER_NODE_ID} (${released} lease(s) released)`
+  );
+  await processQueue();
+  return {
+    queued: jobs.length,
+    released
+  };
+}
+
 function clearPendingVerificationSession(accountId) {
   const key = String(accountId);
   const session = pendingVerificationSessions.get(key);
@@ -1095,6 +1151,30 @@ function setWorkerStep(state, step, page) {
   }
 }
 
+// Closes a phase trace, appends it to the trace file and folds its timings into
+// the runtime entry so getWorkerDebugSnapshot can report them.
+function finishWorkerTrace(state, trace, options = {}) {
+  if (!state || !trace) return;
+  const spans = trace.end(options);
+  writeTrace(spans);
+  state.phaseTimings = recordPhaseTimings(state.phaseTimings, spans);
+  if (state.accountId) {
+    updateRuntimeRegistryEntry(
+      {
+        _id: state.accountId,
+        userId: state.userId,
+        email: state.email
+      },
+      {
+        phaseTimings: state.phaseTimings
+      },
+      {
+        userId: state.userId
+      }
+    );
+  }
+}
+
 async function assertAccountNotBanned(page, account, state, options = {}) {
   if (!page || page.isClosed()) {
     return;
@@ -1154,7 +1234,7 @@ async function assertAccountNotBanned(page, account, state, options = {}) {
       reason,
       proxy,
       url: currentUrl,
-      matchedSelector: BANNED_MESSAGE_SELECTOR,
+      matchedSelector: getSiteProfile().selectors.bannedMessage,
       bannedMessage: bannedProbe.text || undefined
     }
   }).catch(() => null);
@@ -1292,21 +1372,15 @@ function startWorkerHeartbeat(account, state, page) {
 }
 
 function isTwoFactorUrl(url) {
-  const value = String(url || "").toLowerCase();
-  return value.includes("/device-verification") || value.includes("/verification");
+  return urlMatches(url, "twoFactor");
 }
 
 function isVerificationSuccessUrl(url) {
-  const value = String(url || "").toLowerCase();
-  return (
-    value.includes("/users/device-verification/successful/") ||
-    value.includes("/users/device-verification/success")
-  );
+  return urlMatches(url, "verificationSuccess");
 }
 
 function isPhoneVerificationUrl(url) {
-  const value = String(url || "").toLowerCase();
-  return value.includes("/phone/verification/verify/");
+  return urlMatches(url, "phoneVerification");
 }
 
 function createWorkerError(type, message, originalError) {
@@ -1353,6 +1427,32 @@ function normalizeWorkerError(error) {
   return { type, message };
 }
 
+// Saves the page as failure evidence and returns its id, or null.
+function captureWorkerEvidence(page, account, state, reason, error) {
+  const normalizedError = normalizeWorkerError(error);
+  return captureFailureEvidence(page, {
+    account,
+    reason,
+    errorType: normalizedError.type,
+    message: normalizedError.message,
+    step: state?.currentStep || null,
+    consoleErrors: state?.consoleErrors
+  });
+}
+
+// Evidence ids ride on the error (or the error it wraps) to handleWorkerFailure.
+function getErrorEvidenceId(error) {
+  for (let current = error; current; current = current.originalError) {
+    if (current.evidenceId) return current.evidenceId;
+  }
+  return null;
+}
+
+// The page is neither the posts list nor a checkpoint the worker knows about.
+function isUnknownPageStateError(error) {
+  return String(error?.message || "").includes("did not become ready");
+}
+
 function mapErrorTypeToStatus(type) {
   if (type === "login_failed") return "login_failed";
   if (type === "credentials_invalid") return "login_failed";
@@ -1370,31 +1470,37 @@ function calculateRetryDelayMs(failureCount) {
   return delay + jitter;
 }
 
-function clearRetryTimer(accountId) {
-  const key = String(accountId);
-  const retryTimer = retryTimers.get(key);
-  if (retryTimer) {
-    clearTimeout(retryTimer);
-    retryTimers.delete(key);
-  }
+async function cancelRetry(accountId) {
+  await startJobQueue
+    .removeJobs(accountId, { type: "retry" })
+    .catch((error) => {
+      console.error(`[QUEUE] Failed to clear retry for ${accountId}:`, error.message);
+    });
+}
+
+async function scheduleRetry(accountId, options = {}) {
+  const delayMs = Math.max(0, Number(options?.delayMs) || 0);
+  await startJobQueue.enqueueJob(accountId, {
+    type: "retry",
+    userId: options?.userId,
+    ip: options?.ip,
+    notBefore: new Date(Date.now() + delayMs)
+  });
 }
 
-function removeFromQueue(accountId, options = {}) {
+async function removeFromQueue(accountId, options = {}) {
   const key = String(accountId);
   const userId = normalizeUserId(options?.userId);
   const scopedQueueKey = buildWorkerKey(userId, key);
   queuedAccounts.delete(scopedQueueKey);
   queuedAccounts.delete(key);
 
-  for (let index = startQueue.length - 1; index >= 0; index -= 1) {
-    const item = startQueue[index];
-    if (!item || item.accountId !== key) continue;
-    if (userId && normalizeUserId(item.userId) !== userId) continue;
-    startQueue.splice(index, 1);
-  }
+  await startJobQueue.removeJobs(key, { userId }).catch((error) => {
+    console.error(`[QUEUE] Failed to dequeue ${key}:`, error.message);
+  });
 }
 
-function queueStart(accountId, options = {}) {
+async function queueStart(accountId, options = {}) {
   const key = String(accountId);
   if (!key) return false;
 
@@ -1402,14 +1508,17 @@ function queueStart(accountId, options = {}) {
   const queueKey = buildWorkerKey(userId, key);
   if (queuedAccounts.has(queueKey)) return false;
 
-  startQueue.push({
-    accountId: key,
+  const queued = await startJobQueue.enqueueJob(key, {
+    type: "start",
     userId,
-    queueKey,
-    ip: options.ip || ""
+    ip: options.ip || "",
+    priority: options.priority,
+    nodeId: options.nodeId
   });
-  queuedAccounts.add(queueKey);
-  return true;
+  if (queued) {
+    queuedAccounts.add(queueKey);
+  }
+  return queued;
 }
 
 async function updateWorkerState(accountId, workerStatePatch = {}, accountPatch = {}) {
@@ -1804,8 +1913,9 @@ async function testProxyNavigation(account) {
     });
 
     const proxyIpRaw = await page.evaluate(() => document.body.innerText);
+    const rootUrl = getSiteProfile().urls.root;
 
-    await page.goto("https://megapersonals.eu/", {
+    await page.goto(`${rootUrl}/`, {
       waitUntil: "networkidle2",
       timeout: 90000
     });
@@ -1813,7 +1923,7 @@ async function testProxyNavigation(account) {
     const pageTitle = await page.title();
     const finalUrl = page.url();
 
-    if (finalUrl.includes("megapersonals.eu")) {
+    if (finalUrl.startsWith(rootUrl)) {
       console.log("redirected succesfully tO (mega)");
     }
 
@@ -1864,7 +1974,7 @@ async function clickFirstByText(page, matcher) {
 
 async function handleGateAndTerms(page) {
   const gateHandled = await page
-    .evaluate(async () => {
+    .evaluate(async (selectors) => {
       const visible = (node) => {
         if (!node) return false;
         const style = window.getComputedStyle(node);
@@ -1878,12 +1988,10 @@ async function handleGateAndTerms(page) {
         );
       };
 
-      const gate = document.querySelector("#ageCheckPopupDiv");
+      const gate = document.querySelector(selectors.ageGate);
       if (!visible(gate)) return false;
 
-      const termsContainer = document.querySelector(
-        "#ageCheckPopupInner .terms-container, .terms-container"
-      );
+      const termsContainer = document.querySelector(selectors.termsContainer);
       if (termsContainer) {
         let guard = 0;
         while (
@@ -1897,19 +2005,19 @@ async function handleGateAndTerms(page) {
         }
       }
 
-      const agreeCheckbox = document.querySelector("#checkbox-agree");
+      const agreeCheckbox = document.querySelector(selectors.agreeCheckbox);
       if (agreeCheckbox && !agreeCheckbox.checked) {
         agreeCheckbox.click();
       }
 
-      const agreeButton = document.querySelector("#ageagree");
+      const agreeButton = document.querySelector(selectors.agreeButton);
       if (agreeButton) {
         agreeButton.click();
         return true;
       }
 
       return false;
-    })
+    }, getSiteProfile().selectors)
     .catch(() => false);
 
   if (gateHandled) {
@@ -1923,7 +2031,7 @@ async function handleGateAndTerms(page) {
   }
 
   const termsAccepted = await page
-    .evaluate(() => {
+    .evaluate((agreeTexts) => {
       const normalize = (value) =>
         String(value || "")
           .replace(/\s+/g, " ")
@@ -1939,7 +2047,7 @@ async function handleGateAndTerms(page) {
 
       const agreeButton = candidates.find((node) => {
         const text = normalize(node.textContent || node.value || "");
-        return text === "i agree" || text === "agree";
+        return agreeTexts.includes(text);
       });
 
       if (!agreeButton) return false;
@@ -1952,7 +2060,7 @@ async function handleGateAndTerms(page) {
 
       agreeButton.click();
       return true;
-    })
+    }, getSiteProfile().text.agreeButtons)
     .catch(() => false);
 
   if (termsAccepted) {
@@ -1966,12 +2074,27 @@ async function handleGateAndTerms(page) {
   }
 }
 
+// page.goto that records its latency under a fixed target name; the URL itself
+// is not a label so the series count stays bounded.
+async function timedGoto(page, target, url, options) {
+  const startedAt = Date.now();
+  let result = "ok";
+  try {
+    return await page.goto(url, options);
+  } catch (error) {
+    result = isNavigationTimeoutError(error) ? "timeout" : "error";
+    throw error;
+  } finally {
+    metrics.navigationDurationSeconds.observe({ target, result }, (Date.now() - startedAt) / 1000);
+  }
+}
+
 async function navigateToLoginPage(page) {
   if (isLoginUrl(page.url())) {
     return true;
   }
 
-  const clickedPostNow = await clickFirstByText(page, ["post now", "post ad"]);
+  const clickedPostNow = await clickFirstByText(page, getSiteProfile().text.loginLinks);
   if (clickedPostNow) {
     await page
       .waitForNavigation({
@@ -1982,7 +2105,7 @@ async function navigateToLoginPage(page) {
   }
 
   if (!isLoginUrl(page.url())) {
-    await page.goto(LOGIN_URL, {
+    await timedGoto(page, "login", getSiteProfile().urls.login, {
       waitUntil: "networkidle2",
       timeout: 90000
     });
@@ -2018,22 +2141,22 @@ function isInvalidCredentialsUrl(url) {
   const value = String(url || "").trim();
   if (!value) return false;
 
-  const lowered = value.toLowerCase();
-  if (!lowered.includes("/users/auth/login")) {
+  if (!isLoginUrl(value)) {
     return false;
   }
 
+  const [param, expected] = getSiteProfile().urlPatterns.invalidCredentialsQuery.split("=");
   try {
     const parsed = new URL(value);
-    return String(parsed.searchParams.get("error") || "").toLowerCase() === "t";
+    return String(parsed.searchParams.get(param) || "").toLowerCase() === expected.toLowerCase();
   } catch {
-    return /[?&]error=t(?:&|$)/i.test(lowered);
+    return value.toLowerCase().includes(`${param}=${expected}`.toLowerCase());
   }
 }
 
 async function clickLoginSubmitFallback(page) {
   return page
-    .evaluate(() => {
+    .evaluate((passwordSelector) => {
       const normalize = (value) =>
         String(value || "")
           .replace(/\s+/g, " ")
@@ -2068,7 +2191,7 @@ async function clickLoginSubmitFallback(page) {
         return { clicked: false, reason: "no_visible_candidates" };
       }
 
-      const passwordInput = document.querySelector("input[type='password']");
+      const passwordInput = document.querySelector(passwordSelector);
       const loginForm = passwordInput?.closest("form") || null;
 
       let bestNode = null;
@@ -2130,7 +2253,7 @@ async function clickLoginSubmitFallback(page) {
         clicked: true,
         reason: `clicked_candidate(score=${bestScore},label=${bestLabel.slice(0, 80)})`
       };
-    })
+    }, getSiteProfile().selectors.password)
     .catch((error) => ({
       clicked: false,
       reason: `evaluate_error:${error.message}`
@@ -2139,12 +2262,13 @@ async function clickLoginSubmitFallback(page) {
 
 async function submitLoginAttempt(page, account) {
   const { email, password } = resolveLoginCredentials(account);
-  const { element: emailInput } = await findFirstElement(page, LOGIN_SELECTORS.email, {
+  const { selectors } = getSiteProfile();
+  const { element: emailInput } = await findFirstElement(page, selectors.email, {
     timeout: 20000
   });
   const { element: passwordInput } = await findFirstElement(
     page,
-    LOGIN_SELECTORS.password,
+    selectors.password,
     {
       timeout: 20000
     }
@@ -2165,7 +2289,7 @@ async function submitLoginAttempt(page, account) {
 
   const { element: captchaElement } = await findFirstElement(
     page,
-    LOGIN_SELECTORS.captchaImage,
+    selectors.captchaImage,
     { timeout: 8000 }
   );
   if (captchaElement) {
@@ -2176,7 +2300,7 @@ async function submitLoginAttempt(page, account) {
 
     const { element: captchaInput } = await findFirstElement(
       page,
-      LOGIN_SELECTORS.captchaInput,
+      selectors.captchaInput,
       { timeout: 10000 }
     );
     if (!captchaInput) {
@@ -2191,7 +2315,7 @@ async function submitLoginAttempt(page, account) {
 
   const { element: submitButton } = await findFirstElement(
     page,
-    LOGIN_SELECTORS.submit,
+    selectors.submit,
     {
       timeout: 10000
     }
@@ -2220,19 +2344,15 @@ async function submitLoginAttempt(page, account) {
       // Final fallback: many login forms submit on Enter from password/captcha field.
       submitAction = `enter_key:${fallbackResult?.reason || "no_reason"}`;
       const focusResult = await page
-        .evaluate(() => {
-          const fields = [
-            document.querySelector("#captcha_code"),
-            document.querySelector("input[name='captcha']"),
-            document.querySelector("#password"),
-            document.querySelector("input[name='password']"),
-            document.querySelector("input[type='password']")
-          ].filter(Boolean);
-
-          if (fields.length === 0) return false;
-          fields[0].focus();
+        .evaluate((fieldSelectors) => {
+          const field = fieldSelectors
+            .map((selector) => document.querySelector(selector))
+            .find(Boolean);
+
+          if (!field) return false;
+          field.focus();
           return true;
-        })
+        }, [selectors.captchaInput, selectors.password])
         .catch(() => false);
 
       if (!focusResult) {
@@ -2263,7 +2383,7 @@ async function performFullLogin(page, account, verificationOptions = {}) {
   try {
     console.log(`[LOGIN] Performing full login for ${account.email}`);
 
-    await page.goto(ROOT_URL, {
+    await timedGoto(page, "root", getSiteProfile().urls.root, {
       waitUntil: "networkidle2",
       timeout: 90000
     });
@@ -2313,7 +2433,7 @@ async function performFullLogin(page, account, verificationOptions = {}) {
           console.warn(
             `[LOGIN] Wrong captcha for ${account.email} (attempt ${attempt}/${maxCaptchaRetries}), retrying`
           );
-          await page.goto(LOGIN_URL, {
+          await page.goto(getSiteProfile().urls.login, {
             waitUntil: "networkidle2",
             timeout: 90000
           });
@@ -2328,7 +2448,7 @@ async function performFullLogin(page, account, verificationOptions = {}) {
         console.warn(
           `[LOGIN] Login still on login page (attempt ${attempt}/${maxCaptchaRetries}), retrying`
         );
-        await page.goto(LOGIN_URL, {
+        await page.goto(getSiteProfile().urls.login, {
           waitUntil: "networkidle2",
           timeout: 90000
         });
@@ -2633,20 +2753,46 @@ function parseCountdownTimer(text) {
   return Math.max(0, (hours * 3600 + minutes * 60 + seconds) * 1000);
 }
 
+// Best effort: the bump control carries the post id in a data attribute,
+// its href or the surrounding form, depending on the page revision.
+async function readBumpPostId(bumpButton) {
+  if (!bumpButton) return null;
+
+  const postId = await bumpButton
+    .evaluate((node) => {
+      const source = node.closest("[data-post-id], [data-id], [data-ad-id]") || node;
+      const direct =
+        source.getAttribute("data-post-id") ||
+        source.getAttribute("data-ad-id") ||
+        source.getAttribute("data-id");
+      if (direct) return direct;
+
+      const link = node.getAttribute("href") || node.closest("form")?.getAttribute("action") || "";
+      const match = link.match(/(?:post|ad|id)[/=](\w+)/i) || link.match(/\/(\d+)(?:[/?#]|$)/);
+      return match ? match[1] : null;
+    })
+    .catch(() => null);
+
+  return postId ? String(postId).slice(0, 120) : null;
+}
+
 async function detectCooldownPopup(page) {
   await sleep(2000);
 
-  const probe = await page.evaluate(() => {
-    const marker = "you may only publish once every";
+  const { text } = getSiteProfile();
+  const probe = await page.evaluate(({ markers, okTexts }) => {
     const normalizeText = (value) =>
       String(value || "")
         .replace(/\s+/g, " ")
         .trim();
+    const hasMarker = (value) => {
+      const lowered = String(value || "").toLowerCase();
+      return markers.some((marker) => lowered.includes(marker));
+    };
 
     const bodyText = normalizeText(document.body?.innerText || "");
-    const lowerBodyText = bodyText.toLowerCase();
 
-    if (!lowerBodyText.includes(marker)) {
+    if (!hasMarker(bodyText)) {
       return {
         hasCooldown: false,
         sourceText: "",
@@ -2668,12 +2814,12 @@ async function detectCooldownPopup(page) {
       const nodes = Array.from(document.querySelectorAll(selector));
       for (const node of nodes) {
         const nodeText = normalizeText(node.innerText || node.textContent);
-        if (nodeText.toLowerCase().includes(marker)) {
+        if (hasMarker(nodeText)) {
           sourceText = nodeText;
           break;
         }
       }
-      if (sourceText.toLowerCase().includes(marker)) {
+      if (sourceText !== bodyText) {
         break;
       }
     }
@@ -2681,7 +2827,7 @@ async function detectCooldownPopup(page) {
     const buttons = Array.from(document.querySelectorAll("button[type='button'], button, [role='button']"));
     const okButton = buttons.find((node) => {
       const text = normalizeText(node.textContent || "").toLowerCase();
-      return text === "ok";
+      return okTexts.includes(text);
     });
 
     if (okButton) {
@@ -2693,7 +2839,7 @@ async function detectCooldownPopup(page) {
       sourceText,
       clickedOk: Boolean(okButton)
     };
-  });
+  }, { markers: text.cooldownPopup, okTexts: text.okButtons });
 
   if (!probe?.hasCooldown) {
     return {
@@ -2764,7 +2910,7 @@ function parseCooldownTime(text) {
 }
 
 async function detectBumpCooldown(page) {
-  const probe = await page.evaluate(() => {
+  const probe = await page.evaluate((buttonSelector) => {
     const cooldownHintRegex =
       /wait|cooldown|try\s+again|too\s+soon|minutes?|mins?|seconds?|secs?/i;
 
@@ -2795,19 +2941,7 @@ async function detectBumpCooldown(page) {
       candidates.push(normalized);
     };
 
-    const buttonSelectors = [
-      "#managePublishAd",
-      "[id='managePublishAd']",
-      "button[id*='managePublishAd']",
-      "a[id*='managePublishAd']"
-    ];
-    const allButtons = [];
-    buttonSelectors.forEach((selector) => {
-      document.querySelectorAll(selector).forEach((node) => {
-        allButtons.push(node);
-      });
-    });
-    const uniqueButtons = Array.from(new Set(allButtons));
+    const uniqueButtons = Array.from(document.querySelectorAll(buttonSelector));
     const visibleButtons = uniqueButtons.filter((node) => visible(node));
     const button = visibleButtons[0] || null;
 
@@ -2873,7 +3007,7 @@ async function detectBumpCooldown(page) {
       candidates: Array.from(new Set(candidates)).slice(0, 40),
       noButtonHint: noButtonHintLines[0] || ""
     };
-  });
+  }, getSiteProfile().selectors.postsListReady);
 
   let parsedWaitMs = null;
   let sourceText = "";
@@ -2917,6 +3051,7 @@ async function waitForPostsListReady(page, options = {}) {
   const timeoutMs = Number(options?.timeoutMs || POSTS_LIST_READY_TIMEOUT_MS);
   const step = String(options?.step || "posts_list_ready_check");
   const domReadyTimeoutMs = Math.max(3000, Math.min(timeoutMs, 10000));
+  const { selectors, urlPatterns } = getSiteProfile();
 
   await page
     .waitForFunction(
@@ -2930,16 +3065,20 @@ async function waitForPostsListReady(page, options = {}) {
     .catch(() => null);
 
   const readyVia = await Promise.any([
-    page.waitForSelector(POSTS_LIST_READY_SELECTOR, {
+    page.waitForSelector(selectors.postsListReady, {
       visible: true,
       timeout: timeoutMs
     }).then(() => "selector"),
     page
       .waitForFunction(
-        () => window.location.href.includes("/users/posts/list"),
+        (patterns) => {
+          const href = window.location.href.toLowerCase();
+          return patterns.some((pattern) => href.includes(pattern));
+        },
         {
           timeout: timeoutMs
-        }
+        },
+        urlPatterns.postsList
       )
       .then(() => "url")
   ]).catch(() => null);
@@ -2973,7 +3112,7 @@ async function openPostsListWithReadiness(page, options = {}) {
   );
 
   try {
-    await page.goto(POSTS_LIST_URL, {
+    await timedGoto(page, "posts_list", getSiteProfile().urls.postsList, {
       waitUntil: "domcontentloaded",
       timeout: navigationTimeoutMs
     });
@@ -3010,9 +3149,10 @@ async function returnToPostsList(page) {
     return;
   }
 
-  if (currentUrl.includes("/success_publish/")) {
+  if (urlMatches(currentUrl, "publishSuccess")) {
     console.log("[BUMP] Redirected to success page.");
-    const clickedMyPosts = await page.evaluate(() => {
+    const { text: siteText, urlPatterns } = getSiteProfile();
+    const clickedMyPosts = await page.evaluate((linkTexts, listPatterns) => {
       const candidates = Array.from(document.querySelectorAll("a, button"));
       const target = candidates.find((node) => {
         const text = String(node.textContent || "")
@@ -3022,16 +3162,15 @@ async function returnToPostsList(page) {
           .trim()
           .toLowerCase();
         return (
-          text.includes("my posts") ||
-          href.includes("/users/posts/list") ||
-          href.includes("/users/posts")
+          linkTexts.some((linkText) => text.includes(linkText)) ||
+          listPatterns.some((pattern) => href.includes(pattern))
         );
       });
 
       if (!target) return false;
       target.click();
       return true;
-    });
+    }, siteText.myPostsLinks, urlPatterns.postsList);
 
     if (clickedMyPosts) {
       console.log("[BUMP] Clicking My Posts link...");
@@ -3162,7 +3301,7 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
     const [latest, appSettings] = await Promise.all([
       Account.findById(account._id)
         .select(
-          "baseInterval baseIntervalMinutes randomMin randomMinMinutes randomMax randomMaxMinutes maxDailyRuntime maxDailyRuntimeHours maxDailyBumps runtimeStart runtimeEnd runtimeWindow timezone workerState nextScheduledStart"
+          "baseInterval baseIntervalMinutes randomMin randomMinMinutes randomMax randomMaxMinutes maxDailyRuntime maxDailyRuntimeHours maxDailyBumps priority runtimeStart runtimeEnd runtimeWindow runtimeWindows runtimeCalendar timezone workerState nextScheduledStart"
         )
         .lean()
         .catch(() => null),
@@ -3179,9 +3318,12 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
       account.maxDailyRuntime = latest.maxDailyRuntime;
       account.maxDailyRuntimeHours = latest.maxDailyRuntimeHours;
       account.maxDailyBumps = latest.maxDailyBumps;
+      account.priority = latest.priority;
       account.runtimeStart = latest.runtimeStart;
       account.runtimeEnd = latest.runtimeEnd;
       account.runtimeWindow = latest.runtimeWindow;
+      account.runtimeWindows = latest.runtimeWindows;
+      account.runtimeCalendar = latest.runtimeCalendar;
       account.timezone = latest.timezone;
       account.nextScheduledStart = latest.nextScheduledStart;
       account.workerState = latest.workerState || account.workerState || {};
@@ -3540,7 +3682,9 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
 
   const waitForScheduledDelay = async (delayMs) => {
     state.forceCycle = false;
-    const waitResult = await waitWithStop(state, delayMs);
+    const waitResult = await tracePhase(state.cycleTrace, "wait", () => waitWithStop(state, delayMs), {
+      delayMs: Math.floor(Number(delayMs) || 0)
+    });
     if (waitResult?.interruptedByWatchdog && !state.stopped) {
       state.forceCycle = false;
       return true;
@@ -3553,6 +3697,14 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
     return calculateRegularDelayMs(baseInterval, randomMin, randomMax);
   };
 
+  // A cycle's trace stays open through the wait that follows it, so it is
+  // closed when the next cycle begins or the loop exits.
+  const finishCycleTrace = () => {
+    const trace = state.cycleTrace;
+    state.cycleTrace = null;
+    finishWorkerTrace(state, trace);
+  };
+
   const beginCycle = () => {
     if (state.cycleActive) {
       console.warn(
@@ -3563,10 +3715,19 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
 
     state.cycleActive = true;
     state.cycleCount = Number(state.cycleCount || 0) + 1;
+    state.cycleScheduledAtMs = Number(state.nextBumpAtMs || 0) || null;
+    state.cyclePostId = null;
     state.lastCycleStartedAt = Date.now();
     state.lastProgressAt = state.lastCycleStartedAt;
     state.dailyRuntimeAppliedForCycle = false;
     clearScheduledNextBump();
+    finishCycleTrace();
+    state.cycleTrace = startTrace("bump_cycle", {
+      "account.id": state.accountId,
+      "tenant.id": state.userId,
+      cycle: state.cycleCount,
+      selfTest: selfTest.enabled
+    });
     updateRuntime({
       status: normalizeRuntimeStatus(state.currentStatus || "running", "running"),
       currentStep: state.currentStep,
@@ -3620,8 +3781,27 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
     });
   };
 
+  // A reserved budget slot is only spent by a bump that went through.
+  const releaseBudgetReservation = async () => {
+    const reservation = state.budgetReservation;
+    state.budgetReservation = null;
+    if (!reservation) return;
+    await releaseBumpSlot(reservation).catch((error) => {
+      console.warn(`[BUDGET] Failed to release slot for ${account.email}: ${error.message}`);
+    });
+  };
+
   const finalizeCycle = async (rawResult) => {
     const result = normalizeCycleResult(rawResult);
+    if (state.cycleTrace) {
+      state.cycleTrace.setAttributes({ outcome: result.outcome });
+      state.cycleTrace.setError(result.ok ? "" : result.message);
+    }
+    if (result.outcome === "success") {
+      state.budgetReservation = null;
+    } else {
+      await releaseBudgetReservation();
+    }
     const completedAt = Date.now();
     const previousFailedCycle = Boolean(state.previousCycleFailed);
     const retryDelayMs = Number(result.nextDelayMs || 0);
@@ -3633,7 +3813,8 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
         account.workerState || {},
         completedAt,
         state.schedulingTimezone || DEFAULT_TIMEZONE,
-        cycleRuntimeMs
+        cycleRuntimeMs,
+        normalizeTimingConfig(account, account.__appSettings || {})
       );
       state.dailyRuntimeDayKey = dailyRuntimePatch.dailyRuntimeDayKey;
       state.dailyRuntimeUsedMs = dailyRuntimePatch.dailyRuntimeUsedMs;
@@ -3718,6 +3899,40 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
       `[CYCLE] finish account=${account.email} cycle=${state.cycleCount} outcome=${result.outcome} status=${runtimeStatus} next=${nextScheduledAtIso || "n/a"} runtime_ms=${cycleRuntimeMs} daily_runtime_ms=${state.dailyRuntimeUsedMs} message=${result.message}`
     );
 
+    if (result.outcome !== "skipped") {
+      metrics.bumpsTotal.inc({ tenant: account.userId, outcome: result.outcome });
+      metrics.bumpCycleDurationSeconds.observe({ outcome: result.outcome }, cycleRuntimeMs / 1000);
+      if (result.outcome === "cooldown") {
+        metrics.cooldownsDetectedTotal.inc({ tenant: account.userId });
+      }
+
+      const startedAtMs = Number(state.lastCycleStartedAt || 0) || completedAt;
+      const scheduledAtMs = Number(state.cycleScheduledAtMs || 0) || null;
+      const cooldownMs = Number(
+        result.metadata?.parsedCooldownMs ?? result.metadata?.effectiveWaitMs
+      );
+      await BumpEvent.create({
+        accountId: account._id,
+        userId: account.userId,
+        outcome: result.outcome,
+        message: result.message,
+        stage: result.metadata?.stage || null,
+        cooldownDetected: result.outcome === "cooldown",
+        cooldownMs: Number.isFinite(cooldownMs) && cooldownMs > 0 ? cooldownMs : null,
+        durationMs: cycleRuntimeMs,
+        postId: state.cyclePostId || null,
+        scheduledAt: scheduledAtMs ? new Date(scheduledAtMs) : null,
+        startedAt: new Date(startedAtMs),
+        completedAt: new Date(completedAt),
+        driftMs: scheduledAtMs ? startedAtMs - scheduledAtMs : null,
+        nextBumpAt: nextScheduledAtIso ? new Date(nextScheduledAtIso) : null,
+        proxy: proxyLabel,
+        selfTest: Boolean(selfTest.enabled)
+      }).catch((error) => {
+        console.error(`[BUMP] Failed to record bump event for ${account.email}:`, error.message);
+      });
+    }
+
     if (result.outcome === "success") {
       await logActivity({
         level: "success",
@@ -3982,6 +4197,10 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
 
   try {
     while (!state.stopped) {
+      if (isWorkerDraining()) {
+        await sleep(1000);
+        continue;
+      }
       await refreshBumpConfig();
       setWorkerStep(state, "bump_cycle", page);
       if (!beginCycle()) {
@@ -4194,15 +4413,74 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
         continue;
       }
 
-      try {
-        if (!isPostsListUrl(page.url())) {
-          setWorkerStep(state, "opening_posts_list", page);
-          await openPostsListWithReadiness(page, {
-            reason: "cycle_open_posts_list"
-          });
+      const budget = await reserveBumpSlot({
+        userId: account.userId,
+        accountId: account._id,
+        priority: account.priority,
+        settings: account.__appSettings || {}
+      }).catch((error) => {
+        console.warn(`[BUDGET] Budget check failed for ${account.email}; bumping anyway: ${error.message}`);
+        return { allowed: true, reservation: null };
+      });
+      if (!budget.allowed) {
+        const retryAtMs = new Date(budget.retryAt).valueOf();
+        const budgetDelayMs = Math.max(
+          1000,
+          Math.min(Number.isFinite(retryAtMs) ? retryAtMs - Date.now() : 0, BUMP_BUDGET_RECHECK_MS)
+        );
+        state.nextScheduledAt = Date.now() + budgetDelayMs;
+        setWorkerStep(state, "bump_budget_wait", page);
+        console.log(
+          `[BUDGET] ${account.email} held back (${budget.reason}); rechecking in ${formatDuration(budgetDelayMs)}`
+        );
+        if (state.budgetBlockReason !== budget.reason) {
+          state.budgetBlockReason = budget.reason;
+          await logActivity({
+            level: "warning",
+            message: `Bump budget reached (${budget.reason}): ${account.email}`,
+            ip,
+            email: account.email,
+            accountId: account._id,
+            metadata: {
+              reason: budget.reason,
+              retryAt: budget.retryAt,
+              share: budget.share,
+              used: budget.usage?.used,
+              dailyLimit: budget.usage?.dailyLimit
+            }
+          }).catch(() => null);
         }
-        console.log("[BUMP] On posts list page");
-        await assertAccountNotBanned(page, account, state, { ip });
+        await finalizeCycle(
+          createCycleResult({
+            ok: true,
+            outcome: "skipped",
+            message: "Bump budget reached",
+            nextDelayMs: budgetDelayMs,
+            metadata: {
+              stage: "bump_budget",
+              reason: budget.reason,
+              proxy: proxyLabel
+            }
+          })
+        );
+        const keepRunning = await waitForScheduledDelay(budgetDelayMs);
+        if (!keepRunning || state.stopped) break;
+        continue;
+      }
+      state.budgetBlockReason = "";
+      state.budgetReservation = budget.reservation;
+
+      try {
+        await tracePhase(state.cycleTrace, "posts_list_ready", async () => {
+          if (!isPostsListUrl(page.url())) {
+            setWorkerStep(state, "opening_posts_list", page);
+            await openPostsListWithReadiness(page, {
+              reason: "cycle_open_posts_list"
+            });
+          }
+          console.log("[BUMP] On posts list page");
+          await assertAccountNotBanned(page, account, state, { ip });
+        });
 
         await sleep(5000);
 
@@ -4214,7 +4492,12 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
         if (state.stopped) break;
 
         console.log("[BUMP] Checking button state...");
-        const preClickCooldown = await detectBumpCooldown(page);
+        const preClickCooldown = await tracePhase(
+          state.cycleTrace,
+          "cooldown_detection",
+          () => detectBumpCooldown(page),
+          { stage: "before_click" }
+        );
         if (preClickCooldown.hasCooldown) {
           const keepRunning = await handleCooldownWait(preClickCooldown, "before click");
           if (!keepRunning || state.stopped) {
@@ -4228,13 +4511,15 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
           console.log("[BUMP] No cooldown detected; waiting for bump button...");
         }
 
+        const clickSpan = state.cycleTrace?.startSpan("bump_click") || null;
         const bumpButton = await page
-          .waitForSelector("#managePublishAd", {
+          .waitForSelector(getSiteProfile().selectors.bumpButton, {
             visible: true,
             timeout: 15000
           })
           .catch(() => null);
         if (!bumpButton) {
+          clickSpan?.end({ error: "Bump button not found" });
           const retryDelayMs = getConfiguredDelayMs();
           const hint = preClickCooldown?.noButtonHint
             ? ` Hint: ${preClickCooldown.noButtonHint}`
@@ -4254,6 +4539,9 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
             additionalRuntimeMs: getCurrentCycleRuntimeMs()
           });
           const scheduledDelayMs = Number(schedule?.delayMs || retryDelayMs);
+          const evidenceId = await captureWorkerEvidence(page, account, state, "unknown_page_state", {
+            message: `Bump button not found.${hint}`
+          });
           await finalizeCycle(
             createCycleResult({
               ok: false,
@@ -4263,7 +4551,8 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
               metadata: {
                 stage: "bump_button_not_found",
                 reason: retryReason,
-                proxy: proxyLabel
+                proxy: proxyLabel,
+                evidenceId
               }
             })
           );
@@ -4280,6 +4569,7 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
           continue;
         }
 
+        state.cyclePostId = await readBumpPostId(bumpButton);
         console.log("[BUMP] Clicking Bump to Top...");
         await Promise.all([
           page
@@ -4296,9 +4586,15 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
           bumpButton.click()
         ]);
         await sleep(2000);
+        clickSpan?.end();
         console.log("[BUMP] Bump button clicked");
 
-        const popupCooldown = await detectCooldownPopup(page);
+        const popupCooldown = await tracePhase(
+          state.cycleTrace,
+          "cooldown_detection",
+          () => detectCooldownPopup(page),
+          { stage: "popup_after_click" }
+        );
         if (popupCooldown.hasCooldown) {
           console.log("[BUMP] Cooldown popup detected after click attempt.");
           if (!popupCooldown.clickedOk) {
@@ -4330,7 +4626,12 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
           continue;
         }
 
-        const postClickCooldown = await detectBumpCooldown(page);
+        const postClickCooldown = await tracePhase(
+          state.cycleTrace,
+          "cooldown_detection",
+          () => detectBumpCooldown(page),
+          { stage: "after_click" }
+        );
         if (postClickCooldown.hasCooldown) {
           console.log("[BUMP] Cooldown detected after click attempt.");
           await page
@@ -4446,6 +4747,14 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
           additionalRuntimeMs: getCurrentCycleRuntimeMs()
         });
         const scheduledDelayMs = Number(schedule?.delayMs || retryDelayMs);
+        const evidenceReason = hitNavigationTimeout
+          ? "navigation_timeout"
+          : isUnknownPageStateError(error)
+            ? "unknown_page_state"
+            : null;
+        const evidenceId = evidenceReason
+          ? await captureWorkerEvidence(page, account, state, evidenceReason, error)
+          : null;
         await finalizeCycle(
           createCycleResult({
             ok: false,
@@ -4459,7 +4768,8 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
               consecutiveNavigationTimeouts: Number(
                 state.consecutiveNavigationTimeouts || 0
               ),
-              proxy: proxyLabel
+              proxy: proxyLabel,
+              evidenceId
             }
           })
         );
@@ -4486,6 +4796,8 @@ async function startBumpLoop(page, account, state = { stopped: false }, options
     stopBumpWatchdog();
     clearScheduledNextBump();
     clearStateTimeout(state, "scheduledWaitTimer");
+    finishCycleTrace();
+    await releaseBudgetReservation();
   }
 
   if (!state.stopped) {
@@ -4603,9 +4915,12 @@ async function startWorker(account, options = {}) {
     stallRecoveryAttempts: Number(existingRuntime?.stallRecoveryAttempts || 0),
     waitingForRecovery: Boolean(existingRuntime?.waitingForRecovery),
     previousCycleFailed: false,
-    recoveryTriggered: false
+    recoveryTriggered: false,
+    phaseTimings: existingRuntime?.phaseTimings || {},
+    cycleTrace: null
   };
   let browser = null;
+  let startupTrace = null;
   let page = null;
   let browserClosed = false;
   let exitNotified = false;
@@ -4690,10 +5005,19 @@ async function startWorker(account, options = {}) {
     state.recoveryTriggered = true;
     state.waitingForRecovery = true;
     clearStateTimeout(state, "scheduledWaitTimer");
-    await closeBrowser();
-    await notifyExit(
-      createWorkerError("stalled", String(reason || `Worker stalled for ${account.email}`))
+    const stallError = createWorkerError(
+      "stalled",
+      String(reason || `Worker stalled for ${account.email}`)
+    );
+    stallError.evidenceId = await captureWorkerEvidence(
+      page,
+      account,
+      state,
+      "worker_failure",
+      stallError
     );
+    await closeBrowser();
+    await notifyExit(stallError);
   };
 
   const startWorkerWatchdog = () => {
@@ -4806,7 +5130,7 @@ async function startWorker(account, options = {}) {
     };
 
     state.workerWatchdogTimer = setInterval(() => {
-      tick().catch((error) => {
+      runWithStatusContext({ actor: "watchdog" }, tick).catch((error) => {
         console.error("[WATCHDOG] Tick failed:", error.message);
       });
     }, WORKER_WATCHDOG_INTERVAL_MS);
@@ -4942,9 +5266,11 @@ async function startWorker(account, options = {}) {
       setWorkerStep(state, "opening_posts_list", page);
 
       if (!isPostsListUrl(page.url())) {
-        await openPostsListWithReadiness(page, {
-          reason: "begin_bump_loop"
-        });
+        await tracePhase(startupTrace, "posts_list_ready", () =>
+          openPostsListWithReadiness(page, {
+            reason: "begin_bump_loop"
+          })
+        );
       }
 
       if (!isPostsListUrl(page.url())) {
@@ -5003,18 +5329,24 @@ async function startWorker(account, options = {}) {
       }).catch(() => null);
     }
 
-    state.loopPromise = startBumpLoop(page, account, state, { ip })
+    state.loopPromise = runWithoutOperation(() => startBumpLoop(page, account, state, { ip }))
       .catch(async (error) => {
         if (!state.stopped) {
           setWorkerStep(state, "bump_loop_error", page);
           console.error(`[BUMP] Loop crashed for ${account.email}:`, error.message);
-          await notifyExit(
-            createWorkerError(
-              inferWorkerErrorType(error?.message),
-              `Bump loop crashed: ${error.message || "Unknown bump loop error"}`,
-              error
-            )
+          const loopError = createWorkerError(
+            inferWorkerErrorType(error?.message),
+            `Bump loop crashed: ${error.message || "Unknown bump loop error"}`,
+            error
+          );
+          loopError.evidenceId = await captureWorkerEvidence(
+            page,
+            account,
+            state,
+            "worker_failure",
+            loopError
           );
+          await notifyExit(loopError);
         }
       })
       .finally(async () => {
@@ -5034,9 +5366,22 @@ async function startWorker(account, options = {}) {
       });
   };
 
+  // Startup phases share one trace; it closes once the bump loop is running,
+  // or when login stops to wait for a verification code.
+  const finishStartupTrace = (options = {}) => {
+    const trace = startupTrace;
+    startupTrace = null;
+    finishWorkerTrace(state, trace, options);
+  };
+
   try {
     state.currentStatus = "starting";
     setWorkerStep(state, "starting_worker", page);
+    startupTrace = startTrace("worker_start", {
+      "account.id": state.accountId,
+      "tenant.id": state.userId,
+      selfTest: selfTestMode
+    });
     await updateStatus(account._id, "starting", {
       ip,
       email: account.email
@@ -5046,9 +5391,10 @@ async function startWorker(account, options = {}) {
     }).catch(() => null);
 
     try {
-      const launched = await launchStealthBrowser(account);
+      const launched = await tracePhase(startupTrace, "launch", () => launchStealthBrowser(account));
       browser = launched.browser;
       page = launched.page;
+      state.consoleErrors = trackConsoleErrors(page);
       setWorkerStep(state, "browser_launched", page);
       startWorkerHeartbeat(account, state, page);
       startWorkerWatchdog();
@@ -5091,18 +5437,36 @@ async function startWorker(account, options = {}) {
       }
     };
 
+    const checkpointHandle = async () => {
+      if (page && !page.isClosed() && loggedIn) {
+        await saveCookies(page, account).catch((error) => {
+          console.warn(
+            `[COOKIES] Save failed during drain for ${account.email}: ${error.message}`
+          );
+        });
+      }
+      return {
+        nextBumpAtMs: Number.isFinite(state.nextBumpAtMs) ? state.nextBumpAtMs : null
+      };
+    };
+    const isCycleActiveHandle = () => Boolean(state.cycleActive);
+
     if (selfTestMode) {
       console.log(
         `[BUMP][SELF-TEST] Login/cookie flow skipped for ${account.email}`
       );
       await beginBumpLoop();
+      finishStartupTrace();
 
       return {
         stop: stopHandle,
-        requestReschedule: requestRescheduleHandle
+        requestReschedule: requestRescheduleHandle,
+        checkpoint: checkpointHandle,
+        isCycleActive: isCycleActiveHandle
       };
     }
 
+    const cookieSpan = startupTrace.startSpan("cookie_load");
     const loadedCookies = await loadCookies(page, account);
     if (loadedCookies) {
       setWorkerStep(state, "validating_cookie_session", page);
@@ -5116,11 +5480,16 @@ async function startWorker(account, options = {}) {
         console.log(`[LOGIN] Cookies expired for ${account.email}, doing full login`);
       }
     }
+    cookieSpan.end({ attributes: { loaded: Boolean(loadedCookies), sessionRestored: loggedIn } });
 
     if (!loggedIn) {
       setWorkerStep(state, "performing_full_login", page);
       console.log(`[LOGIN] Full login required for ${account.email}`);
+      const loginSpan = startupTrace.startSpan("login");
       const loginResult = await performFullLogin(page, account, verificationHooks);
+      loginSpan.end({
+        attributes: { result: loginResult === true ? "logged_in" : String(loginResult || "failed") }
+      });
 
       if (loginResult === "awaiting_verification") {
         awaitingVerification = true;
@@ -5157,12 +5526,15 @@ async function startWorker(account, options = {}) {
     }
 
     if (awaitingVerification) {
+      finishStartupTrace();
       console.log(
         `[VERIFICATION] Waiting for dashboard verification code for ${account.email}`
       );
       return {
         stop: stopHandle,
-        requestReschedule: requestRescheduleHandle
+        requestReschedule: requestRescheduleHandle,
+        checkpoint: checkpointHandle,
+        isCycleActive: isCycleActiveHandle
       };
     }
 
@@ -5178,15 +5550,29 @@ async function startWorker(account, options = {}) {
     }).catch(() => null);
 
     await beginBumpLoop();
+    finishStartupTrace();
 
     return {
       stop: stopHandle,
-      requestReschedule: requestRescheduleHandle
+      requestReschedule: requestRescheduleHandle,
+      checkpoint: checkpointHandle,
+      isCycleActive: isCycleActiveHandle
     };
   } catch (error) {
     const normalizedError = normalizeWorkerError(error);
+    finishStartupTrace({ error: normalizedError.message });
+    // Waiting for a 2FA code is a checkpoint, not a failure worth a snapshot.
+    const evidenceId =
+      getErrorEvidenceId(error) ||
+      (normalizedError.type === "awaiting_2fa"
+        ? null
+        : await captureWorkerEvidence(page, account, state, "worker_failure", error));
+    if (evidenceId && error && typeof error === "object") {
+      error.evidenceId = evidenceId;
+    }
     const loginFailureTypes = new Set(["login_failed", "credentials_invalid"]);
     if (loginFailureTypes.has(normalizedError.type)) {
+      metrics.loginFailuresTotal.inc({ tenant: account.userId, reason: normalizedError.type });
       await logActivity({
         level: "error",
         message: `\u274C Login failed | ${account.email} | reason: ${toShortReason(
@@ -5198,7 +5584,8 @@ async function startWorker(account, options = {}) {
         accountId: account._id,
         metadata: {
           errorType: normalizedError.type,
-          error: normalizedError.message
+          error: normalizedError.message,
+          evidenceId
         }
       }).catch(() => null);
     }
@@ -5247,6 +5634,15 @@ async function clearWorkerRetryState(accountId) {
   });
 }
 
+// Expected end states of a start rather than crashes; login failures are
+// counted where the login is attempted.
+const NON_CRASH_ERROR_TYPES = new Set([
+  "banned",
+  "awaiting_2fa",
+  "login_failed",
+  "credentials_invalid"
+]);
+
 async function handleWorkerFailure(account, error, options = {}) {
   const accountId = normalizeAccountId(account);
   if (!accountId) return;
@@ -5254,7 +5650,11 @@ async function handleWorkerFailure(account, error, options = {}) {
   const ip = options?.ip || "";
   const scopedUserId = normalizeUserId(options?.userId || account?.userId);
   const normalizedError = normalizeWorkerError(error);
+  const evidenceId = getErrorEvidenceId(error);
   const status = mapErrorTypeToStatus(normalizedError.type);
+  console.warn(
+    `[WORKER] Failure account=${accountId} type=${normalizedError.type}${formatOperationTag()}: ${normalizedError.message}`
+  );
   const latest = await Account.findOne(
     scopedUserId
       ? {
@@ -5292,8 +5692,15 @@ async function handleWorkerFailure(account, error, options = {}) {
   deleteRunningWorker(account, { userId: scopedUserId });
   startingLocks.delete(accountId);
 
+  if (!NON_CRASH_ERROR_TYPES.has(normalizedError.type)) {
+    metrics.workerCrashesTotal.inc({
+      tenant: scopedUserId || latest.userId,
+      type: normalizedError.type
+    });
+  }
+
   if (normalizedError.type === "banned") {
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await updateWorkerState(
       accountId,
       {
@@ -5318,7 +5725,7 @@ async function handleWorkerFailure(account, error, options = {}) {
   }
 
   if (normalizedError.type === "awaiting_2fa") {
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await updateWorkerState(
       accountId,
       {
@@ -5345,7 +5752,7 @@ async function handleWorkerFailure(account, error, options = {}) {
     const nextRetryAt = new Date(Date.now() + WORKER_STALL_RECOVERY_DELAY_MS);
 
     if (stallRecoveryAttempts > WORKER_STALL_MAX_RECOVERIES) {
-      clearRetryTimer(accountId);
+      await cancelRetry(accountId);
       await updateWorkerState(
         accountId,
         {
@@ -5375,9 +5782,11 @@ async function handleWorkerFailure(account, error, options = {}) {
         email,
         accountId,
         metadata: {
+          event: "worker_crashed",
           telegram: false,
           errorType: normalizedError.type,
           error: normalizedError.message,
+          evidenceId,
           proxy: proxyLabel,
           stallRecoveryAttempts
         }
@@ -5400,7 +5809,7 @@ async function handleWorkerFailure(account, error, options = {}) {
       return;
     }
 
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await updateWorkerState(
       accountId,
       {
@@ -5415,6 +5824,7 @@ async function handleWorkerFailure(account, error, options = {}) {
       }
     );
     await updateStatus(accountId, "retry_scheduled", { ip, email }).catch(() => null);
+    metrics.recoveriesTotal.inc({ tenant: scopedUserId || latest.userId, kind: "stall" });
     updateRuntime({
       status: "retry_scheduled",
       currentStep: "stall_recovery_scheduled",
@@ -5435,6 +5845,7 @@ async function handleWorkerFailure(account, error, options = {}) {
         telegram: false,
         errorType: normalizedError.type,
         error: normalizedError.message,
+        evidenceId,
         proxy: proxyLabel,
         retryDelayMs: WORKER_STALL_RECOVERY_DELAY_MS
       }
@@ -5443,26 +5854,11 @@ async function handleWorkerFailure(account, error, options = {}) {
       nextDelayMs: WORKER_STALL_RECOVERY_DELAY_MS
     });
 
-    const retryTimer = setTimeout(async () => {
-      retryTimers.delete(accountId);
-      if (isStopRequested(accountId)) return;
-
-      const latestAccount = await Account.findOne(
-        scopedUserId
-          ? {
-              _id: accountId,
-              userId: scopedUserId
-            }
-          : { _id: accountId }
-      );
-      if (!latestAccount || latestAccount.workerState?.blockedReason) {
-        return;
-      }
-
-      await requestStart(latestAccount, { ip, userId: scopedUserId || latest.userId });
-    }, WORKER_STALL_RECOVERY_DELAY_MS);
-
-    retryTimers.set(accountId, retryTimer);
+    await scheduleRetry(accountId, {
+      delayMs: WORKER_STALL_RECOVERY_DELAY_MS,
+      ip,
+      userId: scopedUserId || latest.userId
+    });
     await processQueue();
     return;
   }
@@ -5470,7 +5866,7 @@ async function handleWorkerFailure(account, error, options = {}) {
   if (normalizedError.type === "credentials_invalid") {
     const uiMessage = "Acc Pass Wrong";
     const blockedAt = new Date();
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
 
     await updateWorkerState(
       accountId,
@@ -5517,6 +5913,7 @@ async function handleWorkerFailure(account, error, options = {}) {
       metadata: {
         errorType: normalizedError.type,
         error: normalizedError.message,
+        evidenceId,
         telegram: false
       }
     }).catch(() => null);
@@ -5530,7 +5927,7 @@ async function handleWorkerFailure(account, error, options = {}) {
   const lastErrorAt = new Date();
 
   if (failureCount >= FAILURE_LIMIT) {
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await updateWorkerState(
       accountId,
       {
@@ -5567,10 +5964,12 @@ async function handleWorkerFailure(account, error, options = {}) {
       email,
       accountId,
       metadata: {
+        event: "worker_crashed",
         telegram: false,
         failureCount,
         errorType: normalizedError.type,
         error: normalizedError.message,
+        evidenceId,
         proxy: proxyLabel
       }
     }).catch(() => null);
@@ -5618,7 +6017,7 @@ async function handleWorkerFailure(account, error, options = {}) {
   });
 
   if (!autoRestartEnabled) {
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await updateWorkerState(accountId, {
       nextRetryAt: null
     });
@@ -5635,10 +6034,12 @@ async function handleWorkerFailure(account, error, options = {}) {
       email,
       accountId,
       metadata: {
+        event: "worker_crashed",
         telegram: false,
         failureCount,
         errorType: normalizedError.type,
         error: normalizedError.message,
+        evidenceId,
         proxy: proxyLabel
       }
     }).catch(() => null);
@@ -5669,11 +6070,13 @@ async function handleWorkerFailure(account, error, options = {}) {
     email,
     accountId,
     metadata: {
+      event: "worker_crashed",
       telegram: false,
       failureCount,
       retryDelayMs,
       errorType: normalizedError.type,
       error: normalizedError.message,
+      evidenceId,
       proxy: proxyLabel
     }
   }).catch(() => null);
@@ -5694,27 +6097,11 @@ async function handleWorkerFailure(account, error, options = {}) {
     nextDelayMs: retryDelayMs
   });
 
-  clearRetryTimer(accountId);
-  const retryTimer = setTimeout(async () => {
-    retryTimers.delete(accountId);
-    if (isStopRequested(accountId)) return;
-
-    const latestAccount = await Account.findOne(
-      scopedUserId
-        ? {
-            _id: accountId,
-            userId: scopedUserId
-          }
-        : { _id: accountId }
-    );
-    if (!latestAccount || latestAccount.workerState?.blockedReason) {
-      return;
-    }
-
-    await requestStart(latestAccount, { ip, userId: scopedUserId });
-  }, retryDelayMs);
-
-  retryTimers.set(accountId, retryTimer);
+  await scheduleRetry(accountId, {
+    delayMs: retryDelayMs,
+    ip,
+    userId: scopedUserId || latest.userId
+  });
   await processQueue();
 }
 
@@ -5726,8 +6113,13 @@ async function handleWorkerExit(accountId, account, error, options = {}) {
 
   deleteRunningWorker(account || key, { userId: scopedUserId });
 
+  // Drained accounts already have their resume job queued elsewhere.
+  if (drainingAccounts.has(key) || handingOffAccounts.has(key)) {
+    return;
+  }
+
   if (isStopRequested(key)) {
-    clearRetryTimer(key);
+    await cancelRetry(key);
     clearStopRequest(key);
     await updateWorkerState(
       key,
@@ -5784,6 +6176,7 @@ async function startAccountInternal(account, options = {}) {
   }
 
   startingLocks.add(accountId);
+  admissionController.recordAdmission("admitted");
   let startConfirmed = false;
 
   try {
@@ -5875,7 +6268,7 @@ async function startAccountInternal(account, options = {}) {
         message:
           deferredSchedule.decision === "blocked_by_daily_runtime_cap"
             ? `Start deferred by daily runtime cap: ${account.email} | next ${deferredSchedule.adjustedNextRunAtIso}`
-            : `Start deferred outside runtime window: ${account.email} | window ${account.runtimeWindow || "n/a"} | next ${deferredSchedule.adjustedNextRunAtIso}`,
+            : `Start deferred outside runtime window: ${account.email} | window ${(account.runtimeWindows?.length ? account.runtimeWindows.join(",") : account.runtimeWindow) || "n/a"} | next ${deferredSchedule.adjustedNextRunAtIso}`,
         ip,
         email: account.email,
         accountId,
@@ -5899,16 +6292,18 @@ async function startAccountInternal(account, options = {}) {
       email: account.email
     }).catch(() => null);
 
-    const worker = await startWorker(account, {
-      ip,
-      onExit: async (exitError) => {
-        if (!startConfirmed) return;
-        await handleWorkerExit(accountId, account, exitError, {
-          ip,
-          userId: scopedUserId
-        });
-      }
-    });
+    const worker = await runWithStatusContext({ actor: "worker" }, () =>
+      startWorker(account, {
+        ip,
+        onExit: async (exitError) => {
+          if (!startConfirmed) return;
+          await handleWorkerExit(accountId, account, exitError, {
+            ip,
+            userId: scopedUserId
+          });
+        }
+      })
+    );
 
     startConfirmed = true;
 
@@ -5929,7 +6324,7 @@ async function startAccountInternal(account, options = {}) {
       status: "starting",
       ip
     });
-    clearRetryTimer(accountId);
+    await cancelRetry(accountId);
     await clearWorkerRetryState(accountId);
     await logActivity({
       level: "info",
@@ -5949,49 +6344,101 @@ async function startAccountInternal(account, options = {}) {
   }
 }
 
-async function processQueue() {
-  if (queueProcessing) return;
-  queueProcessing = true;
+async function claimAccountForNode(account) {
+  const accountId = normalizeAccountId(account);
+  const claim = await workerRegistry.claimAccount(accountId).catch((error) => {
+    console.error(`[WORKER] Failed to claim ${accountId}:`, error.message);
+    return { claimed: false, ownerNodeId: null };
+  });
+  if (!claim.claimed && claim.ownerNodeId) {
+    console.warn(
+      `[WORKER] ${account?.email || accountId} is owned by node ${claim.ownerNodeId}; skipping start on ${workerRegistry.WORKER_NODE_ID}`
+    );
+  }
+  return claim;
+}
+
+async function runLeasedJob(job) {
+  const accountId = normalizeAccountId(String(job?.accountId || ""));
+  const userId = normalizeUserId(job?.userId);
+  queuedAccounts.delete(buildWorkerKey(userId, accountId));
+  queuedAccounts.delete(accountId);
+
+  const leaseRenewTimer = setInterval(() => {
+    startJobQueue.renewJobLease(job).catch(() => null);
+  }, Math.floor(startJobQueue.JOB_LEASE_MS / 3));
+  if (typeof leaseRenewTimer.unref === "function") {
+    leaseRenewTimer.unref();
+  }
 
   try {
-    while (getActiveWorkerCount() < MAX_CONCURRENCY && startQueue.length > 0) {
-      const next = startQueue.shift();
-      if (!next?.accountId) continue;
+    if (!accountId) return;
+    if (hasRunningWorker(accountId, { userId }) || startingLocks.has(accountId)) {
+      return;
+    }
+    if (isStopRequested(accountId)) {
+      return;
+    }
 
-      queuedAccounts.delete(next.queueKey || next.accountId);
+    const account = await Account.findOne(
+      userId
+        ? {
+            _id: accountId,
+            userId
+          }
+        : { _id: accountId }
+    );
+    if (!account || account.workerState?.blockedReason) {
+      return;
+    }
 
-      if (
-        hasRunningWorker(next.accountId, { userId: next.userId }) ||
-        startingLocks.has(next.accountId)
-      ) {
-        continue;
+    const claim = await claimAccountForNode(account);
+    if (!claim.claimed) {
+      if (claim.ownerNodeId) {
+        await startJobQueue.handoffJob(job, claim.ownerNodeId);
       }
+      return;
+    }
 
-      if (isStopRequested(next.accountId)) {
-        continue;
-      }
+    if (job.type === "retry") {
+      await requestStart(account, {
+        ip: job.ip,
+        userId: userId || account.userId,
+        leasedJob: job
+      });
+      return;
+    }
 
-      const account = await Account.findOne(
-        next.userId
-          ? {
-              _id: next.accountId,
-              userId: next.userId
-            }
-          : { _id: next.accountId }
-      );
-      if (!account) {
-        continue;
-      }
+    await startAccountInternal(account, {
+      ip: job.ip,
+      userId: userId || account.userId
+    });
+  } finally {
+    clearInterval(leaseRenewTimer);
+    await startJobQueue.completeJob(job).catch(() => null);
+  }
+}
 
-      if (account.workerState?.blockedReason) {
-        continue;
-      }
+async function processQueue() {
+  if (queueProcessing || drainState) return;
+  queueProcessing = true;
 
-      await startAccountInternal(account, {
-        ip: next.ip,
-        userId: next.userId || account.userId
-      });
+  try {
+    while (admissionController.canAdmit(getActiveWorkerCount())) {
+      const job = await startJobQueue.leaseNextJob();
+      if (!job) break;
+      await runWithOperation(job.operationId, () =>
+        runWithStatusContext(
+          {
+            actor: "system",
+            reason: job.type === "retry" ? "retry_scheduled_start" : "queued_start"
+          },
+          () => runLeasedJob(job)
+        )
+      );
     }
+  } catch (error) {
+    console.error("[QUEUE] Failed to process start queue:", error.message);
   } finally {
     queueProcessing = false;
   }
@@ -6009,8 +6456,9 @@ async function requestStart(accountOrId, options = {}) {
     return;
   }
 
+  const leasedJob = options?.leasedJob || null;
   const queueKey = buildWorkerKey(scopedUserId, accountId);
-  if (queuedAccounts.has(queueKey) || queuedAccounts.has(accountId)) {
+  if (!leasedJob && (queuedAccounts.has(queueKey) || queuedAccounts.has(accountId))) {
     return;
   }
 
@@ -6046,15 +6494,29 @@ async function requestStart(accountOrId, options = {}) {
   if (scopedUserId && accountUserId && scopedUserId !== accountUserId) {
     return;
   }
+  if (options?.strictStatus) {
+    assertStatusTransition(account.status, "starting");
+  }
   if (account.workerState?.blockedReason) return;
   if (String(account.status || "").toLowerCase() === "banned") {
     console.warn(`[WORKER] Start skipped for banned account: ${account.email}`);
     return;
   }
+  if (drainState) {
+    await queueStart(accountId, {
+      ip: options?.ip || "",
+      userId: accountUserId,
+      priority: options?.priority,
+      nodeId: null
+    });
+    return;
+  }
+  if (!(await claimAccountForNode(account)).claimed) return;
 
   const shouldResetRuntimeFields = Boolean(options?.resetRuntimeFields);
   const startStatePatch = {
     status: "starting",
+    pausedUntil: null,
     waitingUntil: null,
     nextBumpAt: null,
     nextScheduledStart: null,
@@ -6102,7 +6564,8 @@ async function requestStart(accountOrId, options = {}) {
 
   emitAccountUpdate(account, startPatch);
 
-  if (getActiveWorkerCount() >= MAX_CONCURRENCY) {
+  if (!admissionController.canAdmit(getActiveWorkerCount())) {
+    admissionController.recordAdmission("deferred");
     updateRuntimeRegistryEntry(
       {
         _id: accountId,
@@ -6118,20 +6581,90 @@ async function requestStart(accountOrId, options = {}) {
         userId: accountUserId
       }
     );
-    queueStart(accountId, {
+    await queueStart(accountId, {
       ip: options?.ip || "",
-      userId: accountUserId
+      userId: accountUserId,
+      priority: options?.priority
     });
     return;
   }
 
-  removeFromQueue(accountId, { userId: accountUserId });
+  if (!leasedJob) {
+    await removeFromQueue(accountId, { userId: accountUserId });
+  }
   await startAccountInternal(account, {
     ...options,
     userId: accountUserId
   });
 }
 
+// Timed pauses end here rather than in their own loop so an expired pause is
+// picked up on the same cadence as every other overdue account. Every node
+// scans the same accounts, so each expiry is claimed atomically and only the
+// node that cleared pausedUntil resumes and logs it.
+async function resumeExpiredTimedPauses(now) {
+  const expiredFilter = {
+    status: "paused",
+    pausedUntil: { $ne: null, $lte: now }
+  };
+  const candidates = await Account.find(expiredFilter).select("_id").lean();
+
+  for (const candidate of candidates) {
+    const account = await Account.findOneAndUpdate(
+      { ...expiredFilter, _id: candidate._id },
+      { $set: { pausedUntil: null } },
+      { new: false }
+    )
+      .select("_id email userId status pausedUntil workerState")
+      .lean()
+      .catch(() => null);
+    if (!account) continue;
+
+    const accountId = normalizeAccountId(account);
+    const userId = normalizeUserId(account?.userId);
+    if (!accountId || account?.workerState?.blockedReason) continue;
+
+    try {
+      await runWithStatusContext({ reason: "timed_pause_expired" }, async () => {
+        await requestStart(account, {
+          userId,
+          resetRuntimeFields: true,
+          emitPendingConnectionTest: false
+        });
+        await Account.updateOne(
+          { _id: accountId, status: { $in: ["paused", "starting"] } },
+          { $set: { status: "running" } }
+        );
+      });
+      emitAccountUpdate(account, { status: "running", pausedUntil: null }, {}, userId);
+
+      console.log(`[RECOVERY] Timed pause ended for ${account.email || accountId}`);
+      metrics.recoveriesTotal.inc({ tenant: userId, kind: "timed_pause" });
+      await logActivity({
+        level: "info",
+        message: `Timed pause ended, resumed account: ${account.email || accountId}`,
+        email: account.email,
+        accountId,
+        userId,
+        metadata: {
+          reason: "timed_pause_expired",
+          pausedUntil: account.pausedUntil
+        }
+      }).catch(() => null);
+    } catch (error) {
+      console.error(
+        `[RECOVERY] Failed to resume ${account?.email || accountId} after timed pause:`,
+        error.message
+      );
+      // Hand the expiry back so the next recovery pass retries it.
+      await Account.updateOne(
+        { _id: accountId, status: "paused", pausedUntil: null },
+        { $set: { pausedUntil: account.pausedUntil } }
+      ).catch(() => null);
+    }
+  }
+}
+
 async function recoverOverdueAccounts() {
   if (recoveryInProgress) {
     return;
@@ -6143,6 +6676,10 @@ async function recoverOverdueAccounts() {
     const now = new Date(nowMs);
     const staleStartCutoff = new Date(nowMs - STALE_START_RECOVERY_MS);
 
+    await resumeExpiredTimedPauses(now).catch((error) => {
+      console.error("[RECOVERY] Timed pause resume failed:", error.message);
+    });
+
     const candidates = await Account.find({
       $or: [
         {
@@ -6170,6 +6707,9 @@ async function recoverOverdueAccounts() {
     })
       .select("_id email userId status nextBumpAt waitingUntil updatedAt workerState")
       .lean();
+    const jobAccountIds = new Set(
+      (await startJobQueue.listJobs()).map((job) => String(job.accountId))
+    );
 
     for (const account of candidates) {
       const accountId = normalizeAccountId(account);
@@ -6183,7 +6723,11 @@ async function recoverOverdueAccounts() {
       if (isStopRequested(accountId)) continue;
 
       const queueKey = buildWorkerKey(userId, accountId);
-      if (queuedAccounts.has(queueKey) || queuedAccounts.has(accountId)) {
+      if (
+        queuedAccounts.has(queueKey) ||
+        queuedAccounts.has(accountId) ||
+        jobAccountIds.has(accountId)
+      ) {
         continue;
       }
 
@@ -6198,6 +6742,10 @@ async function recoverOverdueAccounts() {
       console.log(
         `[RECOVERY] Re-queueing ${account?.email || accountId} (${reason})`
       );
+      metrics.recoveriesTotal.inc({
+        tenant: userId,
+        kind: reason === "stale startup status" ? "stale_start" : "overdue"
+      });
       requestStart(account, { userId }).catch((startError) => {
         console.error(
           `[RECOVERY] Failed to re-queue ${account?.email || accountId}:`,
@@ -6229,12 +6777,15 @@ async function requestStop(accountId, options = {}) {
         }
       : { _id: key }
   )
-    .select("email userId")
+    .select("email userId status")
     .lean()
     .catch(() => null);
   if (scopedUserId && !latestAccount && !runningEntry) {
     return;
   }
+  if (options?.strictStatus && latestAccount) {
+    assertStatusTransition(latestAccount.status, "stopped");
+  }
   const effectiveUserId = normalizeUserId(latestAccount?.userId || scopedUserId);
   const email = latestAccount?.email || String(options?.email || key);
   const stopReason = String(options?.reason || "").trim();
@@ -6245,8 +6796,9 @@ async function requestStop(accountId, options = {}) {
       : 0;
   const forceClearStopRequest = Boolean(options?.forceClearStopRequest);
   stopRequests.add(key);
-  removeFromQueue(key, { userId: effectiveUserId });
-  clearRetryTimer(key);
+  if (!options?.preserveJobs) {
+    await removeFromQueue(key, { userId: effectiveUserId });
+  }
 
   if (runningEntry?.entry?.worker) {
     const stopPromise = stopWorker(runningEntry.entry.worker).catch(() => null);
@@ -6558,6 +7110,7 @@ async function restartAccount(accountOrId, options = {}) {
       email,
       accountId,
       metadata: {
+        event: "worker_crashed",
         error: message
       }
     }).catch(() => null);
@@ -6576,44 +7129,39 @@ async function startAll(accounts = []) {
 
 async function stopAll(options = {}) {
   const scopedUserId = normalizeUserId(options?.userId);
-  let retryAccountIds = Array.from(retryTimers.keys());
+  // Process shutdown keeps persisted jobs so the next worker resumes them.
+  const preserveJobs = Boolean(options?.preserveJobs);
   let startingAccountIds = Array.from(startingLocks.values());
 
   if (scopedUserId) {
-    const candidateIds = Array.from(new Set([...retryAccountIds, ...startingAccountIds]));
-    if (candidateIds.length > 0) {
+    if (startingAccountIds.length > 0) {
       const scopedRows = await Account.find({
-        _id: { $in: candidateIds },
+        _id: { $in: startingAccountIds },
         userId: scopedUserId
       })
         .select("_id")
         .lean();
       const scopedSet = new Set(scopedRows.map((row) => String(row._id)));
-      retryAccountIds = retryAccountIds.filter((id) => scopedSet.has(String(id)));
       startingAccountIds = startingAccountIds.filter((id) => scopedSet.has(String(id)));
-    } else {
-      retryAccountIds = [];
-      startingAccountIds = [];
     }
   }
 
+  const jobs = preserveJobs
+    ? []
+    : await startJobQueue.listJobs({ userId: scopedUserId, localOnly: true });
   const allIds = new Set([
     ...getRunningAccountIds({ userId: scopedUserId }),
-    ...startQueue
-      .filter((item) => !scopedUserId || normalizeUserId(item?.userId) === scopedUserId)
-      .map((item) => String(item?.accountId || "")),
-    ...retryAccountIds,
+    ...jobs.map((job) => String(job?.accountId || "")),
     ...startingAccountIds
   ]);
 
-  for (let index = startQueue.length - 1; index >= 0; index -= 1) {
-    const item = startQueue[index];
-    if (!item) continue;
-    if (scopedUserId && normalizeUserId(item.userId) !== scopedUserId) {
-      continue;
+  if (!preserveJobs) {
+    await startJobQueue.removeJobs("", { userId: scopedUserId, localOnly: true });
+    for (const queueKey of Array.from(queuedAccounts)) {
+      if (!scopedUserId || parseUserIdFromWorkerKey(queueKey) === scopedUserId) {
+        queuedAccounts.delete(queueKey);
+      }
     }
-    startQueue.splice(index, 1);
-    queuedAccounts.delete(item.queueKey || item.accountId);
   }
 
   await Promise.all(
@@ -6621,7 +7169,8 @@ async function stopAll(options = {}) {
       .filter(Boolean)
       .map((accountId) =>
         requestStop(accountId, {
-          userId: scopedUserId
+          userId: scopedUserId,
+          preserveJobs
         })
       )
   );
@@ -6632,8 +7181,7 @@ async function resetRetry(accountId, options = {}) {
   if (!key) return null;
   const scopedUserId = normalizeUserId(options?.userId);
 
-  clearRetryTimer(key);
-  removeFromQueue(key, { userId: scopedUserId });
+  await removeFromQueue(key, { userId: scopedUserId });
 
   const account = await Account.findOne(
     scopedUserId
@@ -6686,21 +7234,260 @@ async function resetRetry(accountId, options = {}) {
   });
 }
 
-function getWorkerStatus(options = {}) {
+async function getWorkerStatus(options = {}) {
   const scopedUserId = normalizeUserId(options?.userId);
   const runningAccounts = getRunningAccountIds({ userId: scopedUserId });
-  const queued =
-    scopedUserId
-      ? startQueue.filter((item) => normalizeUserId(item?.userId) === scopedUserId).length
-      : startQueue.length;
+  // Unassigned jobs are visible to every node; the gateway adds them once.
+  const { queued, retryScheduled } = await startJobQueue
+    .countJobs({ userId: scopedUserId, ownedOnly: true })
+    .catch(() => ({ queued: 0, retryScheduled: 0 }));
   return {
+    nodeId: workerRegistry.WORKER_NODE_ID,
     running: runningAccounts.length,
     queued,
-    maxConcurrency: MAX_CONCURRENCY,
-    runningAccounts
+    retryScheduled,
+    maxConcurrency: admissionController.getAdmissionCapacity(getActiveWorkerCount()),
+    runningAccounts,
+    admission: admissionController.getAdmissionSnapshot(getActiveWorkerCount()),
+    draining: isWorkerDraining(),
+    drain: getDrainStatus()
   };
 }
 
+async function collectWorkerMetrics() {
+  const browsersByTenant = new Map();
+  for (const [key, entry] of runningWorkers.entries()) {
+    const tenant = normalizeUserId(entry?.userId || parseUserIdFromWorkerKey(key));
+    browsersByTenant.set(tenant, (browsersByTenant.get(tenant) || 0) + 1);
+  }
+  metrics.runningBrowsers.reset();
+  for (const [tenant, count] of browsersByTenant) {
+    metrics.runningBrowsers.set({ tenant }, count);
+  }
+
+  // Skip the queue gauges rather than stall the scrape behind mongoose buffering.
+  if (Account.db.readyState !== 1) return;
+  const { queued, retryScheduled } = await startJobQueue.countJobs({ localOnly: true });
+  metrics.startQueueJobs.set({ state: "queued" }, queued);
+  metrics.startQueueJobs.set({ state: "retry_scheduled" }, retryScheduled);
+}
+
+metrics.registerCollector(collectWorkerMetrics);
+
+function isWorkerDraining() {
+  return Boolean(drainState);
+}
+
+function getDrainStatus() {
+  return drainState ? { ...drainState } : null;
+}
+
+function hasDrainBlockers() {
+  if (startingLocks.size > 0) return true;
+  for (const entry of runningWorkers.values()) {
+    if (entry?.worker?.isCycleActive?.()) return true;
+  }
+  return false;
+}
+
+// Checkpoints a running account, closes its browser and queues its resume at
+// the saved next bump time on any node. Shared by drain and resource recycling;
+// the caller's reason ends up in the status history and activity log.
+async function handOffAccount(accountId, options = {}) {
+  const ref = getRunningWorkerEntry(accountId, { userId: options.userId });
+  if (!ref?.entry) return null;
+  const key = String(ref.entry.accountId || parseAccountIdFromWorkerKey(ref.key));
+  const userId = normalizeUserId(ref.entry.userId || parseUserIdFromWorkerKey(ref.key));
+  const reason = String(options.reason || "handoff");
+  handingOffAccounts.add(key);
+
+  try {
+    const checkpoint = await ref.entry.worker?.checkpoint?.().catch(() => null);
+    await stopWorker(ref.entry.worker).catch((error) => {
+      console.warn(`[HANDOFF] Stop failed for ${key} (${reason}): ${error.message}`);
+    });
+    deleteRunningWorker(key, { userId, nextStatus: "restarting" });
+
+    const account = await Account.findById(key)
+      .select("_id email userId nextBumpAt")
+      .lean();
+    if (!account) return null;
+
+    const nowMs = Date.now();
+    const scheduledMs =
+      checkpoint?.nextBumpAtMs || new Date(account.nextBumpAt || nowMs).valueOf();
+    const resumeAt = new Date(Math.max(nowMs, Number(scheduledMs) || nowMs));
+
+    await runWithStatusContext({ actor: "system", reason }, async () => {
+      await updateWorkerState(
+        key,
+        {
+          nodeId: null,
+          resumeAt,
+          ...(options.workerState || {})
+        },
+        {
+          status: "restarting",
+          nextBumpAt: resumeAt
+        }
+      );
+      await updateStatus(key, "restarting", { email: account.email }).catch(() => null);
+    });
+    await startJobQueue.enqueueJob(key, {
+      type: "start",
+      userId,
+      notBefore: resumeAt,
+      nodeId: null
+    });
+
+    logActivity({
+      level: "info",
+      message: `${options.label || "Worker handed off"} | ${account.email} | resumes ${resumeAt.toISOString()}`,
+      email: account.email,
+      accountId: key,
+      metadata: {
+        nodeId: workerRegistry.WORKER_NODE_ID,
+        reason,
+        resumeAt
+      }
+    }).catch(() => null);
+
+    return {
+      accountId: key,
+      email: account.email,
+      resumeAt
+    };
+  } finally {
+    handingOffAccounts.delete(key);
+  }
+}
+
+async function handOffDrainedAccount(key, entry) {
+  const accountId = String(entry?.accountId || parseAccountIdFromWorkerKey(key));
+  drainingAccounts.add(accountId);
+
+  try {
+    return await handOffAccount(accountId, {
+      userId: normalizeUserId(entry?.userId || parseUserIdFromWorkerKey(key)),
+      reason: "worker_drain",
+      label: "Worker drained",
+      workerState: { drainedAt: new Date() }
+    });
+  } finally {
+    drainingAccounts.delete(accountId);
+  }
+}
+
+// Under resource pressure the idle worker with the most time left before its
+// next bump gives back its browser; it resumes through the queue later.
+async function recycleIdleWorker() {
+  const minIdleUntil = Date.now() + RECYCLE_MIN_IDLE_MS;
+  let candidate = null;
+  let candidateNextAt = 0;
+
+  for (const [key, entry] of runningWorkers.entries()) {
+    if (entry?.worker?.isCycleActive?.() !== false) continue;
+    const nextAt = new Date(accountRuntimeRegistry.get(key)?.nextScheduledAt || 0).valueOf() || 0;
+    if (nextAt > minIdleUntil && nextAt > candidateNextAt) {
+      candidate = [key, entry];
+      candidateNextAt = nextAt;
+    }
+  }
+  if (!candidate) return null;
+
+  const [key, entry] = candidate;
+  const handedOff = await handOffAccount(entry?.accountId || parseAccountIdFromWorkerKey(key), {
+    userId: entry?.userId || parseUserIdFromWorkerKey(key),
+    reason: "resource_recycle",
+    label: "Browser recycled"
+  });
+  if (handedOff) {
+    admissionController.recordAdmission("recycled");
+    console.log(
+      `[ADMISSION] Recycled ${handedOff.email} until ${handedOff.resumeAt.toISOString()}`
+    );
+  }
+  return handedOff;
+}
+
+function startAdmissionMonitor() {
+  admissionController.startAdmissionSampler(getActiveWorkerCount, (snapshot) => {
+    if (drainState) return;
+    if (snapshot.decision === "recycle") {
+      recycleIdleWorker().catch((error) => {
+        console.error("[ADMISSION] Recycle failed:", error.message);
+      });
+    } else if (snapshot.decision === "admit") {
+      processQueue().catch(() => null);
+    }
+  });
+}
+
+// Stops admitting starts, lets in-flight bump cycles finish until the
+// deadline, then checkpoints every running account and queues its resume on
+// whichever node is free.
+function drain(options = {}) {
+  if (drainPromise) return drainPromise;
+
+  const parsedDeadline = Number(options?.deadlineMs);
+  const deadlineMs =
+    Number.isFinite(parsedDeadline) && parsedDeadline >= 0
+      ? Math.floor(parsedDeadline)
+      : WORKER_DRAIN_DEADLINE_MS;
+  const startedAt = Date.now();
+  drainState = {
+    phase: "waiting",
+    startedAt: new Date(startedAt),
+    deadlineAt: new Date(startedAt + deadlineMs),
+    completedAt: null,
+    handedOff: 0,
+    interrupted: 0
+  };
+  console.log(`[DRAIN] Draining node ${workerRegistry.WORKER_NODE_ID} (deadline ${deadlineMs}ms)`);
+
+  drainPromise = (async () => {
+    while (hasDrainBlockers() && Date.now() - startedAt < deadlineMs) {
+      await sleep(500);
+    }
+
+    drainState.phase = "handing_off";
+    const entries = Array.from(runningWorkers.entries());
+    drainState.interrupted = entries.filter(([, entry]) =>
+      entry?.worker?.isCycleActive?.()
+    ).length;
+
+    const accounts = [];
+    for (const [key, entry] of entries) {
+      try {
+        const handedOff = await handOffDrainedAccount(key, entry);
+        if (handedOff) accounts.push(handedOff);
+      } catch (error) {
+        console.error(`[DRAIN] Hand-off failed for ${key}:`, error.message);
+      }
+    }
+
+    const released = await startJobQueue
+      .releaseNodeJobs(workerRegistry.WORKER_NODE_ID)
+      .catch(() => 0);
+    Object.assign(drainState, {
+      phase: "drained",
+      completedAt: new Date(),
+      handedOff: accounts.length
+    });
+    console.log(
+      `[DRAIN] Node ${workerRegistry.WORKER_NODE_ID} drained: ${accounts.length} handed off, ${released} queued jobs released`
+    );
+
+    return {
+      ...drainState,
+      released,
+      accounts
+    };
+  })();
+
+  return drainPromise;
+}
+
 // ========================================
 // Device Verification Functions
 // ========================================
@@ -6727,7 +7514,7 @@ async function submitVerificationCode(accountId, verificationCode) {
     console.log(`[VERIFICATION] Submitting code for ${email}`);
 
     await page
-      .evaluate(() => {
+      .evaluate((okTexts) => {
         const normalize = (value) =>
           String(value || "")
             .replace(/\s+/g, " ")
@@ -6736,25 +7523,25 @@ async function submitVerificationCode(accountId, verificationCode) {
         const buttons = Array.from(
           document.querySelectorAll("button[type='button'], button, [role='button']")
         );
-        const okButton = buttons.find((node) => normalize(node.textContent) === "ok");
+        const okButton = buttons.find((node) => okTexts.includes(normalize(node.textContent)));
         if (okButton) {
           okButton.click();
           return true;
         }
         return false;
-      })
+      }, getSiteProfile().text.okButtons)
       .catch(() => false);
 
-    await page.waitForSelector("#verificationCode", {
+    await page.waitForSelector(getSiteProfile().selectors.verificationCode, {
       visible: true,
       timeout: 15000
     });
     console.log("[VERIFICATION] Verification input detected");
 
-    const codeInput =
-      (await page.$("#verificationCode")) ||
-      (await page.$("input[name='verificationCode']")) ||
-      (await page.$(".phone-input-code"));
+    const { element: codeInput } = await findFirstElement(
+      page,
+      getSiteProfile().selectors.verificationCode
+    );
     if (!codeInput) {
       throw new Error("Verification code input field not found");
     }
@@ -6763,10 +7550,10 @@ async function submitVerificationCode(accountId, verificationCode) {
     await page.keyboard.press("Backspace");
     await codeInput.type(normalizedCode, { delay: 120 });
 
-    const submitButton =
-      (await page.$("#device_verification_submit")) ||
-      (await page.$("button[type='submit']")) ||
-      (await page.$("input[type='submit']"));
+    const { element: submitButton } = await findFirstElement(
+      page,
+      getSiteProfile().selectors.verificationSubmit
+    );
     if (!submitButton) {
       throw new Error("Verification submit button not found");
     }
@@ -6814,9 +7601,14 @@ async function submitVerificationCode(accountId, verificationCode) {
             })
             .catch(() => null),
           page
-            .waitForFunction(() => window.location.href.includes("/users/posts/list"), {
-              timeout: 20000
-            })
+            .waitForFunction(
+              (patterns) => {
+                const href = window.location.href.toLowerCase();
+                return patterns.some((pattern) => href.includes(pattern));
+              },
+              { timeout: 20000 },
+              getSiteProfile().urlPatterns.postsList
+            )
             .catch(() => null)
         ]).catch(() => null);
       }
@@ -6826,7 +7618,7 @@ async function submitVerificationCode(accountId, verificationCode) {
 
       if (isVerificationSuccessUrl(currentUrl)) {
         await page
-          .goto(POSTS_LIST_URL, {
+          .goto(getSiteProfile().urls.postsList, {
             waitUntil: "networkidle2",
             timeout: 30000
           })
@@ -6843,7 +7635,7 @@ async function submitVerificationCode(accountId, verificationCode) {
 
       // In some sessions this page is transient; try forcing posts list first.
       await page
-        .goto(POSTS_LIST_URL, {
+        .goto(getSiteProfile().urls.postsList, {
           waitUntil: "networkidle2",
           timeout: 30000
         })
@@ -6997,9 +7789,9 @@ async function startBumpAutomation(page, account) {
       console.log(`[BUMP] Cycle ${bumpCount + 1}/${maxBumps}`);
 
       const currentUrl = page.url();
-      if (!currentUrl.includes("/users/posts/list")) {
+      if (!isPostsListUrl(currentUrl)) {
         console.log("[BUMP] Navigating to posts list...");
-        await page.goto("https://megapersonals.eu/users/posts/list", {
+        await page.goto(getSiteProfile().urls.postsList, {
           waitUntil: "networkidle2",
           timeout: 30000
         });
@@ -7022,12 +7814,13 @@ async function startBumpAutomation(page, account) {
       }
 
       console.log("[BUMP] Looking for Bump to Top button...");
-      await page.waitForSelector("#managePublishAd", {
+      const bumpSelector = getSiteProfile().selectors.bumpButton;
+      await page.waitForSelector(bumpSelector, {
         visible: true,
         timeout: 10000
       });
 
-      const bumpButton = await page.$("#managePublishAd");
+      const bumpButton = await page.$(bumpSelector);
       if (!bumpButton) {
         console.warn("[BUMP] Bump button not found, skipping cycle");
         await sleep(60000);
@@ -7048,7 +7841,7 @@ async function startBumpAutomation(page, account) {
       await sleep(10000);
 
       console.log("[BUMP] Returning to posts list...");
-      await page.goto("https://megapersonals.eu/users/posts/list", {
+      await page.goto(getSiteProfile().urls.postsList, {
         waitUntil: "networkidle2",
         timeout: 30000
       });
@@ -7102,7 +7895,7 @@ async function handleDeviceVerification(page, account, options = {}) {
     console.log(`[VERIFICATION] Device verification page detected for ${account.email}`);
 
     await page
-      .evaluate(() => {
+      .evaluate((okTexts) => {
         const normalize = (value) =>
           String(value || "")
             .replace(/\s+/g, " ")
@@ -7111,13 +7904,13 @@ async function handleDeviceVerification(page, account, options = {}) {
         const buttons = Array.from(
           document.querySelectorAll("button[type='button'], button, [role='button']")
         );
-        const okButton = buttons.find((node) => normalize(node.textContent) === "ok");
+        const okButton = buttons.find((node) => okTexts.includes(normalize(node.textContent)));
         if (okButton) {
           okButton.click();
           return true;
         }
         return false;
-      })
+      }, getSiteProfile().text.okButtons)
       .then((clicked) => {
         if (clicked) {
           console.log("[VERIFICATION] Closed verification warning");
@@ -7125,7 +7918,7 @@ async function handleDeviceVerification(page, account, options = {}) {
       })
       .catch(() => null);
 
-    await page.waitForSelector("#verificationCode", {
+    await page.waitForSelector(getSiteProfile().selectors.verificationCode, {
       visible: true,
       timeout: 20000
     });
@@ -7219,6 +8012,9 @@ async function handleDeviceVerification(page, account, options = {}) {
 }
 
 startRecoveryLoop();
+startQueuePoller();
+startSiteProfileReload();
+startAdmissionMonitor();
 
 module.exports = {
   // Worker manager API
@@ -7231,6 +8027,9 @@ module.exports = {
   resetRetry,
   getWorkerStatus,
   getWorkerDebugSnapshot,
+  drain,
+  getDrainStatus,
+  restoreStartQueue,
   isRunning,
   start: requestStart,
   stop: requestStop,
@@ -7242,6 +8041,7 @@ module.exports = {
   // Existing helpers
   runAccount,
   testProxyNavigation,
+  reloadSiteProfile: loadSiteProfile,
   submitVerificationCode,
   handleDeviceVerification,
   clearPendingVerificationSession,
@@ -6,6 +6,21 @@ const WORKER_COMMAND_BASE_URL = String(
 ).trim();
 const INTERNAL_EVENT_SECRET = String(process.env.INTERNAL_EVENT_SECRET || "").trim();
 const WORKER_COMMAND_TIMEOUT_MS = Number(process.env.WORKER_COMMAND_TIMEOUT_MS || 15000);
+const WORKER_STATUS_TIMEOUT_MS = Number(process.env.WORKER_STATUS_TIMEOUT_MS || 5000);
+const NODE_MONITOR_INTERVAL_MS = (() => {
+  const parsed = Number(process.env.WORKER_NODE_MONITOR_INTERVAL_MS || 15000);
+  if (!Number.isFinite(parsed) || parsed < 1000) return 15000;
+  return Math.floor(parsed);
+})();
+const REASSIGNABLE_STATUSES = new Set([
+  "running",
+  "starting",
+  "restarting",
+  "active",
+  "bumping",
+  "waiting_cooldown",
+  "stalled"
+]);
 
 function normalizeAccountId(accountOrId) {
   if (!accountOrId) return "";
@@ -26,6 +41,16 @@ function shouldUseRemoteWorker() {
 
 const USE_REMOTE_WORKER = shouldUseRemoteWorker();
 const localWorkerManager = USE_REMOTE_WORKER ? null : require("./worker");
+const Account = require("../model/Account");
+const workerRegistry = require("./workerRegistry");
+const startJobQueue = require("./startJobQueue");
+const { logActivity } = require("../utils/activityLogger");
+const { getStatusContext } = require("../utils/statusTransitions");
+const { mergeWorkerStatuses } = require("../utils/workerStatus");
+const { OPERATION_ID_HEADER, getOperationId } = require("../utils/operationContext");
+
+let nodeMonitorTimer = null;
+let nodeMonitorInProgress = false;
 
 function buildHeaders() {
   const headers = {
@@ -36,6 +61,17 @@ function buildHeaders() {
     headers["x-internal-event-secret"] = INTERNAL_EVENT_SECRET;
   }
 
+  const statusContext = getStatusContext();
+  headers["x-status-actor"] = statusContext.actor;
+  if (statusContext.reason) {
+    headers["x-status-reason"] = statusContext.reason;
+  }
+
+  const operationId = getOperationId();
+  if (operationId) {
+    headers[OPERATION_ID_HEADER] = operationId;
+  }
+
   return headers;
 }
 
@@ -57,14 +93,17 @@ async function parseResponsePayload(response) {
   }
 }
 
-async function remoteRequest(pathname, { method = "POST", body, timeoutMs = WORKER_COMMAND_TIMEOUT_MS } = {}) {
+async function remoteRequest(
+  pathname,
+  { method = "POST", body, timeoutMs = WORKER_COMMAND_TIMEOUT_MS, baseUrl = WORKER_COMMAND_BASE_URL } = {}
+) {
   assertRemoteWorkerAuthConfigured();
 
   if (typeof fetch !== "function") {
     throw new Error("fetch is not available in this Node runtime");
   }
 
-  const base = WORKER_COMMAND_BASE_URL.replace(/\/+$/, "");
+  const base = String(baseUrl || WORKER_COMMAND_BASE_URL).replace(/\/+$/, "");
   const cleanPath = String(pathname || "").replace(/^\/+/, "");
   const endpoint = `${base}/${cleanPath}`;
   const controller = new AbortController();
@@ -86,6 +125,7 @@ async function remoteRequest(pathname, { method = "POST", body, timeoutMs = WORK
         `Worker command failed: ${response.status} ${response.statusText}`;
       const error = new Error(message);
       error.status = response.status;
+      error.code = payload?.code;
       error.payload = payload;
       throw error;
     }
@@ -99,6 +139,27 @@ async function remoteRequest(pathname, { method = "POST", body, timeoutMs = WORK
   }
 }
 
+// Registered nodes win; WORKER_COMMAND_URL stays as the single-node fallback.
+async function listCommandNodes() {
+  const nodes = await workerRegistry.listAliveNodes().catch(() => []);
+  if (nodes.length > 0) return nodes;
+  return [{ nodeId: "", url: WORKER_COMMAND_BASE_URL }];
+}
+
+async function resolveAccountBaseUrl(accountId, options = {}) {
+  const node = await workerRegistry
+    .resolveAccountNode(accountId, { assign: Boolean(options?.assign) })
+    .catch(() => null);
+  return node?.url || WORKER_COMMAND_BASE_URL;
+}
+
+async function accountRequest(pathname, accountId, { assign = false, ...requestOptions } = {}) {
+  return remoteRequest(pathname, {
+    ...requestOptions,
+    baseUrl: await resolveAccountBaseUrl(accountId, { assign })
+  });
+}
+
 async function requestStart(accountOrId, options = {}) {
   if (!USE_REMOTE_WORKER) {
     return localWorkerManager.requestStart(accountOrId, options);
@@ -107,7 +168,8 @@ async function requestStart(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/request-start", {
+  return accountRequest("/request-start", accountId, {
+    assign: true,
     body: { accountId, userId, options }
   });
 }
@@ -120,7 +182,7 @@ async function requestStop(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/request-stop", {
+  return accountRequest("/request-stop", accountId, {
     body: { accountId, userId, options }
   });
 }
@@ -133,7 +195,7 @@ async function requestReschedule(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/request-reschedule", {
+  return accountRequest("/request-reschedule", accountId, {
     body: { accountId, userId, options }
   });
 }
@@ -154,7 +216,8 @@ async function restartAccount(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/restart", {
+  return accountRequest("/restart", accountId, {
+    assign: true,
     body: { accountId, userId, options }
   });
 }
@@ -164,25 +227,55 @@ async function stopAll(options = {}) {
     return localWorkerManager.stopAll(options);
   }
 
-  return remoteRequest("/stop-all", {
-    body: { options }
-  });
+  const nodes = await listCommandNodes();
+  return Promise.all(
+    nodes.map((node) =>
+      remoteRequest("/stop-all", {
+        baseUrl: node.url,
+        body: { options }
+      })
+    )
+  );
+}
+
+async function countUnassignedJobs(userId) {
+  return startJobQueue
+    .countJobs({ userId, unassignedOnly: true })
+    .catch(() => ({ queued: 0, retryScheduled: 0 }));
 }
 
 async function getWorkerStatus(options = {}) {
+  const userId = normalizeUserId(options?.userId);
   if (!USE_REMOTE_WORKER) {
-    return localWorkerManager.getWorkerStatus(options);
+    const [status, unassigned] = await Promise.all([
+      localWorkerManager.getWorkerStatus(options),
+      countUnassignedJobs(userId)
+    ]);
+    return {
+      ...status,
+      queued: Number(status?.queued || 0) + unassigned.queued,
+      retryScheduled: Number(status?.retryScheduled || 0) + unassigned.retryScheduled
+    };
   }
 
-  const userId = normalizeUserId(options?.userId);
   const path = userId
     ? `/status?userId=${encodeURIComponent(userId)}`
     : "/status";
 
-  return remoteRequest(path, {
-    method: "GET",
-    timeoutMs: Number(process.env.WORKER_STATUS_TIMEOUT_MS || 5000)
-  });
+  const nodes = await listCommandNodes();
+  const settled = await Promise.allSettled(
+    nodes.map((node) =>
+      remoteRequest(path, {
+        method: "GET",
+        baseUrl: node.url,
+        timeoutMs: WORKER_STATUS_TIMEOUT_MS
+      })
+    )
+  );
+  if (settled.every((result) => result.status === "rejected")) {
+    throw settled[0].reason;
+  }
+  return mergeWorkerStatuses(nodes, settled, await countUnassignedJobs(userId));
 }
 
 async function getWorkerDebugSnapshot(accountOrId, options = {}) {
@@ -197,9 +290,9 @@ async function getWorkerDebugSnapshot(accountOrId, options = {}) {
     ? `/debug/${encodeURIComponent(accountId)}?userId=${encodeURIComponent(userId)}`
     : `/debug/${encodeURIComponent(accountId)}`;
 
-  return remoteRequest(path, {
+  return accountRequest(path, accountId, {
     method: "GET",
-    timeoutMs: Number(process.env.WORKER_STATUS_TIMEOUT_MS || 5000)
+    timeoutMs: WORKER_STATUS_TIMEOUT_MS
   });
 }
 
@@ -226,7 +319,7 @@ async function resetRetry(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/reset-retry", {
+  return accountRequest("/reset-retry", accountId, {
     body: { accountId, userId, options }
   });
 }
@@ -238,7 +331,7 @@ async function submitVerificationCode(accountOrId, code, options = {}) {
 
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
-  return remoteRequest("/submit-verification", {
+  return accountRequest("/submit-verification", accountId, {
     body: { accountId, code, options }
   });
 }
@@ -251,7 +344,7 @@ async function runAccount(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/run-account", {
+  return accountRequest("/run-account", accountId, {
     body: { accountId, userId, options }
   });
 }
@@ -264,11 +357,121 @@ async function testProxyNavigation(accountOrId, options = {}) {
   const accountId = normalizeAccountId(accountOrId);
   if (!accountId) throw new Error("accountId is required");
   const userId = normalizeUserId(options?.userId || accountOrId?.userId);
-  return remoteRequest("/test-connection", {
+  return accountRequest("/test-connection", accountId, {
     body: { accountId, userId, options }
   });
 }
 
+async function reloadSiteProfile() {
+  if (!USE_REMOTE_WORKER) {
+    return localWorkerManager.reloadSiteProfile();
+  }
+
+  const nodes = await listCommandNodes();
+  const settled = await Promise.allSettled(
+    nodes.map((node) =>
+      remoteRequest("/reload-site-profile", {
+        baseUrl: node.url,
+        body: {}
+      })
+    )
+  );
+  return settled.map((result, index) => ({
+    nodeId: nodes[index].nodeId,
+    ok: result.status === "fulfilled",
+    profile: result.status === "fulfilled" ? result.value : null,
+    message: result.status === "rejected" ? result.reason?.message || "Reload failed" : ""
+  }));
+}
+
+async function reassignDeadNodes() {
+  const deadNodes = await workerRegistry.listDeadNodes();
+  if (deadNodes.length === 0) return [];
+  const aliveNodes = await workerRegistry.listAliveNodes();
+  if (aliveNodes.length === 0) return [];
+
+  const reassigned = [];
+  for (const deadNode of deadNodes) {
+    // Only the process that removes the node record performs the handover.
+    const removed = await workerRegistry.removeNode(deadNode.nodeId, { onlyIfDead: true });
+    if (!removed) continue;
+
+    const releasedJobs = await startJobQueue.releaseNodeJobs(deadNode.nodeId);
+    const accounts = await Account.find({ "workerState.nodeId": deadNode.nodeId })
+      .select("_id email userId status")
+      .lean();
+    await Account.updateMany(
+      { "workerState.nodeId": deadNode.nodeId },
+      { $set: { "workerState.nodeId": null } }
+    );
+    console.warn(
+      `[WORKER] Node ${deadNode.nodeId} stopped heartbeating; releasing ${accounts.length} account(s) and ${releasedJobs} job(s)`
+    );
+
+    for (const account of accounts) {
+      const status = String(account.status || "").toLowerCase();
+      if (!REASSIGNABLE_STATUSES.has(status)) continue;
+
+      try {
+        await requestStart(account, { userId: account.userId });
+        reassigned.push(String(account._id));
+        await logActivity({
+          level: "warning",
+          message: `Worker node ${deadNode.nodeId} lost, moved ${account.email} to another node`,
+          email: account.email,
+          accountId: account._id,
+          userId: account.userId,
+          metadata: {
+            telegram: false,
+            deadNodeId: deadNode.nodeId,
+            previousStatus: status
+          }
+        }).catch(() => null);
+      } catch (error) {
+        console.error(
+          `[WORKER] Failed to reassign ${account.email} from ${deadNode.nodeId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return reassigned;
+}
+
+function startNodeMonitor() {
+  if (!USE_REMOTE_WORKER || nodeMonitorTimer) {
+    return;
+  }
+
+  nodeMonitorTimer = setInterval(() => {
+    if (nodeMonitorInProgress) return;
+    nodeMonitorInProgress = true;
+    reassignDeadNodes()
+      .catch((error) => {
+        console.error("[WORKER] Node monitor failed:", error.message);
+      })
+      .finally(() => {
+        nodeMonitorInProgress = false;
+      });
+  }, NODE_MONITOR_INTERVAL_MS);
+  if (typeof nodeMonitorTimer.unref === "function") {
+    nodeMonitorTimer.unref();
+  }
+}
+
+function stopNodeMonitor() {
+  if (nodeMonitorTimer) {
+    clearInterval(nodeMonitorTimer);
+    nodeMonitorTimer = null;
+  }
+}
+
+async function restoreStartQueue() {
+  if (USE_REMOTE_WORKER) return null;
+  return localWorkerManager.restoreStartQueue();
+}
+
 function shouldManageWorkerLifecycle() {
   return !USE_REMOTE_WORKER;
 }
@@ -288,9 +491,14 @@ module.exports = {
   submitVerificationCode,
   runAccount,
   testProxyNavigation,
+  reloadSiteProfile,
   start: requestStart,
   stop: requestStop,
   pause: pauseAccount,
   resume: resumeAccount,
+  restoreStartQueue,
+  reassignDeadNodes,
+  startNodeMonitor,
+  stopNodeMonitor,
   shouldManageWorkerLifecycle
 };
@@ -9,6 +9,17 @@ const PROCESS_ROLE = "worker";
 process.env.PROCESS_ROLE = PROCESS_ROLE;
 
 const workerManager = require("./worker");
+const workerRegistry = require("./workerRegistry");
+const {
+  runWithStatusContext,
+  isStatusTransitionError
+} = require("../utils/statusTransitions");
+const {
+  OPERATION_ID_HEADER,
+  formatOperationTag,
+  runWithOperation
+} = require("../utils/operationContext");
+const { sendMetrics } = require("../utils/metrics");
 
 const HOST = String(process.env.WORKER_COMMAND_HOST || "127.0.0.1").trim() || "127.0.0.1";
 const INTERNAL_EVENT_SECRET = String(process.env.INTERNAL_EVENT_SECRET || "").trim();
@@ -20,6 +31,8 @@ function parsePositiveNumber(value, fallback) {
 }
 
 const PORT = parsePositiveNumber(process.env.WORKER_COMMAND_PORT, 5001);
+const NODE_URL =
+  String(process.env.WORKER_NODE_URL || "").trim() || `http://${HOST}:${PORT}/internal/worker`;
 
 const REQUEST_TIMEOUT_MS = parsePositiveNumber(process.env.SERVER_REQUEST_TIMEOUT_MS, 65000);
 const HEADERS_TIMEOUT_MS = parsePositiveNumber(process.env.SERVER_HEADERS_TIMEOUT_MS, 66000);
@@ -67,12 +80,31 @@ async function findScopedAccount(accountId, userId = "") {
   return Account.findOne(query);
 }
 
+function sendCommandError(res, error) {
+  if (isStatusTransitionError(error)) {
+    return res.status(409).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: error.message
+  });
+}
+
 function createApp() {
   const app = express();
   app.set("trust proxy", 1);
   app.use(express.json({ limit: "1mb" }));
   app.use(express.urlencoded({ extended: true }));
 
+  // Registered ahead of the internal secret check so Prometheus can scrape
+  // it; METRICS_TOKEN guards it instead.
+  app.get("/metrics", sendMetrics);
+
   app.use((req, res, next) => {
     if (!INTERNAL_EVENT_SECRET) {
       return res.status(503).json({
@@ -92,11 +124,35 @@ function createApp() {
     return next();
   });
 
+  app.use((req, res, next) =>
+    runWithOperation(req.headers[OPERATION_ID_HEADER], () =>
+      runWithStatusContext(
+        {
+          actor: req.headers["x-status-actor"],
+          reason: req.headers["x-status-reason"] || null
+        },
+        next
+      )
+    )
+  );
+
+  app.use((req, _res, next) => {
+    if (req.method === "POST") {
+      console.log(
+        `[WORKER] ${req.path} account=${req.body?.accountId || "-"} actor=${
+          req.headers["x-status-actor"] || "system"
+        }${formatOperationTag()}`
+      );
+    }
+    next();
+  });
+
   app.get("/internal/worker/health", (_req, res) => {
     return res.status(200).json({
       success: true,
       data: {
         role: PROCESS_ROLE,
+        nodeId: workerRegistry.WORKER_NODE_ID,
         pid: process.pid,
         uptimeSec: Number(process.uptime().toFixed(2))
       }
@@ -106,7 +162,7 @@ function createApp() {
   app.get("/internal/worker/status", async (req, res) => {
     try {
       const userId = normalizeUserId(req.query?.userId);
-      const status = workerManager.getWorkerStatus({ userId });
+      const status = await workerManager.getWorkerStatus({ userId });
       return res.status(200).json({
         success: true,
         data: status
@@ -186,10 +242,7 @@ function createApp() {
         }
       });
     } catch (error) {
-      return res.status(500).json({
-        success: false,
-        message: error.message
-      });
+      return sendCommandError(res, error);
     }
   });
 
@@ -219,10 +272,7 @@ function createApp() {
         }
       });
     } catch (error) {
-      return res.status(500).json({
-        success: false,
-        message: error.message
-      });
+      return sendCommandError(res, error);
     }
   });
 
@@ -438,6 +488,42 @@ function createApp() {
     }
   });
 
+  app.post("/internal/worker/reload-site-profile", async (_req, res) => {
+    try {
+      const result = await workerManager.reloadSiteProfile();
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+
+  app.post("/internal/worker/drain", async (req, res) => {
+    try {
+      // Hand-off can outlast the request timeout, so answer once draining
+      // has begun and let the status endpoint report progress.
+      workerManager
+        .drain({ deadlineMs: req.body?.deadlineMs })
+        .catch((error) => console.error(`[WORKER] Drain failed: ${error.message}`));
+      sendNodeHeartbeat().catch(() => null);
+
+      return res.status(202).json({
+        success: true,
+        data: workerManager.getDrainStatus()
+      });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+
   app.use((error, _req, res, _next) => {
     return res.status(500).json({
       success: false,
@@ -450,6 +536,32 @@ function createApp() {
 
 const app = createApp();
 let server = null;
+let nodeHeartbeatTimer = null;
+
+async function sendNodeHeartbeat() {
+  const status = await workerManager.getWorkerStatus();
+  await workerRegistry.heartbeatNode({
+    url: NODE_URL,
+    capacity: status.maxConcurrency,
+    running: status.running,
+    queued: status.queued,
+    draining: status.draining
+  });
+}
+
+function startNodeHeartbeat() {
+  if (nodeHeartbeatTimer) return;
+
+  const beat = () => {
+    sendNodeHeartbeat().catch((error) => {
+      console.error(`[WORKER] Node heartbeat failed: ${error.message}`);
+    });
+  };
+
+  beat();
+  nodeHeartbeatTimer = setInterval(beat, workerRegistry.NODE_HEARTBEAT_INTERVAL_MS);
+  nodeHeartbeatTimer.unref();
+}
 
 let shuttingDown = false;
 const SHUTDOWN_TIMEOUT_MS = 10000;
@@ -464,20 +576,41 @@ async function closeHttpServer() {
   });
 }
 
-async function shutdown(signal, exitCode = 0) {
+async function shutdown(signal, exitCode = 0, options = {}) {
   if (shuttingDown) return;
   shuttingDown = true;
 
   console.log(`[WORKER] ${signal} received. Shutting down...`);
 
+  const drainPromise = options.drain ? workerManager.drain() : null;
+  const drainDeadlineAt = workerManager.getDrainStatus()?.deadlineAt;
+  const drainBudgetMs = drainDeadlineAt
+    ? Math.max(0, new Date(drainDeadlineAt).valueOf() - Date.now())
+    : 0;
+
   const forceExitTimer = setTimeout(() => {
     console.error("[WORKER] Shutdown timed out. Forcing exit.");
     process.exit(1);
-  }, SHUTDOWN_TIMEOUT_MS);
+  }, SHUTDOWN_TIMEOUT_MS + drainBudgetMs);
   forceExitTimer.unref();
 
+  if (drainPromise) {
+    await sendNodeHeartbeat().catch(() => null);
+    try {
+      await drainPromise;
+    } catch (error) {
+      exitCode = 1;
+      console.error("[WORKER] Drain failed:", error.message);
+    }
+  }
+
+  if (nodeHeartbeatTimer) {
+    clearInterval(nodeHeartbeatTimer);
+    nodeHeartbeatTimer = null;
+  }
+
   try {
-    await workerManager.stopAll();
+    await workerManager.stopAll({ preserveJobs: true });
   } catch (error) {
     exitCode = 1;
     console.error("[WORKER] Failed to stop workers:", error.message);
@@ -508,12 +641,19 @@ async function start() {
     await connectDB();
 
     server = app.listen(PORT, HOST, () => {
-      console.log(`[WORKER] Command server listening on ${HOST}:${PORT}`);
+      console.log(
+        `[WORKER] Command server listening on ${HOST}:${PORT} as node ${workerRegistry.WORKER_NODE_ID}`
+      );
     });
 
     server.requestTimeout = REQUEST_TIMEOUT_MS;
     server.headersTimeout = HEADERS_TIMEOUT_MS;
     server.keepAliveTimeout = KEEP_ALIVE_TIMEOUT_MS;
+
+    startNodeHeartbeat();
+    await workerManager.restoreStartQueue().catch((error) => {
+      console.error(`[WORKER] Failed to restore start queue: ${error.message}`);
+    });
   } catch (error) {
     console.error(`[WORKER] Failed to start: ${error.message}`);
     process.exit(1);
@@ -522,12 +662,13 @@ async function start() {
 
 start();
 
+// pm2 and Ctrl+C send SIGINT, so both signals hand running accounts off first.
 process.on("SIGINT", () => {
-  shutdown("SIGINT").catch(() => process.exit(1));
+  shutdown("SIGINT", 0, { drain: true }).catch(() => process.exit(1));
 });
 
 process.on("SIGTERM", () => {
-  shutdown("SIGTERM").catch(() => process.exit(1));
+  shutdown("SIGTERM", 0, { drain: true }).catch(() => process.exit(1));
 });
 
 process.on("unhandledRejection", (reason) => {
@@ -0,0 +1,180 @@
+const os = require("os");
+const Account = require("../model/Account");
+const WorkerNode = require("../model/WorkerNode");
+
+const WORKER_NODE_ID =
+  String(process.env.WORKER_NODE_ID || "").trim() ||
+  `${os.hostname()}:${String(process.env.WORKER_COMMAND_PORT || "5001").trim()}`;
+const NODE_HEARTBEAT_INTERVAL_MS = (() => {
+  const parsed = Number(process.env.WORKER_NODE_HEARTBEAT_MS || 10000);
+  if (!Number.isFinite(parsed) || parsed < 1000) return 10000;
+  return Math.floor(parsed);
+})();
+const NODE_TTL_MS = (() => {
+  const parsed = Number(process.env.WORKER_NODE_TTL_MS || 45000);
+  if (!Number.isFinite(parsed) || parsed < NODE_HEARTBEAT_INTERVAL_MS * 2) {
+    return Math.max(45000, NODE_HEARTBEAT_INTERVAL_MS * 3);
+  }
+  return Math.floor(parsed);
+})();
+
+function normalizeId(value) {
+  return String(value || "").trim();
+}
+
+function getAliveCutoff(now = Date.now()) {
+  return new Date(now - NODE_TTL_MS);
+}
+
+async function heartbeatNode(info = {}) {
+  const now = new Date();
+  return WorkerNode.findOneAndUpdate(
+    { nodeId: WORKER_NODE_ID },
+    {
+      $set: {
+        url: normalizeId(info.url),
+        hostname: os.hostname(),
+        pid: process.pid,
+        capacity: Math.max(0, Number(info.capacity) || 0),
+        running: Math.max(0, Number(info.running) || 0),
+        queued: Math.max(0, Number(info.queued) || 0),
+        draining: Boolean(info.draining),
+        lastHeartbeatAt: now
+      },
+      $setOnInsert: {
+        startedAt: now
+      }
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+async function listAliveNodes() {
+  return WorkerNode.find({ lastHeartbeatAt: { $gte: getAliveCutoff() } })
+    .sort({ nodeId: 1 })
+    .lean();
+}
+
+async function listDeadNodes() {
+  return WorkerNode.find({ lastHeartbeatAt: { $lt: getAliveCutoff() } }).lean();
+}
+
+async function isNodeAlive(nodeId) {
+  const key = normalizeId(nodeId);
+  if (!key) return false;
+  const node = await WorkerNode.exists({
+    nodeId: key,
+    lastHeartbeatAt: { $gte: getAliveCutoff() }
+  });
+  return Boolean(node);
+}
+
+function pickLeastLoadedNode(nodes = []) {
+  let best = null;
+  let bestFree = -Infinity;
+  const admitting = nodes.filter((node) => !node.draining);
+
+  for (const node of admitting.length > 0 ? admitting : nodes) {
+    const free =
+      Number(node.capacity || 0) - Number(node.running || 0) - Number(node.queued || 0);
+    if (
+      !best ||
+      free > bestFree ||
+      (free === bestFree && Number(node.running || 0) < Number(best.running || 0))
+    ) {
+      best = node;
+      bestFree = free;
+    }
+  }
+
+  return best;
+}
+
+// Moves ownership only when the current owner is unset, is the target, or has
+// stopped heartbeating, so two nodes can never both hold the same account.
+async function claimAccount(accountId, nodeId = WORKER_NODE_ID) {
+  const key = normalizeId(accountId);
+  const targetNodeId = normalizeId(nodeId);
+  if (!key || !targetNodeId) {
+    return { claimed: false, ownerNodeId: null };
+  }
+
+  const account = await Account.findById(key).select("workerState.nodeId").lean();
+  if (!account) {
+    return { claimed: false, ownerNodeId: null };
+  }
+
+  const ownerNodeId = normalizeId(account.workerState?.nodeId) || null;
+  if (ownerNodeId === targetNodeId) {
+    return { claimed: true, ownerNodeId };
+  }
+  if (ownerNodeId && (await isNodeAlive(ownerNodeId))) {
+    return { claimed: false, ownerNodeId };
+  }
+
+  const result = await Account.updateOne(
+    {
+      _id: key,
+      "workerState.nodeId": ownerNodeId
+    },
+    {
+      $set: {
+        "workerState.nodeId": targetNodeId
+      }
+    }
+  );
+  if (Number(result?.modifiedCount || 0) > 0) {
+    return { claimed: true, ownerNodeId: targetNodeId };
+  }
+
+  const latest = await Account.findById(key).select("workerState.nodeId").lean();
+  const latestOwner = normalizeId(latest?.workerState?.nodeId) || null;
+  return {
+    claimed: latestOwner === targetNodeId,
+    ownerNodeId: latestOwner
+  };
+}
+
+async function resolveAccountNode(accountId, options = {}) {
+  const nodes = await listAliveNodes();
+  if (nodes.length === 0) return null;
+
+  const key = normalizeId(accountId);
+  const account = key
+    ? await Account.findById(key).select("workerState.nodeId").lean()
+    : null;
+  const ownerNodeId = normalizeId(account?.workerState?.nodeId);
+  const owner = nodes.find((node) => node.nodeId === ownerNodeId);
+  if (owner) return owner;
+
+  const target = pickLeastLoadedNode(nodes);
+  if (!options?.assign || !account || !target) {
+    return target;
+  }
+
+  const claim = await claimAccount(key, target.nodeId);
+  if (claim.claimed) return target;
+  return nodes.find((node) => node.nodeId === claim.ownerNodeId) || target;
+}
+
+async function removeNode(nodeId, options = {}) {
+  const filter = { nodeId: normalizeId(nodeId) };
+  if (options?.onlyIfDead) {
+    filter.lastHeartbeatAt = { $lt: getAliveCutoff() };
+  }
+  return WorkerNode.findOneAndDelete(filter).lean();
+}
+
+module.exports = {
+  WORKER_NODE_ID,
+  NODE_HEARTBEAT_INTERVAL_MS,
+  NODE_TTL_MS,
+  heartbeatNode,
+  listAliveNodes,
+  listDeadNodes,
+  isNodeAlive,
+  pickLeastLoadedNode,
+  claimAccount,
+  resolveAccountNode,
+  removeNode
+};
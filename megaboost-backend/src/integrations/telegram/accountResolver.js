@@ -3,7 +3,7 @@ const Account = require("../../model/Account");
 const TelegramGroupBinding = require("../../model/TelegramGroupBinding");
 
 const DEFAULT_ACCOUNT_PROJECTION =
-  "_id email status userId workerState proxyHost proxyPort connectionTest nextBumpAt waitingUntil totalBumpsToday lastBumpAt";
+  "_id email status userId workerState proxyHost proxyPort connectionTest nextBumpAt waitingUntil pausedUntil totalBumpsToday lastBumpAt";
 
 function normalizeString(value) {
   return String(value || "").trim();
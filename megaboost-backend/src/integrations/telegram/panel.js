@@ -47,6 +47,11 @@ function buildPanelText(stats = {}) {
   const queue = normalizeCount(stats.queue);
   const proxyHealth = normalizeCount(stats.proxyHealth);
   const lastUpdate = escapeHtml(formatPanelTime(stats.lastUpdate || new Date()));
+  const budgetLine = stats.budgetEnabled
+    ? `\uD83C\uDFAF Bump Budget: ${normalizeCount(stats.budgetUsed)}/${normalizeCount(
+        stats.budgetLimit
+      )} used   ${normalizeCount(stats.budgetRemaining)} left`
+    : null;
 
   return [
     "\u2705 Proxy &amp; User-Agent verified",
@@ -57,8 +62,11 @@ function buildPanelText(stats = {}) {
     `\u25B6\uFE0F Running: ${running}   \u23F8 Paused: ${paused}   \uD83D\uDED1 Stopped: ${stopped}`,
     `\u274C Crashed: ${crashed}   \uD83D\uDEAB Banned: ${banned}`,
     `\uD83E\uDDFE Queue: ${queue}   \uD83E\uDE7A Proxy Health: ${proxyHealth}%`,
+    budgetLine,
     `\uD83D\uDD52 Last Update: ${lastUpdate}`
-  ].join("\n");
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
 }
 
 function buildPanelKeyboard() {
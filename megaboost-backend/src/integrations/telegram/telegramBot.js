@@ -4,9 +4,18 @@ const User = require("../../model/User");
 const workerManager = require("../../engine/workerGateway");
 const { emitAccountUpdateEvent } = require("../../internal/eventBridge");
 const { getOrCreateAppSettings } = require("../../utils/appSettings");
+const { getBumpBudgetUsage } = require("../../utils/bumpBudget");
 const { formatDateTimeForAdmin } = require("../../utils/timing");
 const { isValidTelegramChatId, isValidTelegramToken, maskTelegramToken } = require("../../utils/telegram");
 const { TelegramSettings } = require("../../model/TelegramSettings");
+const { runWithStatusContext, isStatusTransitionError } = require("../../utils/statusTransitions");
+const { runWithOperation } = require("../../utils/operationContext");
+const {
+  parseAccountTargetText,
+  resolveAccountTarget: resolveAccountGroupTarget
+} = require("../../utils/accountTags");
+const { pauseAccountNow, resumeAccountNow } = require("../../utils/accountCommands");
+const { formatPauseRemaining } = require("../../utils/timedPause");
 const {
   DEFAULT_ACCOUNT_PROJECTION,
   getAccountAliasDisplay,
@@ -27,6 +36,11 @@ const REFRESH_SETTINGS_INTERVAL_MS = 30000;
 const MAX_PICKER_ACCOUNTS = 10;
 const ACTION_IP = "telegram-panel";
 const SINGLE_ACCOUNT_CALLBACK_PREFIX = "tgacct";
+// Timed pause buttons on the single-account keyboard, in minutes.
+const TIMED_PAUSE_ACTIONS = {
+  pause1h: 60,
+  pause4h: 240
+};
 const TELEGRAM_ACCOUNT_LOG_PREFIX = "[TG-ACCOUNT]";
 const RUNNING_STATUS_SET = new Set([
   "running",
@@ -306,6 +320,13 @@ async function buildPanelStats(settings) {
 
   const panelUser = await resolvePanelUser(accounts, settings);
 
+  let budget = null;
+  if (scopedQuery?.userId) {
+    budget = await getOrCreateAppSettings(scopedQuery.userId)
+      .then((appSettings) => getBumpBudgetUsage(scopedQuery.userId, appSettings))
+      .catch(() => null);
+  }
+
   return {
     userName: panelUser.userName,
     userHandle: panelUser.userHandle,
@@ -317,6 +338,10 @@ async function buildPanelStats(settings) {
     banned,
     queue,
     proxyHealth: calculateProxyHealth(accounts),
+    budgetEnabled: Boolean(budget?.enabled),
+    budgetUsed: Number(budget?.used || 0),
+    budgetRemaining: Number(budget?.remaining || 0),
+    budgetLimit: Number(budget?.dailyLimit || 0),
     lastUpdate: formatPanelTime(new Date())
   };
 }
@@ -478,6 +503,16 @@ function buildSingleAccountKeyboard(accountIdInput) {
           callback_data: `${SINGLE_ACCOUNT_CALLBACK_PREFIX}:resume:${accountId}`
         }
       ],
+      [
+        {
+          text: "\u23F8 1h",
+          callback_data: `${SINGLE_ACCOUNT_CALLBACK_PREFIX}:pause1h:${accountId}`
+        },
+        {
+          text: "\u23F8 4h",
+          callback_data: `${SINGLE_ACCOUNT_CALLBACK_PREFIX}:pause4h:${accountId}`
+        }
+      ],
       [
         {
           text: "\uD83D\uDD01 Restart",
@@ -513,6 +548,14 @@ async function buildSingleAccountStatusView(account, userIdInput, options = {})
     `\uD83E\uDE7A Worker: ${workerHealth}`
   ];
 
+  if (isPausedStatus(status) && account?.pausedUntil) {
+    lines.push(
+      `\u23F3 Resumes: ${formatDateTimeForAdmin(account.pausedUntil, appSettings, {
+        includeDate: true
+      })} (in ${formatPauseRemaining(account.pausedUntil)})`
+    );
+  }
+
   if (lastBumpAt) {
     lines.push(
       `\u23EE Last Bump: ${formatDateTimeForAdmin(lastBumpAt, appSettings, {
@@ -590,6 +633,9 @@ function buildSingleAccountUsageText(command) {
     "Target account required for this chat.",
     `Use /${action} email@example.com`,
     `Use /${action} ACCOUNT_ID`,
+    ...(action === "pause" || action === "resume"
+      ? [`Use /${action} #tag or /${action} ID1,ID2 for several accounts`]
+      : []),
     `Or bind this group first with /bind_account email@example.com`
   ].join("\n");
 }
@@ -717,45 +763,20 @@ async function listPickerAccounts(settings) {
     .lean();
 }
 
-async function setAccountPaused(account) {
+async function setAccountPaused(account, options = {}) {
   const accountId = String(account?._id || "");
   if (!accountId) {
     throw new Error("Account not found");
   }
 
-  const userId = normalizeString(account?.userId);
-
-  await workerManager.pauseAccount(accountId, {
-    userId,
-    ip: ACTION_IP,
-    reason: "telegram_panel_pause",
-    forceClearStopRequest: true
-  });
-
-  await Account.findByIdAndUpdate(accountId, {
-    $set: {
-      status: "paused",
-      waitingUntil: null,
-      nextBumpAt: null,
-      nextBumpDelayMs: null,
-      cooldownMinutes: null,
-      lastCooldownDetected: null,
-      "workerState.nextRetryAt": null
-    }
-  }).catch(() => null);
-
-  await emitAccountUpdateEvent(
-    accountId,
-    {
-      status: "paused",
-      waitingUntil: null,
-      nextBumpAt: null,
-      nextBumpDelayMs: null,
-      cooldownMinutes: null
-    },
-    {},
-    userId
-  ).catch(() => null);
+  await runWithStatusContext({ reason: "telegram_panel_pause" }, () =>
+    pauseAccountNow(account, {
+      userId: normalizeString(account?.userId),
+      ip: ACTION_IP,
+      reason: "telegram_panel_pause",
+      pausedUntil: options.pausedUntil || null
+    })
+  );
 }
 
 async function setAccountResumed(account) {
@@ -768,40 +789,10 @@ async function setAccountResumed(account) {
     throw new Error("Cannot resume blocked/banned account");
   }
 
-  const userId = normalizeString(account?.userId);
-
-  await workerManager.resumeAccount(accountId, {
-    userId,
-    ip: ACTION_IP,
-    resetRuntimeFields: true,
-    emitPendingConnectionTest: false
+  await resumeAccountNow(account, {
+    userId: normalizeString(account?.userId),
+    ip: ACTION_IP
   });
-
-  await Account.findByIdAndUpdate(accountId, {
-    $set: {
-      status: "running",
-      waitingUntil: null,
-      nextBumpAt: null,
-      nextBumpDelayMs: null,
-      cooldownMinutes: null,
-      lastCooldownDetected: null,
-      "workerState.nextRetryAt": null,
-      "workerState.blockedReason": null
-    }
-  }).catch(() => null);
-
-  await emitAccountUpdateEvent(
-    accountId,
-    {
-      status: "running",
-      waitingUntil: null,
-      nextBumpAt: null,
-      nextBumpDelayMs: null,
-      cooldownMinutes: null
-    },
-    {},
-    userId
-  ).catch(() => null);
 }
 
 async function setAccountRestarted(account) {
@@ -907,6 +898,12 @@ async function performTelegramAccountAction(action, account) {
     return "\u23F8 Paused account";
   }
 
+  if (TIMED_PAUSE_ACTIONS[normalizedAction]) {
+    const minutes = TIMED_PAUSE_ACTIONS[normalizedAction];
+    await setAccountPaused(account, { pausedUntil: new Date(Date.now() + minutes * 60 * 1000) });
+    return `\u23F8 Paused for ${formatPauseRemaining(new Date(Date.now() + minutes * 60 * 1000))}:`;
+  }
+
   if (normalizedAction === "resume") {
     await setAccountResumed(account);
     return "\u25B6\uFE0F Resumed account";
@@ -922,14 +919,17 @@ async function performTelegramAccountAction(action, account) {
 
 async function pauseAllAccounts(settings) {
   const scopedQuery = buildScopedAccountQuery(settings);
-  const query = scopedQuery || {};
+  return pauseMatchingAccounts(scopedQuery || {});
+}
 
+async function pauseMatchingAccounts(query) {
   const accounts = await Account.find(query)
     .select("_id email status userId workerState")
     .lean();
 
   let paused = 0;
   let alreadyPaused = 0;
+  let rejected = 0;
 
   for (const account of accounts) {
     if (!isRunningStatus(account?.status)) {
@@ -937,23 +937,31 @@ async function pauseAllAccounts(settings) {
       continue;
     }
 
-    await setAccountPaused(account);
-    paused += 1;
+    try {
+      await setAccountPaused(account);
+      paused += 1;
+    } catch (error) {
+      if (!isStatusTransitionError(error)) throw error;
+      rejected += 1;
+    }
   }
 
-  return { paused, alreadyPaused };
+  return { paused, alreadyPaused, rejected };
 }
 
 async function resumeAllAccounts(settings) {
   const scopedQuery = buildScopedAccountQuery(settings);
-  const query = scopedQuery || {};
+  return resumeMatchingAccounts(scopedQuery || {});
+}
 
+async function resumeMatchingAccounts(query) {
   const accounts = await Account.find(query)
     .select("_id email status userId workerState")
     .lean();
 
   let resumed = 0;
   let alreadyRunning = 0;
+  let rejected = 0;
 
   for (const account of accounts) {
     if (isRunningStatus(account?.status)) {
@@ -965,11 +973,44 @@ async function resumeAllAccounts(settings) {
       continue;
     }
 
-    await setAccountResumed(account);
-    resumed += 1;
+    try {
+      await setAccountResumed(account);
+      resumed += 1;
+    } catch (error) {
+      if (!isStatusTransitionError(error)) throw error;
+      rejected += 1;
+    }
   }
 
-  return { resumed, alreadyRunning };
+  return { resumed, alreadyRunning, rejected };
+}
+
+async function runTelegramGroupAction(userId, chatId, action, groupTarget) {
+  const binding = await getTelegramGroupBinding({ userId, chatId });
+  if (binding) {
+    throw new Error("This group is bound to one account. Unbind it to act on several accounts.");
+  }
+
+  const { filter, error } = resolveAccountGroupTarget(groupTarget);
+  if (error) {
+    throw new Error(error);
+  }
+  const query = { userId, ...filter };
+  const label = groupTarget.tag ? `tag #${groupTarget.tag}` : `${groupTarget.accountIds.length} accounts`;
+
+  if (action === "pause") {
+    const summary = await pauseMatchingAccounts(query);
+    return (
+      `\u23F8 ${label}: paused ${summary.paused}, already paused ${summary.alreadyPaused}` +
+      (summary.rejected > 0 ? `, rejected ${summary.rejected}` : "")
+    );
+  }
+
+  const summary = await resumeMatchingAccounts(query);
+  return (
+    `\u25B6\uFE0F ${label}: resumed ${summary.resumed}, already running ${summary.alreadyRunning}` +
+    (summary.rejected > 0 ? `, rejected ${summary.rejected}` : "")
+  );
 }
 
 async function ensureAuthorizedSettings(chatId, settings, options = {}) {
@@ -1094,7 +1135,9 @@ function extractSingleAccountCallbackAction(data) {
   if (!raw) return null;
 
   const match = raw.match(
-    new RegExp(`^${SINGLE_ACCOUNT_CALLBACK_PREFIX}:(pause|resume|restart):([a-fA-F0-9]{24})$`)
+    new RegExp(
+      `^${SINGLE_ACCOUNT_CALLBACK_PREFIX}:(pause|pause1h|pause4h|resume|restart):([a-fA-F0-9]{24})$`
+    )
   );
   if (!match) {
     return null;
@@ -1267,7 +1310,7 @@ async function handleCallbackQuery(bot, query, userId, cooldownByChatId) {
       const account = resolved.account;
       const responsePrefix = await performTelegramAccountAction(singleAccountAction.mode, account);
 
-      if (singleAccountAction.mode === "pause") {
+      if (singleAccountAction.mode.startsWith("pause")) {
         console.log(`${TELEGRAM_ACCOUNT_LOG_PREFIX} Pause requested for ${String(account._id)}`);
       } else if (singleAccountAction.mode === "resume") {
         console.log(`${TELEGRAM_ACCOUNT_LOG_PREFIX} Resume requested for ${String(account._id)}`);
@@ -1313,7 +1356,8 @@ async function handleCallbackQuery(bot, query, userId, cooldownByChatId) {
       await safeAnswerCallback(
         bot,
         query.id,
-        `\u2705 Paused ${summary.paused}, already paused ${summary.alreadyPaused}`
+        `\u2705 Paused ${summary.paused}, already paused ${summary.alreadyPaused}` +
+          (summary.rejected > 0 ? `, rejected ${summary.rejected}` : "")
       );
       if (shouldRefreshPanelMessage(chatId, scopedSettings)) {
         await upsertPanelMessage(bot, scopedSettings, {
@@ -1329,7 +1373,8 @@ async function handleCallbackQuery(bot, query, userId, cooldownByChatId) {
       await safeAnswerCallback(
         bot,
         query.id,
-        `\u2705 Resumed ${summary.resumed}, already running ${summary.alreadyRunning}`
+        `\u2705 Resumed ${summary.resumed}, already running ${summary.alreadyRunning}` +
+          (summary.rejected > 0 ? `, rejected ${summary.rejected}` : "")
       );
       if (shouldRefreshPanelMessage(chatId, scopedSettings)) {
         await upsertPanelMessage(bot, scopedSettings, {
@@ -1488,6 +1533,28 @@ async function handleTelegramAccountCommand(bot, message, userId, commandName) {
       return;
     }
 
+    const groupTarget =
+      normalizedCommand === "pause" || normalizedCommand === "resume"
+        ? parseAccountTargetText(rawTarget)
+        : null;
+    if (groupTarget) {
+      const summaryText = await runTelegramGroupAction(
+        scopedUserId,
+        chatId,
+        normalizedCommand,
+        groupTarget
+      );
+      console.log(`${TELEGRAM_ACCOUNT_LOG_PREFIX} Group ${normalizedCommand} requested: ${summaryText}`);
+      await bot.sendMessage(chatId, summaryText).catch(() => null);
+      if (shouldRefreshPanelMessage(chatId, scopedSettings)) {
+        await upsertPanelMessage(bot, scopedSettings, {
+          chatId,
+          appSettings: senderAuth.appSettings
+        }).catch(() => null);
+      }
+      return;
+    }
+
     const resolved = await resolveTelegramCommandAccount(
       scopedUserId,
       chatId,
@@ -1528,7 +1595,9 @@ async function handleTelegramAccountCommand(bot, message, userId, commandName) {
 
 function attachBotHandlers(bot, userId, cooldownByChatId) {
   bot.onText(/^\/(?:start|panel)(?:@[A-Za-z0-9_]+)?(?:\s+.*)?$/i, (message) => {
-    handlePanelCommand(bot, message, userId).catch((error) => {
+    runWithOperation(null, () =>
+      runWithStatusContext({ actor: "telegram" }, () => handlePanelCommand(bot, message, userId))
+    ).catch((error) => {
       console.error("[TELEGRAM-PANEL] Panel command failed:", error?.stack || error?.message || error);
     });
   });
@@ -1536,14 +1605,22 @@ function attachBotHandlers(bot, userId, cooldownByChatId) {
   bot.onText(
     /^\/(pause|resume|restart|status|bind_account|unbind_account|bound_account|unpause)(?:@[A-Za-z0-9_]+)?(?:\s+.*)?$/i,
     (message, match) => {
-      handleTelegramAccountCommand(bot, message, userId, match?.[1] || "").catch((error) => {
+      runWithOperation(null, () =>
+        runWithStatusContext({ actor: "telegram" }, () =>
+          handleTelegramAccountCommand(bot, message, userId, match?.[1] || "")
+        )
+      ).catch((error) => {
         console.error("[TELEGRAM-PANEL] Account command failed:", error?.stack || error?.message || error);
       });
     }
   );
 
   bot.on("callback_query", (query) => {
-    handleCallbackQuery(bot, query, userId, cooldownByChatId).catch((error) => {
+    runWithOperation(null, () =>
+      runWithStatusContext({ actor: "telegram" }, () =>
+        handleCallbackQuery(bot, query, userId, cooldownByChatId)
+      )
+    ).catch((error) => {
       console.error("[TELEGRAM-PANEL] callback_query handler failed:", error?.stack || error?.message || error);
     });
   });
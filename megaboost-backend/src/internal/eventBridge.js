@@ -4,6 +4,7 @@ const {
   emitToUser: emitSocketToUser,
   normalizeUserId
 } = require("../utils/socketEvents");
+const { withOperationId } = require("../utils/operationContext");
 
 const INTERNAL_EVENT_URL = String(
   process.env.INTERNAL_EVENTS_URL ||
@@ -108,7 +109,7 @@ async function emitToUserEvent(userId, eventName, payload = {}) {
   return postInternalEvent({
     userId: normalizedUserId,
     eventName: normalizedEventName,
-    payload
+    payload: withOperationId(payload)
   });
 }
 
@@ -134,13 +135,13 @@ async function emitAccountUpdateEvent(accountOrId, patch = {}, extra = {}, userI
   return postInternalEvent({
     userId: resolvedUserId,
     eventName: "account:update",
-    payload: {
+    payload: withOperationId({
       accountId,
       patch: {
         ...patch
       },
       ...extra
-    }
+    })
   });
 }
 
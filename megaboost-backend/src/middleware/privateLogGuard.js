@@ -0,0 +1,39 @@
+const path = require("path");
+
+// Directories under logs/ that stay on disk for the operator and are never served:
+// - archive: retention archives hold raw log records for every tenant.
+// - traces: worker phase traces carry account and tenant ids for every tenant.
+// - evidence: failure evidence holds account pages; it is served per account under /api/accounts.
+const PRIVATE_LOG_DIRS = new Set(["archive", "traces", "evidence"]);
+
+// Checked on the decoded, normalized path that express.static resolves, so
+// "%61rchive" or "//archive" cannot slip past. Returns null when the path
+// cannot be decoded.
+function isPrivateLogPath(requestPath) {
+  let topDir = "";
+  try {
+    topDir = path.posix.normalize(decodeURIComponent(String(requestPath || "/")))
+      .split("/")
+      .filter(Boolean)[0] || "";
+  } catch {
+    return null;
+  }
+  return PRIVATE_LOG_DIRS.has(topDir.toLowerCase());
+}
+
+function privateLogGuard(req, res, next) {
+  const isPrivate = isPrivateLogPath(req.path);
+  if (isPrivate === null) {
+    return res.status(400).end();
+  }
+  if (isPrivate) {
+    return res.status(404).end();
+  }
+  return next();
+}
+
+module.exports = {
+  PRIVATE_LOG_DIRS,
+  isPrivateLogPath,
+  privateLogGuard
+};
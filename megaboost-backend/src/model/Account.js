@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const {
+  getStatusContext,
+  evaluateStatusTransition,
+  StatusTransitionError,
+  recordStatusTransition
+} = require("../utils/statusTransitions");
 
 const accountSchema = new mongoose.Schema({
 
@@ -112,6 +118,19 @@ const accountSchema = new mongoose.Schema({
     dailyRuntimeUsedMs: {
       type: Number,
       default: 0
+    },
+    nodeId: {
+      type: String,
+      default: null,
+      index: true
+    },
+    drainedAt: {
+      type: Date,
+      default: null
+    },
+    resumeAt: {
+      type: Date,
+      default: null
     }
   },
 
@@ -127,6 +146,29 @@ const accountSchema = new mongoose.Schema({
     default: 10
   },
 
+  // Weight for the "weighted" fair share of the user's bump budget.
+  priority: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 1
+  },
+
+  // Saved preset this account follows; cleared when timing is edited directly.
+  presetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BumpPreset",
+    default: null,
+    index: true
+  },
+
+  // Lowercase labels used to target groups of accounts.
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+
   baseInterval: {
     type: Number,
     default: 30
@@ -172,6 +214,40 @@ const accountSchema = new mongoose.Schema({
     default: "00:00-23:59"
   },
 
+  // Non-overlapping HH:MM-HH:MM windows; runtimeWindow mirrors the first one
+  // for older clients.
+  runtimeWindows: {
+    type: [String],
+    default: undefined
+  },
+
+  // Per-weekday windows and dated exceptions layered over runtimeWindows.
+  runtimeCalendar: {
+    weekdays: {
+      type: [
+        {
+          _id: false,
+          day: String,
+          enabled: Boolean,
+          window: String
+        }
+      ],
+      default: []
+    },
+    exceptions: {
+      type: [
+        {
+          _id: false,
+          date: String,
+          enabled: Boolean,
+          window: String,
+          note: String
+        }
+      ],
+      default: []
+    }
+  },
+
   maxDailyRuntime: {
     type: Number,
     default: 8
@@ -187,6 +263,13 @@ const accountSchema = new mongoose.Schema({
   lastCooldownDetected: Date,
   cooldownMinutes: Number,
   waitingUntil: Date,
+  // Set by a timed pause; the worker recovery loop resumes the account once
+  // it has passed.
+  pausedUntil: {
+    type: Date,
+    default: null,
+    index: true
+  },
 
   lastBumpAt: Date,
   nextBumpAt: Date,
@@ -212,4 +295,88 @@ const accountSchema = new mongoose.Schema({
 
 }, { timestamps: true });
 
+function readStatusUpdate(update) {
+  if (!update || Array.isArray(update)) return undefined;
+  if (update.$set && Object.prototype.hasOwnProperty.call(update.$set, "status")) {
+    return { container: update.$set, status: update.$set.status };
+  }
+  if (Object.prototype.hasOwnProperty.call(update, "status")) {
+    return { container: update, status: update.status };
+  }
+  return undefined;
+}
+
+// Every status write goes through the transition table. Rejected moves are
+// stripped from the update so the rest of the patch still lands, unless the
+// caller passes { strictStatus: true } and wants a StatusTransitionError.
+accountSchema.pre(["findOneAndUpdate", "updateOne"], async function () {
+  const statusUpdate = readStatusUpdate(this.getUpdate());
+  if (!statusUpdate) return;
+
+  const current = await this.model
+    .findOne(this.getFilter())
+    .select("_id userId status")
+    .lean();
+  if (!current) return;
+
+  const transition = evaluateStatusTransition(current.status, statusUpdate.status);
+  if (!transition.changed) return;
+
+  if (!transition.accepted) {
+    if (this.getOptions()?.strictStatus) {
+      await recordStatusTransition(current, transition, getStatusContext());
+      throw new StatusTransitionError(transition);
+    }
+    delete statusUpdate.container.status;
+  }
+
+  this._statusTransition = {
+    account: current,
+    transition,
+    context: getStatusContext()
+  };
+});
+
+accountSchema.post(["findOneAndUpdate", "updateOne"], async function (result) {
+  const pending = this._statusTransition;
+  if (!pending) return;
+  this._statusTransition = null;
+
+  const matched =
+    result && typeof result.matchedCount === "number" ? result.matchedCount > 0 : Boolean(result);
+  if (!matched) return;
+
+  await recordStatusTransition(pending.account, pending.transition, pending.context);
+});
+
+accountSchema.pre("save", async function () {
+  if (!this.isNew && !this.isModified("status")) return;
+
+  let previousStatus = null;
+  if (!this.isNew) {
+    const current = await this.constructor.findById(this._id).select("status").lean();
+    previousStatus = current?.status || null;
+  }
+
+  const transition = evaluateStatusTransition(previousStatus, this.status);
+  if (!transition.changed) return;
+
+  if (!transition.accepted) {
+    this.status = previousStatus;
+  }
+
+  this.$locals.statusTransition = {
+    transition,
+    context: getStatusContext()
+  };
+});
+
+accountSchema.post("save", async function (doc) {
+  const pending = doc.$locals.statusTransition;
+  if (!pending) return;
+  doc.$locals.statusTransition = null;
+
+  await recordStatusTransition(doc, pending.transition, pending.context);
+});
+
 module.exports = mongoose.model("Account", accountSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const accountStatusEventSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    legal: {
+      type: Boolean,
+      default: true
+    },
+    accepted: {
+      type: Boolean,
+      default: true
+    },
+    actor: {
+      type: String,
+      enum: ["user", "telegram", "watchdog", "recovery", "worker", "system", "scheduler"],
+      default: "system"
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    // Operator action that caused the change; see utils/operationContext.
+    operationId: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+accountStatusEventSchema.index({ accountId: 1, createdAt: -1 });
+accountStatusEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AccountStatusEvent", accountStatusEventSchema);
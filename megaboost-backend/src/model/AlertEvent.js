@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const { ALERT_EVENT_STATUSES, ALERT_SEVERITIES } = require("../utils/alertRules");
+
+// One alert from firing to resolution. A rule has at most one firing event per
+// key (the account, or "tenant"), which is how repeated evaluations dedupe.
+const alertEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AlertRule",
+      required: true
+    },
+    // Copied from the rule so history survives edits and deletes.
+    ruleName: {
+      type: String,
+      default: ""
+    },
+    severity: {
+      type: String,
+      enum: ALERT_SEVERITIES,
+      default: "warning"
+    },
+    conditionType: {
+      type: String,
+      default: ""
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null
+    },
+    email: {
+      type: String,
+      default: ""
+    },
+    message: {
+      type: String,
+      default: ""
+    },
+    value: {
+      type: Number,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ALERT_EVENT_STATUSES,
+      default: "firing"
+    },
+    firedAt: {
+      type: Date,
+      required: true
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    // Evaluations that found the condition still holding.
+    occurrences: {
+      type: Number,
+      default: 1
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null
+    },
+    // Fired inside the cooldown of an earlier alert for the same key.
+    suppressed: {
+      type: Boolean,
+      default: false
+    },
+    notifications: {
+      type: [
+        {
+          _id: false,
+          kind: String,
+          channel: String,
+          ok: Boolean,
+          reason: String,
+          at: Date
+        }
+      ],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+alertEventSchema.index({ ruleId: 1, key: 1, status: 1 });
+alertEventSchema.index({ userId: 1, firedAt: -1 });
+
+module.exports = mongoose.model("AlertEvent", alertEventSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const {
+  ALERT_CONDITION_TYPES,
+  ALERT_SEVERITIES,
+  ALERT_WATCHABLE_STATUSES
+} = require("../utils/alertRules");
+
+// A user-defined condition checked by engine/alertRuleRunner. Fields are
+// validated by normalizeAlertRuleInput before they get here.
+const alertRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    severity: {
+      type: String,
+      enum: ALERT_SEVERITIES,
+      default: "warning"
+    },
+    condition: {
+      type: {
+        type: String,
+        enum: ALERT_CONDITION_TYPES,
+        required: true
+      },
+      threshold: { type: Number, default: undefined },
+      windowMinutes: { type: Number, default: undefined },
+      hours: { type: Number, default: undefined },
+      status: { type: String, enum: ALERT_WATCHABLE_STATUSES, default: undefined }
+    },
+    // How long the condition must hold before the alert fires.
+    forMinutes: {
+      type: Number,
+      default: 0
+    },
+    // Minimum gap between two notifications for the same alert.
+    cooldownMinutes: {
+      type: Number,
+      default: 60
+    },
+    channels: {
+      telegram: { type: Boolean, default: true },
+      webhookUrl: { type: String, default: "" }
+    },
+    // Alert keys whose condition holds but has not yet lasted forMinutes.
+    pending: {
+      type: [
+        {
+          _id: false,
+          key: String,
+          since: Date
+        }
+      ],
+      default: []
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: ""
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+alertRuleSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model("AlertRule", alertRuleSchema);
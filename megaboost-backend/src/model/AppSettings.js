@@ -53,6 +53,54 @@ const appSettingsSchema = new mongoose.Schema(
       trim: true,
       enum: ["12h", "24h"],
       default: DEFAULT_UI_TIME_FORMAT
+    },
+    bumpBudget: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      dailyLimit: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      hourlyLimit: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      fairShare: {
+        type: String,
+        enum: ["round_robin", "weighted"],
+        default: "round_robin"
+      }
+    },
+    // Scheduled digest reports; see utils/digestReports.
+    digest: {
+      daily: {
+        type: Boolean,
+        default: false
+      },
+      weekly: {
+        type: Boolean,
+        default: false
+      },
+      hour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 9
+      },
+      weekday: {
+        type: Number,
+        min: 1,
+        max: 7,
+        default: 1
+      },
+      telegram: {
+        type: Boolean,
+        default: true
+      }
     }
   },
   {
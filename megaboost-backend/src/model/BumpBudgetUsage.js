@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One document per user and budget day. Slots are reserved atomically before
+// a bump cycle and released again if the cycle does not bump.
+const bumpBudgetUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    dayKey: {
+      type: String,
+      required: true
+    },
+    used: {
+      type: Number,
+      default: 0
+    },
+    // Keyed by two-digit hour ("00".."23") in the user's timezone.
+    hours: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    // Keyed by account id.
+    accounts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+bumpBudgetUsageSchema.index({ userId: 1, dayKey: 1 }, { unique: true });
+bumpBudgetUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("BumpBudgetUsage", bumpBudgetUsageSchema);
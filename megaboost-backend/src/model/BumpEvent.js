@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+const bumpEventSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    outcome: {
+      type: String,
+      required: true
+    },
+    message: {
+      type: String,
+      default: ""
+    },
+    stage: {
+      type: String,
+      default: null
+    },
+    cooldownDetected: {
+      type: Boolean,
+      default: false
+    },
+    cooldownMs: {
+      type: Number,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: 0
+    },
+    postId: {
+      type: String,
+      default: null
+    },
+    scheduledAt: {
+      type: Date,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Positive when the attempt started after its scheduled time.
+    driftMs: {
+      type: Number,
+      default: null
+    },
+    nextBumpAt: {
+      type: Date,
+      default: null
+    },
+    proxy: {
+      type: String,
+      default: ""
+    },
+    selfTest: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+bumpEventSchema.index({ accountId: 1, createdAt: -1 });
+bumpEventSchema.index({ accountId: 1, outcome: 1, createdAt: -1 });
+// Tenant-wide analytics over a date range.
+bumpEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BumpEvent", bumpEventSchema);
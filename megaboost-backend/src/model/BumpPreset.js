@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Saved timing configuration. Accounts that follow a preset point at it via
+// Account.presetId and are re-applied whenever the preset is edited.
+const bumpPresetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    baseIntervalMinutes: {
+      type: Number,
+      required: true
+    },
+    randomMinMinutes: {
+      type: Number,
+      default: 0
+    },
+    randomMaxMinutes: {
+      type: Number,
+      default: 0
+    },
+    runtimeWindows: {
+      type: [String],
+      default: ["00:00-23:59"]
+    },
+    maxDailyBumps: {
+      type: Number,
+      default: 10
+    },
+    maxDailyRuntimeHours: {
+      type: Number,
+      default: 8
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+bumpPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("BumpPreset", bumpPresetSchema);
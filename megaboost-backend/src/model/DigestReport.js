@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const { DIGEST_PERIODS } = require("../utils/digestReports");
+
+// A daily or weekly digest as it was computed and sent; see utils/digestReports.
+const digestReportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    period: {
+      type: String,
+      enum: DIGEST_PERIODS,
+      required: true
+    },
+    // "<period>:<send date>" for scheduled digests, "manual:<timestamp>" for ones run by hand.
+    periodKey: {
+      type: String,
+      required: true
+    },
+    manual: {
+      type: Boolean,
+      default: false
+    },
+    from: {
+      type: Date,
+      required: true
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: ""
+    },
+    totals: {
+      _id: false,
+      accounts: Number,
+      attempts: Number,
+      successes: Number,
+      cooldowns: Number,
+      failures: Number,
+      runtimeUsedMs: Number,
+      successRate: Number
+    },
+    accounts: {
+      type: [
+        {
+          _id: false,
+          accountId: mongoose.Schema.Types.ObjectId,
+          email: String,
+          status: String,
+          attempts: Number,
+          successes: Number,
+          cooldowns: Number,
+          failures: Number,
+          runtimeDayKey: String,
+          runtimeUsedMs: Number,
+          maxDailyRuntimeHours: Number
+        }
+      ],
+      default: []
+    },
+    failuresByType: {
+      type: [
+        {
+          _id: false,
+          type: { type: String },
+          label: String,
+          count: Number
+        }
+      ],
+      default: []
+    },
+    attention: {
+      type: [
+        {
+          _id: false,
+          accountId: mongoose.Schema.Types.ObjectId,
+          email: String,
+          status: String
+        }
+      ],
+      default: []
+    },
+    license: {
+      type: {
+        _id: false,
+        status: String,
+        expiresAt: Date,
+        daysRemaining: Number,
+        maxAccounts: Number
+      },
+      default: null
+    },
+    telegram: {
+      _id: false,
+      ok: {
+        type: Boolean,
+        default: false
+      },
+      reason: {
+        type: String,
+        default: ""
+      },
+      sentAt: {
+        type: Date,
+        default: null
+      }
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Also what stops a digest from being sent twice.
+digestReportSchema.index({ userId: 1, periodKey: 1 }, { unique: true });
+digestReportSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("DigestReport", digestReportSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// What the browser showed when a worker failed; see utils/failureEvidence.
+// The screenshot and HTML live under logs/evidence/, named by the file fields.
+const failureEvidenceSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+    email: {
+      type: String,
+      default: ""
+    },
+    // worker_failure, navigation_timeout or unknown_page_state
+    reason: {
+      type: String,
+      required: true
+    },
+    errorType: {
+      type: String,
+      default: null
+    },
+    message: {
+      type: String,
+      default: ""
+    },
+    step: {
+      type: String,
+      default: null
+    },
+    url: {
+      type: String,
+      default: ""
+    },
+    title: {
+      type: String,
+      default: ""
+    },
+    consoleErrors: {
+      type: [
+        {
+          _id: false,
+          source: { type: String, default: "console" },
+          text: { type: String, default: "" },
+          at: { type: Date, default: null }
+        }
+      ],
+      default: []
+    },
+    // Paths relative to logs/evidence/; null when the capture failed.
+    screenshotFile: {
+      type: String,
+      default: null
+    },
+    htmlFile: {
+      type: String,
+      default: null
+    },
+    htmlTruncated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+failureEvidenceSchema.index({ accountId: 1, createdAt: -1 });
+// Age-based retention sweep.
+failureEvidenceSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model("FailureEvidence", failureEvidenceSchema);
@@ -54,5 +54,19 @@ logSchema.index({ userId: 1, createdAt: -1 });
 logSchema.index({ userId: 1, level: 1, createdAt: -1 });
 // Common email filter + sort index.
 logSchema.index({ userId: 1, email: 1, createdAt: -1 });
+// Per-account activity feed.
+logSchema.index({ accountId: 1, createdAt: -1 });
+// Retention sweeps by age.
+logSchema.index({ createdAt: 1 });
+// Everything one operator action produced.
+logSchema.index(
+  { userId: 1, "metadata.operationId": 1, createdAt: -1 },
+  { partialFilterExpression: { "metadata.operationId": { $exists: true } } }
+);
+// Tagged worker events, e.g. crashes counted by alert rules.
+logSchema.index(
+  { userId: 1, "metadata.event": 1, createdAt: -1 },
+  { partialFilterExpression: { "metadata.event": { $exists: true } } }
+);
 
 module.exports = mongoose.model("Log", logSchema);
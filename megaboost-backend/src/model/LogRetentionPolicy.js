@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Single document (key "default") edited by admins. A log matching a category
+// keeps that category's retention; every other log falls back to its level.
+// A retention of 0 days keeps records forever.
+const logRetentionPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true
+    },
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    archiveBeforeDelete: {
+      type: Boolean,
+      default: true
+    },
+    levels: {
+      success: { type: Number, default: 30 },
+      info: { type: Number, default: 30 },
+      warning: { type: Number, default: 60 },
+      error: { type: Number, default: 90 }
+    },
+    categories: [
+      {
+        _id: false,
+        name: { type: String, trim: true, required: true },
+        // Case-insensitive substring of the log message.
+        match: { type: String, trim: true, required: true },
+        days: { type: Number, default: 30 }
+      }
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+    lastRunAt: {
+      type: Date,
+      default: null
+    },
+    lastRunResult: {
+      deleted: { type: Number, default: 0 },
+      archived: { type: Number, default: 0 },
+      archiveFile: { type: String, default: null },
+      truncated: { type: Boolean, default: false },
+      error: { type: String, default: null }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model("LogRetentionPolicy", logRetentionPolicySchema);
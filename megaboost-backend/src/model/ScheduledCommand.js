@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const {
+  SCHEDULED_COMMAND_ACTIONS,
+  SCHEDULED_COMMAND_STATUSES,
+  SCHEDULED_COMMAND_TARGETS
+} = require("../utils/scheduledCommands");
+
+const scheduledCommandSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    action: {
+      type: String,
+      enum: SCHEDULED_COMMAND_ACTIONS,
+      required: true
+    },
+    target: {
+      type: {
+        type: String,
+        enum: SCHEDULED_COMMAND_TARGETS,
+        required: true
+      },
+      accountIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: undefined
+      },
+      tag: {
+        type: String,
+        default: undefined
+      }
+    },
+    // apply_preset only: a built-in quick preset key or a saved preset.
+    presetKey: {
+      type: String,
+      default: null
+    },
+    presetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BumpPreset",
+      default: null
+    },
+    runAt: {
+      type: Date,
+      required: true
+    },
+    // Timezone the run time was entered in, kept for display.
+    timezone: {
+      type: String,
+      default: ""
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: ""
+    },
+    status: {
+      type: String,
+      enum: SCHEDULED_COMMAND_STATUSES,
+      default: "pending"
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    result: {
+      matched: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      message: { type: String, default: "" },
+      failures: {
+        type: [
+          {
+            _id: false,
+            accountId: String,
+            email: String,
+            code: String,
+            message: String
+          }
+        ],
+        default: []
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+scheduledCommandSchema.index({ status: 1, runAt: 1 });
+scheduledCommandSchema.index({ userId: 1, runAt: -1 });
+
+module.exports = mongoose.model("ScheduledCommand", scheduledCommandSchema);
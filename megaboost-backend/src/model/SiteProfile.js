@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const siteProfileSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true
+    },
+    active: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    profile: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    note: {
+      type: String,
+      default: "",
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+module.exports = mongoose.model("SiteProfile", siteProfileSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const workerJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ["start", "retry"],
+      default: "start"
+    },
+    status: {
+      type: String,
+      enum: ["pending", "leased"],
+      default: "pending"
+    },
+    priority: {
+      type: Number,
+      default: 0
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    notBefore: {
+      type: Date,
+      default: Date.now
+    },
+    nodeId: {
+      type: String,
+      default: null
+    },
+    leaseOwner: {
+      type: String,
+      default: null
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: ""
+    },
+    // Carries the requesting operation across the queue to whichever node
+    // leases the job.
+    operationId: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One job per account: a second enqueue while another node holds the lease
+// fails on this index instead of producing a double start.
+workerJobSchema.index({ accountId: 1 }, { unique: true });
+workerJobSchema.index({ nodeId: 1, status: 1, notBefore: 1, priority: -1 });
+workerJobSchema.index({ leaseOwner: 1, status: 1 });
+
+module.exports = mongoose.model("WorkerJob", workerJobSchema);
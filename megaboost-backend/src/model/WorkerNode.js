@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const workerNodeSchema = new mongoose.Schema(
+  {
+    nodeId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    hostname: {
+      type: String,
+      default: ""
+    },
+    pid: {
+      type: Number,
+      default: null
+    },
+    capacity: {
+      type: Number,
+      default: 0
+    },
+    running: {
+      type: Number,
+      default: 0
+    },
+    queued: {
+      type: Number,
+      default: 0
+    },
+    // Draining nodes finish in-flight cycles and take no new accounts.
+    draining: {
+      type: Boolean,
+      default: false
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+      index: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model("WorkerNode", workerNodeSchema);
@@ -17,10 +17,19 @@ const {
   startAccount,
   stopAccount,
   restartAccount,
+  pauseAccount,
+  resumeAccount,
   startAllAccounts,
   stopAllAccounts,
+  restartAccounts,
+  resetRetryAccounts,
   testConnection,
-  resetRetry
+  resetRetry,
+  getStatusHistory,
+  getAccountActivity,
+  getAccountBumps,
+  getAccountEvidence,
+  getAccountEvidenceFile
 } = require("../controller/accountController");
 const { requireAuth } = require("../middleware/requireAuth");
 const { requireValidLicense } = require("../middleware/requireValidLicense");
@@ -30,15 +39,21 @@ router.use(requireAuth);
 // Add account
 router.post("/", requireValidLicense, addAccount);
 
-// Get accounts
+// Get accounts (optional ?tag=)
 router.get("/", getAccounts);
 
-// Start all eligible accounts (optionally restricted via body.accountIds[])
+// Start all eligible accounts (optionally restricted via body.accountIds[] or body.tag)
 router.post("/start-all", requireValidLicense, startAllAccounts);
 
-// Stop all running-like accounts (optionally restricted via body.accountIds[])
+// Stop all running-like accounts (optionally restricted via body.accountIds[] or body.tag)
 router.post("/stop-all", stopAllAccounts);
 
+// Restart running-like accounts (optionally restricted via body.accountIds[] or body.tag)
+router.post("/restart-all", requireValidLicense, restartAccounts);
+
+// Reset retry state of accounts that have one (optionally restricted via body.accountIds[] or body.tag)
+router.post("/reset-retry-all", resetRetryAccounts);
+
 // Get account by id
 router.get("/:id", getAccountById);
 
@@ -78,6 +93,27 @@ router.post("/:id/stop", stopAccount);
 // Restart account
 router.post("/:id/restart", requireValidLicense, restartAccount);
 
+// Pause account (optional body.duration or body.until for a timed pause)
+router.post("/:id/pause", pauseAccount);
+
+// Resume paused account
+router.post("/:id/resume", requireValidLicense, resumeAccount);
+
+// Get status transition history (newest first, optional ?actor=)
+router.get("/:id/status-history", getStatusHistory);
+
+// Get account activity logs (paged, optional ?level=&from=&to=)
+router.get("/:id/activity", getAccountActivity);
+
+// Get recorded bump attempts (paged, optional ?outcome=&cooldown=&from=&to=)
+router.get("/:id/bumps", getAccountBumps);
+
+// Get failure evidence captured by the worker (paged, optional ?reason=&from=&to=)
+router.get("/:id/evidence", getAccountEvidence);
+
+// Get a captured screenshot or HTML snapshot (kind: screenshot | html)
+router.get("/:id/evidence/:evidenceId/:kind", getAccountEvidenceFile);
+
 // Reset worker retry/circuit-breaker state
 router.post("/:id/reset-retry", resetRetry);
 
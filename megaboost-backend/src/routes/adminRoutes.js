@@ -8,6 +8,18 @@ const {
   listUsers,
   updateUser
 } = require("../controller/adminController");
+const {
+  getActiveSiteProfile,
+  listSiteProfileVersions,
+  validateSiteProfileDraft,
+  publishSiteProfile,
+  activateSiteProfileVersion
+} = require("../controller/siteProfileController");
+const {
+  getLogRetention,
+  updateLogRetention,
+  runLogRetentionNow
+} = require("../controller/logRetentionController");
 const { requireAuth } = require("../middleware/requireAuth");
 const { requireAdmin } = require("../middleware/requireAdmin");
 
@@ -25,4 +37,14 @@ router.post("/users", createUser);
 router.get("/users", listUsers);
 router.put("/users/:id", updateUser);
 
+router.get("/site-profile", getActiveSiteProfile);
+router.get("/site-profile/versions", listSiteProfileVersions);
+router.post("/site-profile/validate", validateSiteProfileDraft);
+router.put("/site-profile", publishSiteProfile);
+router.post("/site-profile/versions/:version/activate", activateSiteProfileVersion);
+
+router.get("/log-retention", getLogRetention);
+router.put("/log-retention", updateLogRetention);
+router.post("/log-retention/run", runLogRetentionNow);
+
 module.exports = router;
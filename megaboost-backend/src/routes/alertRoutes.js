@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  listAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  listAlertEvents
+} = require("../controller/alertController");
+const { requireValidLicense } = require("../middleware/requireValidLicense");
+
+router.get("/rules", listAlertRules);
+router.post("/rules", requireValidLicense, createAlertRule);
+router.put("/rules/:id", updateAlertRule);
+router.delete("/rules/:id", deleteAlertRule);
+router.get("/events", listAlertEvents);
+
+module.exports = router;
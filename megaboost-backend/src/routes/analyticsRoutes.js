@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getSummary,
+  getBumpsPerDay,
+  getOutcomes,
+  getCooldowns,
+  getDrift,
+  getLogins,
+  getHourHeatmap,
+  getAccountPerformance
+} = require("../controller/analyticsController");
+
+// All endpoints take from/to (YYYY-MM-DD or ISO) or days, plus an optional accountId.
+router.get("/summary", getSummary);
+router.get("/bumps-per-day", getBumpsPerDay);
+router.get("/outcomes", getOutcomes);
+router.get("/cooldowns", getCooldowns);
+router.get("/drift", getDrift);
+router.get("/logins", getLogins);
+router.get("/heatmap", getHourHeatmap);
+router.get("/accounts", getAccountPerformance);
+
+module.exports = router;
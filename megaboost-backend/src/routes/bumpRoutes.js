@@ -3,11 +3,25 @@ const router = express.Router();
 
 const {
   getQuickPresets,
-  applyQuickPreset
+  applyQuickPreset,
+  simulateBumpSchedule
 } = require("../controller/bumpController");
+const {
+  listBumpPresets,
+  createBumpPreset,
+  updateBumpPreset,
+  deleteBumpPreset,
+  applyBumpPreset
+} = require("../controller/bumpPresetController");
 const { requireValidLicense } = require("../middleware/requireValidLicense");
 
 router.get("/presets", getQuickPresets);
 router.post("/presets/apply", requireValidLicense, applyQuickPreset);
+router.get("/presets/custom", listBumpPresets);
+router.post("/presets/custom", createBumpPreset);
+router.put("/presets/custom/:id", requireValidLicense, updateBumpPreset);
+router.delete("/presets/custom/:id", deleteBumpPreset);
+router.post("/presets/custom/:id/apply", requireValidLicense, applyBumpPreset);
+router.post("/simulate", simulateBumpSchedule);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  listDigestReports,
+  getDigestReport,
+  runDigestReport
+} = require("../controller/digestController");
+
+router.get("/", listDigestReports);
+router.post("/run", runDigestReport);
+router.get("/:id", getDigestReport);
+
+module.exports = router;
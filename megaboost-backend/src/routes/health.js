@@ -1,6 +1,8 @@
 const express = require("express");
 const mongoose = require("mongoose");
+const Account = require("../model/Account");
 const workerGateway = require("../engine/workerGateway");
+const metrics = require("../utils/metrics");
 const {
   getEventLoopLagMs,
   getEventLoopMonitorMeta,
@@ -41,6 +43,25 @@ function getConnectedSocketsCount(io) {
   return 0;
 }
 
+// Accounts per status come from the database, so only the API reports them;
+// worker nodes would otherwise each export the same totals.
+async function collectAccountMetrics() {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const groups = await Account.aggregate([
+    { $group: { _id: { userId: "$userId", status: "$status" }, count: { $sum: 1 } } }
+  ]);
+  metrics.accountsByStatus.reset();
+  for (const group of groups) {
+    metrics.accountsByStatus.set(
+      { tenant: group._id?.userId ? String(group._id.userId) : "", status: group._id?.status },
+      group.count
+    );
+  }
+}
+
+metrics.registerCollector(collectAccountMetrics);
+
 router.get("/health", (_req, res) => {
   return res.status(200).json({
     ok: true,
@@ -118,6 +139,14 @@ router.get("/metrics", async (req, res) => {
     eventLoopMonitor: getEventLoopMonitorMeta(),
     activeWorkers: Number(workerStatus?.running || 0),
     queueSize: Number(workerStatus?.queued || 0),
+    admission:
+      workerStatus?.admission ||
+      (Array.isArray(workerStatus?.nodes)
+        ? workerStatus.nodes.map((node) => ({
+            nodeId: node.nodeId,
+            ...(node.admission || {})
+          }))
+        : null),
     connectedSockets: getConnectedSocketsCount(io),
     workerStatus: workerStatus || null,
     workerError: workerError || null
@@ -9,6 +9,9 @@ router.post("/", logController.createLog);
 // Recent logs for dashboard
 router.get("/recent", logController.getRecentLogs);
 
+// Stream filtered logs as CSV / NDJSON
+router.get("/export", logController.exportLogs);
+
 // Get logs (paged + filter/search + stats)
 router.get("/", logController.getLogsPaged);
 
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  listScheduledCommands,
+  createScheduledCommand,
+  cancelScheduledCommand
+} = require("../controller/scheduledCommandController");
+const { requireValidLicense } = require("../middleware/requireValidLicense");
+
+router.get("/", listScheduledCommands);
+router.post("/", requireValidLicense, createScheduledCommand);
+router.post("/:id/cancel", cancelScheduledCommand);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
   getOrCreateTelegramSettings,
   buildSettingsPublicPayload
 } = require("../integrations/telegram/telegramBot");
+const { getBumpBudgetUsage, normalizeBumpBudget, validateBumpBudget } = require("../utils/bumpBudget");
+const { normalizeDigestSettings, validateDigestSettings } = require("../utils/digestReports");
 
 const router = express.Router();
 
@@ -97,6 +99,34 @@ async function saveAppSettings(req, res) {
         : existing.uiTimeFormat
     });
 
+    if (hasOwn(req.body, "bumpBudget")) {
+      const budgetInput = {
+        ...normalizeBumpBudget(existing.bumpBudget),
+        ...(req.body.bumpBudget && typeof req.body.bumpBudget === "object" ? req.body.bumpBudget : {})
+      };
+      const budgetError = validateBumpBudget(budgetInput);
+      if (budgetError) {
+        return res.status(400).json({
+          message: budgetError
+        });
+      }
+      patch.bumpBudget = normalizeBumpBudget(budgetInput);
+    }
+
+    if (hasOwn(req.body, "digest")) {
+      const digestInput = {
+        ...normalizeDigestSettings(existing.digest),
+        ...(req.body.digest && typeof req.body.digest === "object" ? req.body.digest : {})
+      };
+      const digestError = validateDigestSettings(digestInput);
+      if (digestError) {
+        return res.status(400).json({
+          message: digestError
+        });
+      }
+      patch.digest = normalizeDigestSettings(digestInput);
+    }
+
     const updated = await AppSettings.findOneAndUpdate(
       { userId },
       {
@@ -123,6 +153,24 @@ async function saveAppSettings(req, res) {
 router.post("/app", saveAppSettings);
 router.put("/app", saveAppSettings);
 
+router.get("/bump-budget", async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    if (!userId) {
+      return res.status(401).json({
+        message: "Authentication required"
+      });
+    }
+
+    const settings = await getOrCreateAppSettings(userId);
+    return res.status(200).json(await getBumpBudgetUsage(userId, settings));
+  } catch (error) {
+    return res.status(500).json({
+      message: error?.message || "Failed to load bump budget usage"
+    });
+  }
+});
+
 async function saveTelegramSettings(req, res) {
   try {
     const userId = getRequestUserId(req);
@@ -0,0 +1,187 @@
+const Account = require("../model/Account");
+const workerManager = require("../engine/workerGateway");
+const { emitAccountUpdateEvent } = require("../internal/eventBridge");
+const { runWithStatusContext, assertStatusTransition } = require("./statusTransitions");
+
+const ACCOUNT_COMMAND_SELECT = "_id email userId status pausedUntil workerState";
+
+const BANNED_STATUSES = new Set(["banned", "blocked"]);
+const RUNNING_LIKE_STATUSES = new Set([
+  "running",
+  "starting",
+  "restarting",
+  "active",
+  "bumping",
+  "waiting_cooldown",
+  "awaiting_2fa",
+  "awaiting_verification_code",
+  "needs2fa"
+]);
+const STOPPED_STATUSES = new Set(["stopped", "pending", "completed"]);
+
+const CLEARED_SCHEDULE_FIELDS = {
+  waitingUntil: null,
+  nextBumpAt: null,
+  nextBumpDelayMs: null,
+  cooldownMinutes: null
+};
+
+function normalizeStatus(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function isBlockedAccount(account = {}) {
+  return (
+    BANNED_STATUSES.has(normalizeStatus(account.status)) ||
+    Boolean(String(account?.workerState?.blockedReason || "").trim())
+  );
+}
+
+// Returns a skip reason when the command would be a no-op or is not allowed
+// for the account's current state, otherwise null.
+function getAccountCommandSkipReason(action, account = {}) {
+  const status = normalizeStatus(account.status);
+
+  switch (action) {
+    case "start":
+      if (isBlockedAccount(account)) return "blocked";
+      return RUNNING_LIKE_STATUSES.has(status) ? "already_running" : null;
+    case "stop":
+      return STOPPED_STATUSES.has(status) ? "already_stopped" : null;
+    case "pause":
+      if (status === "paused") return "already_paused";
+      return STOPPED_STATUSES.has(status) ? "not_running" : null;
+    case "resume":
+      if (isBlockedAccount(account)) return "blocked";
+      return status === "paused" ? null : "not_paused";
+    case "restart":
+      return isBlockedAccount(account) ? "blocked" : null;
+    default:
+      return "unsupported_action";
+  }
+}
+
+// pausedUntil null pauses until someone resumes the account.
+async function pauseAccountNow(account, { userId, ip, reason, pausedUntil = null }) {
+  const accountId = String(account._id);
+  assertStatusTransition(account.status, "paused");
+
+  await workerManager.pauseAccount(accountId, {
+    userId,
+    ip,
+    reason,
+    forceClearStopRequest: true
+  });
+
+  await Account.findByIdAndUpdate(
+    accountId,
+    {
+      $set: {
+        status: "paused",
+        pausedUntil,
+        ...CLEARED_SCHEDULE_FIELDS,
+        lastCooldownDetected: null,
+        "workerState.nextRetryAt": null
+      }
+    },
+    { strictStatus: true }
+  ).exec();
+
+  await emitAccountUpdateEvent(
+    accountId,
+    { status: "paused", pausedUntil, ...CLEARED_SCHEDULE_FIELDS },
+    {},
+    userId
+  ).catch(() => null);
+}
+
+async function resumeAccountNow(account, { userId, ip }) {
+  const accountId = String(account._id);
+  assertStatusTransition(account.status, "running");
+
+  await workerManager.resumeAccount(accountId, {
+    userId,
+    ip,
+    resetRuntimeFields: true,
+    emitPendingConnectionTest: false
+  });
+
+  await Account.findByIdAndUpdate(
+    accountId,
+    {
+      $set: {
+        status: "running",
+        pausedUntil: null,
+        ...CLEARED_SCHEDULE_FIELDS,
+        lastCooldownDetected: null,
+        "workerState.nextRetryAt": null,
+        "workerState.blockedReason": null
+      }
+    },
+    { strictStatus: true }
+  ).exec();
+
+  await emitAccountUpdateEvent(
+    accountId,
+    { status: "running", pausedUntil: null, ...CLEARED_SCHEDULE_FIELDS },
+    {},
+    userId
+  ).catch(() => null);
+}
+
+// Status writes are strict: an illegal transition throws a StatusTransitionError
+// so callers report a failure instead of a command that silently did nothing.
+async function runAccountCommand(action, account, options = {}) {
+  const skipReason = getAccountCommandSkipReason(action, account);
+  if (skipReason) {
+    return { skipped: true, reason: skipReason };
+  }
+
+  const userId = String(options.userId || account.userId || "");
+  const ip = options.ip || "";
+  const reason = options.reason || `account_${action}`;
+
+  await runWithStatusContext({ actor: options.actor, reason }, async () => {
+    switch (action) {
+      case "start":
+        await workerManager.requestStart(account, {
+          ip,
+          userId,
+          resetRuntimeFields: true,
+          emitPendingConnectionTest: true,
+          strictStatus: true
+        });
+        break;
+      case "stop":
+        await workerManager.requestStop(String(account._id), { ip, userId, strictStatus: true });
+        break;
+      case "pause":
+        await pauseAccountNow(account, { userId, ip, reason, pausedUntil: options.pausedUntil || null });
+        break;
+      case "resume":
+        await resumeAccountNow(account, { userId, ip });
+        break;
+      case "restart":
+        await workerManager.restartAccount(account, {
+          ip,
+          userId,
+          stopTimeoutMs: 5000,
+          restartDelayMs: 3000
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { skipped: false };
+}
+
+module.exports = {
+  ACCOUNT_COMMAND_SELECT,
+  getAccountCommandSkipReason,
+  isBlockedAccount,
+  pauseAccountNow,
+  resumeAccountNow,
+  runAccountCommand
+};
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+const MAX_TAGS_PER_ACCOUNT = 20;
+const MAX_TAG_LENGTH = 32;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_.:-]*$/;
+
+function normalizeTag(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+// Accepts an array or a comma separated string. Invalid entries are kept so
+// validation can name them.
+function normalizeTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return Array.from(new Set(list.map(normalizeTag).filter(Boolean)));
+}
+
+function getTagListError(tags) {
+  if (tags.length > MAX_TAGS_PER_ACCOUNT) {
+    return `An account can have at most ${MAX_TAGS_PER_ACCOUNT} tags`;
+  }
+  const invalid = tags.find((tag) => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+  if (invalid) {
+    return `Invalid tag "${invalid}". Use letters, digits, "-", "_", "." or ":" (max ${MAX_TAG_LENGTH})`;
+  }
+  return null;
+}
+
+// Resolves an explicit id list or a tag into an account filter. Callers add
+// the tenant scope. With allowAll, a body naming neither targets every
+// account; an empty accountIds list is always an error.
+function resolveAccountTarget(input = {}, { allowAll = false } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const hasIds = Array.isArray(source.accountIds);
+  const tag = normalizeTag(source.tag);
+
+  if (hasIds && tag) {
+    return { error: "Pass either accountIds or tag, not both" };
+  }
+  if (hasIds) {
+    const ids = Array.from(
+      new Set(source.accountIds.map((id) => String(id || "").trim()).filter(Boolean))
+    );
+    if (ids.length === 0) {
+      return { error: "accountIds must list at least one account" };
+    }
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: "accountIds contains an invalid id" };
+    }
+    return { filter: { _id: { $in: ids } }, target: { accountIds: ids } };
+  }
+  if (tag) {
+    return { filter: { tags: tag }, target: { tag } };
+  }
+  if (allowAll) {
+    return { filter: {}, target: { all: true } };
+  }
+  return { error: "accountIds or tag is required" };
+}
+
+// "#night" or "tag:night" targets a tag and "ID1,ID2" several accounts. Any
+// other text (a single email or id) returns null.
+function parseAccountTargetText(rawTarget) {
+  const target = String(rawTarget || "").trim();
+  const tagMatch = target.match(/^(?:#|tag:)\s*(\S+)$/i);
+  if (tagMatch) {
+    return { tag: normalizeTag(tagMatch[1]) };
+  }
+
+  const parts = target.split(/[\s,]+/).filter(Boolean);
+  if (parts.length > 1 && parts.every((part) => /^[a-fA-F0-9]{24}$/.test(part))) {
+    return { accountIds: Array.from(new Set(parts)) };
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_TAGS_PER_ACCOUNT,
+  getTagListError,
+  normalizeTag,
+  normalizeTagList,
+  parseAccountTargetText,
+  resolveAccountTarget
+};
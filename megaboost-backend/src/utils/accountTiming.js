@@ -1,10 +1,17 @@
+const Account = require("../model/Account");
 const workerManager = require("../engine/workerGateway");
 const { getOrCreateAppSettings } = require("./appSettings");
 const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_TIMEZONE_LABEL,
+  DEFAULT_UI_TIME_FORMAT,
   computeNextRunSchedule,
   buildScheduleDecisionLogPayload
 } = require("./timing");
 
+const TIMING_APPLY_SELECT =
+  "_id email userId status lastBumpAt workerState baseInterval randomMin randomMax maxDailyRuntime runtimeWindow runtimeWindows runtimeCalendar nextBumpAt nextBumpDelayMs";
+
 const TIMING_MANAGED_STATUSES = new Set([
   "running",
   "starting",
@@ -101,8 +108,78 @@ async function requestWorkerReschedule(account = {}, schedule = {}, options = {}
   });
 }
 
+// Writes the same timing fields to every matching account, recomputes each
+// managed schedule and asks running workers to pick it up.
+async function applyTimingUpdate({ filter, update, userId, reason }) {
+  const accounts = await Account.find(filter).select(TIMING_APPLY_SELECT);
+  const appTimingSettings = await getTimingSettingsForUser(userId).catch(() => ({
+    timezone: DEFAULT_TIMEZONE,
+    timezoneLabel: DEFAULT_TIMEZONE_LABEL,
+    uiTimeFormat: DEFAULT_UI_TIME_FORMAT
+  }));
+
+  const now = new Date();
+  const bulkOperations = [];
+  const reschedules = [];
+  const timingByAccountId = {};
+
+  for (const account of accounts) {
+    const nextAccountState = {
+      ...(account.toObject ? account.toObject() : account),
+      ...update
+    };
+    const schedulePreview = buildAccountSchedulePreview(nextAccountState, appTimingSettings, {
+      now,
+      anchorAt: nextAccountState.lastBumpAt || now
+    });
+    const schedulePatch = buildManagedSchedulePatch(nextAccountState, schedulePreview);
+
+    bulkOperations.push({
+      updateOne: {
+        filter: { _id: account._id },
+        update: {
+          $set: {
+            ...update,
+            ...schedulePatch
+          }
+        }
+      }
+    });
+
+    timingByAccountId[String(account._id)] = buildScheduleDecisionLogPayload(schedulePreview);
+
+    if (shouldPersistManagedSchedule(nextAccountState) && schedulePatch.nextBumpAt) {
+      reschedules.push(
+        requestWorkerReschedule(nextAccountState, schedulePreview, {
+          userId,
+          reason
+        }).catch(() => null)
+      );
+    }
+  }
+
+  const result =
+    bulkOperations.length > 0
+      ? await Account.bulkWrite(bulkOperations)
+      : {
+          matchedCount: 0,
+          modifiedCount: 0
+        };
+
+  if (reschedules.length > 0) {
+    await Promise.allSettled(reschedules);
+  }
+
+  return {
+    matchedCount: result.matchedCount || accounts.length,
+    modifiedCount: result.modifiedCount || 0,
+    timing: timingByAccountId
+  };
+}
+
 module.exports = {
   TIMING_MANAGED_STATUSES,
+  applyTimingUpdate,
   shouldPersistManagedSchedule,
   getTimingSettingsForUser,
   buildAccountSchedulePreview,
@@ -4,6 +4,7 @@ const mongoose = require("mongoose");
 const { sendTelegramFromLog } = require("./telegram");
 const { emitToUser, normalizeUserId } = require("./socketEvents");
 const { emitToUserEvent } = require("../internal/eventBridge");
+const { getOperationId } = require("./operationContext");
 
 const LEVELS = new Set(["success", "warning", "error", "info"]);
 const DEFAULT_LEVEL = "info";
@@ -201,8 +202,11 @@ async function createActivityLog(payload, options = {}) {
   }
 
   const metadata = normalizeMetadata(payload?.metadata);
-  if (metadata) {
-    logPayload.metadata = metadata;
+  const operationId = getOperationId();
+  if (metadata || operationId) {
+    logPayload.metadata = operationId && !metadata?.operationId
+      ? { ...(metadata || {}), operationId }
+      : metadata;
   }
 
   const created = await Log.create(logPayload);
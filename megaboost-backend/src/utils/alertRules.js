@@ -0,0 +1,381 @@
+const dns = require("dns");
+const net = require("net");
+
+const ALERT_SEVERITIES = ["info", "warning", "critical"];
+const ALERT_EVENT_STATUSES = ["firing", "resolved"];
+const MAX_ALERT_RULE_NAME_LENGTH = 80;
+const MAX_FOR_MINUTES = 24 * 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Statuses a "too many accounts in status" rule can watch.
+const ALERT_WATCHABLE_STATUSES = [
+  "login_failed",
+  "verification_failed",
+  "2fa_failed",
+  "awaiting_verification_code",
+  "awaiting_2fa",
+  "awaiting_captcha",
+  "proxy_failed",
+  "retry_scheduled",
+  "stalled",
+  "crashed",
+  "error",
+  "blocked",
+  "banned"
+];
+
+// Each condition compares a measured value against its parameters. perAccount
+// conditions raise one alert per matching account; the rest one per tenant.
+const ALERT_CONDITIONS = Object.freeze({
+  account_crashes: {
+    perAccount: true,
+    params: {
+      threshold: { default: 3, min: 0, max: 1000 },
+      windowMinutes: { default: 60, min: 5, max: MAX_FOR_MINUTES }
+    }
+  },
+  no_successful_bump: {
+    perAccount: true,
+    params: {
+      hours: { default: 6, min: 1, max: 168 }
+    }
+  },
+  accounts_in_status: {
+    perAccount: false,
+    params: {
+      status: { default: "login_failed", choices: ALERT_WATCHABLE_STATUSES },
+      threshold: { default: 0, min: 0, max: 10000 }
+    }
+  },
+  queue_backlog: {
+    perAccount: false,
+    defaultForMinutes: 10,
+    params: {
+      threshold: { default: 20, min: 0, max: 10000 }
+    }
+  }
+});
+const ALERT_CONDITION_TYPES = Object.keys(ALERT_CONDITIONS);
+
+function readWholeNumber(value, label, { min, max }, errors) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${label} must be a whole number between ${min} and ${max}`);
+    return null;
+  }
+  return number;
+}
+
+// Webhooks are posted from the API host, so they must not reach loopback,
+// private, link-local (cloud metadata) or other non-public addresses. Hosts in
+// ALERT_WEBHOOK_ALLOWED_HOSTS are exempt, for operators with LAN receivers.
+const NON_PUBLIC_NETWORKS = (() => {
+  const list = new net.BlockList();
+  [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4]
+  ].forEach(([address, prefix]) => list.addSubnet(address, prefix, "ipv4"));
+  [
+    ["::", 128],
+    ["::1", 128],
+    ["64:ff9b::", 96],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8]
+  ].forEach(([address, prefix]) => list.addSubnet(address, prefix, "ipv6"));
+  return list;
+})();
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  String(process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+function isNonPublicAddress(address) {
+  let ip = String(address || "").trim().replace(/^\[|\]$/g, "").toLowerCase();
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (family === 4) return NON_PUBLIC_NETWORKS.check(ip, "ipv4");
+  if (family === 6) {
+    // Other IPv4-mapped forms (::ffff:7f00:1) fall in ::ffff:0:0/96.
+    if (/^::ffff:/.test(ip)) return true;
+    return NON_PUBLIC_NETWORKS.check(ip, "ipv6");
+  }
+  return false;
+}
+
+function isWebhookHostAllowlisted(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.has(String(hostname || "").replace(/^\[|\]$/g, "").toLowerCase());
+}
+
+// Checks what can be told from the URL alone: a literal address or a
+// localhost name. Names that resolve to private addresses are caught by
+// resolveWebhookHost and again when the webhook is sent.
+function isNonPublicWebhookHost(hostname) {
+  const host = String(hostname || "").replace(/^\[|\]$/g, "").toLowerCase();
+  if (isWebhookHostAllowlisted(host)) return false;
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  return isNonPublicAddress(host);
+}
+
+// Resolves the webhook host and returns an error message when any address it
+// resolves to is not public, or null when it may be posted to.
+async function resolveWebhookHost(url) {
+  let hostname = "";
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return "channels.webhookUrl must be an http(s) URL";
+  }
+  if (isWebhookHostAllowlisted(hostname)) return null;
+  if (isNonPublicWebhookHost(hostname)) return "channels.webhookUrl must point to a public host";
+
+  const addresses = await dns.promises.lookup(hostname, { all: true }).catch(() => null);
+  if (!addresses || addresses.length === 0) return `channels.webhookUrl host ${hostname} does not resolve`;
+  if (addresses.some((entry) => isNonPublicAddress(entry.address))) {
+    return "channels.webhookUrl must point to a public host";
+  }
+  return null;
+}
+
+function normalizeWebhookUrl(value, errors) {
+  const raw = String(value || "").trim();
+  if (!raw) return "";
+  let parsed = null;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol) || raw.length > 500) {
+    errors.push("channels.webhookUrl must be an http(s) URL");
+    return "";
+  }
+  if (isNonPublicWebhookHost(parsed.hostname)) {
+    errors.push("channels.webhookUrl must point to a public host");
+    return "";
+  }
+  return parsed.toString();
+}
+
+function normalizeCondition(source, current, errors) {
+  const type = String(source.type ?? current?.type ?? "").trim().toLowerCase();
+  const definition = ALERT_CONDITIONS[type];
+  if (!definition) {
+    errors.push(`condition.type must be one of: ${ALERT_CONDITION_TYPES.join(", ")}`);
+    return null;
+  }
+
+  // Parameters carry over from the current rule only while the type stays the same.
+  const previous = current?.type === type ? current : {};
+  const condition = { type };
+  for (const [param, spec] of Object.entries(definition.params)) {
+    const value = source[param] ?? previous[param] ?? spec.default;
+    if (spec.choices) {
+      const choice = String(value || "").trim().toLowerCase();
+      if (!spec.choices.includes(choice)) {
+        errors.push(`condition.${param} must be one of: ${spec.choices.join(", ")}`);
+      }
+      condition[param] = choice;
+    } else {
+      condition[param] = readWholeNumber(value, `condition.${param}`, spec, errors);
+    }
+  }
+  return condition;
+}
+
+// Returns { rule } with every field filled in from current (for updates) or
+// the defaults, or { error } listing what was wrong.
+function normalizeAlertRuleInput(input = {}, current = null) {
+  const source = input && typeof input === "object" ? input : {};
+  const base = current || {};
+  const errors = [];
+
+  const name = String(source.name ?? base.name ?? "").trim();
+  if (!name) {
+    errors.push("name is required");
+  } else if (name.length > MAX_ALERT_RULE_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_ALERT_RULE_NAME_LENGTH} characters`);
+  }
+
+  const conditionSource =
+    source.condition && typeof source.condition === "object" ? source.condition : {};
+  const condition = normalizeCondition(conditionSource, base.condition, errors);
+  const typeChanged = Boolean(condition && base.condition?.type !== condition.type);
+
+  const severity = String(source.severity ?? base.severity ?? "warning").trim().toLowerCase();
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of: ${ALERT_SEVERITIES.join(", ")}`);
+  }
+
+  const defaultForMinutes = typeChanged
+    ? ALERT_CONDITIONS[condition.type].defaultForMinutes || 0
+    : base.forMinutes ?? 0;
+  const forMinutes = readWholeNumber(
+    source.forMinutes ?? defaultForMinutes,
+    "forMinutes",
+    { min: 0, max: MAX_FOR_MINUTES },
+    errors
+  );
+  const cooldownMinutes = readWholeNumber(
+    source.cooldownMinutes ?? base.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+    "cooldownMinutes",
+    { min: 1, max: MAX_COOLDOWN_MINUTES },
+    errors
+  );
+
+  const channelSource = source.channels && typeof source.channels === "object" ? source.channels : {};
+  const channels = {
+    telegram: Boolean(channelSource.telegram ?? base.channels?.telegram ?? true),
+    webhookUrl: normalizeWebhookUrl(channelSource.webhookUrl ?? base.channels?.webhookUrl, errors)
+  };
+
+  if (errors.length > 0) return { error: errors.join("; ") };
+  return {
+    rule: {
+      name,
+      enabled: source.enabled === undefined ? base.enabled !== false : Boolean(source.enabled),
+      severity,
+      condition,
+      forMinutes,
+      cooldownMinutes,
+      channels
+    }
+  };
+}
+
+function describeCondition(condition = {}) {
+  switch (condition.type) {
+    case "account_crashes":
+      return `an account crashed more than ${condition.threshold} time(s) in ${condition.windowMinutes} min`;
+    case "no_successful_bump":
+      return `a running account has had no successful bump for ${condition.hours} h`;
+    case "accounts_in_status":
+      return `more than ${condition.threshold} account(s) are ${condition.status}`;
+    case "queue_backlog":
+      return `more than ${condition.threshold} start(s) are waiting in the queue`;
+    default:
+      return "unknown condition";
+  }
+}
+
+// Decides what one evaluation does with its findings ({ key, ... }):
+// - fire: new alerts, with notify false when the key was notified within the
+//   cooldown (a flapping condition);
+// - remind: still firing and the cooldown has passed since the last notice;
+// - touch: still firing, nothing to send;
+// - resolve: open alerts whose condition no longer holds;
+// - pending: keys still waiting out the rule's forMinutes.
+function planAlertEvaluation({ rule, findings = [], openEvents = [], lastNotifiedAt = new Map(), now = new Date() }) {
+  const nowMs = new Date(now).valueOf();
+  const cooldownMs = Number(rule.cooldownMinutes || DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+  const forMs = Number(rule.forMinutes || 0) * 60 * 1000;
+  const openByKey = new Map(openEvents.map((event) => [event.key, event]));
+  const pendingSince = new Map(
+    (rule.pending || []).map((entry) => [entry.key, new Date(entry.since).valueOf()])
+  );
+  const plan = { fire: [], remind: [], touch: [], resolve: [], pending: [] };
+  const seen = new Set();
+
+  for (const finding of findings) {
+    seen.add(finding.key);
+    const open = openByKey.get(finding.key);
+    if (open) {
+      // An alert held back by the cooldown counts from when it fired.
+      const lastNoticeMs = new Date(open.lastNotifiedAt || open.firedAt).valueOf();
+      const bucket = nowMs - lastNoticeMs >= cooldownMs ? plan.remind : plan.touch;
+      bucket.push({ event: open, finding });
+      continue;
+    }
+
+    const sinceMs = pendingSince.get(finding.key) ?? nowMs;
+    if (nowMs - sinceMs < forMs) {
+      plan.pending.push({ key: finding.key, since: new Date(sinceMs) });
+      continue;
+    }
+
+    const previousNoticeMs = lastNotifiedAt.get(finding.key);
+    plan.fire.push({
+      finding,
+      notify: !(previousNoticeMs && nowMs - new Date(previousNoticeMs).valueOf() < cooldownMs)
+    });
+  }
+
+  for (const event of openEvents) {
+    if (!seen.has(event.key)) plan.resolve.push(event);
+  }
+  return plan;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const SEVERITY_ICONS = { info: "\u2139\uFE0F", warning: "\u26A0\uFE0F", critical: "\uD83D\uDEA8" };
+
+// kind is "fired", "reminder" or "resolved".
+function formatAlertTelegramMessage(rule, event, kind) {
+  if (kind === "resolved") {
+    return `\u2705 <b>Resolved: ${escapeHtml(rule.name)}</b>\n${escapeHtml(event.message)}`;
+  }
+  const icon = SEVERITY_ICONS[rule.severity] || SEVERITY_ICONS.warning;
+  const prefix = kind === "reminder" ? "Still firing: " : "";
+  return `${icon} <b>${prefix}[${String(rule.severity).toUpperCase()}] ${escapeHtml(rule.name)}</b>\n${escapeHtml(
+    event.message
+  )}`;
+}
+
+function buildAlertWebhookPayload(rule, event, kind) {
+  return {
+    type: `alert.${kind}`,
+    rule: {
+      id: String(rule._id || ""),
+      name: rule.name,
+      severity: rule.severity,
+      condition: rule.condition
+    },
+    alert: {
+      id: String(event._id || ""),
+      key: event.key,
+      status: event.status,
+      accountId: event.accountId ? String(event.accountId) : null,
+      email: event.email || null,
+      message: event.message,
+      value: event.value ?? null,
+      firedAt: event.firedAt || null,
+      resolvedAt: event.resolvedAt || null
+    }
+  };
+}
+
+module.exports = {
+  ALERT_CONDITIONS,
+  ALERT_CONDITION_TYPES,
+  ALERT_EVENT_STATUSES,
+  ALERT_SEVERITIES,
+  ALERT_WATCHABLE_STATUSES,
+  buildAlertWebhookPayload,
+  describeCondition,
+  formatAlertTelegramMessage,
+  isNonPublicAddress,
+  isNonPublicWebhookHost,
+  isWebhookHostAllowlisted,
+  normalizeAlertRuleInput,
+  planAlertEvaluation,
+  resolveWebhookHost
+};
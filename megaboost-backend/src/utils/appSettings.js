@@ -5,6 +5,8 @@ const {
   DEFAULT_UI_TIME_FORMAT,
   resolveAppTimingSettings
 } = require("./timing");
+const { normalizeBumpBudget } = require("./bumpBudget");
+const { normalizeDigestSettings } = require("./digestReports");
 
 let legacyAppSettingsIndexChecked = false;
 
@@ -86,7 +88,9 @@ function buildAppSettingsPublicPayload(settings = {}) {
   return {
     timezone: timing.timezone,
     timezoneLabel: timing.timezoneLabel,
-    uiTimeFormat: timing.uiTimeFormat
+    uiTimeFormat: timing.uiTimeFormat,
+    bumpBudget: normalizeBumpBudget(settings?.bumpBudget),
+    digest: normalizeDigestSettings(settings?.digest)
   };
 }
 
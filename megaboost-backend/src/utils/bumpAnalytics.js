@@ -0,0 +1,275 @@
+const { DateTime } = require("luxon");
+const { DEFAULT_TIMEZONE, toDateTime } = require("./timing");
+
+const ANALYTICS_DEFAULT_DAYS = 14;
+const ANALYTICS_MAX_DAYS = 180;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FAILURE_OUTCOMES = ["retryable_failure", "non_retryable_failure", "blocked"];
+// Status transitions that count as a login attempt and how one can end badly.
+const LOGIN_ATTEMPT_STATUSES = ["starting", "restarting"];
+const LOGIN_FAILURE_STATUSES = ["login_failed", "verification_failed", "2fa_failed"];
+const CHECKPOINT_STATUSES = ["awaiting_captcha", "awaiting_verification_code", "awaiting_2fa", "needs2fa"];
+
+// Lower bounds in ms; a negative drift means the attempt started early.
+const DRIFT_BUCKETS = Object.freeze([
+  Object.freeze({ label: "early", min: -Number.MAX_SAFE_INTEGER }),
+  Object.freeze({ label: "0-1m", min: 0 }),
+  Object.freeze({ label: "1-5m", min: 60 * 1000 }),
+  Object.freeze({ label: "5-15m", min: 5 * 60 * 1000 }),
+  Object.freeze({ label: "15-60m", min: 15 * 60 * 1000 }),
+  Object.freeze({ label: "60m+", min: 60 * 60 * 1000 })
+]);
+const DRIFT_LATE_MS = 60 * 1000;
+
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// A bare date covers the whole day in the user's timezone; anything else is
+// read as an ISO timestamp.
+function parseRangeBoundary(value, timezone, endOfDay) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  if (DATE_ONLY_PATTERN.test(raw)) {
+    const day = DateTime.fromISO(raw, { zone: timezone });
+    if (!day.isValid) return undefined;
+    return (endOfDay ? day.endOf("day") : day.startOf("day")).toUTC().toJSDate();
+  }
+  const parsed = DateTime.fromISO(raw, { setZone: true });
+  return parsed.isValid ? parsed.toUTC().toJSDate() : undefined;
+}
+
+// Returns { range: { from, to, timezone } } or { error }. Without "from" the
+// range starts `days` (default 14) calendar days before "to".
+function parseAnalyticsRange(query = {}, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const zone = toDateTime(now, timezone).zoneName || DEFAULT_TIMEZONE;
+  const to = parseRangeBoundary(query.to, zone, true);
+  const from = parseRangeBoundary(query.from, zone, false);
+  if (to === undefined) return { error: "to must be a date (YYYY-MM-DD) or ISO timestamp" };
+  if (from === undefined) return { error: "from must be a date (YYYY-MM-DD) or ISO timestamp" };
+
+  let days = ANALYTICS_DEFAULT_DAYS;
+  if (query.days !== undefined && query.days !== "") {
+    days = Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > ANALYTICS_MAX_DAYS) {
+      return { error: `days must be a whole number between 1 and ${ANALYTICS_MAX_DAYS}` };
+    }
+  }
+
+  const end = to || new Date(now);
+  const start =
+    from ||
+    toDateTime(end, zone)
+      .minus({ days: days - 1 })
+      .startOf("day")
+      .toUTC()
+      .toJSDate();
+
+  if (start > end) return { error: "from must be before to" };
+  if (end - start > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Range cannot be longer than ${ANALYTICS_MAX_DAYS} days` };
+  }
+
+  return { range: { from: start, to: end, timezone: zone } };
+}
+
+// Every calendar day the range touches, as YYYY-MM-DD in its timezone.
+function listRangeDays(range) {
+  const days = [];
+  let cursor = toDateTime(range.from, range.timezone).startOf("day");
+  const last = toDateTime(range.to, range.timezone).startOf("day");
+  while (cursor <= last && days.length <= ANALYTICS_MAX_DAYS + 1) {
+    days.push(cursor.toISODate());
+    cursor = cursor.plus({ days: 1 });
+  }
+  return days;
+}
+
+function dayKeyExpression(timezone, field = "$createdAt") {
+  return { $dateToString: { format: "%Y-%m-%d", date: field, timezone } };
+}
+
+function classifyOutcome(outcome) {
+  if (outcome === "success") return "success";
+  if (outcome === "cooldown") return "cooldown";
+  if (FAILURE_OUTCOMES.includes(outcome)) return "failure";
+  return "other";
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+function roundMs(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+// rows: [{ _id: { day, outcome }, count }]
+function shapeOutcomesByDay(rows = [], days = []) {
+  const byDay = new Map(
+    days.map((day) => [day, { day, attempts: 0, success: 0, cooldown: 0, failure: 0, other: 0 }])
+  );
+  for (const row of rows) {
+    const entry = byDay.get(row?._id?.day);
+    if (!entry) continue;
+    const count = Number(row.count || 0);
+    entry.attempts += count;
+    entry[classifyOutcome(row._id.outcome)] += count;
+  }
+  return Array.from(byDay.values()).map((entry) => ({
+    ...entry,
+    successRate: ratio(entry.success, entry.attempts),
+    failureRate: ratio(entry.failure, entry.attempts)
+  }));
+}
+
+// rows: [{ _id: { day, accountId }, count }]; accounts: Map of id -> email.
+// Keeps the busiest `limit` accounts and folds the rest into "Other".
+function shapeBumpsPerAccountDay(rows = [], days = [], accounts = new Map(), limit = 10) {
+  const dayIndex = new Map(days.map((day, index) => [day, index]));
+  const series = new Map();
+  for (const row of rows) {
+    const index = dayIndex.get(row?._id?.day);
+    if (index === undefined) continue;
+    const accountId = String(row._id.accountId);
+    if (!series.has(accountId)) {
+      series.set(accountId, {
+        accountId,
+        email: accounts.get(accountId) || accountId,
+        total: 0,
+        counts: days.map(() => 0)
+      });
+    }
+    const entry = series.get(accountId);
+    entry.counts[index] += Number(row.count || 0);
+    entry.total += Number(row.count || 0);
+  }
+
+  const sorted = Array.from(series.values()).sort((left, right) => right.total - left.total);
+  const top = sorted.slice(0, limit);
+  const rest = sorted.slice(limit);
+  if (rest.length > 0) {
+    top.push({
+      accountId: null,
+      email: `Other (${rest.length})`,
+      total: rest.reduce((sum, entry) => sum + entry.total, 0),
+      counts: days.map((_, index) => rest.reduce((sum, entry) => sum + entry.counts[index], 0))
+    });
+  }
+  return top;
+}
+
+// rows: [{ _id: day, count, avgCooldownMs }]
+function shapeCooldownsByDay(rows = [], days = []) {
+  const byDay = new Map(rows.map((row) => [row._id, row]));
+  return days.map((day) => {
+    const row = byDay.get(day);
+    return {
+      day,
+      count: Number(row?.count || 0),
+      avgCooldownMs: row ? roundMs(row.avgCooldownMs) : null
+    };
+  });
+}
+
+// rows: [{ _id: day, samples, avgDriftMs, maxDriftMs, late }]
+function shapeDriftByDay(rows = [], days = []) {
+  const byDay = new Map(rows.map((row) => [row._id, row]));
+  return days.map((day) => {
+    const row = byDay.get(day);
+    return {
+      day,
+      samples: Number(row?.samples || 0),
+      avgDriftMs: row ? roundMs(row.avgDriftMs) : null,
+      maxDriftMs: row ? roundMs(row.maxDriftMs) : null,
+      late: Number(row?.late || 0)
+    };
+  });
+}
+
+// rows: [{ _id: <bucket lower bound>, count }] from $bucket over DRIFT_BUCKETS.
+function shapeDriftHistogram(rows = []) {
+  const counts = new Map(rows.map((row) => [Number(row._id), Number(row.count || 0)]));
+  return DRIFT_BUCKETS.map((bucket) => ({ label: bucket.label, count: counts.get(bucket.min) || 0 }));
+}
+
+function driftBucketStage() {
+  return {
+    $bucket: {
+      groupBy: "$driftMs",
+      boundaries: [...DRIFT_BUCKETS.map((bucket) => bucket.min), Number.MAX_SAFE_INTEGER],
+      // Boundaries cover every number, so only non-numeric drift lands here.
+      default: "other",
+      output: { count: { $sum: 1 } }
+    }
+  };
+}
+
+// rows: [{ _id: { day, status }, count }] from account status events.
+function shapeLoginsByDay(rows = [], days = []) {
+  const byDay = new Map(
+    days.map((day) => [
+      day,
+      { day, attempts: 0, failures: 0, checkpoints: 0, byStatus: {} }
+    ])
+  );
+  for (const row of rows) {
+    const entry = byDay.get(row?._id?.day);
+    if (!entry) continue;
+    const status = row._id.status;
+    const count = Number(row.count || 0);
+    if (LOGIN_ATTEMPT_STATUSES.includes(status)) entry.attempts += count;
+    if (LOGIN_FAILURE_STATUSES.includes(status)) {
+      entry.failures += count;
+      entry.byStatus[status] = (entry.byStatus[status] || 0) + count;
+    }
+    if (CHECKPOINT_STATUSES.includes(status)) entry.checkpoints += count;
+  }
+  return Array.from(byDay.values()).map((entry) => ({
+    ...entry,
+    failureRate: ratio(entry.failures, entry.attempts)
+  }));
+}
+
+// rows: [{ _id: { weekday (ISO 1-7), hour }, attempts, success }]
+function shapeHourHeatmap(rows = []) {
+  const grid = WEEKDAY_LABELS.map((weekday) => ({
+    weekday,
+    hours: Array.from({ length: 24 }, (_, hour) => ({ hour, attempts: 0, success: 0, successRate: 0 }))
+  }));
+  for (const row of rows) {
+    const weekday = Number(row?._id?.weekday) - 1;
+    const hour = Number(row?._id?.hour);
+    const cell = grid[weekday]?.hours[hour];
+    if (!cell) continue;
+    cell.attempts += Number(row.attempts || 0);
+    cell.success += Number(row.success || 0);
+    cell.successRate = ratio(cell.success, cell.attempts);
+  }
+  return grid;
+}
+
+module.exports = {
+  ANALYTICS_DEFAULT_DAYS,
+  ANALYTICS_MAX_DAYS,
+  CHECKPOINT_STATUSES,
+  DRIFT_BUCKETS,
+  DRIFT_LATE_MS,
+  FAILURE_OUTCOMES,
+  LOGIN_ATTEMPT_STATUSES,
+  LOGIN_FAILURE_STATUSES,
+  classifyOutcome,
+  dayKeyExpression,
+  driftBucketStage,
+  listRangeDays,
+  parseAnalyticsRange,
+  ratio,
+  roundMs,
+  shapeBumpsPerAccountDay,
+  shapeCooldownsByDay,
+  shapeDriftByDay,
+  shapeDriftHistogram,
+  shapeHourHeatmap,
+  shapeLoginsByDay,
+  shapeOutcomesByDay
+};
@@ -0,0 +1,222 @@
+const Account = require("../model/Account");
+const BumpBudgetUsage = require("../model/BumpBudgetUsage");
+const { DEFAULT_TIMEZONE, toDateTime } = require("./timing");
+
+const BUMP_BUDGET_FAIR_SHARE = ["round_robin", "weighted"];
+const MAX_BUMP_BUDGET_LIMIT = 100000;
+const MIN_ACCOUNT_PRIORITY = 1;
+const MAX_ACCOUNT_PRIORITY = 10;
+const USAGE_RETENTION_DAYS = 3;
+
+// Accounts that compete for the shared budget right now.
+const FAIR_SHARE_STATUSES = [
+  "starting",
+  "restarting",
+  "running",
+  "active",
+  "bumping",
+  "waiting_cooldown",
+  "retry_scheduled"
+];
+
+function toLimit(value) {
+  const parsed = Math.floor(Number(value));
+  if (!Number.isFinite(parsed) || parsed < 0) return 0;
+  return Math.min(parsed, MAX_BUMP_BUDGET_LIMIT);
+}
+
+function normalizeAccountPriority(value) {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) return MIN_ACCOUNT_PRIORITY;
+  return Math.min(MAX_ACCOUNT_PRIORITY, Math.max(MIN_ACCOUNT_PRIORITY, parsed));
+}
+
+function normalizeBumpBudget(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const fairShare = String(source.fairShare || "").trim().toLowerCase();
+  const dailyLimit = toLimit(source.dailyLimit);
+
+  return {
+    enabled: Boolean(source.enabled) && dailyLimit > 0,
+    dailyLimit,
+    hourlyLimit: toLimit(source.hourlyLimit),
+    fairShare: BUMP_BUDGET_FAIR_SHARE.includes(fairShare) ? fairShare : "round_robin"
+  };
+}
+
+function validateBumpBudget(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const dailyLimit = Number(source.dailyLimit ?? 0);
+  const hourlyLimit = Number(source.hourlyLimit ?? 0);
+
+  if (!Number.isInteger(dailyLimit) || dailyLimit < 0 || dailyLimit > MAX_BUMP_BUDGET_LIMIT) {
+    return `Daily bump limit must be a whole number between 0 and ${MAX_BUMP_BUDGET_LIMIT}`;
+  }
+  if (source.enabled && dailyLimit < 1) {
+    return "Daily bump limit is required when the budget is enabled";
+  }
+  if (!Number.isInteger(hourlyLimit) || hourlyLimit < 0 || hourlyLimit > MAX_BUMP_BUDGET_LIMIT) {
+    return `Hourly bump limit must be a whole number between 0 and ${MAX_BUMP_BUDGET_LIMIT}`;
+  }
+  if (
+    source.fairShare !== undefined &&
+    !BUMP_BUDGET_FAIR_SHARE.includes(String(source.fairShare || "").trim().toLowerCase())
+  ) {
+    return `Fair share must be one of: ${BUMP_BUDGET_FAIR_SHARE.join(", ")}`;
+  }
+  return null;
+}
+
+function getBudgetClock(now, timezone) {
+  const current = toDateTime(now || new Date(), timezone || DEFAULT_TIMEZONE);
+  const nextDayAt = current.plus({ days: 1 }).startOf("day");
+  return {
+    dayKey: current.toFormat("yyyy-LL-dd"),
+    hourKey: current.toFormat("HH"),
+    nextHourAt: current.plus({ hours: 1 }).startOf("hour").toUTC().toJSDate(),
+    nextDayAt: nextDayAt.toUTC().toJSDate(),
+    expiresAt: nextDayAt.plus({ days: USAGE_RETENTION_DAYS }).toUTC().toJSDate()
+  };
+}
+
+function readCount(map, key) {
+  if (!map) return 0;
+  const value = typeof map.get === "function" ? map.get(key) : map[key];
+  return Number(value || 0);
+}
+
+// Round-robin splits the daily limit evenly between the accounts running
+// now; weighted splits it by account priority. Shares are recomputed on every
+// check, so an account stopping frees its share for the rest.
+function calculateFairShare(budget, priority, others = []) {
+  if (budget.fairShare === "weighted") {
+    const weight = normalizeAccountPriority(priority);
+    const totalWeight =
+      weight + others.reduce((sum, entry) => sum + normalizeAccountPriority(entry.priority), 0);
+    return Math.max(1, Math.ceil((budget.dailyLimit * weight) / totalWeight));
+  }
+
+  return Math.max(1, Math.ceil(budget.dailyLimit / (others.length + 1)));
+}
+
+async function computeFairShare(budget, { userId, accountId, priority }) {
+  const active = await Account.find({ userId, status: { $in: FAIR_SHARE_STATUSES } })
+    .select("_id priority")
+    .lean();
+  const others = active.filter((entry) => String(entry._id) !== String(accountId));
+  return calculateFairShare(budget, priority, others);
+}
+
+function buildUsageSummary(budget, doc, clock) {
+  const used = Number(doc?.used || 0);
+  const usedThisHour = readCount(doc?.hours, clock.hourKey);
+  return {
+    enabled: budget.enabled,
+    dailyLimit: budget.dailyLimit,
+    hourlyLimit: budget.hourlyLimit,
+    fairShare: budget.fairShare,
+    dayKey: clock.dayKey,
+    used,
+    remaining: Math.max(0, budget.dailyLimit - used),
+    usedThisHour,
+    remainingThisHour: budget.hourlyLimit > 0 ? Math.max(0, budget.hourlyLimit - usedThisHour) : null,
+    resetsAt: clock.nextDayAt.toISOString()
+  };
+}
+
+async function getBumpBudgetUsage(userId, settings = {}, now = new Date()) {
+  const budget = normalizeBumpBudget(settings?.bumpBudget);
+  const clock = getBudgetClock(now, settings?.timezone);
+  const doc = await BumpBudgetUsage.findOne({ userId, dayKey: clock.dayKey }).lean();
+  return buildUsageSummary(budget, doc, clock);
+}
+
+// Takes one slot of the user's budget for the account. The conditional upsert
+// keeps concurrent workers on different nodes from overshooting the limits.
+async function reserveBumpSlot({ userId, accountId, priority, settings = {}, now = new Date() } = {}) {
+  const budget = normalizeBumpBudget(settings?.bumpBudget);
+  if (!budget.enabled || !userId) {
+    return { allowed: true, reservation: null };
+  }
+
+  const clock = getBudgetClock(now, settings?.timezone);
+  const share = await computeFairShare(budget, { userId, accountId, priority });
+  const accountField = `accounts.${accountId}`;
+  const hourField = `hours.${clock.hourKey}`;
+  const filter = {
+    userId,
+    dayKey: clock.dayKey,
+    used: { $lt: budget.dailyLimit },
+    [accountField]: { $not: { $gte: share } }
+  };
+  if (budget.hourlyLimit > 0) {
+    filter[hourField] = { $not: { $gte: budget.hourlyLimit } };
+  }
+
+  try {
+    const doc = await BumpBudgetUsage.findOneAndUpdate(
+      filter,
+      {
+        $inc: { used: 1, [hourField]: 1, [accountField]: 1 },
+        $setOnInsert: { expiresAt: clock.expiresAt }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: false }
+    ).lean();
+
+    return {
+      allowed: true,
+      reservation: { userId, accountId, dayKey: clock.dayKey, hourKey: clock.hourKey },
+      usage: buildUsageSummary(budget, doc, clock),
+      share
+    };
+  } catch (error) {
+    if (Number(error?.code) !== 11000) throw error;
+  }
+
+  const doc = await BumpBudgetUsage.findOne({ userId, dayKey: clock.dayKey }).lean();
+  const usage = buildUsageSummary(budget, doc, clock);
+  let reason = "fair_share";
+  let retryAt = clock.nextDayAt;
+  if (usage.used >= budget.dailyLimit) {
+    reason = "daily_limit";
+  } else if (budget.hourlyLimit > 0 && usage.usedThisHour >= budget.hourlyLimit) {
+    reason = "hourly_limit";
+    retryAt = clock.nextHourAt;
+  }
+
+  return {
+    allowed: false,
+    reason,
+    retryAt,
+    usage,
+    share
+  };
+}
+
+async function releaseBumpSlot(reservation) {
+  if (!reservation?.userId || !reservation?.dayKey) return;
+  await BumpBudgetUsage.updateOne(
+    { userId: reservation.userId, dayKey: reservation.dayKey, used: { $gt: 0 } },
+    {
+      $inc: {
+        used: -1,
+        [`hours.${reservation.hourKey}`]: -1,
+        [`accounts.${reservation.accountId}`]: -1
+      }
+    }
+  );
+}
+
+module.exports = {
+  BUMP_BUDGET_FAIR_SHARE,
+  MAX_ACCOUNT_PRIORITY,
+  MIN_ACCOUNT_PRIORITY,
+  calculateFairShare,
+  getBudgetClock,
+  getBumpBudgetUsage,
+  normalizeAccountPriority,
+  normalizeBumpBudget,
+  releaseBumpSlot,
+  reserveBumpSlot,
+  validateBumpBudget
+};
@@ -0,0 +1,158 @@
+const { parseRuntimeWindowList } = require("./runtimeWindow");
+const {
+  DEFAULT_TIMEZONE,
+  QUICK_BUMP_PRESETS,
+  getRuntimeWindowClockRange
+} = require("./timing");
+
+const MAX_PRESET_NAME_LENGTH = 60;
+
+function readNumber(source, keys, fallback) {
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== "") {
+      return Number(source[key]);
+    }
+  }
+  return fallback;
+}
+
+// Validates a full preset. For updates the caller merges the patch over the
+// stored preset first, so the same rules apply to both.
+function normalizeBumpPresetInput(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const name = String(source.name || "").trim();
+  if (!name) return { error: "Preset name is required" };
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    return { error: `Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters` };
+  }
+
+  const baseIntervalMinutes = readNumber(source, ["baseIntervalMinutes", "baseInterval"], NaN);
+  if (!Number.isFinite(baseIntervalMinutes) || baseIntervalMinutes < 1 || baseIntervalMinutes > 1440) {
+    return { error: "Base interval must be between 1 and 1440 minutes" };
+  }
+
+  const randomMinMinutes = readNumber(source, ["randomMinMinutes", "randomMin"], 0);
+  const randomMaxMinutes = readNumber(source, ["randomMaxMinutes", "randomMax"], 0);
+  if (
+    !Number.isFinite(randomMinMinutes) ||
+    !Number.isFinite(randomMaxMinutes) ||
+    randomMinMinutes < 0 ||
+    randomMaxMinutes < randomMinMinutes
+  ) {
+    return { error: "Random range is invalid" };
+  }
+
+  const windowInput =
+    source.runtimeWindows !== undefined ? source.runtimeWindows : source.runtimeWindow || "00:00-23:59";
+  const windowList = parseRuntimeWindowList(windowInput);
+  if (windowList.errors.length > 0) return { error: `Runtime windows: ${windowList.errors[0]}` };
+  if (windowList.windows.length === 0) return { error: "At least one runtime window is required" };
+
+  const maxDailyBumps = readNumber(source, ["maxDailyBumps"], 10);
+  if (!Number.isFinite(maxDailyBumps) || maxDailyBumps < 1 || maxDailyBumps > 500) {
+    return { error: "Max daily bumps must be between 1 and 500" };
+  }
+
+  const maxDailyRuntimeHours = readNumber(source, ["maxDailyRuntimeHours", "maxDailyRuntime"], 8);
+  if (!Number.isFinite(maxDailyRuntimeHours) || maxDailyRuntimeHours < 1 || maxDailyRuntimeHours > 24) {
+    return { error: "Max daily runtime must be between 1 and 24 hours" };
+  }
+
+  return {
+    preset: {
+      name,
+      baseIntervalMinutes,
+      randomMinMinutes,
+      randomMaxMinutes,
+      runtimeWindows: windowList.normalized,
+      maxDailyBumps,
+      maxDailyRuntimeHours
+    }
+  };
+}
+
+// Account fields written when an account follows the preset, including the
+// legacy single-value mirrors older readers still use.
+function buildPresetAccountUpdate(preset = {}) {
+  const { windows, normalized } = parseRuntimeWindowList(preset.runtimeWindows);
+  const [first] = windows;
+  return {
+    presetId: preset._id,
+    baseInterval: preset.baseIntervalMinutes,
+    baseIntervalMinutes: preset.baseIntervalMinutes,
+    randomMin: preset.randomMinMinutes,
+    randomMinMinutes: preset.randomMinMinutes,
+    randomMax: preset.randomMaxMinutes,
+    randomMaxMinutes: preset.randomMaxMinutes,
+    runtimeWindows: normalized,
+    runtimeWindow: first.normalized,
+    runtimeStart: first.runtimeStart,
+    runtimeEnd: first.runtimeEnd,
+    maxDailyBumps: preset.maxDailyBumps,
+    maxDailyRuntime: preset.maxDailyRuntimeHours,
+    maxDailyRuntimeHours: preset.maxDailyRuntimeHours
+  };
+}
+
+function normalizeQuickPresetName(presetValue) {
+  const value = String(presetValue || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+  if (value === "businesshours") return "business_hours";
+  return value;
+}
+
+function resolveQuickPreset(presetValue) {
+  return QUICK_BUMP_PRESETS[normalizeQuickPresetName(presetValue)] || null;
+}
+
+// Applying a quick preset also detaches the account from any saved preset.
+function buildQuickPresetAccountUpdate(preset = {}) {
+  const runtimeRange = getRuntimeWindowClockRange(preset.runtimeWindow);
+  return {
+    baseInterval: preset.baseInterval,
+    baseIntervalMinutes: preset.baseInterval,
+    randomMin: preset.randomMin,
+    randomMinMinutes: preset.randomMin,
+    randomMax: preset.randomMax,
+    randomMaxMinutes: preset.randomMax,
+    runtimeWindow: preset.runtimeWindow,
+    runtimeWindows: [preset.runtimeWindow],
+    runtimeStart: runtimeRange.start24h,
+    runtimeEnd: runtimeRange.end24h,
+    timezone: DEFAULT_TIMEZONE,
+    presetId: null
+  };
+}
+
+const PRESET_MANAGED_FIELDS = [
+  "baseIntervalMinutes",
+  "randomMinMinutes",
+  "randomMaxMinutes",
+  "runtimeWindows",
+  "maxDailyBumps",
+  "maxDailyRuntimeHours"
+];
+
+// True when an account patch changes a value the preset controls. Clients
+// resend the whole form on every save, so presence alone is not a change.
+function changesPresetFields(account = {}, patch = {}) {
+  return PRESET_MANAGED_FIELDS.some((field) => {
+    if (patch[field] === undefined) return false;
+    if (field === "runtimeWindows") {
+      const current = Array.isArray(account.runtimeWindows) ? account.runtimeWindows : [];
+      return JSON.stringify(current) !== JSON.stringify(patch.runtimeWindows);
+    }
+    return Number(account[field]) !== Number(patch[field]);
+  });
+}
+
+module.exports = {
+  buildPresetAccountUpdate,
+  buildQuickPresetAccountUpdate,
+  resolveQuickPreset,
+  changesPresetFields,
+  normalizeBumpPresetInput
+};
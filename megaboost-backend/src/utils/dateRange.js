@@ -0,0 +1,21 @@
+// Returns { from, to } as Dates (null when not given) or { error } when a
+// bound does not parse, so a typo never widens the range to everything.
+function parseDateRange({ from, to } = {}) {
+  const parse = (value) => {
+    const raw = String(value ?? "").trim();
+    if (!raw) return null;
+    const parsed = new Date(raw);
+    return Number.isNaN(parsed.valueOf()) ? undefined : parsed;
+  };
+
+  const fromDate = parse(from);
+  const toDate = parse(to);
+  if (fromDate === undefined) return { error: "from must be a date (YYYY-MM-DD) or ISO timestamp" };
+  if (toDate === undefined) return { error: "to must be a date (YYYY-MM-DD) or ISO timestamp" };
+  if (fromDate && toDate && fromDate > toDate) return { error: "from must be before to" };
+  return { from: fromDate, to: toDate };
+}
+
+module.exports = {
+  parseDateRange
+};
@@ -0,0 +1,295 @@
+const { DEFAULT_TIMEZONE, toDateTime } = require("./timing");
+const { FAILURE_OUTCOMES, ratio } = require("./bumpAnalytics");
+
+const DIGEST_PERIODS = ["daily", "weekly"];
+const DEFAULT_DIGEST_HOUR = 9;
+// Luxon weekday numbering: 1 is Monday, 7 is Sunday.
+const DEFAULT_DIGEST_WEEKDAY = 1;
+// A digest whose hour passed longer ago than this (e.g. the API was down) is skipped.
+const DIGEST_MAX_LATE_MS = 6 * 60 * 60 * 1000;
+const MAX_MESSAGE_ACCOUNTS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts that cannot bump until someone steps in.
+const ATTENTION_STATUSES = [
+  "awaiting_verification_code",
+  "verification_failed",
+  "awaiting_2fa",
+  "needs2fa",
+  "2fa_failed",
+  "banned",
+  "blocked",
+  "crashed"
+];
+// Status changes counted as failures next to failed bump attempts.
+const FAILURE_STATUSES = [
+  "login_failed",
+  "verification_failed",
+  "2fa_failed",
+  "proxy_failed",
+  "crashed",
+  "error",
+  "blocked",
+  "banned"
+];
+
+// Bump outcomes are keyed "bump:<outcome>", status changes "status:<status>".
+const FAILURE_LABELS = {
+  "bump:retryable_failure": "Bump failed (retried)",
+  "bump:non_retryable_failure": "Bump failed",
+  "bump:blocked": "Bump blocked",
+  "status:login_failed": "Login failed",
+  "status:verification_failed": "Verification failed",
+  "status:2fa_failed": "2FA failed",
+  "status:proxy_failed": "Proxy failed",
+  "status:crashed": "Worker crashed",
+  "status:error": "Worker error",
+  "status:blocked": "Account blocked",
+  "status:banned": "Banned"
+};
+
+function normalizeDigestSettings(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const hour = Math.floor(Number(source.hour ?? DEFAULT_DIGEST_HOUR));
+  const weekday = Math.floor(Number(source.weekday ?? DEFAULT_DIGEST_WEEKDAY));
+
+  return {
+    daily: Boolean(source.daily),
+    weekly: Boolean(source.weekly),
+    hour: Number.isFinite(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_DIGEST_HOUR,
+    weekday: Number.isFinite(weekday) && weekday >= 1 && weekday <= 7 ? weekday : DEFAULT_DIGEST_WEEKDAY,
+    telegram: source.telegram === undefined ? true : Boolean(source.telegram)
+  };
+}
+
+function validateDigestSettings(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const hour = Number(source.hour ?? DEFAULT_DIGEST_HOUR);
+  const weekday = Number(source.weekday ?? DEFAULT_DIGEST_WEEKDAY);
+
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return "Digest hour must be a whole number between 0 and 23";
+  }
+  if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) {
+    return "Digest weekday must be a whole number between 1 (Monday) and 7 (Sunday)";
+  }
+  return null;
+}
+
+// The latest scheduled send at or before now. A daily digest covers the 24 h
+// before its send time, a weekly one the 7 days before it.
+function getLatestDigestSlot(period, settings, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const digest = normalizeDigestSettings(settings);
+  const current = toDateTime(now, timezone);
+  let slot = current.set({ hour: digest.hour, minute: 0, second: 0, millisecond: 0 });
+
+  if (period === "weekly") {
+    slot = slot.plus({ days: digest.weekday - slot.weekday });
+    if (slot > current) slot = slot.minus({ weeks: 1 });
+  } else if (slot > current) {
+    slot = slot.minus({ days: 1 });
+  }
+
+  const from = period === "weekly" ? slot.minus({ weeks: 1 }) : slot.minus({ days: 1 });
+  return {
+    period,
+    periodKey: `${period}:${slot.toFormat("yyyy-LL-dd")}`,
+    from: from.toUTC().toJSDate(),
+    to: slot.toUTC().toJSDate(),
+    timezone: current.zoneName || DEFAULT_TIMEZONE
+  };
+}
+
+// Slots that are switched on and whose send time passed recently enough.
+function listDueDigestSlots(settings, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const digest = normalizeDigestSettings(settings);
+  const nowMs = new Date(now).valueOf();
+  return DIGEST_PERIODS.filter((period) => digest[period])
+    .map((period) => getLatestDigestSlot(period, digest, { now, timezone }))
+    .filter((slot) => nowMs - slot.to.valueOf() <= DIGEST_MAX_LATE_MS);
+}
+
+function summarizeLicense(license, now = new Date()) {
+  if (!license) return null;
+  const expiresAt = license.expiresAt ? new Date(license.expiresAt) : null;
+  const remainingMs = expiresAt ? expiresAt.valueOf() - new Date(now).valueOf() : NaN;
+  const revoked = String(license.status || "").toLowerCase() === "revoked";
+  const expired = !Number.isFinite(remainingMs) || remainingMs <= 0;
+
+  return {
+    status: revoked ? "revoked" : expired ? "expired" : "active",
+    expiresAt,
+    daysRemaining: expired ? 0 : Math.ceil(remainingMs / DAY_MS),
+    maxAccounts: license.maxAccounts ?? null
+  };
+}
+
+// Shapes the collected rows into the stored report:
+// - bumpRows: [{ _id: { accountId, outcome }, count }]
+// - statusRows: [{ _id: status, count }] for FAILURE_STATUSES entered in the period
+// Runtime is the account's tracked runtime day when that day falls inside the
+// period; older days count as nothing used.
+function buildDigestReport({ slot, accounts = [], bumpRows = [], statusRows = [], license = null, now = new Date() }) {
+  const fromDay = toDateTime(slot.from, slot.timezone).toFormat("yyyy-LL-dd");
+  const toDay = toDateTime(slot.to, slot.timezone).toFormat("yyyy-LL-dd");
+  const byAccount = new Map(
+    accounts.map((account) => {
+      const dayKey = String(account.workerState?.dailyRuntimeDayKey || "");
+      const inPeriod = dayKey >= fromDay && dayKey <= toDay;
+      const usedMs = Math.max(0, Math.round(Number(account.workerState?.dailyRuntimeUsedMs || 0)));
+      return [
+        String(account._id),
+        {
+          accountId: account._id,
+          email: account.email || "",
+          status: account.status || "",
+          attempts: 0,
+          successes: 0,
+          cooldowns: 0,
+          failures: 0,
+          runtimeDayKey: inPeriod ? dayKey : "",
+          runtimeUsedMs: inPeriod ? usedMs : 0,
+          maxDailyRuntimeHours: Number(account.maxDailyRuntimeHours ?? account.maxDailyRuntime ?? 8)
+        }
+      ];
+    })
+  );
+  const failures = new Map();
+
+  for (const row of bumpRows) {
+    const entry = byAccount.get(String(row._id?.accountId));
+    const outcome = row._id?.outcome;
+    const count = Number(row.count || 0);
+    if (FAILURE_OUTCOMES.includes(outcome)) {
+      failures.set(`bump:${outcome}`, (failures.get(`bump:${outcome}`) || 0) + count);
+    }
+    if (!entry) continue;
+    entry.attempts += count;
+    if (outcome === "success") entry.successes += count;
+    else if (outcome === "cooldown") entry.cooldowns += count;
+    else if (FAILURE_OUTCOMES.includes(outcome)) entry.failures += count;
+  }
+  for (const row of statusRows) {
+    failures.set(`status:${row._id}`, Number(row.count || 0));
+  }
+
+  const accountRows = [...byAccount.values()].sort(
+    (left, right) => right.successes - left.successes || left.email.localeCompare(right.email)
+  );
+  const totals = accountRows.reduce(
+    (sum, entry) => ({
+      attempts: sum.attempts + entry.attempts,
+      successes: sum.successes + entry.successes,
+      cooldowns: sum.cooldowns + entry.cooldowns,
+      failures: sum.failures + entry.failures,
+      runtimeUsedMs: sum.runtimeUsedMs + entry.runtimeUsedMs
+    }),
+    { attempts: 0, successes: 0, cooldowns: 0, failures: 0, runtimeUsedMs: 0 }
+  );
+
+  return {
+    period: slot.period,
+    periodKey: slot.periodKey,
+    from: slot.from,
+    to: slot.to,
+    timezone: slot.timezone,
+    totals: {
+      ...totals,
+      accounts: accountRows.length,
+      successRate: ratio(totals.successes, totals.attempts)
+    },
+    accounts: accountRows,
+    failuresByType: [...failures.entries()]
+      .map(([type, count]) => ({ type, label: FAILURE_LABELS[type] || type, count }))
+      .filter((entry) => entry.count > 0)
+      .sort((left, right) => right.count - left.count),
+    attention: accountRows
+      .filter((entry) => ATTENTION_STATUSES.includes(entry.status))
+      .map(({ accountId, email, status }) => ({ accountId, email, status })),
+    license: summarizeLicense(license, now)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function formatHours(ms) {
+  return `${(Number(ms || 0) / 3600000).toFixed(1)}h`;
+}
+
+function formatDigestTelegramMessage(report) {
+  const timezone = report.timezone || DEFAULT_TIMEZONE;
+  const range = `${toDateTime(report.from, timezone).toFormat("dd LLL HH:mm")} - ${toDateTime(
+    report.to,
+    timezone
+  ).toFormat("dd LLL HH:mm")}`;
+  const title = report.period === "weekly" ? "Weekly digest" : "Daily digest";
+  const { totals } = report;
+  const lines = [
+    `\uD83D\uDCCA <b>${title}</b> (${escapeHtml(range)})`,
+    `Bumps: ${totals.successes} ok / ${totals.attempts} attempts (${Math.round(totals.successRate * 100)}%), ` +
+      `${totals.cooldowns} cooldowns, ${totals.failures} failed`
+  ];
+
+  const active = report.accounts.filter((entry) => entry.attempts > 0 || entry.runtimeUsedMs > 0);
+  if (active.length > 0) {
+    lines.push("", "<b>Accounts</b>");
+    for (const entry of active.slice(0, MAX_MESSAGE_ACCOUNTS)) {
+      lines.push(
+        `${escapeHtml(entry.email)}: ${entry.successes} bumps, ${entry.failures} failed, ` +
+          `runtime ${formatHours(entry.runtimeUsedMs)} / ${entry.maxDailyRuntimeHours}h`
+      );
+    }
+    if (active.length > MAX_MESSAGE_ACCOUNTS) {
+      lines.push(`+${active.length - MAX_MESSAGE_ACCOUNTS} more in the dashboard`);
+    }
+  }
+
+  if (report.failuresByType.length > 0) {
+    lines.push("", "<b>Failures</b>");
+    for (const entry of report.failuresByType) {
+      lines.push(`${escapeHtml(entry.label)}: ${entry.count}`);
+    }
+  }
+
+  if (report.attention.length > 0) {
+    lines.push("", "\u26A0\uFE0F <b>Needs attention</b>");
+    for (const entry of report.attention.slice(0, MAX_MESSAGE_ACCOUNTS)) {
+      lines.push(`${escapeHtml(entry.email)}: ${escapeHtml(entry.status)}`);
+    }
+    if (report.attention.length > MAX_MESSAGE_ACCOUNTS) {
+      lines.push(`+${report.attention.length - MAX_MESSAGE_ACCOUNTS} more`);
+    }
+  }
+
+  lines.push("");
+  if (!report.license) {
+    lines.push("License: none assigned");
+  } else if (report.license.status !== "active") {
+    lines.push(`License: ${report.license.status}`);
+  } else {
+    lines.push(`License: ${report.license.daysRemaining} day(s) remaining`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  ATTENTION_STATUSES,
+  DEFAULT_DIGEST_HOUR,
+  DEFAULT_DIGEST_WEEKDAY,
+  DIGEST_MAX_LATE_MS,
+  DIGEST_PERIODS,
+  FAILURE_STATUSES,
+  buildDigestReport,
+  formatDigestTelegramMessage,
+  getLatestDigestSlot,
+  listDueDigestSlots,
+  normalizeDigestSettings,
+  summarizeLicense,
+  validateDigestSettings
+};
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+const FailureEvidence = require("../model/FailureEvidence");
+
+// Screenshot, HTML, URL and recent console errors saved when a worker fails,
+// so a crash can be looked at after the browser is gone. Files are kept under
+// logs/evidence/<accountId>/, which is not served by the public /logs route.
+const FAILURE_EVIDENCE_REASONS = Object.freeze([
+  "worker_failure",
+  "navigation_timeout",
+  "unknown_page_state"
+]);
+
+const FAILURE_EVIDENCE_DIR = path.join(__dirname, "..", "..", "logs", "evidence");
+const CONSOLE_ERROR_LIMIT = 20;
+const CONSOLE_ERROR_TEXT_LIMIT = 1000;
+// A hung page must not hold up the failure handling that follows the capture.
+const CAPTURE_STEP_TIMEOUT_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FAILURE_EVIDENCE_MAX_PER_ACCOUNT = (() => {
+  const parsed = Number(process.env.FAILURE_EVIDENCE_MAX_PER_ACCOUNT || 20);
+  if (!Number.isFinite(parsed) || parsed < 1) return 20;
+  return Math.floor(parsed);
+})();
+const FAILURE_EVIDENCE_MAX_AGE_DAYS = (() => {
+  const parsed = Number(process.env.FAILURE_EVIDENCE_MAX_AGE_DAYS || 14);
+  if (!Number.isFinite(parsed) || parsed < 1) return 14;
+  return Math.floor(parsed);
+})();
+const FAILURE_EVIDENCE_HTML_LIMIT = (() => {
+  const parsed = Number(process.env.FAILURE_EVIDENCE_HTML_MAX_KB || 1024);
+  if (!Number.isFinite(parsed) || parsed < 16) return 1024 * 1024;
+  return Math.floor(parsed * 1024);
+})();
+
+function safeFilePart(value) {
+  return String(value || "unknown").replace(/[^a-zA-Z0-9._-]/g, "_");
+}
+
+// Keeps the newest `limit` console errors and uncaught page errors.
+function createConsoleErrorBuffer(limit = CONSOLE_ERROR_LIMIT) {
+  const entries = [];
+  return {
+    push(source, text, at = new Date()) {
+      entries.push({
+        source: String(source || "console"),
+        text: String(text || "").slice(0, CONSOLE_ERROR_TEXT_LIMIT),
+        at
+      });
+      if (entries.length > limit) {
+        entries.splice(0, entries.length - limit);
+      }
+    },
+    list() {
+      return entries.slice();
+    }
+  };
+}
+
+function trackConsoleErrors(page, limit = CONSOLE_ERROR_LIMIT) {
+  const buffer = createConsoleErrorBuffer(limit);
+  if (!page || typeof page.on !== "function") return buffer;
+
+  page.on("console", (message) => {
+    try {
+      if (message.type() === "error") {
+        buffer.push("console", message.text());
+      }
+    } catch {}
+  });
+  page.on("pageerror", (error) => {
+    buffer.push("pageerror", error?.message || String(error));
+  });
+  return buffer;
+}
+
+// "<accountId>/<timestamp>-<reason>", relative to FAILURE_EVIDENCE_DIR.
+function buildEvidenceFileStem(accountId, reason, capturedAt = new Date()) {
+  const timestamp = capturedAt.toISOString().replace(/[:.]/g, "-");
+  return path.posix.join(safeFilePart(accountId), `${timestamp}-${safeFilePart(reason)}`);
+}
+
+// Returns the stored path for a file field, or null when it would escape the
+// evidence directory.
+function resolveEvidenceFilePath(relativeFile) {
+  if (!relativeFile) return null;
+  const resolved = path.resolve(FAILURE_EVIDENCE_DIR, String(relativeFile));
+  if (!resolved.startsWith(`${FAILURE_EVIDENCE_DIR}${path.sep}`)) return null;
+  return resolved;
+}
+
+// Picks the records past the per-account limit (newest are kept) or older than
+// the maximum age.
+function selectEvidenceToPrune(items = [], options = {}) {
+  const maxPerAccount = Number(options.maxPerAccount || FAILURE_EVIDENCE_MAX_PER_ACCOUNT);
+  const maxAgeMs = Number(options.maxAgeDays || FAILURE_EVIDENCE_MAX_AGE_DAYS) * DAY_MS;
+  const cutoffMs = (options.now || new Date()).valueOf() - maxAgeMs;
+
+  return items
+    .slice()
+    .sort((a, b) => new Date(b.createdAt).valueOf() - new Date(a.createdAt).valueOf())
+    .filter((item, index) => index >= maxPerAccount || new Date(item.createdAt).valueOf() < cutoffMs);
+}
+
+function withTimeout(promise, label) {
+  let timer = null;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${label} timed out after ${CAPTURE_STEP_TIMEOUT_MS} ms`)),
+      CAPTURE_STEP_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function removeEvidenceFiles(items) {
+  for (const item of items) {
+    for (const file of [item.screenshotFile, item.htmlFile]) {
+      const filePath = resolveEvidenceFilePath(file);
+      if (filePath) {
+        await fs.promises.unlink(filePath).catch(() => null);
+      }
+    }
+  }
+}
+
+async function deleteEvidence(items) {
+  if (items.length === 0) return 0;
+  await removeEvidenceFiles(items);
+  const result = await FailureEvidence.deleteMany({ _id: { $in: items.map((item) => item._id) } });
+  return Number(result?.deletedCount || 0);
+}
+
+async function pruneFailureEvidence(accountId, now = new Date()) {
+  const items = await FailureEvidence.find({ accountId })
+    .select("createdAt screenshotFile htmlFile")
+    .lean();
+  return deleteEvidence(selectEvidenceToPrune(items, { now }));
+}
+
+// Age-based sweep across all accounts, for accounts that stopped failing.
+async function pruneExpiredFailureEvidence(now = new Date()) {
+  const cutoff = new Date(now.valueOf() - FAILURE_EVIDENCE_MAX_AGE_DAYS * DAY_MS);
+  const items = await FailureEvidence.find({ createdAt: { $lt: cutoff } })
+    .select("screenshotFile htmlFile")
+    .limit(1000)
+    .lean();
+  return deleteEvidence(items);
+}
+
+async function deleteFailureEvidenceForAccount(accountId) {
+  const items = await FailureEvidence.find({ accountId }).select("screenshotFile htmlFile").lean();
+  await deleteEvidence(items);
+  await fs.promises
+    .rm(path.join(FAILURE_EVIDENCE_DIR, safeFilePart(accountId)), { recursive: true, force: true })
+    .catch(() => null);
+}
+
+// Saves what the page currently shows and returns the evidence id, or null
+// when nothing could be captured. Never throws: a failed capture must not
+// change how the failure itself is handled.
+async function captureFailureEvidence(page, details = {}) {
+  const { account } = details;
+  try {
+    if (!account?._id || !page || page.isClosed()) return null;
+
+    const reason = FAILURE_EVIDENCE_REASONS.includes(details.reason) ? details.reason : "worker_failure";
+    const stem = buildEvidenceFileStem(account._id, reason);
+    await fs.promises.mkdir(path.join(FAILURE_EVIDENCE_DIR, path.posix.dirname(stem)), {
+      recursive: true
+    });
+
+    let screenshotFile = null;
+    try {
+      await withTimeout(
+        page.screenshot({ path: path.join(FAILURE_EVIDENCE_DIR, `${stem}.png`), fullPage: true }),
+        "Screenshot"
+      );
+      screenshotFile = `${stem}.png`;
+    } catch (error) {
+      console.error(`[EVIDENCE] Screenshot failed for ${account.email}:`, error.message);
+    }
+
+    let htmlFile = null;
+    let htmlTruncated = false;
+    try {
+      const html = String((await withTimeout(page.content(), "Page content")) || "");
+      htmlTruncated = html.length > FAILURE_EVIDENCE_HTML_LIMIT;
+      await fs.promises.writeFile(
+        path.join(FAILURE_EVIDENCE_DIR, `${stem}.html`),
+        html.slice(0, FAILURE_EVIDENCE_HTML_LIMIT),
+        "utf8"
+      );
+      htmlFile = `${stem}.html`;
+    } catch (error) {
+      console.error(`[EVIDENCE] HTML snapshot failed for ${account.email}:`, error.message);
+    }
+
+    const title = await withTimeout(page.title(), "Page title").catch(() => "");
+    let url = "";
+    try {
+      url = page.url();
+    } catch {}
+
+    const evidence = await FailureEvidence.create({
+      accountId: account._id,
+      userId: account.userId || null,
+      email: account.email || "",
+      reason,
+      errorType: details.errorType || null,
+      message: String(details.message || "").slice(0, 2000),
+      step: details.step || null,
+      url,
+      title: String(title || ""),
+      consoleErrors: details.consoleErrors?.list?.() || [],
+      screenshotFile,
+      htmlFile,
+      htmlTruncated
+    });
+
+    await pruneFailureEvidence(account._id).catch((error) => {
+      console.error(`[EVIDENCE] Prune failed for ${account.email}:`, error.message);
+    });
+    return String(evidence._id);
+  } catch (error) {
+    console.error(`[EVIDENCE] Capture failed for ${account?.email || "unknown"}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  FAILURE_EVIDENCE_DIR,
+  FAILURE_EVIDENCE_REASONS,
+  buildEvidenceFileStem,
+  captureFailureEvidence,
+  createConsoleErrorBuffer,
+  deleteFailureEvidenceForAccount,
+  pruneExpiredFailureEvidence,
+  pruneFailureEvidence,
+  resolveEvidenceFilePath,
+  selectEvidenceToPrune,
+  trackConsoleErrors
+};
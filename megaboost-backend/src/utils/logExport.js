@@ -0,0 +1,72 @@
+const LOG_EXPORT_FORMATS = Object.freeze({
+  csv: Object.freeze({ contentType: "text/csv; charset=utf-8", extension: "csv" }),
+  ndjson: Object.freeze({ contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" })
+});
+
+const CSV_COLUMNS = Object.freeze(["createdAt", "level", "email", "ip", "accountId", "message", "metadata"]);
+
+function toIso(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return Number.isNaN(date.valueOf()) ? "" : date.toISOString();
+}
+
+// Quotes a field when it contains a delimiter, quote or line break, and
+// prefixes cells that spreadsheets would otherwise evaluate as formulas.
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function buildCsvHeader() {
+  return `${CSV_COLUMNS.join(",")}\r\n`;
+}
+
+function formatLogCsvRow(log = {}) {
+  const metadata = log.metadata && Object.keys(log.metadata).length > 0 ? log.metadata : "";
+  const values = {
+    createdAt: toIso(log.createdAt),
+    level: log.level,
+    email: log.email,
+    ip: log.ip,
+    accountId: log.accountId ? String(log.accountId) : "",
+    message: log.message,
+    metadata
+  };
+  return `${CSV_COLUMNS.map((column) => escapeCsvField(values[column])).join(",")}\r\n`;
+}
+
+function formatLogNdjsonLine(log = {}) {
+  return `${JSON.stringify({
+    _id: log._id ? String(log._id) : undefined,
+    createdAt: toIso(log.createdAt) || null,
+    level: log.level,
+    email: log.email || null,
+    ip: log.ip || null,
+    accountId: log.accountId ? String(log.accountId) : null,
+    message: log.message,
+    metadata: log.metadata ?? null
+  })}\n`;
+}
+
+function buildLogExportFileName(format, now = new Date()) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  return `logs-${stamp}.${LOG_EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  LOG_EXPORT_FORMATS,
+  buildCsvHeader,
+  buildLogExportFileName,
+  escapeCsvField,
+  formatLogCsvRow,
+  formatLogNdjsonLine
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const Log = require("../model/Log");
+const LogRetentionPolicy = require("../model/LogRetentionPolicy");
+
+const LOG_LEVELS = ["success", "info", "warning", "error"];
+const MAX_RETENTION_DAYS = 3650;
+const MAX_CATEGORIES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOG_ARCHIVE_DIR = path.join(__dirname, "..", "..", "logs", "archive");
+// Archiving reads every expired record back out of Mongo, so one run handles
+// at most this many and leaves the rest for the next run.
+const MAX_ARCHIVED_PER_RUN = 50000;
+const DELETE_BATCH_SIZE = 1000;
+
+// Off until an admin turns it on, so upgrading never deletes history on its
+// own. Archiving starts on for when it is enabled.
+const DEFAULT_LOG_RETENTION_POLICY = Object.freeze({
+  enabled: false,
+  archiveBeforeDelete: true,
+  levels: Object.freeze({ success: 30, info: 30, warning: 60, error: 90 }),
+  categories: Object.freeze([Object.freeze({ name: "Heartbeats", match: "heartbeat", days: 3 })])
+});
+
+function parseRetentionDays(value, label, errors) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS) {
+    errors.push(`${label} must be a whole number of days between 0 and ${MAX_RETENTION_DAYS}`);
+    return null;
+  }
+  return days;
+}
+
+// Returns { policy } with every field filled in from the current policy, or
+// { error } listing what was wrong.
+function normalizeLogRetentionPolicy(input = {}, current = DEFAULT_LOG_RETENTION_POLICY) {
+  const source = input && typeof input === "object" ? input : {};
+  const errors = [];
+  const policy = {
+    enabled: source.enabled === undefined ? Boolean(current.enabled) : Boolean(source.enabled),
+    archiveBeforeDelete:
+      source.archiveBeforeDelete === undefined
+        ? Boolean(current.archiveBeforeDelete)
+        : Boolean(source.archiveBeforeDelete),
+    levels: {},
+    categories: []
+  };
+
+  const levels = source.levels && typeof source.levels === "object" ? source.levels : {};
+  for (const level of LOG_LEVELS) {
+    const value = levels[level] === undefined ? current.levels?.[level] : levels[level];
+    policy.levels[level] = parseRetentionDays(value ?? 0, `levels.${level}`, errors);
+  }
+
+  const categories = source.categories === undefined ? current.categories || [] : source.categories;
+  if (!Array.isArray(categories)) {
+    errors.push("categories must be an array");
+  } else if (categories.length > MAX_CATEGORIES) {
+    errors.push(`At most ${MAX_CATEGORIES} categories are allowed`);
+  } else {
+    categories.forEach((category, index) => {
+      const name = String(category?.name || "").trim();
+      const match = String(category?.match || "").trim();
+      if (!name || name.length > 40) {
+        errors.push(`categories[${index}].name is required (max 40 characters)`);
+      }
+      if (!match || match.length > 100) {
+        errors.push(`categories[${index}].match is required (max 100 characters)`);
+      }
+      const days = parseRetentionDays(category?.days, `categories[${index}].days`, errors);
+      policy.categories.push({ name, match, days });
+    });
+  }
+
+  return errors.length > 0 ? { error: errors.join("; ") } : { policy };
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One delete filter per rule. Categories are checked in order and a log is
+// only ever governed by the first category it matches, or by its level when
+// it matches none, so a short rule never removes what a longer one keeps.
+function buildRetentionRules(policy, now = new Date()) {
+  const nowMs = new Date(now).valueOf();
+  const categoryMatchers = (policy.categories || []).map(
+    (category) => new RegExp(escapeRegex(category.match), "i")
+  );
+  const rules = [];
+
+  (policy.categories || []).forEach((category, index) => {
+    if (!category.days) return;
+    const filter = {
+      message: categoryMatchers[index],
+      createdAt: { $lt: new Date(nowMs - category.days * DAY_MS) }
+    };
+    if (index > 0) {
+      filter.$nor = categoryMatchers.slice(0, index).map((matcher) => ({ message: matcher }));
+    }
+    rules.push({ label: `category:${category.name}`, filter });
+  });
+
+  for (const level of LOG_LEVELS) {
+    const days = Number(policy.levels?.[level] || 0);
+    if (!days) continue;
+    const filter = {
+      level,
+      createdAt: { $lt: new Date(nowMs - days * DAY_MS) }
+    };
+    if (categoryMatchers.length > 0) {
+      filter.$nor = categoryMatchers.map((matcher) => ({ message: matcher }));
+    }
+    rules.push({ label: `level:${level}`, filter });
+  }
+
+  return rules;
+}
+
+async function getOrCreateLogRetentionPolicy() {
+  return LogRetentionPolicy.findOneAndUpdate(
+    { key: "default" },
+    {
+      $setOnInsert: {
+        key: "default",
+        enabled: DEFAULT_LOG_RETENTION_POLICY.enabled,
+        archiveBeforeDelete: DEFAULT_LOG_RETENTION_POLICY.archiveBeforeDelete,
+        levels: { ...DEFAULT_LOG_RETENTION_POLICY.levels },
+        categories: DEFAULT_LOG_RETENTION_POLICY.categories.map((category) => ({ ...category }))
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  ).lean();
+}
+
+function buildArchiveFileName(now) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  return `logs-${stamp}.ndjson.gz`;
+}
+
+async function deleteByIds(ids) {
+  let deleted = 0;
+  for (let index = 0; index < ids.length; index += DELETE_BATCH_SIZE) {
+    const result = await Log.deleteMany({ _id: { $in: ids.slice(index, index + DELETE_BATCH_SIZE) } });
+    deleted += Number(result?.deletedCount || 0);
+  }
+  return deleted;
+}
+
+// Streams every expired record into one gzip NDJSON file, then deletes only
+// the records that made it into the file.
+async function archiveAndDelete(rules, { now, archiveDir }) {
+  await fs.promises.mkdir(archiveDir, { recursive: true });
+  const archiveFile = buildArchiveFileName(now);
+  const archivePath = path.join(archiveDir, archiveFile);
+  const archivedIds = [];
+  let truncated = false;
+
+  async function* readExpiredRecords() {
+    for (const rule of rules) {
+      const cursor = Log.find(rule.filter).sort({ createdAt: 1 }).lean().cursor();
+      for await (const record of cursor) {
+        if (archivedIds.length >= MAX_ARCHIVED_PER_RUN) {
+          truncated = true;
+          return;
+        }
+        archivedIds.push(record._id);
+        yield `${JSON.stringify({ ...record, retentionRule: rule.label })}\n`;
+      }
+    }
+  }
+
+  await pipeline(Readable.from(readExpiredRecords()), zlib.createGzip(), fs.createWriteStream(archivePath));
+
+  if (archivedIds.length === 0) {
+    await fs.promises.unlink(archivePath).catch(() => null);
+    return { deleted: 0, archived: 0, archiveFile: null, truncated: false };
+  }
+
+  const deleted = await deleteByIds(archivedIds);
+  return { deleted, archived: archivedIds.length, archiveFile, truncated };
+}
+
+async function enforceLogRetention(policy, { now = new Date(), archiveDir = LOG_ARCHIVE_DIR } = {}) {
+  const rules = buildRetentionRules(policy, now);
+  if (rules.length === 0) {
+    return { deleted: 0, archived: 0, archiveFile: null, truncated: false };
+  }
+
+  if (policy.archiveBeforeDelete) {
+    return archiveAndDelete(rules, { now, archiveDir });
+  }
+
+  let deleted = 0;
+  for (const rule of rules) {
+    const result = await Log.deleteMany(rule.filter);
+    deleted += Number(result?.deletedCount || 0);
+  }
+  return { deleted, archived: 0, archiveFile: null, truncated: false };
+}
+
+async function getLogArchiveStats(archiveDir = LOG_ARCHIVE_DIR) {
+  const entries = await fs.promises.readdir(archiveDir).catch(() => []);
+  let bytes = 0;
+  let files = 0;
+  for (const entry of entries) {
+    if (!entry.endsWith(".ndjson.gz")) continue;
+    const stat = await fs.promises.stat(path.join(archiveDir, entry)).catch(() => null);
+    if (!stat) continue;
+    files += 1;
+    bytes += stat.size;
+  }
+  return { files, bytes };
+}
+
+async function getLogCollectionStats() {
+  const [collStats] = await Log.aggregate([{ $collStats: { storageStats: {} } }]).catch(() => []);
+  const storage = collStats?.storageStats || {};
+  const oldest = await Log.findOne().sort({ createdAt: 1 }).select("createdAt").lean();
+
+  return {
+    count: Number(storage.count ?? (await Log.estimatedDocumentCount())),
+    sizeBytes: Number(storage.size || 0),
+    storageBytes: Number(storage.storageSize || 0),
+    indexBytes: Number(storage.totalIndexSize || 0),
+    oldestAt: oldest?.createdAt || null,
+    archives: await getLogArchiveStats()
+  };
+}
+
+module.exports = {
+  DEFAULT_LOG_RETENTION_POLICY,
+  LOG_ARCHIVE_DIR,
+  LOG_LEVELS,
+  buildRetentionRules,
+  enforceLogRetention,
+  getLogCollectionStats,
+  getOrCreateLogRetentionPolicy,
+  normalizeLogRetentionPolicy
+};
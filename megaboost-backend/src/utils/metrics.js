@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const { getEventLoopLagMs, getMaxEventLoopLagMs } = require("./eventLoopLag");
+
+// Prometheus text exposition without a client library. Each process (API and
+// worker) keeps its own registry and serves it on /metrics.
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const CYCLE_DURATION_BUCKETS = [1, 5, 10, 20, 30, 60, 120, 300, 600];
+const NAVIGATION_DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 45, 90];
+const UNKNOWN_LABEL_VALUE = "none";
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || "").trim();
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+const metricsByName = new Map();
+const collectors = new Set();
+
+function normalizeLabelValue(value) {
+  const text = String(value ?? "").trim();
+  return text || UNKNOWN_LABEL_VALUE;
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (!Number.isFinite(value)) return "NaN";
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function registerMetric(type, name, help, labelNames = [], extra = {}) {
+  if (metricsByName.has(name)) {
+    throw new Error(`Metric already registered: ${name}`);
+  }
+  const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+  metricsByName.set(name, metric);
+  return metric;
+}
+
+function getSeries(metric, labels = {}, createValue) {
+  const values = metric.labelNames.map((labelName) => normalizeLabelValue(labels[labelName]));
+  const key = values.join("\u0000");
+  let series = metric.series.get(key);
+  if (!series) {
+    series = {
+      labels: metric.labelNames.map((labelName, index) => [labelName, values[index]]),
+      ...createValue()
+    };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const metric = registerMetric("counter", name, help, labelNames);
+  return {
+    inc(labels = {}, amount = 1) {
+      const value = Number(amount);
+      if (!Number.isFinite(value) || value < 0) return;
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+function createGauge(name, help, labelNames = []) {
+  const metric = registerMetric("gauge", name, help, labelNames);
+  return {
+    set(labels = {}, value = 0) {
+      const numeric = Number(value);
+      getSeries(metric, labels, () => ({ value: 0 })).value = Number.isFinite(numeric) ? numeric : 0;
+    },
+    // Collectors rebuild labelled gauges from scratch so series that went to
+    // zero (a tenant whose browsers all closed) disappear instead of going stale.
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = CYCLE_DURATION_BUCKETS) {
+  const sortedBuckets = Array.from(new Set(buckets)).sort((left, right) => left - right);
+  const metric = registerMetric("histogram", name, help, labelNames, { buckets: sortedBuckets });
+  return {
+    observe(labels = {}, value) {
+      const numeric = Number(value);
+      if (!Number.isFinite(numeric) || numeric < 0) return;
+      const series = getSeries(metric, labels, () => ({
+        bucketCounts: sortedBuckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+      sortedBuckets.forEach((bound, index) => {
+        if (numeric <= bound) series.bucketCounts[index] += 1;
+      });
+      series.sum += numeric;
+      series.count += 1;
+    }
+  };
+}
+
+// A collector runs right before each scrape and is where gauges read live state.
+function registerCollector(collector) {
+  collectors.add(collector);
+  return () => collectors.delete(collector);
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+  for (const series of metric.series.values()) {
+    if (metric.type !== "histogram") {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+      continue;
+    }
+
+    metric.buckets.forEach((bound, index) => {
+      lines.push(
+        `${metric.name}_bucket${formatLabels([...series.labels, ["le", formatNumber(bound)]])} ${series.bucketCounts[index]}`
+      );
+    });
+    lines.push(`${metric.name}_bucket${formatLabels([...series.labels, ["le", "+Inf"]])} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+
+  return lines.join("\n");
+}
+
+async function renderMetrics() {
+  for (const collector of collectors) {
+    try {
+      await collector();
+    } catch (error) {
+      console.error("[METRICS] Collector failed:", error.message);
+    }
+  }
+
+  return `${Array.from(metricsByName.values()).map(renderMetric).join("\n")}\n`;
+}
+
+// Without a token the endpoint is open in development and closed in
+// production, since it exposes tenant ids and per-tenant account counts.
+function isMetricsRequestAuthorized(req, { token = METRICS_TOKEN, production = IS_PRODUCTION } = {}) {
+  if (!token) return !production;
+  const header = String(req?.headers?.authorization || "").trim();
+  const bearer = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+  const provided = Buffer.from(bearer);
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Express handler for /metrics. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token.
+async function sendMetrics(req, res) {
+  if (!METRICS_TOKEN && IS_PRODUCTION) {
+    return res.status(403).type("text/plain").send("Set METRICS_TOKEN to enable /metrics\n");
+  }
+  if (!isMetricsRequestAuthorized(req)) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+
+  try {
+    const body = await renderMetrics();
+    res.set("Content-Type", PROMETHEUS_CONTENT_TYPE);
+    return res.status(200).send(body);
+  } catch (error) {
+    return res.status(500).type("text/plain").send(`# metrics unavailable: ${error.message}\n`);
+  }
+}
+
+const processStartTimeSeconds = createGauge(
+  "process_start_time_seconds",
+  "Start time of the process since unix epoch in seconds."
+);
+const processResidentMemoryBytes = createGauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes."
+);
+const eventLoopLagSeconds = createGauge(
+  "megaboost_event_loop_lag_seconds",
+  "Most recent event loop lag sample."
+);
+const eventLoopLagMaxSeconds = createGauge(
+  "megaboost_event_loop_lag_max_seconds",
+  "Largest event loop lag seen since the process started."
+);
+
+const accountsByStatus = createGauge(
+  "megaboost_accounts",
+  "Accounts per tenant and status.",
+  ["tenant", "status"]
+);
+const runningBrowsers = createGauge(
+  "megaboost_running_browsers",
+  "Browsers held by running workers in this process.",
+  ["tenant"]
+);
+const startQueueJobs = createGauge(
+  "megaboost_start_queue_jobs",
+  "Start jobs owned by this worker node.",
+  ["state"]
+);
+const bumpsTotal = createCounter(
+  "megaboost_bumps_total",
+  "Finished bump cycles by outcome.",
+  ["tenant", "outcome"]
+);
+const cooldownsDetectedTotal = createCounter(
+  "megaboost_cooldowns_detected_total",
+  "Bump cycles that ran into the site cooldown.",
+  ["tenant"]
+);
+const loginFailuresTotal = createCounter(
+  "megaboost_login_failures_total",
+  "Worker starts that failed to log in.",
+  ["tenant", "reason"]
+);
+const workerCrashesTotal = createCounter(
+  "megaboost_worker_crashes_total",
+  "Worker failures handled by the retry/crash path.",
+  ["tenant", "type"]
+);
+const recoveriesTotal = createCounter(
+  "megaboost_recoveries_total",
+  "Accounts re-queued or resumed by the recovery loop.",
+  ["tenant", "kind"]
+);
+const bumpCycleDurationSeconds = createHistogram(
+  "megaboost_bump_cycle_duration_seconds",
+  "Wall time of a bump cycle.",
+  ["outcome"],
+  CYCLE_DURATION_BUCKETS
+);
+const navigationDurationSeconds = createHistogram(
+  "megaboost_navigation_duration_seconds",
+  "Time spent in page navigations by target page.",
+  ["target", "result"],
+  NAVIGATION_DURATION_BUCKETS
+);
+
+registerCollector(() => {
+  processStartTimeSeconds.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  processResidentMemoryBytes.set({}, process.memoryUsage().rss);
+  eventLoopLagSeconds.set({}, getEventLoopLagMs() / 1000);
+  eventLoopLagMaxSeconds.set({}, getMaxEventLoopLagMs() / 1000);
+});
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  isMetricsRequestAuthorized,
+  registerCollector,
+  renderMetrics,
+  sendMetrics,
+  accountsByStatus,
+  runningBrowsers,
+  startQueueJobs,
+  bumpsTotal,
+  cooldownsDetectedTotal,
+  loginFailuresTotal,
+  workerCrashesTotal,
+  recoveriesTotal,
+  bumpCycleDurationSeconds,
+  navigationDurationSeconds
+};
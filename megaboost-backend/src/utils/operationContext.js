@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// One operator action (an API request, a Telegram command, a scheduled
+// command) gets one operation ID. It follows the action through worker
+// commands, the start queue, activity logs, status events and socket
+// payloads so everything it caused can be pulled up together.
+const OPERATION_ID_HEADER = "x-operation-id";
+const OPERATION_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+const operationStorage = new AsyncLocalStorage();
+
+function createOperationId() {
+  return crypto.randomUUID();
+}
+
+// IDs arrive in headers and query strings, so anything unexpected is dropped.
+function normalizeOperationId(value) {
+  const candidate = String(value || "").trim();
+  return OPERATION_ID_PATTERN.test(candidate) ? candidate : null;
+}
+
+function getOperationId() {
+  return operationStorage.getStore()?.operationId || null;
+}
+
+// Runs callback under operationId, or under a fresh one when none is given.
+function runWithOperation(operationId, callback) {
+  return operationStorage.run(
+    { operationId: normalizeOperationId(operationId) || createOperationId() },
+    callback
+  );
+}
+
+// For work that outlives the action that started it, such as an account's
+// bump loop, which would otherwise tag every later cycle with the start's ID.
+function runWithoutOperation(callback) {
+  return operationStorage.run({ operationId: null }, callback);
+}
+
+function withOperationId(payload) {
+  const operationId = getOperationId();
+  if (!operationId || !payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return payload;
+  }
+  if (Object.prototype.hasOwnProperty.call(payload, "operationId")) {
+    return payload;
+  }
+  return { ...payload, operationId };
+}
+
+function formatOperationTag(operationId = getOperationId()) {
+  return operationId ? ` op=${operationId}` : "";
+}
+
+// Edge middleware: honours an ID the caller already has, otherwise starts a
+// new one, and echoes it back so the caller can look the operation up.
+function operationMiddleware(req, res, next) {
+  const operationId = normalizeOperationId(req.headers[OPERATION_ID_HEADER]) || createOperationId();
+  req.operationId = operationId;
+  res.set("X-Operation-Id", operationId);
+  return runWithOperation(operationId, next);
+}
+
+module.exports = {
+  OPERATION_ID_HEADER,
+  createOperationId,
+  formatOperationTag,
+  getOperationId,
+  normalizeOperationId,
+  operationMiddleware,
+  runWithOperation,
+  runWithoutOperation,
+  withOperationId
+};
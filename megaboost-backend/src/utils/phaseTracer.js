@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Span-style timing for worker phases. Each trace is appended to a local file
+// as one OTLP/JSON ExportTraceServiceRequest per line, which the OpenTelemetry
+// collector's file receiver (and most trace viewers) can read as-is.
+const WORKER_PHASES = Object.freeze([
+  "launch",
+  "cookie_load",
+  "login",
+  "posts_list_ready",
+  "bump_click",
+  "cooldown_detection",
+  "wait"
+]);
+
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+const TRACE_SCOPE_NAME = "megaboost.worker";
+const TRACE_SERVICE_NAME = "megaboost-worker";
+// Recent samples per phase, enough to tell a regression from the lifetime average.
+const RECENT_SAMPLE_LIMIT = 20;
+
+const PHASE_TRACE_FILE = (() => {
+  const configured = String(process.env.PHASE_TRACE_FILE || "").trim();
+  if (configured.toLowerCase() === "off") return "";
+  return configured || path.join(__dirname, "..", "..", "logs", "traces", "worker-phases.jsonl");
+})();
+const PHASE_TRACE_MAX_BYTES = (() => {
+  const parsed = Number(process.env.PHASE_TRACE_MAX_MB || 50);
+  if (!Number.isFinite(parsed) || parsed < 1) return 50 * 1024 * 1024;
+  return Math.floor(parsed * 1024 * 1024);
+})();
+
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+function toOtlpValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .filter(([, value]) => typeof value !== "number" || Number.isFinite(value))
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+function createSpan(traceId, name, parentSpanId, attributes, now) {
+  const span = {
+    traceId,
+    spanId: crypto.randomBytes(8).toString("hex"),
+    parentSpanId,
+    name,
+    startMs: now(),
+    endMs: null,
+    attributes: { ...attributes },
+    error: ""
+  };
+  span.end = ({ error, attributes: extra } = {}) => {
+    if (span.endMs !== null) return span;
+    span.endMs = now();
+    if (extra) Object.assign(span.attributes, extra);
+    if (error) span.error = String(error?.message || error);
+    return span;
+  };
+  return span;
+}
+
+// A trace has one root span named after the unit of work (a worker start or a
+// bump cycle) and a child span per phase. end() closes anything left open,
+// blaming it for the error if there is one, and returns every span.
+function startTrace(name, attributes = {}, { now = Date.now } = {}) {
+  const traceId = crypto.randomBytes(16).toString("hex");
+  const root = createSpan(traceId, name, "", attributes, now);
+  const spans = [root];
+
+  return {
+    traceId,
+    root,
+    startSpan(phase, spanAttributes = {}) {
+      const span = createSpan(traceId, phase, root.spanId, spanAttributes, now);
+      if (root.endMs === null) spans.push(span);
+      return span;
+    },
+    setAttributes(extra = {}) {
+      Object.assign(root.attributes, extra);
+    },
+    setError(error) {
+      root.error = error ? String(error?.message || error) : "";
+    },
+    end(options = {}) {
+      for (const span of spans) {
+        if (span !== root && span.endMs === null) {
+          span.end({ error: options.error, attributes: { interrupted: true } });
+        }
+      }
+      root.end(options);
+      return spans.slice();
+    }
+  };
+}
+
+// Runs fn inside a phase span of trace, marking the span failed if fn throws.
+// Without a trace, fn just runs.
+async function tracePhase(trace, phase, fn, attributes = {}) {
+  if (!trace) return fn();
+  const span = trace.startSpan(phase, attributes);
+  try {
+    const result = await fn();
+    span.end();
+    return result;
+  } catch (error) {
+    span.end({ error });
+    throw error;
+  }
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: toUnixNano(span.startMs),
+    endTimeUnixNano: toUnixNano(span.endMs ?? span.startMs),
+    attributes: toOtlpAttributes(span.attributes),
+    status: span.error
+      ? { code: SPAN_STATUS_ERROR, message: span.error }
+      : { code: SPAN_STATUS_OK }
+  };
+}
+
+function buildOtlpTracePayload(spans = [], resourceAttributes = {}) {
+  return {
+    resourceSpans: [
+      {
+        resource: {
+          attributes: toOtlpAttributes({
+            "service.name": TRACE_SERVICE_NAME,
+            "process.pid": process.pid,
+            ...resourceAttributes
+          })
+        },
+        scopeSpans: [{ scope: { name: TRACE_SCOPE_NAME }, spans: spans.map(toOtlpSpan) }]
+      }
+    ]
+  };
+}
+
+let writeChain = Promise.resolve();
+const traceFileBytes = new Map();
+let writeWarned = false;
+
+async function appendLine(filePath, line, maxBytes) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  if (!traceFileBytes.has(filePath)) {
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    traceFileBytes.set(filePath, stat?.size || 0);
+  }
+  const lineBytes = Buffer.byteLength(line);
+  let size = traceFileBytes.get(filePath);
+  // One previous file is kept, so traces never take more than about twice the limit.
+  if (size > 0 && size + lineBytes > maxBytes) {
+    await fs.promises.rename(filePath, `${filePath}.1`).catch(() => null);
+    size = 0;
+  }
+  await fs.promises.appendFile(filePath, line);
+  traceFileBytes.set(filePath, size + lineBytes);
+}
+
+// Writes are queued so lines never interleave; a failed write is reported once
+// and never reaches the worker.
+function writeTrace(spans, resourceAttributes = {}, { filePath = PHASE_TRACE_FILE, maxBytes = PHASE_TRACE_MAX_BYTES } = {}) {
+  if (!filePath || spans.length === 0) return writeChain;
+  const line = `${JSON.stringify(buildOtlpTracePayload(spans, resourceAttributes))}\n`;
+  writeChain = writeChain
+    .then(() => appendLine(filePath, line, maxBytes))
+    .catch((error) => {
+      traceFileBytes.delete(filePath);
+      if (!writeWarned) {
+        writeWarned = true;
+        console.warn(`[TRACE] Could not write phase trace to ${filePath}: ${error.message}`);
+      }
+    });
+  return writeChain;
+}
+
+// Folds finished phase spans into per-phase running totals. The result is
+// plain data so it can sit in the worker's runtime registry entry.
+function recordPhaseTimings(timings = {}, spans = []) {
+  const next = { ...(timings || {}) };
+  for (const span of spans) {
+    if (!WORKER_PHASES.includes(span.name) || span.endMs === null) continue;
+    const durationMs = Math.max(0, span.endMs - span.startMs);
+    const current = next[span.name] || { count: 0, errors: 0, totalMs: 0, maxMs: 0, recentMs: [] };
+    next[span.name] = {
+      count: current.count + 1,
+      errors: current.errors + (span.error ? 1 : 0),
+      totalMs: current.totalMs + durationMs,
+      maxMs: Math.max(current.maxMs, durationMs),
+      lastMs: durationMs,
+      lastAt: span.endMs,
+      lastError: span.error || current.lastError || "",
+      recentMs: [...(current.recentMs || []), durationMs].slice(-RECENT_SAMPLE_LIMIT)
+    };
+  }
+  return next;
+}
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) return null;
+  const index = Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+// Debug-snapshot view: one row per phase in cycle order, with the recent
+// average next to the lifetime one so a slow step stands out.
+function summarizePhaseTimings(timings = {}) {
+  return WORKER_PHASES.filter((phase) => timings?.[phase]?.count > 0).map((phase) => {
+    const entry = timings[phase];
+    const recent = (entry.recentMs || []).slice().sort((left, right) => left - right);
+    return {
+      phase,
+      count: entry.count,
+      errors: entry.errors,
+      lastMs: entry.lastMs,
+      avgMs: Math.round(entry.totalMs / entry.count),
+      recentAvgMs: recent.length
+        ? Math.round(recent.reduce((sum, value) => sum + value, 0) / recent.length)
+        : null,
+      recentP95Ms: percentile(recent, 0.95),
+      maxMs: entry.maxMs,
+      lastAt: entry.lastAt ? new Date(entry.lastAt).toISOString() : null,
+      lastError: entry.lastError || null
+    };
+  });
+}
+
+module.exports = {
+  PHASE_TRACE_FILE,
+  WORKER_PHASES,
+  buildOtlpTracePayload,
+  recordPhaseTimings,
+  startTrace,
+  summarizePhaseTimings,
+  tracePhase,
+  writeTrace
+};
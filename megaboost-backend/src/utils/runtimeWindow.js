@@ -264,6 +264,296 @@ function getNextRuntimeStart(now, start, end, timezone = DEFAULT_RUNTIME_TIMEZON
   return currentMinutes < runtimeStart.minutesOfDay ? startToday : startToday.plus({ days: 1 });
 }
 
+const RUNTIME_WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const RUNTIME_EXCEPTION_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RUNTIME_EXCEPTIONS = 100;
+const MAX_RUNTIME_WINDOWS = 6;
+const CALENDAR_LOOKAHEAD_DAYS = 400;
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinuteRanges(window) {
+  if (window.isFullDay) return [[0, MINUTES_PER_DAY]];
+  if (!window.wrapsMidnight) return [[window.startMinutes, window.endMinutes]];
+  return [
+    [window.startMinutes, MINUTES_PER_DAY],
+    [0, window.endMinutes]
+  ];
+}
+
+function windowsOverlap(a, b) {
+  return toMinuteRanges(a).some(([aStart, aEnd]) =>
+    toMinuteRanges(b).some(([bStart, bEnd]) => aStart < bEnd && bStart < aEnd)
+  );
+}
+
+// Accepts an array or a comma-separated string of HH:MM-HH:MM windows.
+// Windows may wrap midnight but must not overlap on the 24h clock; touching
+// ends (09:00-12:00, 12:00-14:00) are fine.
+function parseRuntimeWindowList(value) {
+  const rawList = Array.isArray(value) ? value : String(value || "").split(",");
+  const entries = rawList.map((item) => String(item || "").trim()).filter(Boolean);
+  const errors = [];
+  const windows = [];
+
+  if (entries.length > MAX_RUNTIME_WINDOWS) {
+    errors.push(`At most ${MAX_RUNTIME_WINDOWS} runtime windows are allowed`);
+  }
+
+  entries.forEach((entry) => {
+    const [start, end, extra] = entry.split("-");
+    const normalized = extra === undefined ? buildRuntimeWindow(start, end) : null;
+    if (!normalized) {
+      errors.push(`"${entry}" must be in HH:MM-HH:MM format`);
+      return;
+    }
+    windows.push(parseRuntimeWindow(normalized));
+  });
+
+  if (windows.length > 1 && windows.some((window) => window.isFullDay)) {
+    errors.push("A full-day window cannot be combined with other windows");
+  } else {
+    for (let i = 0; i < windows.length; i += 1) {
+      for (let j = i + 1; j < windows.length; j += 1) {
+        if (windowsOverlap(windows[i], windows[j])) {
+          errors.push(`${windows[i].normalized} overlaps ${windows[j].normalized}`);
+        }
+      }
+    }
+  }
+
+  windows.sort((a, b) => a.startMinutes - b.startMinutes);
+
+  return {
+    windows,
+    normalized: windows.map((window) => window.normalized),
+    errors
+  };
+}
+
+function resolveWindowList(value) {
+  const { windows } = parseRuntimeWindowList(value);
+  return windows.length > 0 ? windows : [parseRuntimeWindow()];
+}
+
+// Weekday entries and date exceptions override the account's daily runtime
+// windows; days without an entry keep using them.
+function normalizeRuntimeCalendar(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const errors = [];
+  const weekdays = [];
+  const exceptions = [];
+  const seenDays = new Set();
+  const seenDates = new Set();
+
+  const normalizeEntryWindow = (entry, label) => {
+    const enabled = entry?.enabled !== false;
+    const raw = String(entry?.window || "").trim();
+    if (!enabled) {
+      return { enabled, window: "" };
+    }
+    if (!raw) {
+      errors.push(`${label}: window is required when the day is enabled`);
+      return null;
+    }
+    if (!raw.split(",").every((part) => RUNTIME_WINDOW_PATTERN.test(part.trim()))) {
+      errors.push(`${label}: window must be in HH:MM-HH:MM format`);
+      return null;
+    }
+    const list = parseRuntimeWindowList(raw);
+    if (list.errors.length > 0) {
+      errors.push(...list.errors.map((error) => `${label}: ${error}`));
+      return null;
+    }
+    return { enabled, window: list.normalized.join(",") };
+  };
+
+  (Array.isArray(source.weekdays) ? source.weekdays : []).forEach((entry) => {
+    const day = String(entry?.day || "").trim().toLowerCase();
+    if (!RUNTIME_WEEKDAYS.includes(day)) {
+      errors.push(`Unknown weekday "${entry?.day}"`);
+      return;
+    }
+    if (seenDays.has(day)) {
+      errors.push(`${day}: listed more than once`);
+      return;
+    }
+    seenDays.add(day);
+    const normalized = normalizeEntryWindow(entry, day);
+    if (normalized) {
+      weekdays.push({ day, ...normalized });
+    }
+  });
+
+  if (weekdays.length === RUNTIME_WEEKDAYS.length && weekdays.every((entry) => !entry.enabled)) {
+    errors.push("At least one weekday must stay enabled");
+  }
+
+  const rawExceptions = Array.isArray(source.exceptions) ? source.exceptions : [];
+  if (rawExceptions.length > MAX_RUNTIME_EXCEPTIONS) {
+    errors.push(`At most ${MAX_RUNTIME_EXCEPTIONS} date exceptions are allowed`);
+  }
+  rawExceptions.slice(0, MAX_RUNTIME_EXCEPTIONS).forEach((entry) => {
+    const date = String(entry?.date || "").trim();
+    if (
+      !RUNTIME_EXCEPTION_DATE_PATTERN.test(date) ||
+      !DateTime.fromISO(date, { zone: "utc" }).isValid
+    ) {
+      errors.push(`Invalid exception date "${entry?.date}"`);
+      return;
+    }
+    if (seenDates.has(date)) {
+      errors.push(`${date}: listed more than once`);
+      return;
+    }
+    seenDates.add(date);
+    const normalized = normalizeEntryWindow(entry, date);
+    if (normalized) {
+      exceptions.push({
+        date,
+        ...normalized,
+        note: String(entry?.note || "").trim().slice(0, 120)
+      });
+    }
+  });
+
+  weekdays.sort((a, b) => RUNTIME_WEEKDAYS.indexOf(a.day) - RUNTIME_WEEKDAYS.indexOf(b.day));
+  exceptions.sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    calendar: { weekdays, exceptions },
+    errors
+  };
+}
+
+function hasRuntimeCalendar(calendar) {
+  return Boolean(calendar?.weekdays?.length || calendar?.exceptions?.length);
+}
+
+// defaultWindows is the account's daily window list (array or comma string).
+function resolveRuntimeDayWindow(day, calendar, defaultWindows) {
+  const dateKey = day.toFormat("yyyy-LL-dd");
+  const exception = (calendar?.exceptions || []).find((entry) => entry.date === dateKey);
+  if (exception) {
+    return {
+      source: "exception",
+      enabled: exception.enabled !== false,
+      windows: resolveWindowList(exception.window || defaultWindows)
+    };
+  }
+
+  const weekday = RUNTIME_WEEKDAYS[day.weekday - 1];
+  const entry = (calendar?.weekdays || []).find((item) => item.day === weekday);
+  if (entry) {
+    return {
+      source: "weekday",
+      enabled: entry.enabled !== false,
+      windows: resolveWindowList(entry.window || defaultWindows)
+    };
+  }
+
+  return {
+    source: "default",
+    enabled: true,
+    windows: resolveWindowList(defaultWindows)
+  };
+}
+
+function isMinuteInsideDayWindow(window, minutes) {
+  if (window.isFullDay) return true;
+  if (!window.wrapsMidnight) {
+    return minutes >= window.startMinutes && minutes <= window.endMinutes;
+  }
+  return minutes >= window.startMinutes;
+}
+
+function isMinuteInsideSpill(window, minutes) {
+  return !window.isFullDay && window.wrapsMidnight && minutes <= window.endMinutes;
+}
+
+// Returns the start of the day whose window is open at `now`. An overnight
+// window belongs to the day it opens on, so 01:00 inside a 22:00-02:00 window
+// reports the previous day. Outside every window the calendar day is used.
+function getRuntimeOperatingDay(now, calendar, defaultWindows, timezone = DEFAULT_RUNTIME_TIMEZONE) {
+  const dateTime = toDateTime(now, timezone);
+  const currentMinutes = dateTime.hour * 60 + dateTime.minute;
+  const startOfToday = dateTime.startOf("day");
+  const today = resolveRuntimeDayWindow(startOfToday, calendar, defaultWindows);
+  if (today.enabled && today.windows.some((window) => isMinuteInsideDayWindow(window, currentMinutes))) {
+    return startOfToday;
+  }
+
+  const startOfYesterday = startOfToday.minus({ days: 1 });
+  const yesterday = resolveRuntimeDayWindow(startOfYesterday, calendar, defaultWindows);
+  if (yesterday.enabled && yesterday.windows.some((window) => isMinuteInsideSpill(window, currentMinutes))) {
+    return startOfYesterday;
+  }
+
+  return startOfToday;
+}
+
+function isInsideRuntimeCalendar(now, calendar, defaultWindows, timezone = DEFAULT_RUNTIME_TIMEZONE) {
+  const dateTime = toDateTime(now, timezone);
+  const currentMinutes = dateTime.hour * 60 + dateTime.minute;
+  const today = resolveRuntimeDayWindow(dateTime.startOf("day"), calendar, defaultWindows);
+  if (today.enabled && today.windows.some((window) => isMinuteInsideDayWindow(window, currentMinutes))) {
+    return true;
+  }
+
+  const yesterday = resolveRuntimeDayWindow(
+    dateTime.startOf("day").minus({ days: 1 }),
+    calendar,
+    defaultWindows
+  );
+  return Boolean(
+    yesterday.enabled && yesterday.windows.some((window) => isMinuteInsideSpill(window, currentMinutes))
+  );
+}
+
+function getDayWindowOpenings(day, resolved) {
+  return resolved.windows.map((window) =>
+    window.isFullDay ? day : day.plus({ minutes: window.startMinutes })
+  );
+}
+
+function getNextRuntimeCalendarOpen(now, calendar, defaultWindows, timezone = DEFAULT_RUNTIME_TIMEZONE) {
+  const dateTime = toDateTime(now, timezone);
+  if (isInsideRuntimeCalendar(dateTime, calendar, defaultWindows, timezone)) {
+    return dateTime;
+  }
+
+  const startOfToday = dateTime.startOf("day");
+  for (let offset = 0; offset <= CALENDAR_LOOKAHEAD_DAYS; offset += 1) {
+    const day = startOfToday.plus({ days: offset });
+    const resolved = resolveRuntimeDayWindow(day, calendar, defaultWindows);
+    if (!resolved.enabled) continue;
+
+    const opensAt = getDayWindowOpenings(day, resolved).find(
+      (opening) => opening.toMillis() >= dateTime.toMillis()
+    );
+    if (opensAt) {
+      return opensAt;
+    }
+  }
+
+  return startOfToday.plus({ days: 1 });
+}
+
+// First window opening of the operating day after the current one. Used once
+// the daily runtime budget is spent, so later windows of the same day are
+// skipped.
+function getNextRuntimeOperatingDayOpen(now, calendar, defaultWindows, timezone = DEFAULT_RUNTIME_TIMEZONE) {
+  const operatingDay = getRuntimeOperatingDay(now, calendar, defaultWindows, timezone);
+  for (let offset = 1; offset <= CALENDAR_LOOKAHEAD_DAYS; offset += 1) {
+    const day = operatingDay.plus({ days: offset });
+    const resolved = resolveRuntimeDayWindow(day, calendar, defaultWindows);
+    if (resolved.enabled) {
+      return getDayWindowOpenings(day, resolved)[0];
+    }
+  }
+
+  return operatingDay.plus({ days: 1 });
+}
+
 module.exports = {
   DEFAULT_RUNTIME_TIMEZONE,
   DEFAULT_RUNTIME_START,
@@ -282,5 +572,15 @@ module.exports = {
   resolveRuntimeWindowConfig,
   isOvernightWindow,
   isInsideRuntimeWindow,
-  getNextRuntimeStart
+  getNextRuntimeStart,
+  RUNTIME_WEEKDAYS,
+  MAX_RUNTIME_WINDOWS,
+  parseRuntimeWindowList,
+  normalizeRuntimeCalendar,
+  hasRuntimeCalendar,
+  resolveRuntimeDayWindow,
+  isInsideRuntimeCalendar,
+  getNextRuntimeCalendarOpen,
+  getRuntimeOperatingDay,
+  getNextRuntimeOperatingDayOpen
 };
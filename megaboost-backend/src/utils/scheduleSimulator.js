@@ -0,0 +1,202 @@
+const {
+  buildDailyRuntimeStatePatch,
+  computeNextRunSchedule,
+  evaluateRuntimeAvailability,
+  getNextRuntimeDayOpen,
+  getRuntimeDayKey,
+  isWithinRuntimeWindowAt,
+  normalizeTimingConfig,
+  toDateTime
+} = require("./timing");
+
+const MAX_SIMULATION_DAYS = 31;
+const DEFAULT_SIMULATION_DAYS = 7;
+const DEFAULT_CYCLE_SECONDS = 90;
+const MAX_CYCLE_SECONDS = 60 * 60;
+const MAX_SIMULATED_BUMPS = 2000;
+const MINUTE_MS = 60 * 1000;
+
+function hashSeed(value) {
+  const text = String(value);
+  let hash = 2166136261;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough to make a forecast repeatable.
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns { cycleSeconds } or { error }; a zero, negative or absurd cycle
+// length would make the forecast loop meaningless.
+function parseCycleSeconds(value) {
+  const cycleSeconds = Number(value ?? DEFAULT_CYCLE_SECONDS);
+  if (!Number.isFinite(cycleSeconds) || cycleSeconds < 1 || cycleSeconds > MAX_CYCLE_SECONDS) {
+    return { error: `cycleSeconds must be between 1 and ${MAX_CYCLE_SECONDS}` };
+  }
+  return { cycleSeconds };
+}
+
+function resolveMaxDailyBumps(account = {}) {
+  const value = Number(account.maxDailyBumps);
+  return Number.isFinite(value) && value >= 1 ? Math.floor(value) : 0;
+}
+
+// First minute after `fromMs` that falls outside the runtime schedule.
+function findWindowCloseMs(timing, fromMs, untilMs) {
+  const startMs = Math.ceil(fromMs / MINUTE_MS) * MINUTE_MS;
+  for (let at = startMs; at < untilMs; at += MINUTE_MS) {
+    if (!isWithinRuntimeWindowAt(at, timing.runtimeWindows, timing.timezone, timing.runtimeCalendar)) {
+      return at;
+    }
+  }
+  return untilMs;
+}
+
+// Replays the worker's scheduling loop from `start` for `days`: bump, spend
+// `cycleSeconds` in the cycle, book that runtime, then ask
+// computeNextRunSchedule for the next slot.
+function simulateSchedule({
+  account = {},
+  appSettings = {},
+  start = new Date(),
+  days = DEFAULT_SIMULATION_DAYS,
+  seed = Date.now(),
+  cycleSeconds = DEFAULT_CYCLE_SECONDS
+} = {}) {
+  const timing = normalizeTimingConfig(account, appSettings);
+  const random = createSeededRandom(seed);
+  const safeDays = Math.min(MAX_SIMULATION_DAYS, Math.max(1, Math.floor(Number(days) || DEFAULT_SIMULATION_DAYS)));
+  const cycleMs = Math.min(
+    MAX_CYCLE_SECONDS * 1000,
+    Math.max(0, Math.round((Number(cycleSeconds) || 0) * 1000))
+  );
+  const maxDailyBumps = resolveMaxDailyBumps(account);
+  const startAt = toDateTime(start, timing.timezone);
+  const endMs = startAt.plus({ days: safeDays }).toMillis();
+
+  const bumps = [];
+  const windowClosures = [];
+  const capHits = [];
+  const perDay = new Map();
+  let workerState = {};
+  let truncated = false;
+
+  const dayEntry = (dayKey) => {
+    if (!perDay.has(dayKey)) {
+      perDay.set(dayKey, { dayKey, bumps: 0, runtimeMs: 0 });
+    }
+    return perDay.get(dayKey);
+  };
+
+  const availability = evaluateRuntimeAvailability({ account, appSettings, now: startAt, workerState });
+  let cursor = availability.allowedNow ? startAt : toDateTime(availability.nextAllowedStart, timing.timezone);
+
+  while (cursor.toMillis() < endMs) {
+    if (bumps.length >= MAX_SIMULATED_BUMPS) {
+      truncated = true;
+      break;
+    }
+
+    const dayKey = getRuntimeDayKey(cursor, timing.timezone, timing);
+    const day = dayEntry(dayKey);
+    bumps.push({ at: cursor.toUTC().toISO(), dayKey });
+    day.bumps += 1;
+
+    const cycleEnd = cursor.plus({ milliseconds: cycleMs });
+    const patch = buildDailyRuntimeStatePatch(workerState, cycleEnd, timing.timezone, cycleMs, timing);
+    workerState = {
+      dailyRuntimeDayKey: patch.dailyRuntimeDayKey,
+      dailyRuntimeUsedMs: patch.dailyRuntimeUsedMs
+    };
+    dayEntry(patch.dailyRuntimeDayKey).runtimeMs = patch.dailyRuntimeUsedMs;
+
+    const schedule = computeNextRunSchedule({
+      account: { ...account, lastBumpAt: cursor.toUTC().toISO() },
+      appSettings,
+      now: cycleEnd,
+      anchorAt: cursor,
+      workerState,
+      randomValue: random()
+    });
+    let nextRunAt = toDateTime(schedule.nextRunAt, timing.timezone);
+
+    // The last allowed bump of the day: nothing more runs until the next
+    // operating day opens, whatever the interval would have picked.
+    if (maxDailyBumps > 0 && day.bumps >= maxDailyBumps) {
+      const reopensAt = toDateTime(getNextRuntimeDayOpen(cycleEnd, timing, timing.timezone), timing.timezone);
+      if (reopensAt.toMillis() > nextRunAt.toMillis()) {
+        nextRunAt = reopensAt;
+      }
+      capHits.push({
+        cap: "max_daily_bumps",
+        dayKey,
+        at: cursor.toUTC().toISO(),
+        enforced: true,
+        resumesAt: nextRunAt.toUTC().toISO()
+      });
+    } else if (schedule.decision === "blocked_by_daily_runtime_cap") {
+      capHits.push({
+        cap: "max_daily_runtime",
+        dayKey: patch.dailyRuntimeDayKey,
+        at: cycleEnd.toUTC().toISO(),
+        usedMs: patch.dailyRuntimeUsedMs,
+        enforced: true,
+        resumesAt: nextRunAt.toUTC().toISO()
+      });
+    } else if (schedule.decision === "wait_until_next_valid_window") {
+      const closedAtMs = findWindowCloseMs(timing, cursor.toMillis(), nextRunAt.toMillis());
+      windowClosures.push({
+        closedAt: toDateTime(closedAtMs, timing.timezone).toUTC().toISO(),
+        reopensAt: nextRunAt.toUTC().toISO(),
+        skippedRunAt: schedule.rawNextRunAtIso
+      });
+    }
+
+    cursor = nextRunAt.toMillis() > cursor.toMillis() ? nextRunAt : cursor.plus({ minutes: 1 });
+  }
+
+  return {
+    seed: String(seed),
+    startAt: startAt.toUTC().toISO(),
+    endAt: toDateTime(endMs, timing.timezone).toUTC().toISO(),
+    days: safeDays,
+    cycleSeconds: cycleMs / 1000,
+    timezone: timing.timezone,
+    timezoneLabel: timing.timezoneLabel,
+    config: {
+      baseIntervalMinutes: timing.baseIntervalMinutes,
+      randomMinMinutes: timing.randomMinMinutes,
+      randomMaxMinutes: timing.randomMaxMinutes,
+      maxDailyBumps: maxDailyBumps || null,
+      maxDailyRuntimeHours: timing.maxDailyRuntimeHours,
+      runtimeWindows: timing.runtimeWindows,
+      runtimeCalendar: timing.runtimeCalendar
+    },
+    bumps,
+    windowClosures,
+    capHits,
+    perDay: Array.from(perDay.values()),
+    truncated
+  };
+}
+
+module.exports = {
+  DEFAULT_SIMULATION_DAYS,
+  MAX_CYCLE_SECONDS,
+  parseCycleSeconds,
+  MAX_SIMULATION_DAYS,
+  createSeededRandom,
+  simulateSchedule
+};
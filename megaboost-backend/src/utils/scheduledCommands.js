@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon");
+const { DEFAULT_TIMEZONE } = require("./timing");
+const { normalizeTag } = require("./accountTags");
+const { resolveQuickPreset } = require("./bumpPresets");
+
+const SCHEDULED_COMMAND_ACTIONS = ["start", "stop", "pause", "resume", "restart", "apply_preset"];
+const SCHEDULED_COMMAND_STATUSES = ["pending", "running", "completed", "failed", "cancelled"];
+const SCHEDULED_COMMAND_TARGETS = ["account", "tag", "all"];
+const MAX_SCHEDULE_AHEAD_DAYS = 366;
+// Small grace so a time entered for "now" is not rejected as past.
+const PAST_GRACE_MS = 60 * 1000;
+
+// An explicit offset or "Z" wins; a bare local time is read in the user's
+// timezone.
+function parseRunAt(value, timezone = DEFAULT_TIMEZONE) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.valueOf()) ? null : value;
+  }
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  const hasOffset = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(raw);
+  const parsed = hasOffset
+    ? DateTime.fromISO(raw, { setZone: true })
+    : DateTime.fromISO(raw, { zone: timezone || DEFAULT_TIMEZONE });
+  return parsed.isValid ? parsed.toUTC().toJSDate() : null;
+}
+
+function normalizeCommandTarget(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const type = String(source.type || "").trim().toLowerCase();
+
+  if (type === "all") {
+    return { target: { type: "all" } };
+  }
+  if (type === "tag") {
+    const tag = normalizeTag(source.tag);
+    if (!tag) return { error: "target.tag is required" };
+    return { target: { type: "tag", tag } };
+  }
+  if (type === "account") {
+    const ids = Array.isArray(source.accountIds)
+      ? source.accountIds
+      : [source.accountId].filter(Boolean);
+    const accountIds = Array.from(new Set(ids.map((id) => String(id || "").trim())));
+    if (accountIds.length === 0) return { error: "target.accountIds is required" };
+    if (accountIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: "target.accountIds contains an invalid id" };
+    }
+    return { target: { type: "account", accountIds } };
+  }
+  return { error: `target.type must be one of: ${SCHEDULED_COMMAND_TARGETS.join(", ")}` };
+}
+
+function normalizeScheduledCommandInput(input = {}, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const action = String(source.action || "").trim().toLowerCase();
+  if (!SCHEDULED_COMMAND_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${SCHEDULED_COMMAND_ACTIONS.join(", ")}` };
+  }
+
+  const { target, error: targetError } = normalizeCommandTarget(source.target);
+  if (targetError) return { error: targetError };
+
+  const runAt = parseRunAt(source.runAt, timezone);
+  if (!runAt) return { error: "runAt must be a valid date and time" };
+  const nowMs = new Date(now).valueOf();
+  if (runAt.valueOf() < nowMs - PAST_GRACE_MS) {
+    return { error: "runAt is in the past" };
+  }
+  if (runAt.valueOf() > nowMs + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `runAt must be within ${MAX_SCHEDULE_AHEAD_DAYS} days` };
+  }
+
+  const command = {
+    action,
+    target,
+    runAt,
+    timezone: timezone || DEFAULT_TIMEZONE,
+    note: String(source.note || "").trim().slice(0, 200),
+    presetKey: null,
+    presetId: null
+  };
+
+  if (action === "apply_preset") {
+    const preset = String(source.preset || "").trim();
+    if (mongoose.Types.ObjectId.isValid(preset)) {
+      command.presetId = preset;
+    } else if (resolveQuickPreset(preset)) {
+      command.presetKey = resolveQuickPreset(preset).key;
+    } else {
+      return { error: "preset must be a quick preset key or a saved preset id" };
+    }
+  }
+
+  return { command };
+}
+
+module.exports = {
+  SCHEDULED_COMMAND_ACTIONS,
+  SCHEDULED_COMMAND_STATUSES,
+  SCHEDULED_COMMAND_TARGETS,
+  normalizeScheduledCommandInput,
+  parseRunAt
+};
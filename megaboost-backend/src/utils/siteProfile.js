@@ -0,0 +1,371 @@
+const fs = require("fs");
+const path = require("path");
+const SiteProfile = require("../model/SiteProfile");
+
+const SITE_PROFILE_FILE = String(process.env.SITE_PROFILE_FILE || "").trim();
+const SITE_PROFILE_RELOAD_MS = (() => {
+  const parsed = Number(process.env.SITE_PROFILE_RELOAD_MS || 30000);
+  if (!Number.isFinite(parsed) || parsed < 0) return 30000;
+  return Math.floor(parsed);
+})();
+
+const ROOT_URL =
+  String(process.env.TARGET_SITE_URL || "").trim().replace(/\/+$/, "") ||
+  "https://megapersonals.eu";
+
+// Built-in profile. The selector env vars still override it so existing
+// deployments keep working without a stored profile.
+const DEFAULT_SITE_PROFILE = Object.freeze({
+  name: "megapersonals",
+  urls: {
+    root: ROOT_URL,
+    login: String(process.env.LOGIN_URL || "").trim() || `${ROOT_URL}/users/auth/login`,
+    postsList: `${ROOT_URL}/users/posts/list`
+  },
+  urlPatterns: {
+    login: ["/users/auth/login", "/users/login"],
+    postsList: ["/users/posts/list"],
+    twoFactor: ["/device-verification", "/verification"],
+    verificationSuccess: [
+      "/users/device-verification/successful/",
+      "/users/device-verification/success"
+    ],
+    phoneVerification: ["/phone/verification/verify/"],
+    publishSuccess: ["/success_publish/"],
+    invalidCredentialsQuery: "error=t"
+  },
+  selectors: {
+    email:
+      process.env.USER_SELECTOR ||
+      "#email, input[name='email'], input[name='username'], input[type='email']",
+    password:
+      process.env.PASS_SELECTOR ||
+      "#password, input[name='password'], input[type='password']",
+    captchaImage:
+      process.env.CAPTCHA_IMG_SELECTOR ||
+      "#captcha_image_itself, img.captcha, img[src*='captcha']",
+    captchaInput:
+      process.env.CAPTCHA_INPUT_SELECTOR ||
+      "#captcha_code, input[name='captcha'], input[placeholder*='code']",
+    submit:
+      process.env.SUBMIT_SELECTOR ||
+      "#submit, #login_submit, button[type='submit'], input[type='submit'], input[type='button'][value*='submit' i], button[id*='submit' i], input[id*='submit' i], button[name='submit'], input[name='submit']",
+    ageGate: "#ageCheckPopupDiv",
+    termsContainer: "#ageCheckPopupInner .terms-container, .terms-container",
+    agreeCheckbox: "#checkbox-agree",
+    agreeButton: "#ageagree",
+    postsListReady:
+      "#managePublishAd, [id='managePublishAd'], button[id*='managePublishAd'], a[id*='managePublishAd']",
+    bumpButton: "#managePublishAd",
+    bannedMessage: ".banned-message-small",
+    verificationCode: "#verificationCode, input[name='verificationCode'], .phone-input-code",
+    verificationSubmit: "#device_verification_submit, button[type='submit'], input[type='submit']"
+  },
+  text: {
+    loginLinks: ["post now", "post ad"],
+    agreeButtons: ["i agree", "agree"],
+    okButtons: ["ok"],
+    cooldownPopup: ["you may only publish once every"],
+    myPostsLinks: ["my posts"]
+  }
+});
+
+const URL_KEYS = Object.keys(DEFAULT_SITE_PROFILE.urls);
+const URL_PATTERN_KEYS = Object.keys(DEFAULT_SITE_PROFILE.urlPatterns).filter(
+  (key) => key !== "invalidCredentialsQuery"
+);
+const SELECTOR_KEYS = Object.keys(DEFAULT_SITE_PROFILE.selectors);
+const TEXT_KEYS = Object.keys(DEFAULT_SITE_PROFILE.text);
+
+let currentProfile = DEFAULT_SITE_PROFILE;
+let currentMeta = { version: 0, source: "default", loadedAt: new Date() };
+let reloadTimer = null;
+let reloadInFlight = null;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function normalizeStringList(value, label, errors) {
+  const list = Array.isArray(value) ? value : [value];
+  const cleaned = list.map((entry) => String(entry ?? "").trim()).filter(Boolean);
+  if (cleaned.length === 0 || cleaned.length !== list.length) {
+    errors.push(`${label} must be a non-empty list of non-empty strings`);
+  }
+  return cleaned;
+}
+
+function normalizeAbsoluteUrl(value, label, errors) {
+  const raw = String(value || "").trim().replace(/\/+$/, "");
+  try {
+    const parsed = new URL(raw);
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      errors.push(`${label} must use http or https`);
+    }
+  } catch {
+    errors.push(`${label} must be an absolute URL`);
+  }
+  return raw;
+}
+
+// Merges a partial profile over the built-in one and checks every field.
+// Returns the merged profile plus a list of validation errors.
+function validateSiteProfile(input) {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    return { profile: null, errors: ["Profile must be an object"] };
+  }
+
+  for (const section of ["urls", "urlPatterns", "selectors", "text"]) {
+    if (input[section] !== undefined && !isPlainObject(input[section])) {
+      errors.push(`${section} must be an object`);
+    }
+  }
+  if (errors.length > 0) {
+    return { profile: null, errors };
+  }
+
+  const urlsInput = input.urls || {};
+  const root = normalizeAbsoluteUrl(
+    urlsInput.root || DEFAULT_SITE_PROFILE.urls.root,
+    "urls.root",
+    errors
+  );
+  const rootChanged = root !== DEFAULT_SITE_PROFILE.urls.root;
+  const urls = {
+    root,
+    login: normalizeAbsoluteUrl(
+      urlsInput.login ||
+        (rootChanged ? `${root}/users/auth/login` : DEFAULT_SITE_PROFILE.urls.login),
+      "urls.login",
+      errors
+    ),
+    postsList: normalizeAbsoluteUrl(
+      urlsInput.postsList || `${root}/users/posts/list`,
+      "urls.postsList",
+      errors
+    )
+  };
+
+  const patternsInput = input.urlPatterns || {};
+  const urlPatterns = {};
+  URL_PATTERN_KEYS.forEach((key) => {
+    urlPatterns[key] = normalizeStringList(
+      patternsInput[key] ?? DEFAULT_SITE_PROFILE.urlPatterns[key],
+      `urlPatterns.${key}`,
+      errors
+    ).map((entry) => entry.toLowerCase());
+  });
+  urlPatterns.invalidCredentialsQuery = String(
+    patternsInput.invalidCredentialsQuery ?? DEFAULT_SITE_PROFILE.urlPatterns.invalidCredentialsQuery
+  ).trim();
+  if (!/^[^=&?\s]+=[^=&?\s]+$/.test(urlPatterns.invalidCredentialsQuery)) {
+    errors.push("urlPatterns.invalidCredentialsQuery must look like key=value");
+  }
+
+  const selectorsInput = input.selectors || {};
+  const selectors = {};
+  SELECTOR_KEYS.forEach((key) => {
+    const value = String(selectorsInput[key] ?? DEFAULT_SITE_PROFILE.selectors[key]).trim();
+    if (!value) {
+      errors.push(`selectors.${key} must be a non-empty selector`);
+    }
+    selectors[key] = value;
+  });
+
+  const textInput = input.text || {};
+  const text = {};
+  TEXT_KEYS.forEach((key) => {
+    text[key] = normalizeStringList(
+      textInput[key] ?? DEFAULT_SITE_PROFILE.text[key],
+      `text.${key}`,
+      errors
+    ).map((entry) => entry.replace(/\s+/g, " ").toLowerCase());
+  });
+
+  const unknownSections = Object.keys(input).filter(
+    (key) => !["name", "urls", "urlPatterns", "selectors", "text"].includes(key)
+  );
+  unknownSections.forEach((key) => errors.push(`Unknown profile section: ${key}`));
+
+  return {
+    profile: {
+      name: String(input.name || DEFAULT_SITE_PROFILE.name).trim(),
+      urls,
+      urlPatterns,
+      selectors,
+      text
+    },
+    errors
+  };
+}
+
+function getSiteProfile() {
+  return currentProfile;
+}
+
+function getSiteProfileMeta() {
+  return { ...currentMeta };
+}
+
+function urlMatches(url, patternKey) {
+  const value = String(url || "").toLowerCase();
+  const patterns = currentProfile.urlPatterns[patternKey] || [];
+  return patterns.some((pattern) => value.includes(pattern));
+}
+
+function applyProfile(input, meta) {
+  const { profile, errors } = validateSiteProfile(input);
+  if (errors.length > 0) {
+    console.error(
+      `[SITE-PROFILE] Ignoring invalid ${meta.source} profile v${meta.version}: ${errors.join("; ")}`
+    );
+    return false;
+  }
+
+  const changed =
+    currentMeta.source !== meta.source || currentMeta.version !== meta.version;
+  currentProfile = Object.freeze(profile);
+  currentMeta = { ...meta, loadedAt: new Date() };
+  if (changed) {
+    console.log(`[SITE-PROFILE] Loaded ${meta.source} profile v${meta.version} (${profile.name})`);
+  }
+  return true;
+}
+
+async function readProfileFile() {
+  if (!SITE_PROFILE_FILE) return null;
+  const filePath = path.resolve(SITE_PROFILE_FILE);
+  const raw = await fs.promises.readFile(filePath, "utf8");
+  const parsed = JSON.parse(raw);
+  return {
+    profile: parsed,
+    version: Number(parsed?.version || 0),
+    source: "file"
+  };
+}
+
+// Active Mongo version wins, then SITE_PROFILE_FILE, then the built-in profile.
+// A profile that fails validation leaves the previous one in place.
+async function loadSiteProfile() {
+  if (reloadInFlight) return reloadInFlight;
+
+  reloadInFlight = (async () => {
+    const stored = await SiteProfile.findOne({ active: true })
+      .sort({ version: -1 })
+      .lean()
+      .catch((error) => {
+        console.error("[SITE-PROFILE] Database load failed:", error.message);
+        return undefined;
+      });
+
+    if (stored) {
+      const { version, ...profile } = stored.profile || {};
+      applyProfile(profile, { version: stored.version, source: "database" });
+      return getSiteProfileMeta();
+    }
+
+    if (stored === undefined && currentMeta.source === "database") {
+      return getSiteProfileMeta();
+    }
+
+    const fromFile = await readProfileFile().catch((error) => {
+      console.error("[SITE-PROFILE] File load failed:", error.message);
+      return null;
+    });
+    if (fromFile) {
+      const { version, ...profile } = fromFile.profile || {};
+      applyProfile(profile, { version: fromFile.version, source: "file" });
+      return getSiteProfileMeta();
+    }
+
+    if (!SITE_PROFILE_FILE || currentMeta.source !== "file") {
+      applyProfile({}, { version: 0, source: "default" });
+    }
+    return getSiteProfileMeta();
+  })().finally(() => {
+    reloadInFlight = null;
+  });
+
+  return reloadInFlight;
+}
+
+function startSiteProfileReload() {
+  if (reloadTimer) return;
+
+  loadSiteProfile().catch(() => null);
+  if (SITE_PROFILE_RELOAD_MS <= 0) return;
+
+  reloadTimer = setInterval(() => {
+    loadSiteProfile().catch(() => null);
+  }, SITE_PROFILE_RELOAD_MS);
+  if (typeof reloadTimer.unref === "function") {
+    reloadTimer.unref();
+  }
+}
+
+function stopSiteProfileReload() {
+  if (reloadTimer) {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+  }
+}
+
+// Stores a new version and makes it the active one.
+async function saveSiteProfile(input, { createdBy = null, note = "" } = {}) {
+  const { profile, errors } = validateSiteProfile(input);
+  if (errors.length > 0) {
+    const error = new Error("Site profile is invalid");
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  const latest = await SiteProfile.findOne().sort({ version: -1 }).select("version").lean();
+  const version = Number(latest?.version || 0) + 1;
+  const created = await SiteProfile.create({
+    version,
+    active: false,
+    profile,
+    note,
+    createdBy
+  });
+  await activateSiteProfile(version);
+  return created.toObject();
+}
+
+async function activateSiteProfile(version) {
+  const target = await SiteProfile.findOne({ version: Number(version) }).lean();
+  if (!target) {
+    const error = new Error("Site profile version not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const { errors } = validateSiteProfile(target.profile);
+  if (errors.length > 0) {
+    const error = new Error("Stored site profile is invalid");
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  await SiteProfile.updateMany({ version: { $ne: target.version }, active: true }, { active: false });
+  await SiteProfile.updateOne({ version: target.version }, { active: true });
+  await loadSiteProfile();
+  return target;
+}
+
+module.exports = {
+  DEFAULT_SITE_PROFILE,
+  SITE_PROFILE_FILE,
+  validateSiteProfile,
+  getSiteProfile,
+  getSiteProfileMeta,
+  urlMatches,
+  loadSiteProfile,
+  startSiteProfileReload,
+  stopSiteProfileReload,
+  saveSiteProfile,
+  activateSiteProfile
+};
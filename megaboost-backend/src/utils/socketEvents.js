@@ -1,4 +1,5 @@
 const Account = require("../model/Account");
+const { withOperationId } = require("./operationContext");
 
 function normalizeUserId(userId) {
   if (!userId) return "";
@@ -32,7 +33,7 @@ function emitToUser(io, userId, eventName, payload = {}) {
     return false;
   }
 
-  io.to(room).emit(eventName, withUserId(payload, normalizeUserId(userId)));
+  io.to(room).emit(eventName, withOperationId(withUserId(payload, normalizeUserId(userId))));
   return true;
 }
 
@@ -0,0 +1,188 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const AccountStatusEvent = require("../model/AccountStatusEvent");
+const { getOperationId } = require("./operationContext");
+
+const STATUS_ACTORS = new Set([
+  "user",
+  "telegram",
+  "watchdog",
+  "recovery",
+  "worker",
+  "system",
+  "scheduler"
+]);
+
+const STATUS_GROUPS = {
+  idle: ["pending", "stopped", "paused", "completed"],
+  starting: ["starting", "restarting"],
+  running: ["running", "active", "bumping", "waiting_cooldown"],
+  recovery: ["retry_scheduled", "stalled", "crashed", "error"],
+  checkpoint: ["awaiting_captcha", "awaiting_verification_code", "awaiting_2fa", "needs2fa"],
+  failed: ["verification_failed", "2fa_failed", "login_failed", "proxy_failed"],
+  blocked: ["blocked"],
+  banned: ["banned"]
+};
+
+// Groups each group may move into. An idle account has to pass through
+// starting before it can run; banned only leaves through an explicit stop.
+const GROUP_TRANSITIONS = {
+  idle: ["idle", "starting", "recovery", "checkpoint", "failed", "blocked", "banned"],
+  starting: Object.keys(STATUS_GROUPS),
+  running: Object.keys(STATUS_GROUPS),
+  recovery: Object.keys(STATUS_GROUPS),
+  checkpoint: Object.keys(STATUS_GROUPS),
+  failed: ["idle", "starting", "running", "recovery", "checkpoint", "failed", "blocked", "banned"],
+  blocked: ["idle", "starting", "blocked", "banned"],
+  banned: ["idle", "banned"]
+};
+
+// Queued starts and deferred schedules hand straight over to a live worker
+// without passing through starting again.
+const EXTRA_TRANSITIONS = {
+  pending: STATUS_GROUPS.running,
+  paused: STATUS_GROUPS.running
+};
+
+const STATUS_TRANSITIONS = (() => {
+  const groupByStatus = new Map();
+  Object.entries(STATUS_GROUPS).forEach(([group, statuses]) => {
+    statuses.forEach((status) => groupByStatus.set(status, group));
+  });
+
+  const table = new Map();
+  groupByStatus.forEach((group, status) => {
+    const allowed = new Set();
+    GROUP_TRANSITIONS[group].forEach((targetGroup) => {
+      STATUS_GROUPS[targetGroup].forEach((target) => allowed.add(target));
+    });
+    (EXTRA_TRANSITIONS[status] || []).forEach((target) => allowed.add(target));
+    table.set(status, allowed);
+  });
+  return table;
+})();
+
+const STATUS_ENFORCEMENT_MODE = (() => {
+  const value = String(process.env.ACCOUNT_STATUS_ENFORCEMENT || "reject").trim().toLowerCase();
+  return value === "flag" ? "flag" : "reject";
+})();
+
+const statusContextStorage = new AsyncLocalStorage();
+
+function normalizeStatus(status) {
+  return String(status || "").trim().toLowerCase();
+}
+
+function normalizeStatusActor(actor, fallback = "system") {
+  const value = String(actor || "").trim().toLowerCase();
+  return STATUS_ACTORS.has(value) ? value : fallback;
+}
+
+function getStatusContext() {
+  return statusContextStorage.getStore() || { actor: "system", reason: null };
+}
+
+function runWithStatusContext(context = {}, callback) {
+  const parent = getStatusContext();
+  const actor = normalizeStatusActor(context?.actor, parent.actor);
+  let reason = context?.reason;
+  if (reason === undefined) {
+    reason = actor === parent.actor ? parent.reason : null;
+  }
+
+  return statusContextStorage.run(
+    {
+      actor,
+      reason: reason ? String(reason) : null
+    },
+    callback
+  );
+}
+
+function isStatusTransitionAllowed(fromStatus, toStatus) {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  if (!from || from === to) return true;
+
+  const allowed = STATUS_TRANSITIONS.get(from);
+  if (!allowed) return true;
+  return allowed.has(to);
+}
+
+function evaluateStatusTransition(fromStatus, toStatus) {
+  const from = normalizeStatus(fromStatus) || null;
+  const to = normalizeStatus(toStatus);
+  const legal = isStatusTransitionAllowed(from, to);
+
+  return {
+    from,
+    to,
+    changed: from !== to,
+    legal,
+    accepted: legal || STATUS_ENFORCEMENT_MODE === "flag"
+  };
+}
+
+// Thrown instead of stripping the status when a caller asks for strict writes,
+// so operator actions can answer 409 rather than report a move that never happened.
+class StatusTransitionError extends Error {
+  constructor(transition = {}) {
+    super(`Account cannot move from ${transition.from || "none"} to ${transition.to}`);
+    this.name = "StatusTransitionError";
+    this.code = "ILLEGAL_STATUS_TRANSITION";
+    this.status = 409;
+    this.from = transition.from || null;
+    this.to = transition.to || null;
+  }
+}
+
+function isStatusTransitionError(error) {
+  return error instanceof StatusTransitionError || error?.code === "ILLEGAL_STATUS_TRANSITION";
+}
+
+function assertStatusTransition(fromStatus, toStatus) {
+  const transition = evaluateStatusTransition(fromStatus, toStatus);
+  if (!transition.accepted) {
+    throw new StatusTransitionError(transition);
+  }
+  return transition;
+}
+
+async function recordStatusTransition(account, transition, context = getStatusContext()) {
+  if (!account?._id || !transition?.changed) return null;
+
+  if (!transition.legal) {
+    console.warn(
+      `[STATUS] Illegal transition ${transition.from || "none"} -> ${transition.to} for ${account._id} (${context.actor}) ${transition.accepted ? "flagged" : "rejected"}`
+    );
+  }
+
+  return AccountStatusEvent.create({
+    accountId: account._id,
+    userId: account.userId,
+    from: transition.from,
+    to: transition.to,
+    legal: transition.legal,
+    accepted: transition.accepted,
+    actor: normalizeStatusActor(context.actor),
+    reason: context.reason || null,
+    operationId: getOperationId()
+  }).catch((error) => {
+    console.error("[STATUS] Failed to record transition:", error.message);
+    return null;
+  });
+}
+
+module.exports = {
+  STATUS_ACTORS,
+  STATUS_TRANSITIONS,
+  STATUS_ENFORCEMENT_MODE,
+  normalizeStatusActor,
+  getStatusContext,
+  runWithStatusContext,
+  isStatusTransitionAllowed,
+  evaluateStatusTransition,
+  StatusTransitionError,
+  isStatusTransitionError,
+  assertStatusTransition,
+  recordStatusTransition
+};
@@ -0,0 +1,104 @@
+const { DEFAULT_TIMEZONE, toDateTime } = require("./timing");
+const { parseRunAt } = require("./scheduledCommands");
+
+const MAX_PAUSE_MINUTES = 30 * 24 * 60;
+const DURATION_PATTERN = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/i;
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Accepts minutes as a number or text like "2h", "90m" or "1h30m".
+function parsePauseDuration(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  if (/^\d+(?:\.\d+)?$/.test(raw)) {
+    const minutes = Number(raw);
+    return minutes > 0 ? minutes : null;
+  }
+
+  const match = raw.match(DURATION_PATTERN);
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0);
+  return minutes > 0 ? minutes : null;
+}
+
+// "18:00" is the next 18:00 in the timezone; anything else is read as a date
+// and time like a scheduled command's runAt.
+function parsePauseUntil(value, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const raw = String(value || "").trim();
+  const clock = raw.match(CLOCK_PATTERN);
+  if (!clock) return parseRunAt(raw, timezone);
+
+  const current = toDateTime(now, timezone);
+  let target = current.set({
+    hour: Number(clock[1]),
+    minute: Number(clock[2]),
+    second: 0,
+    millisecond: 0
+  });
+  if (target <= current) {
+    target = target.plus({ days: 1 });
+  }
+  return target.toUTC().toJSDate();
+}
+
+// Returns { pausedUntil } with null meaning an open-ended pause, or { error }.
+function resolvePausedUntil(input = {}, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const hasDuration = source.duration !== undefined && source.duration !== null && source.duration !== "";
+  const hasUntil = source.until !== undefined && source.until !== null && source.until !== "";
+
+  if (hasDuration && hasUntil) {
+    return { error: "Pass either duration or until, not both" };
+  }
+  if (!hasDuration && !hasUntil) {
+    return { pausedUntil: null };
+  }
+
+  const nowMs = new Date(now).valueOf();
+  let pausedUntil;
+  if (hasDuration) {
+    const minutes = parsePauseDuration(source.duration);
+    if (!minutes) {
+      return { error: 'duration must be minutes or text like "2h" or "1h30m"' };
+    }
+    pausedUntil = new Date(nowMs + Math.round(minutes * 60 * 1000));
+  } else {
+    pausedUntil = parsePauseUntil(source.until, timezone, now);
+    if (!pausedUntil) {
+      return { error: 'until must be a time like "18:00" or a date and time' };
+    }
+    if (pausedUntil.valueOf() <= nowMs) {
+      return { error: "until is in the past" };
+    }
+  }
+
+  if (pausedUntil.valueOf() - nowMs > MAX_PAUSE_MINUTES * 60 * 1000) {
+    return { error: "A timed pause can last at most 30 days" };
+  }
+  return { pausedUntil };
+}
+
+function formatPauseRemaining(pausedUntil, now = new Date()) {
+  const remainingMs = new Date(pausedUntil).valueOf() - new Date(now).valueOf();
+  if (!Number.isFinite(remainingMs)) return "";
+  const totalMinutes = Math.max(0, Math.ceil(remainingMs / 60000));
+  if (totalMinutes < 1) return "<1m";
+
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  return [days ? `${days}d` : "", hours ? `${hours}h` : "", minutes ? `${minutes}m` : ""]
+    .filter(Boolean)
+    .join(" ");
+}
+
+module.exports = {
+  MAX_PAUSE_MINUTES,
+  formatPauseRemaining,
+  parsePauseDuration,
+  parsePauseUntil,
+  resolvePausedUntil
+};
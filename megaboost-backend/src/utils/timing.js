@@ -7,10 +7,17 @@ const {
   RUNTIME_WINDOW_PATTERN,
   buildRuntimeWindow,
   format24HourTo12Hour,
+  getNextRuntimeCalendarOpen,
+  getNextRuntimeOperatingDayOpen,
   getNextRuntimeStart,
+  getRuntimeOperatingDay,
+  hasRuntimeCalendar,
+  isInsideRuntimeCalendar,
   isInsideRuntimeWindow,
+  normalizeRuntimeCalendar,
   parseRuntimeTime,
   parseRuntimeWindow: parseRuntimeWindowConfig,
+  parseRuntimeWindowList,
   resolveRuntimeWindowConfig
 } = require("./runtimeWindow");
 
@@ -288,6 +295,11 @@ function normalizeTimingConfig(account = {}, appSettings = {}) {
     Number.EPSILON,
     24
   );
+  const windowList = parseRuntimeWindowList(account.runtimeWindows);
+  const runtimeWindows =
+    windowList.errors.length === 0 && windowList.normalized.length > 0
+      ? windowList.normalized
+      : [runtimeConfig.runtimeWindow];
 
   return {
     ...timing,
@@ -299,6 +311,8 @@ function normalizeTimingConfig(account = {}, appSettings = {}) {
     runtimeEnd: runtimeConfig.runtimeEnd,
     runtimeWindow: runtimeConfig.runtimeWindow,
     runtimeWindowParts: runtimeConfig.windowParts,
+    runtimeWindows,
+    runtimeCalendar: normalizeRuntimeCalendar(account.runtimeCalendar).calendar,
     maxDailyRuntimeHours,
     maxDailyRuntimeMs: roundToMs(maxDailyRuntimeHours * 60 * 60 * 1000)
   };
@@ -308,8 +322,25 @@ function getBangladeshDayKey(value, timezone = DEFAULT_TIMEZONE) {
   return toDateTime(value, timezone).toFormat("yyyy-LL-dd");
 }
 
-function isWithinRuntimeWindowAt(value, windowValue, timezone = DEFAULT_TIMEZONE) {
-  const window = parseRuntimeWindow(windowValue);
+// windowValue may be a single window or a list; several windows and calendars
+// share the per-day resolution in runtimeWindow.js.
+function usesRuntimeSchedule(windowValue, calendar) {
+  return (
+    hasRuntimeCalendar(calendar) ||
+    (Array.isArray(windowValue) && windowValue.length > 1) ||
+    String(windowValue || "").includes(",")
+  );
+}
+
+function getSingleWindow(windowValue) {
+  return parseRuntimeWindow(Array.isArray(windowValue) ? windowValue[0] : windowValue);
+}
+
+function isWithinRuntimeWindowAt(value, windowValue, timezone = DEFAULT_TIMEZONE, calendar = null) {
+  if (usesRuntimeSchedule(windowValue, calendar)) {
+    return isInsideRuntimeCalendar(value, calendar, windowValue || DEFAULT_RUNTIME_WINDOW, timezone);
+  }
+  const window = getSingleWindow(windowValue);
   return isInsideRuntimeWindow(
     value,
     window.runtimeStart || DEFAULT_RUNTIME_START,
@@ -318,8 +349,11 @@ function isWithinRuntimeWindowAt(value, windowValue, timezone = DEFAULT_TIMEZONE
   );
 }
 
-function getNextRuntimeWindowOpen(value, windowValue, timezone = DEFAULT_TIMEZONE) {
-  const window = parseRuntimeWindow(windowValue);
+function getNextRuntimeWindowOpen(value, windowValue, timezone = DEFAULT_TIMEZONE, calendar = null) {
+  if (usesRuntimeSchedule(windowValue, calendar)) {
+    return getNextRuntimeCalendarOpen(value, calendar, windowValue || DEFAULT_RUNTIME_WINDOW, timezone);
+  }
+  const window = getSingleWindow(windowValue);
   return getNextRuntimeStart(
     value,
     window.runtimeStart || DEFAULT_RUNTIME_START,
@@ -328,6 +362,29 @@ function getNextRuntimeWindowOpen(value, windowValue, timezone = DEFAULT_TIMEZON
   );
 }
 
+// The daily runtime budget is kept per operating day: time spent after
+// midnight inside an overnight window counts toward the day it opened.
+function getRuntimeDayKey(value, timezone = DEFAULT_TIMEZONE, schedule = null) {
+  if (!schedule) {
+    return getBangladeshDayKey(value, timezone);
+  }
+  return getRuntimeOperatingDay(
+    value,
+    schedule.runtimeCalendar,
+    schedule.runtimeWindows || schedule.runtimeWindow || DEFAULT_RUNTIME_WINDOW,
+    timezone
+  ).toFormat("yyyy-LL-dd");
+}
+
+function getNextRuntimeDayOpen(value, schedule, timezone = DEFAULT_TIMEZONE) {
+  return getNextRuntimeOperatingDayOpen(
+    value,
+    schedule.runtimeCalendar,
+    schedule.runtimeWindows || schedule.runtimeWindow || DEFAULT_RUNTIME_WINDOW,
+    timezone
+  );
+}
+
 function calculateSelectedRandomDelayMinutes(randomMinMinutes, randomMaxMinutes, randomValue = Math.random()) {
   const safeMin = Math.max(0, toNumber(randomMinMinutes, 0));
   const safeMax = Math.max(safeMin, toNumber(randomMaxMinutes, safeMin));
@@ -352,9 +409,9 @@ function calculateEffectiveDelayMs(baseIntervalMinutes, randomMinMinutes, random
   };
 }
 
-function normalizeDailyRuntimeState(workerState = {}, nowValue, timezone = DEFAULT_TIMEZONE) {
+function normalizeDailyRuntimeState(workerState = {}, nowValue, timezone = DEFAULT_TIMEZONE, schedule = null) {
   const now = toDateTime(nowValue, timezone);
-  const currentDayKey = getBangladeshDayKey(now, timezone);
+  const currentDayKey = getRuntimeDayKey(now, timezone, schedule);
   const storedDayKey = String(workerState.dailyRuntimeDayKey || "").trim();
   const storedUsedMs = roundToMs(workerState.dailyRuntimeUsedMs);
 
@@ -373,8 +430,14 @@ function normalizeDailyRuntimeState(workerState = {}, nowValue, timezone = DEFAU
   };
 }
 
-function buildDailyRuntimeStatePatch(workerState = {}, nowValue, timezone = DEFAULT_TIMEZONE, additionalRuntimeMs = 0) {
-  const normalized = normalizeDailyRuntimeState(workerState, nowValue, timezone);
+function buildDailyRuntimeStatePatch(
+  workerState = {},
+  nowValue,
+  timezone = DEFAULT_TIMEZONE,
+  additionalRuntimeMs = 0,
+  schedule = null
+) {
+  const normalized = normalizeDailyRuntimeState(workerState, nowValue, timezone, schedule);
   return {
     dailyRuntimeDayKey: normalized.dayKey,
     dailyRuntimeUsedMs: roundToMs(normalized.usedMs + additionalRuntimeMs),
@@ -390,11 +453,12 @@ function evaluateRuntimeAvailability({
 } = {}) {
   const timing = normalizeTimingConfig(account, appSettings);
   const nowBdt = toDateTime(now, timing.timezone);
-  const dailyRuntime = normalizeDailyRuntimeState(workerState, nowBdt, timing.timezone);
+  const dailyRuntime = normalizeDailyRuntimeState(workerState, nowBdt, timing.timezone, timing);
   const insideRuntimeWindow = isWithinRuntimeWindowAt(
     nowBdt,
-    timing.runtimeWindow,
-    timing.timezone
+    timing.runtimeWindows,
+    timing.timezone,
+    timing.runtimeCalendar
   );
   const dailyRuntimeCapReached = dailyRuntime.usedMs >= timing.maxDailyRuntimeMs;
   let nextAllowedStart = nowBdt;
@@ -404,16 +468,13 @@ function evaluateRuntimeAvailability({
     reason = "outside_runtime_window";
     nextAllowedStart = getNextRuntimeWindowOpen(
       nowBdt,
-      timing.runtimeWindow,
-      timing.timezone
+      timing.runtimeWindows,
+      timing.timezone,
+      timing.runtimeCalendar
     );
   } else if (dailyRuntimeCapReached) {
     reason = "daily_runtime_cap_reached";
-    nextAllowedStart = getNextRuntimeWindowOpen(
-      nowBdt.plus({ days: 1 }).startOf("day"),
-      timing.runtimeWindow,
-      timing.timezone
-    );
+    nextAllowedStart = getNextRuntimeDayOpen(nowBdt, timing, timing.timezone);
   }
 
   return {
@@ -423,6 +484,8 @@ function evaluateRuntimeAvailability({
     runtimeStart: timing.runtimeStart,
     runtimeEnd: timing.runtimeEnd,
     runtimeWindow: timing.runtimeWindow,
+    runtimeWindows: timing.runtimeWindows,
+    runtimeCalendarActive: hasRuntimeCalendar(timing.runtimeCalendar),
     nowUtcIso: nowBdt.toUTC().toISO(),
     nowBdtIso: nowBdt.toISO(),
     insideRuntimeWindow,
@@ -453,7 +516,7 @@ function computeNextRunSchedule({
   const nowUtc = nowBdt.toUTC();
   const rawAnchor = anchorAt || account.lastBumpAt || now;
   const anchorBdt = toDateTime(rawAnchor, timing.timezone);
-  const dailyRuntime = normalizeDailyRuntimeState(workerState, nowBdt, timing.timezone);
+  const dailyRuntime = normalizeDailyRuntimeState(workerState, nowBdt, timing.timezone, timing);
   const forcedDelayMs = Number(overrideDelayMs);
   const overrideDelayActive = Number.isFinite(forcedDelayMs) && forcedDelayMs > 0;
   const delay =
@@ -484,24 +547,35 @@ function computeNextRunSchedule({
   if (dailyRuntimeCapReached) {
     decision = "blocked_by_daily_runtime_cap";
     reason = "daily_runtime_cap_reached";
-    adjustedNextRunAtBdt = getNextRuntimeWindowOpen(
-      nowBdt.plus({ days: 1 }).startOf("day"),
-      timing.runtimeWindow,
-      timing.timezone
-    );
-  } else if (!isWithinRuntimeWindowAt(rawNextRunAtBdt, timing.runtimeWindow, timing.timezone)) {
+    adjustedNextRunAtBdt = getNextRuntimeDayOpen(nowBdt, timing, timing.timezone);
+  } else if (
+    !isWithinRuntimeWindowAt(
+      rawNextRunAtBdt,
+      timing.runtimeWindows,
+      timing.timezone,
+      timing.runtimeCalendar
+    )
+  ) {
     decision = "wait_until_next_valid_window";
     reason = "outside_runtime_window";
     adjustedNextRunAtBdt = getNextRuntimeWindowOpen(
       rawNextRunAtBdt,
-      timing.runtimeWindow,
-      timing.timezone
+      timing.runtimeWindows,
+      timing.timezone,
+      timing.runtimeCalendar
     );
   }
 
   if (!dailyRuntimeCapReached && adjustedNextRunAtBdt.toMillis() <= nowBdt.toMillis()) {
     const catchupAtBdt = nowBdt.plus({ seconds: 1 });
-    if (isWithinRuntimeWindowAt(catchupAtBdt, timing.runtimeWindow, timing.timezone)) {
+    if (
+      isWithinRuntimeWindowAt(
+        catchupAtBdt,
+        timing.runtimeWindows,
+        timing.timezone,
+        timing.runtimeCalendar
+      )
+    ) {
       decision = "schedule_now";
       reason = "overdue_schedule_catchup";
       adjustedNextRunAtBdt = catchupAtBdt;
@@ -510,8 +584,9 @@ function computeNextRunSchedule({
       reason = "outside_runtime_window";
       adjustedNextRunAtBdt = getNextRuntimeWindowOpen(
         catchupAtBdt,
-        timing.runtimeWindow,
-        timing.timezone
+        timing.runtimeWindows,
+        timing.timezone,
+        timing.runtimeCalendar
       );
     }
   }
@@ -526,6 +601,8 @@ function computeNextRunSchedule({
     runtimeStart: timing.runtimeStart,
     runtimeEnd: timing.runtimeEnd,
     runtimeWindow: timing.runtimeWindow,
+    runtimeWindows: timing.runtimeWindows,
+    runtimeCalendarActive: hasRuntimeCalendar(timing.runtimeCalendar),
     nowUtcIso: nowUtc.toISO(),
     nowBdtIso: nowBdt.toISO(),
     anchorAtIso: effectiveAnchorBdt.toUTC().toISO(),
@@ -594,8 +671,10 @@ module.exports = {
   buildRuntimeWindowFromClockTimes,
   getRuntimeWindowClockRange,
   getBangladeshDayKey,
+  getRuntimeDayKey,
   isWithinRuntimeWindowAt,
   getNextRuntimeWindowOpen,
+  getNextRuntimeDayOpen,
   calculateSelectedRandomDelayMinutes,
   calculateEffectiveDelayMs,
   normalizeDailyRuntimeState,
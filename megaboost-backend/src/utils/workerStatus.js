@@ -0,0 +1,66 @@
+function toCount(value) {
+  const parsed = Number(value || 0);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Each node reports only the jobs assigned to it, so jobs released from a dead
+// node (nodeId null) are counted here once instead of once per node.
+function mergeWorkerStatuses(nodes, settled, unassigned = {}) {
+  const merged = {
+    running: 0,
+    queued: toCount(unassigned.queued),
+    retryScheduled: toCount(unassigned.retryScheduled),
+    maxConcurrency: 0,
+    runningAccounts: [],
+    draining: false,
+    unassigned: {
+      queued: toCount(unassigned.queued),
+      retryScheduled: toCount(unassigned.retryScheduled)
+    },
+    nodes: []
+  };
+  const runningAccounts = new Set();
+
+  settled.forEach((result, index) => {
+    const node = nodes[index];
+    if (result.status !== "fulfilled") {
+      merged.nodes.push({
+        nodeId: node.nodeId,
+        url: node.url,
+        ok: false,
+        error: result.reason?.message || "Worker node unreachable"
+      });
+      return;
+    }
+
+    const status = result.value || {};
+    merged.running += toCount(status.running);
+    merged.queued += toCount(status.queued);
+    merged.retryScheduled += toCount(status.retryScheduled);
+    merged.maxConcurrency += toCount(status.maxConcurrency);
+    merged.draining = merged.draining || Boolean(status.draining);
+    (Array.isArray(status.runningAccounts) ? status.runningAccounts : []).forEach((accountId) =>
+      runningAccounts.add(String(accountId))
+    );
+    merged.nodes.push({
+      nodeId: status.nodeId || node.nodeId,
+      url: node.url,
+      ok: true,
+      running: toCount(status.running),
+      queued: toCount(status.queued),
+      retryScheduled: toCount(status.retryScheduled),
+      maxConcurrency: toCount(status.maxConcurrency),
+      draining: Boolean(status.draining),
+      drain: status.drain || null,
+      admission: status.admission || null,
+      lastHeartbeatAt: node.lastHeartbeatAt || null
+    });
+  });
+
+  merged.runningAccounts = Array.from(runningAccounts);
+  return merged;
+}
+
+module.exports = {
+  mergeWorkerStatuses
+};
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getTagListError,
+  normalizeTagList,
+  parseAccountTargetText,
+  resolveAccountTarget
+} = require("../src/utils/accountTags");
+
+const ID_A = "65f000000000000000000001";
+const ID_B = "65f000000000000000000002";
+
+test("tag lists are normalized and validated", () => {
+  assert.deepEqual(normalizeTagList(" Night Shift, vip,VIP ,"), ["night-shift", "vip"]);
+  assert.deepEqual(normalizeTagList(["a", "A", ""]), ["a"]);
+  assert.equal(getTagListError(["night-shift", "eu:west"]), null);
+  assert.match(getTagListError(["-bad"]), /Invalid tag "-bad"/);
+  assert.match(getTagListError(Array.from({ length: 21 }, (_, index) => `t${index}`)), /at most 20/);
+});
+
+test("an id list or a tag resolves to an account filter", () => {
+  assert.deepEqual(resolveAccountTarget({ accountIds: [ID_A, ` ${ID_A} `, ID_B] }), {
+    filter: { _id: { $in: [ID_A, ID_B] } },
+    target: { accountIds: [ID_A, ID_B] }
+  });
+  assert.deepEqual(resolveAccountTarget({ tag: " Night Shift " }), {
+    filter: { tags: "night-shift" },
+    target: { tag: "night-shift" }
+  });
+});
+
+test("bad targets are rejected the same way with or without allowAll", () => {
+  for (const options of [{}, { allowAll: true }]) {
+    assert.match(resolveAccountTarget({ accountIds: [ID_A], tag: "vip" }, options).error, /not both/);
+    assert.match(resolveAccountTarget({ accountIds: [ID_A, "nope"] }, options).error, /invalid id/);
+    assert.match(resolveAccountTarget({ accountIds: [] }, options).error, /at least one/);
+  }
+});
+
+test("a body without ids or tag targets every account only with allowAll", () => {
+  assert.match(resolveAccountTarget({}).error, /required/);
+  assert.deepEqual(resolveAccountTarget({}, { allowAll: true }), {
+    filter: {},
+    target: { all: true }
+  });
+  assert.deepEqual(resolveAccountTarget(undefined, { allowAll: true }).target, { all: true });
+});
+
+test("Telegram target text picks out tags and id lists", () => {
+  assert.deepEqual(parseAccountTargetText("#Night"), { tag: "night" });
+  assert.deepEqual(parseAccountTargetText("tag: vip"), { tag: "vip" });
+  assert.deepEqual(parseAccountTargetText(`${ID_A}, ${ID_B} ${ID_A}`), { accountIds: [ID_A, ID_B] });
+  assert.equal(parseAccountTargetText(ID_A), null);
+  assert.equal(parseAccountTargetText("someone@example.com"), null);
+  assert.equal(parseAccountTargetText(""), null);
+});
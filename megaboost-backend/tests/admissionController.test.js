@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateAdmission } = require("../src/engine/admissionController");
+
+const watermarks = {
+  memory: { high: 0.9, low: 0.8 },
+  cpu: { high: 1.5, low: 1 },
+  chromeRssMb: { high: 0, low: 0 },
+  eventLoopLagMs: { high: 500, low: 200 }
+};
+
+test("admits while every resource is under its watermarks", () => {
+  const result = evaluateAdmission(
+    { memory: 0.5, cpu: 0.4, chromeRssMb: 9000, eventLoopLagMs: 10 },
+    { watermarks, activeCount: 4, minConcurrency: 1 }
+  );
+  assert.equal(result.decision, "admit");
+  assert.deepEqual(result.reasons, []);
+});
+
+test("recycles above a high watermark unless at the minimum", () => {
+  const sample = { memory: 0.95, cpu: 0.4, eventLoopLagMs: 10 };
+  const busy = evaluateAdmission(sample, { watermarks, activeCount: 3, minConcurrency: 1 });
+  assert.equal(busy.decision, "recycle");
+  assert.deepEqual(busy.reasons, ["memory_high"]);
+
+  const floor = evaluateAdmission(sample, { watermarks, activeCount: 1, minConcurrency: 1 });
+  assert.equal(floor.decision, "defer");
+});
+
+test("keeps deferring until pressure falls below the low watermark", () => {
+  const first = evaluateAdmission(
+    { memory: 0.5, cpu: 0.4, eventLoopLagMs: 600 },
+    { watermarks, activeCount: 1, minConcurrency: 1 }
+  );
+  assert.equal(first.decision, "defer");
+
+  const between = evaluateAdmission(
+    { memory: 0.5, cpu: 0.4, eventLoopLagMs: 300 },
+    { watermarks, activeCount: 1, minConcurrency: 1, pressured: first.pressured }
+  );
+  assert.equal(between.decision, "defer");
+  assert.deepEqual(between.reasons, ["eventLoopLagMs_above_low"]);
+
+  const relieved = evaluateAdmission(
+    { memory: 0.5, cpu: 0.4, eventLoopLagMs: 100 },
+    { watermarks, activeCount: 1, minConcurrency: 1, pressured: between.pressured }
+  );
+  assert.equal(relieved.decision, "admit");
+
+  const fresh = evaluateAdmission(
+    { memory: 0.5, cpu: 0.4, eventLoopLagMs: 300 },
+    { watermarks, activeCount: 1, minConcurrency: 1 }
+  );
+  assert.equal(fresh.decision, "admit");
+});
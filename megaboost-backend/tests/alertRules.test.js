@@ -0,0 +1,205 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildAlertWebhookPayload,
+  describeCondition,
+  formatAlertTelegramMessage,
+  isNonPublicAddress,
+  normalizeAlertRuleInput,
+  planAlertEvaluation,
+  resolveWebhookHost
+} = require("../src/utils/alertRules");
+
+const NOW = new Date("2026-03-10T12:00:00.000Z");
+
+function minutesAgo(minutes) {
+  return new Date(NOW.valueOf() - minutes * 60 * 1000);
+}
+
+test("new rules get the condition's defaults", () => {
+  const { rule, error } = normalizeAlertRuleInput({
+    name: "Queue stuck",
+    condition: { type: "queue_backlog" }
+  });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(rule, {
+    name: "Queue stuck",
+    enabled: true,
+    severity: "warning",
+    condition: { type: "queue_backlog", threshold: 20 },
+    forMinutes: 10,
+    cooldownMinutes: 60,
+    channels: { telegram: true, webhookUrl: "" }
+  });
+});
+
+test("invalid rules list every problem", () => {
+  const { error } = normalizeAlertRuleInput({
+    name: "",
+    severity: "loud",
+    condition: { type: "account_crashes", threshold: -1 },
+    cooldownMinutes: 0,
+    channels: { webhookUrl: "ftp://example.com" }
+  });
+
+  assert.match(error, /name is required/);
+  assert.match(error, /severity must be one of/);
+  assert.match(error, /condition.threshold must be a whole number/);
+  assert.match(error, /cooldownMinutes must be a whole number/);
+  assert.match(error, /webhookUrl must be an http\(s\) URL/);
+  assert.match(
+    normalizeAlertRuleInput({ name: "x", condition: { type: "nope" } }).error,
+    /condition.type must be one of/
+  );
+  assert.match(
+    normalizeAlertRuleInput({ name: "x", condition: { type: "accounts_in_status", status: "running" } }).error,
+    /condition.status must be one of/
+  );
+});
+
+test("updates keep stored fields and reset parameters when the type changes", () => {
+  const current = normalizeAlertRuleInput({
+    name: "Crash loop",
+    severity: "critical",
+    condition: { type: "account_crashes", threshold: 5, windowMinutes: 30 },
+    cooldownMinutes: 15,
+    channels: { telegram: false, webhookUrl: "https://hooks.example.com/alerts" }
+  }).rule;
+
+  const renamed = normalizeAlertRuleInput({ name: "Crash loop (prod)", enabled: false }, current).rule;
+  assert.equal(renamed.name, "Crash loop (prod)");
+  assert.equal(renamed.enabled, false);
+  assert.deepEqual(renamed.condition, current.condition);
+  assert.deepEqual(renamed.channels, current.channels);
+  assert.equal(renamed.cooldownMinutes, 15);
+
+  const retyped = normalizeAlertRuleInput({ condition: { type: "no_successful_bump" } }, current).rule;
+  assert.deepEqual(retyped.condition, { type: "no_successful_bump", hours: 6 });
+  assert.equal(retyped.severity, "critical");
+});
+
+test("conditions describe themselves", () => {
+  assert.equal(
+    describeCondition({ type: "accounts_in_status", status: "login_failed", threshold: 2 }),
+    "more than 2 account(s) are login_failed"
+  );
+  assert.equal(
+    describeCondition({ type: "account_crashes", threshold: 3, windowMinutes: 60 }),
+    "an account crashed more than 3 time(s) in 60 min"
+  );
+});
+
+test("a new finding fires and notifies", () => {
+  const plan = planAlertEvaluation({
+    rule: { cooldownMinutes: 60, forMinutes: 0 },
+    findings: [{ key: "account:1" }],
+    now: NOW
+  });
+
+  assert.equal(plan.fire.length, 1);
+  assert.equal(plan.fire[0].notify, true);
+  assert.deepEqual(plan.pending, []);
+});
+
+test("forMinutes holds a finding in pending until it has lasted long enough", () => {
+  const rule = { cooldownMinutes: 60, forMinutes: 10, pending: [] };
+  const first = planAlertEvaluation({ rule, findings: [{ key: "tenant" }], now: NOW });
+  assert.equal(first.fire.length, 0);
+  assert.deepEqual(first.pending, [{ key: "tenant", since: NOW }]);
+
+  const later = planAlertEvaluation({
+    rule: { ...rule, pending: [{ key: "tenant", since: minutesAgo(10) }] },
+    findings: [{ key: "tenant" }],
+    now: NOW
+  });
+  assert.equal(later.fire.length, 1);
+  assert.deepEqual(later.pending, []);
+
+  const cleared = planAlertEvaluation({
+    rule: { ...rule, pending: [{ key: "tenant", since: minutesAgo(5) }] },
+    findings: [],
+    now: NOW
+  });
+  assert.deepEqual(cleared.pending, []);
+});
+
+test("an open alert is deduplicated and reminded only after the cooldown", () => {
+  const rule = { cooldownMinutes: 30 };
+  const recent = { key: "account:1", firedAt: minutesAgo(40), lastNotifiedAt: minutesAgo(10) };
+  const quiet = planAlertEvaluation({ rule, findings: [{ key: "account:1" }], openEvents: [recent], now: NOW });
+  assert.equal(quiet.fire.length, 0);
+  assert.equal(quiet.touch.length, 1);
+  assert.equal(quiet.remind.length, 0);
+
+  const stale = { ...recent, lastNotifiedAt: minutesAgo(30) };
+  const reminded = planAlertEvaluation({ rule, findings: [{ key: "account:1" }], openEvents: [stale], now: NOW });
+  assert.equal(reminded.remind.length, 1);
+
+  const suppressed = { key: "account:1", firedAt: minutesAgo(5), lastNotifiedAt: null };
+  const held = planAlertEvaluation({ rule, findings: [{ key: "account:1" }], openEvents: [suppressed], now: NOW });
+  assert.equal(held.touch.length, 1);
+});
+
+test("open alerts resolve when their finding disappears", () => {
+  const open = { key: "account:1", firedAt: minutesAgo(5) };
+  const plan = planAlertEvaluation({
+    rule: { cooldownMinutes: 60 },
+    findings: [{ key: "account:2" }],
+    openEvents: [open],
+    now: NOW
+  });
+
+  assert.deepEqual(plan.resolve, [open]);
+  assert.equal(plan.fire[0].finding.key, "account:2");
+});
+
+test("a flapping alert fires again without notifying inside the cooldown", () => {
+  const plan = planAlertEvaluation({
+    rule: { cooldownMinutes: 60 },
+    findings: [{ key: "tenant" }],
+    lastNotifiedAt: new Map([["tenant", minutesAgo(20)]]),
+    now: NOW
+  });
+
+  assert.equal(plan.fire.length, 1);
+  assert.equal(plan.fire[0].notify, false);
+});
+
+test("notices escape HTML and carry the alert for webhooks", () => {
+  const rule = { _id: "r1", name: "Logins <prod>", severity: "critical", condition: { type: "queue_backlog" } };
+  const event = { _id: "e1", key: "tenant", status: "firing", message: "3 > 2 & rising", value: 3 };
+
+  const fired = formatAlertTelegramMessage(rule, event, "fired");
+  assert.match(fired, /\[CRITICAL\] Logins &lt;prod&gt;/);
+  assert.match(fired, /3 &gt; 2 &amp; rising/);
+  assert.match(formatAlertTelegramMessage(rule, event, "reminder"), /Still firing: /);
+  assert.match(formatAlertTelegramMessage(rule, event, "resolved"), /Resolved: Logins/);
+
+  const payload = buildAlertWebhookPayload(rule, event, "fired");
+  assert.equal(payload.type, "alert.fired");
+  assert.equal(payload.rule.id, "r1");
+  assert.equal(payload.alert.value, 3);
+  assert.equal(payload.alert.accountId, null);
+});
+
+test("webhooks cannot target loopback, private or link-local hosts", async () => {
+  for (const address of ["127.0.0.1", "10.0.0.5", "172.16.1.1", "192.168.1.10", "169.254.169.254", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isNonPublicAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isNonPublicAddress(address), false, address);
+  }
+
+  for (const webhookUrl of ["http://127.0.0.1:5001/internal", "http://169.254.169.254/latest", "http://[::1]/", "http://localhost/hook", "http://2130706433/"]) {
+    const { error } = normalizeAlertRuleInput({
+      name: "x",
+      condition: { type: "queue_backlog" },
+      channels: { webhookUrl }
+    });
+    assert.match(error, /webhookUrl must point to a public host/, webhookUrl);
+  }
+
+  assert.equal(await resolveWebhookHost("http://10.1.2.3/hook"), "channels.webhookUrl must point to a public host");
+  assert.equal(await resolveWebhookHost("http://localhost/hook"), "channels.webhookUrl must point to a public host");
+});
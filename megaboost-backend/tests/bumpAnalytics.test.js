@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  listRangeDays,
+  parseAnalyticsRange,
+  shapeBumpsPerAccountDay,
+  shapeDriftHistogram,
+  shapeHourHeatmap,
+  shapeLoginsByDay,
+  shapeOutcomesByDay
+} = require("../src/utils/bumpAnalytics");
+
+const NOW = new Date("2026-03-10T10:00:00.000Z");
+const DAYS = ["2026-03-09", "2026-03-10"];
+
+test("analytics range defaults to the last 14 days in the user's timezone", () => {
+  const { range } = parseAnalyticsRange({}, { timezone: "Asia/Dhaka", now: NOW });
+  // Midnight in Dhaka (UTC+6) on Feb 25th.
+  assert.equal(range.from.toISOString(), "2026-02-24T18:00:00.000Z");
+  assert.equal(range.to.toISOString(), NOW.toISOString());
+  const days = listRangeDays(range);
+  assert.equal(days.length, 14);
+  assert.equal(days[0], "2026-02-25");
+  assert.equal(days[13], "2026-03-10");
+});
+
+test("bare dates cover whole days and bad ranges are rejected", () => {
+  const { range } = parseAnalyticsRange(
+    { from: "2026-03-01", to: "2026-03-02" },
+    { timezone: "Asia/Dhaka", now: NOW }
+  );
+  assert.equal(range.from.toISOString(), "2026-02-28T18:00:00.000Z");
+  assert.equal(range.to.toISOString(), "2026-03-02T17:59:59.999Z");
+  assert.deepEqual(listRangeDays(range), ["2026-03-01", "2026-03-02"]);
+
+  assert.match(parseAnalyticsRange({ from: "soon" }, { now: NOW }).error, /from must be/);
+  assert.match(parseAnalyticsRange({ days: "0" }, { now: NOW }).error, /days must be/);
+  assert.match(
+    parseAnalyticsRange({ from: "2026-03-05", to: "2026-03-01" }, { now: NOW }).error,
+    /before/
+  );
+  assert.match(
+    parseAnalyticsRange({ from: "2025-01-01", to: "2026-03-01" }, { now: NOW }).error,
+    /longer than/
+  );
+});
+
+test("outcomes are grouped per day with success and failure rates", () => {
+  const daily = shapeOutcomesByDay(
+    [
+      { _id: { day: "2026-03-10", outcome: "success" }, count: 3 },
+      { _id: { day: "2026-03-10", outcome: "retryable_failure" }, count: 1 },
+      { _id: { day: "2026-03-10", outcome: "cooldown" }, count: 1 },
+      { _id: { day: "2026-01-01", outcome: "success" }, count: 9 }
+    ],
+    DAYS
+  );
+  assert.deepEqual(daily[0], {
+    day: "2026-03-09",
+    attempts: 0,
+    success: 0,
+    cooldown: 0,
+    failure: 0,
+    other: 0,
+    successRate: 0,
+    failureRate: 0
+  });
+  assert.equal(daily[1].attempts, 5);
+  assert.equal(daily[1].successRate, 0.6);
+  assert.equal(daily[1].failureRate, 0.2);
+});
+
+test("bumps per account keep the busiest accounts and fold the rest", () => {
+  const rows = [
+    { _id: { day: "2026-03-09", accountId: "a" }, count: 5 },
+    { _id: { day: "2026-03-10", accountId: "b" }, count: 2 },
+    { _id: { day: "2026-03-10", accountId: "c" }, count: 1 }
+  ];
+  const series = shapeBumpsPerAccountDay(rows, DAYS, new Map([["a", "a@example.com"]]), 1);
+  assert.deepEqual(series, [
+    { accountId: "a", email: "a@example.com", total: 5, counts: [5, 0] },
+    { accountId: null, email: "Other (2)", total: 3, counts: [0, 3] }
+  ]);
+});
+
+test("drift histogram and login failures use fixed buckets", () => {
+  const histogram = shapeDriftHistogram([{ _id: 0, count: 4 }, { _id: 60000, count: 2 }]);
+  assert.deepEqual(
+    histogram.map((bucket) => bucket.count),
+    [0, 4, 2, 0, 0, 0]
+  );
+
+  const logins = shapeLoginsByDay(
+    [
+      { _id: { day: "2026-03-10", status: "starting" }, count: 4 },
+      { _id: { day: "2026-03-10", status: "login_failed" }, count: 1 },
+      { _id: { day: "2026-03-10", status: "awaiting_verification_code" }, count: 2 }
+    ],
+    DAYS
+  );
+  assert.equal(logins[1].attempts, 4);
+  assert.equal(logins[1].failures, 1);
+  assert.equal(logins[1].checkpoints, 2);
+  assert.equal(logins[1].failureRate, 0.25);
+  assert.deepEqual(logins[1].byStatus, { login_failed: 1 });
+});
+
+test("hour heatmap is a Monday-first 7x24 grid", () => {
+  const grid = shapeHourHeatmap([{ _id: { weekday: 7, hour: 23 }, attempts: 4, success: 3 }]);
+  assert.equal(grid.length, 7);
+  assert.equal(grid[0].weekday, "Mon");
+  assert.equal(grid[6].hours.length, 24);
+  assert.deepEqual(grid[6].hours[23], { hour: 23, attempts: 4, success: 3, successRate: 0.75 });
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  calculateFairShare,
+  getBudgetClock,
+  normalizeAccountPriority,
+  normalizeBumpBudget,
+  validateBumpBudget
+} = require("../src/utils/bumpBudget");
+
+test("budgets are normalized and only enabled with a daily limit", () => {
+  assert.deepEqual(normalizeBumpBudget({ enabled: true, dailyLimit: "40.7", hourlyLimit: -3, fairShare: "Weighted" }), {
+    enabled: true,
+    dailyLimit: 40,
+    hourlyLimit: 0,
+    fairShare: "weighted"
+  });
+  assert.equal(normalizeBumpBudget({ enabled: true, dailyLimit: 0 }).enabled, false);
+  assert.equal(normalizeBumpBudget({ fairShare: "random" }).fairShare, "round_robin");
+  assert.equal(normalizeBumpBudget(null).enabled, false);
+
+  assert.equal(normalizeAccountPriority(0), 1);
+  assert.equal(normalizeAccountPriority("7"), 7);
+  assert.equal(normalizeAccountPriority(42), 10);
+});
+
+test("invalid budgets are rejected with a reason", () => {
+  assert.equal(validateBumpBudget({ enabled: true, dailyLimit: 100, hourlyLimit: 10 }), null);
+  assert.equal(validateBumpBudget({}), null);
+  assert.match(validateBumpBudget({ dailyLimit: 1.5 }), /Daily bump limit/);
+  assert.match(validateBumpBudget({ dailyLimit: 100001 }), /Daily bump limit/);
+  assert.match(validateBumpBudget({ enabled: true, dailyLimit: 0 }), /required/);
+  assert.match(validateBumpBudget({ dailyLimit: 10, hourlyLimit: -1 }), /Hourly bump limit/);
+  assert.match(validateBumpBudget({ dailyLimit: 10, fairShare: "random" }), /Fair share/);
+});
+
+test("day and hour keys follow the settings timezone", () => {
+  const clock = getBudgetClock(new Date("2026-03-10T19:30:00.000Z"), "Asia/Dhaka");
+  assert.equal(clock.dayKey, "2026-03-11");
+  assert.equal(clock.hourKey, "01");
+  assert.equal(clock.nextHourAt.toISOString(), "2026-03-10T20:00:00.000Z");
+  assert.equal(clock.nextDayAt.toISOString(), "2026-03-11T18:00:00.000Z");
+  assert.equal(clock.expiresAt.toISOString(), "2026-03-14T18:00:00.000Z");
+
+  assert.equal(getBudgetClock(new Date("2026-03-10T19:30:00.000Z"), "UTC").dayKey, "2026-03-10");
+});
+
+test("round-robin splits the limit evenly and weighted splits it by priority", () => {
+  const roundRobin = normalizeBumpBudget({ enabled: true, dailyLimit: 100 });
+  assert.equal(calculateFairShare(roundRobin, 5, []), 100);
+  assert.equal(calculateFairShare(roundRobin, 5, [{ priority: 1 }, { priority: 9 }]), 34);
+
+  const weighted = normalizeBumpBudget({ enabled: true, dailyLimit: 100, fairShare: "weighted" });
+  assert.equal(calculateFairShare(weighted, 3, [{ priority: 1 }]), 75);
+  assert.equal(calculateFairShare(weighted, 1, [{ priority: 3 }]), 25);
+  assert.equal(calculateFairShare(weighted, 1, [{ priority: 10 }, { priority: 10 }]), 5);
+
+  const tiny = normalizeBumpBudget({ enabled: true, dailyLimit: 1 });
+  assert.equal(calculateFairShare(tiny, 1, [{}, {}, {}]), 1);
+});
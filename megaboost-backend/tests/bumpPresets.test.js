@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildPresetAccountUpdate,
+  changesPresetFields,
+  normalizeBumpPresetInput
+} = require("../src/utils/bumpPresets");
+
+test("a preset maps onto account fields including the legacy mirrors", () => {
+  const { preset, error } = normalizeBumpPresetInput({
+    name: "Evenings",
+    baseInterval: 20,
+    randomMin: 1,
+    randomMax: 4,
+    runtimeWindows: ["18:00-23:00", "08:00-11:00"],
+    maxDailyBumps: 40,
+    maxDailyRuntimeHours: 6
+  });
+  assert.equal(error, undefined);
+
+  const update = buildPresetAccountUpdate({ ...preset, _id: "preset-1" });
+  assert.equal(update.presetId, "preset-1");
+  assert.deepEqual(update.runtimeWindows, ["08:00-11:00", "18:00-23:00"]);
+  assert.equal(update.runtimeWindow, "08:00-11:00");
+  assert.equal(update.baseInterval, 20);
+  assert.equal(update.maxDailyRuntime, 6);
+});
+
+test("invalid presets are rejected with a message", () => {
+  assert.match(normalizeBumpPresetInput({ baseInterval: 20 }).error, /name is required/);
+  assert.match(
+    normalizeBumpPresetInput({ name: "x", baseInterval: 20, randomMin: 5, randomMax: 2 }).error,
+    /Random range/
+  );
+  assert.match(
+    normalizeBumpPresetInput({ name: "x", baseInterval: 20, runtimeWindows: ["08:00-12:00", "11:00-13:00"] })
+      .error,
+    /Runtime windows/
+  );
+});
+
+test("resending unchanged timing keeps the account on its preset", () => {
+  const account = {
+    baseIntervalMinutes: 20,
+    randomMinMinutes: 1,
+    randomMaxMinutes: 4,
+    runtimeWindows: ["08:00-11:00"],
+    maxDailyBumps: 40,
+    maxDailyRuntimeHours: 6
+  };
+  assert.equal(changesPresetFields(account, { ...account, email: "a@b.test" }), false);
+  assert.equal(changesPresetFields(account, { baseIntervalMinutes: 25 }), true);
+  assert.equal(changesPresetFields(account, { runtimeWindows: ["09:00-11:00"] }), true);
+});
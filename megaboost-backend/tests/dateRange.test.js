@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDateRange } = require("../src/utils/dateRange");
+const accountController = require("../src/controller/accountController");
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+}
+
+test("date ranges parse both bounds and leave missing ones open", () => {
+  const range = parseDateRange({ from: "2026-01-01", to: "2026-01-31T23:59:59Z" });
+  assert.equal(range.error, undefined);
+  assert.equal(range.from.toISOString(), "2026-01-01T00:00:00.000Z");
+  assert.equal(range.to.toISOString(), "2026-01-31T23:59:59.000Z");
+
+  assert.deepEqual(parseDateRange({}), { from: null, to: null });
+});
+
+test("unparseable or inverted bounds are errors instead of an open range", () => {
+  assert.match(parseDateRange({ from: "yesterday" }).error, /^from/);
+  assert.match(parseDateRange({ to: "2026-13-45" }).error, /^to/);
+  assert.match(parseDateRange({ from: "2026-02-01", to: "2026-01-01" }).error, /before/);
+});
+
+for (const handler of ["getAccountActivity", "getAccountBumps"]) {
+  test(`${handler} answers 400 for a bad date bound`, async () => {
+    const res = createResponse();
+    await accountController[handler](
+      {
+        params: { id: "64b7f0c2a1b2c3d4e5f60718" },
+        query: { from: "2026-02-01", to: "2026-01-01" },
+        user: { _id: "64b7f0c2a1b2c3d4e5f60719", role: "user" }
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, "from must be before to");
+  });
+}
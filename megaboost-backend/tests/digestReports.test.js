@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildDigestReport,
+  formatDigestTelegramMessage,
+  getLatestDigestSlot,
+  listDueDigestSlots,
+  normalizeDigestSettings,
+  summarizeLicense,
+  validateDigestSettings
+} = require("../src/utils/digestReports");
+
+const TIMEZONE = "Asia/Dhaka";
+
+test("digest settings fill in defaults and reject bad hours", () => {
+  assert.deepEqual(normalizeDigestSettings({ daily: true }), {
+    daily: true,
+    weekly: false,
+    hour: 9,
+    weekday: 1,
+    telegram: true
+  });
+  assert.equal(validateDigestSettings({ hour: 23, weekday: 7 }), null);
+  assert.match(validateDigestSettings({ hour: 24 }), /hour/);
+  assert.match(validateDigestSettings({ weekday: 0 }), /weekday/);
+});
+
+test("the daily slot is the last send hour in the user's timezone", () => {
+  // 08:30 in Dhaka (UTC+6): today's 09:00 has not come yet, so yesterday's is latest.
+  const before = getLatestDigestSlot("daily", { hour: 9 }, {
+    now: new Date("2026-03-10T02:30:00.000Z"),
+    timezone: TIMEZONE
+  });
+  assert.equal(before.periodKey, "daily:2026-03-09");
+  assert.equal(before.to.toISOString(), "2026-03-09T03:00:00.000Z");
+  assert.equal(before.from.toISOString(), "2026-03-08T03:00:00.000Z");
+
+  const after = getLatestDigestSlot("daily", { hour: 9 }, {
+    now: new Date("2026-03-10T03:00:00.000Z"),
+    timezone: TIMEZONE
+  });
+  assert.equal(after.periodKey, "daily:2026-03-10");
+  assert.equal(after.timezone, TIMEZONE);
+});
+
+test("the weekly slot lands on the configured weekday", () => {
+  // 2026-03-11 is a Wednesday; the latest Monday 09:00 is 2026-03-09.
+  const slot = getLatestDigestSlot("weekly", { hour: 9, weekday: 1 }, {
+    now: new Date("2026-03-11T06:00:00.000Z"),
+    timezone: TIMEZONE
+  });
+  assert.equal(slot.periodKey, "weekly:2026-03-09");
+  assert.equal(slot.to.valueOf() - slot.from.valueOf(), 7 * 24 * 60 * 60 * 1000);
+});
+
+test("only enabled digests that are not too late are due", () => {
+  const settings = { daily: true, weekly: true, hour: 9, weekday: 1 };
+  // Monday 10:00 Dhaka: both are due.
+  const monday = listDueDigestSlots(settings, { now: new Date("2026-03-09T04:00:00.000Z"), timezone: TIMEZONE });
+  assert.deepEqual(monday.map((slot) => slot.periodKey), ["daily:2026-03-09", "weekly:2026-03-09"]);
+
+  // Monday 20:00 Dhaka: eleven hours late, nothing is sent.
+  const evening = listDueDigestSlots(settings, { now: new Date("2026-03-09T14:00:00.000Z"), timezone: TIMEZONE });
+  assert.deepEqual(evening, []);
+
+  assert.deepEqual(listDueDigestSlots({ hour: 9 }, { now: new Date("2026-03-09T04:00:00.000Z") }), []);
+});
+
+test("license days remaining round up and expired licenses show zero", () => {
+  const now = new Date("2026-03-10T00:00:00.000Z");
+  assert.equal(summarizeLicense({ status: "active", expiresAt: "2026-03-12T12:00:00.000Z" }, now).daysRemaining, 3);
+  assert.deepEqual(
+    summarizeLicense({ status: "active", expiresAt: "2026-03-01T00:00:00.000Z" }, now).status,
+    "expired"
+  );
+  assert.equal(summarizeLicense({ status: "revoked", expiresAt: "2027-01-01T00:00:00.000Z" }, now).status, "revoked");
+  assert.equal(summarizeLicense(null, now), null);
+});
+
+test("reports count bumps per account, failures by type and accounts needing attention", () => {
+  const slot = getLatestDigestSlot("daily", { hour: 9 }, {
+    now: new Date("2026-03-10T03:00:00.000Z"),
+    timezone: TIMEZONE
+  });
+  const report = buildDigestReport({
+    slot,
+    accounts: [
+      {
+        _id: "a1",
+        email: "one@example.com",
+        status: "running",
+        maxDailyRuntimeHours: 8,
+        workerState: { dailyRuntimeDayKey: "2026-03-09", dailyRuntimeUsedMs: 2 * 3600000 }
+      },
+      {
+        _id: "a2",
+        email: "two@example.com",
+        status: "awaiting_2fa",
+        maxDailyRuntimeHours: 6,
+        workerState: { dailyRuntimeDayKey: "2026-02-01", dailyRuntimeUsedMs: 3600000 }
+      }
+    ],
+    bumpRows: [
+      { _id: { accountId: "a1", outcome: "success" }, count: 4 },
+      { _id: { accountId: "a1", outcome: "cooldown" }, count: 1 },
+      { _id: { accountId: "a2", outcome: "retryable_failure" }, count: 2 },
+      { _id: { accountId: "a2", outcome: "blocked" }, count: 1 }
+    ],
+    statusRows: [{ _id: "blocked", count: 1 }, { _id: "login_failed", count: 3 }],
+    license: { status: "active", expiresAt: "2026-04-09T03:00:00.000Z" },
+    now: new Date("2026-03-10T03:00:00.000Z")
+  });
+
+  assert.deepEqual(report.totals, {
+    accounts: 2,
+    attempts: 8,
+    successes: 4,
+    cooldowns: 1,
+    failures: 3,
+    runtimeUsedMs: 2 * 3600000,
+    successRate: 0.5
+  });
+  assert.equal(report.accounts[0].email, "one@example.com");
+  assert.equal(report.accounts[0].runtimeDayKey, "2026-03-09");
+  // A runtime day from before the period counts as nothing used.
+  assert.equal(report.accounts[1].runtimeUsedMs, 0);
+  assert.deepEqual(
+    report.failuresByType.map((entry) => [entry.type, entry.count]),
+    [
+      ["status:login_failed", 3],
+      ["bump:retryable_failure", 2],
+      ["bump:blocked", 1],
+      ["status:blocked", 1]
+    ]
+  );
+  assert.deepEqual(report.attention, [{ accountId: "a2", email: "two@example.com", status: "awaiting_2fa" }]);
+  assert.equal(report.license.daysRemaining, 30);
+
+  const message = formatDigestTelegramMessage(report);
+  assert.match(message, /Daily digest/);
+  assert.match(message, /Bumps: 4 ok \/ 8 attempts \(50%\)/);
+  assert.match(message, /one@example.com: 4 bumps, 0 failed, runtime 2\.0h \/ 8h/);
+  assert.match(message, /Login failed: 3/);
+  assert.match(message, /two@example.com: awaiting_2fa/);
+  assert.match(message, /License: 30 day\(s\) remaining/);
+});
+
+test("digest messages escape account emails", () => {
+  const slot = getLatestDigestSlot("weekly", {}, { now: new Date("2026-03-10T03:00:00.000Z"), timezone: TIMEZONE });
+  const report = buildDigestReport({
+    slot,
+    accounts: [{ _id: "a1", email: "<x>@example.com", status: "banned" }],
+    license: null
+  });
+  const message = formatDigestTelegramMessage(report);
+  assert.match(message, /Weekly digest/);
+  assert.match(message, /&lt;x&gt;@example.com: banned/);
+  assert.match(message, /License: none assigned/);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { POST_ID, createTargetSite } = require("../fixtures/targetSite");
+
+const PASSWORD = "fixture-password";
+const WAIT_TIMEOUT_MS = 90 * 1000;
+
+const site = createTargetSite({ password: PASSWORD, slowMs: 4000 });
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "megaboost-e2e-"));
+let mongod = null;
+let worker = null;
+let Account = null;
+let BumpEvent = null;
+let user = null;
+let accountCounter = 0;
+const handles = [];
+
+async function waitFor(probe, label, timeoutMs = WAIT_TIMEOUT_MS) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const value = await probe();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
+
+async function createAccount() {
+  accountCounter += 1;
+  return Account.create({
+    userId: user._id,
+    email: `fixture-${accountCounter}-${Date.now()}@example.test`,
+    password: PASSWORD,
+    status: "stopped"
+  });
+}
+
+async function startScenario(scenario) {
+  site.setScenario(scenario);
+  const account = await createAccount();
+  const handle = await worker.startWorker(account.toObject());
+  handles.push(handle);
+  return { account, handle };
+}
+
+test.before(async () => {
+  const url = await site.listen();
+
+  // The worker reads these once at require time.
+  process.env.TARGET_SITE_URL = url;
+  process.env.LOGIN_URL = `${url}/users/auth/login`;
+  process.env.COOKIES_DIR = path.join(workDir, "cookies");
+  process.env.VERIFICATION_TIMEOUT_MS = "60000";
+  process.env.WORKER_RECOVERY_INTERVAL_MS = "0";
+  process.env.BUMP_COOLDOWN_BUFFER_MS = "0";
+  process.chdir(workDir);
+
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+
+  Account = require("../../src/model/Account");
+  BumpEvent = require("../../src/model/BumpEvent");
+  const User = require("../../src/model/User");
+  worker = require("../../src/engine/worker");
+
+  user = await User.create({
+    username: "fixture",
+    email: "fixture-owner@example.test",
+    passwordHash: "not-used"
+  });
+});
+
+test.afterEach(async () => {
+  while (handles.length) {
+    const handle = handles.pop();
+    await handle?.stop?.().catch(() => null);
+  }
+});
+
+test.after(async () => {
+  await worker?.stopAll?.().catch(() => null);
+  await mongoose.disconnect();
+  await mongod?.stop();
+  await site.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("logs in through the age gate and records a successful bump", async () => {
+  const { account } = await startScenario("success");
+
+  const event = await waitFor(
+    () => BumpEvent.findOne({ accountId: account._id, outcome: "success" }).lean(),
+    "success bump event"
+  );
+  assert.equal(event.postId, POST_ID);
+  assert.equal(site.state.bumps, 1);
+  assert.ok(fs.existsSync(path.join(workDir, "cookies")));
+});
+
+test("parses the cooldown popup into a cooldown bump event", async () => {
+  const { account } = await startScenario("cooldown");
+
+  const event = await waitFor(
+    () => BumpEvent.findOne({ accountId: account._id, outcome: "cooldown" }).lean(),
+    "cooldown bump event"
+  );
+  assert.equal(event.cooldownDetected, true);
+  assert.ok(event.cooldownMs >= 10 * 60 * 1000, `cooldownMs=${event.cooldownMs}`);
+  assert.equal(site.state.bumps, 0);
+});
+
+test("rejects invalid credentials without retrying the login", async () => {
+  site.setScenario("invalid_credentials");
+  const account = await createAccount();
+
+  await assert.rejects(worker.startWorker(account.toObject()), (error) => {
+    assert.equal(error.type, "credentials_invalid");
+    return true;
+  });
+  assert.equal(
+    site.state.requests.filter((entry) => entry === "POST /users/auth/login").length,
+    1
+  );
+});
+
+test("parks the worker on the device verification page", async () => {
+  const { account } = await startScenario("verification");
+
+  const latest = await waitFor(
+    async () => {
+      const doc = await Account.findById(account._id).lean();
+      return doc?.status === "awaiting_verification_code" ? doc : null;
+    },
+    "awaiting_verification_code status"
+  );
+  assert.equal(latest.status, "awaiting_verification_code");
+});
+
+test("stops with a banned error when the posts list shows a ban", async () => {
+  site.setScenario("banned");
+  const account = await createAccount();
+
+  await assert.rejects(worker.startWorker(account.toObject()), (error) => {
+    assert.equal(error.type, "banned");
+    return true;
+  });
+  const latest = await Account.findById(account._id).lean();
+  assert.equal(latest.status, "banned");
+});
+
+test("tolerates slow posts-list navigation", async () => {
+  const { account } = await startScenario("slow");
+
+  const event = await waitFor(
+    () => BumpEvent.findOne({ accountId: account._id, outcome: "success" }).lean(),
+    "success bump event on slow site",
+    2 * WAIT_TIMEOUT_MS
+  );
+  assert.equal(event.postId, POST_ID);
+});
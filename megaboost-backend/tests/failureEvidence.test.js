@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  FAILURE_EVIDENCE_DIR,
+  buildEvidenceFileStem,
+  createConsoleErrorBuffer,
+  resolveEvidenceFilePath,
+  selectEvidenceToPrune,
+  trackConsoleErrors
+} = require("../src/utils/failureEvidence");
+
+function createFakePage() {
+  const handlers = {};
+  return {
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit(event, payload) {
+      handlers[event](payload);
+    }
+  };
+}
+
+test("the console error buffer keeps only the newest entries", () => {
+  const buffer = createConsoleErrorBuffer(3);
+  for (let index = 1; index <= 5; index += 1) {
+    buffer.push("console", `error ${index}`);
+  }
+  assert.deepEqual(
+    buffer.list().map((entry) => entry.text),
+    ["error 3", "error 4", "error 5"]
+  );
+  buffer.push("pageerror", "x".repeat(5000));
+  assert.equal(buffer.list().at(-1).text.length, 1000);
+});
+
+test("tracking records console errors and page errors but not other messages", () => {
+  const page = createFakePage();
+  const buffer = trackConsoleErrors(page);
+  page.emit("console", { type: () => "log", text: () => "hello" });
+  page.emit("console", { type: () => "error", text: () => "Failed to load resource" });
+  page.emit("pageerror", new Error("foo is not defined"));
+
+  assert.deepEqual(
+    buffer.list().map((entry) => [entry.source, entry.text]),
+    [
+      ["console", "Failed to load resource"],
+      ["pageerror", "foo is not defined"]
+    ]
+  );
+});
+
+test("file stems are per account and safe to use as paths", () => {
+  const stem = buildEvidenceFileStem("abc123", "navigation_timeout", new Date("2026-03-10T04:05:06.789Z"));
+  assert.equal(stem, "abc123/2026-03-10T04-05-06-789Z-navigation_timeout");
+  assert.equal(
+    buildEvidenceFileStem("../x", "a/b", new Date("2026-03-10T00:00:00.000Z")),
+    ".._x/2026-03-10T00-00-00-000Z-a_b"
+  );
+});
+
+test("stored file names cannot point outside the evidence directory", () => {
+  assert.equal(
+    resolveEvidenceFilePath("abc123/shot.png"),
+    path.join(FAILURE_EVIDENCE_DIR, "abc123", "shot.png")
+  );
+  assert.equal(resolveEvidenceFilePath("../traces/worker-phases.jsonl"), null);
+  assert.equal(resolveEvidenceFilePath("/etc/passwd"), null);
+  assert.equal(resolveEvidenceFilePath(null), null);
+});
+
+test("pruning drops records past the per-account limit or the maximum age", () => {
+  const now = new Date("2026-03-20T00:00:00.000Z");
+  const items = [
+    { _id: "old", createdAt: new Date("2026-03-01T00:00:00.000Z") },
+    { _id: "newest", createdAt: new Date("2026-03-19T00:00:00.000Z") },
+    { _id: "third", createdAt: new Date("2026-03-17T00:00:00.000Z") },
+    { _id: "second", createdAt: new Date("2026-03-18T00:00:00.000Z") }
+  ];
+
+  assert.deepEqual(
+    selectEvidenceToPrune(items, { maxPerAccount: 2, maxAgeDays: 14, now }).map((item) => item._id),
+    ["third", "old"]
+  );
+  assert.deepEqual(
+    selectEvidenceToPrune(items, { maxPerAccount: 10, maxAgeDays: 14, now }).map((item) => item._id),
+    ["old"]
+  );
+});
@@ -0,0 +1,229 @@
+const express = require("express");
+
+// Stand-in for the pages the worker drives: age gate, login, device
+// verification, posts list, bump and the publish-success page.
+const SCENARIOS = new Set([
+  "success",
+  "invalid_credentials",
+  "verification",
+  "cooldown",
+  "banned",
+  "slow"
+]);
+
+const POST_ID = "fixture-post-1";
+const SESSION_COOKIE = "fixture_session";
+const GATE_COOKIE = "fixture_gate";
+
+function layout(title, body) {
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+    <style>
+      body { font-family: sans-serif; margin: 24px; }
+      #ageCheckPopupDiv { position: fixed; inset: 0; background: #fff; padding: 24px; }
+      .terms-container { height: 80px; overflow-y: scroll; border: 1px solid #ccc; }
+      .modal { border: 1px solid #333; padding: 16px; margin-top: 16px; }
+    </style>
+  </head>
+  <body>${body}</body>
+</html>`;
+}
+
+function readCookie(req, name) {
+  const header = String(req.headers.cookie || "");
+  const match = header.match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : "";
+}
+
+function postsListBody(scenario) {
+  const banned =
+    scenario === "banned"
+      ? '<div class="banned-message-small">This account has been banned.</div>'
+      : "";
+
+  return `
+    <h1>My Posts</h1>
+    ${banned}
+    <div class="post" data-post-id="${POST_ID}">
+      <h2>Fixture post</h2>
+      <a id="managePublishAd" href="/users/posts/bump/${POST_ID}">Bump to Top</a>
+    </div>`;
+}
+
+function createTargetSite(options = {}) {
+  const state = {
+    scenario: "success",
+    slowMs: Number(options.slowMs || 4000),
+    password: String(options.password || "fixture-password"),
+    verificationCode: String(options.verificationCode || "123456"),
+    bumps: 0,
+    requests: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push(`${req.method} ${req.path}`);
+    next();
+  });
+
+  app.use((req, res, next) => {
+    if (state.scenario !== "slow" || !req.path.startsWith("/users/posts")) {
+      return next();
+    }
+    return setTimeout(next, state.slowMs);
+  });
+
+  app.get("/", (req, res) => {
+    if (readCookie(req, GATE_COOKIE)) {
+      return res.redirect("/home");
+    }
+
+    const terms = Array.from({ length: 30 }, (_, index) => `<p>Term ${index + 1}</p>`).join("");
+    return res.send(
+      layout(
+        "Welcome",
+        `<div id="ageCheckPopupDiv">
+          <div id="ageCheckPopupInner">
+            <div class="terms-container">${terms}</div>
+            <label><input type="checkbox" id="checkbox-agree" /> I have read the terms</label>
+            <button id="ageagree" type="button" onclick="window.location.href='/gate'">Enter</button>
+          </div>
+        </div>`
+      )
+    );
+  });
+
+  app.get("/gate", (req, res) => {
+    res.cookie(GATE_COOKIE, "1");
+    return res.redirect("/home");
+  });
+
+  app.get("/home", (req, res) =>
+    res.send(layout("Home", '<a href="/users/auth/login">Post Now</a>'))
+  );
+
+  app.get("/users/auth/login", (req, res) => {
+    const error = req.query.error === "t" ? "<p>Wrong email or password.</p>" : "";
+    return res.send(
+      layout(
+        "Login",
+        `${error}
+        <form method="post" action="/users/auth/login">
+          <input id="email" name="email" type="email" />
+          <input id="password" name="password" type="password" />
+          <button id="submit" type="submit">Login</button>
+        </form>`
+      )
+    );
+  });
+
+  app.post("/users/auth/login", (req, res) => {
+    if (state.scenario === "invalid_credentials" || req.body.password !== state.password) {
+      return res.redirect("/users/auth/login?error=t");
+    }
+
+    res.cookie(SESSION_COOKIE, "1");
+    if (state.scenario === "verification") {
+      return res.redirect(`/users/device-verification/verify/${POST_ID}`);
+    }
+    return res.redirect("/users/posts/list");
+  });
+
+  app.get("/users/device-verification/verify/:token", (req, res) =>
+    res.send(
+      layout(
+        "Device verification",
+        `<form method="post" action="/users/device-verification/verify/${req.params.token}">
+          <input id="verificationCode" name="code" />
+          <button id="device_verification_submit" type="submit">Verify</button>
+        </form>`
+      )
+    )
+  );
+
+  app.post("/users/device-verification/verify/:token", (req, res) => {
+    if (String(req.body.code || "") !== state.verificationCode) {
+      return res.redirect(`/users/device-verification/verify/${req.params.token}`);
+    }
+    return res.redirect("/users/device-verification/successful/");
+  });
+
+  app.get("/users/device-verification/successful/", (req, res) =>
+    res.send(layout("Verified", '<a href="/users/posts/list">My Posts</a>'))
+  );
+
+  app.use("/users/posts", (req, res, next) => {
+    if (!readCookie(req, SESSION_COOKIE)) {
+      return res.redirect("/users/auth/login");
+    }
+    return next();
+  });
+
+  app.get("/users/posts/list", (req, res) =>
+    res.send(layout("My Posts", postsListBody(state.scenario)))
+  );
+
+  app.get("/users/posts/bump/:postId", (req, res) => {
+    if (state.scenario === "cooldown") {
+      return res.send(
+        layout(
+          "My Posts",
+          `${postsListBody(state.scenario)}
+          <div class="modal" role="dialog">
+            You may only publish once every 15 minutes. Next publish available [in 00:10:00]
+            <button type="button">OK</button>
+          </div>`
+        )
+      );
+    }
+
+    state.bumps += 1;
+    return res.redirect(`/users/posts/success_publish/${req.params.postId}`);
+  });
+
+  app.get("/users/posts/success_publish/:postId", (req, res) =>
+    res.send(layout("Published", '<p>Your post was published.</p><a href="/users/posts/list">My Posts</a>'))
+  );
+
+  let server = null;
+
+  return {
+    state,
+    get url() {
+      const address = server?.address();
+      return address ? `http://127.0.0.1:${address.port}` : "";
+    },
+    setScenario(scenario) {
+      if (!SCENARIOS.has(scenario)) {
+        throw new Error(`Unknown fixture scenario: ${scenario}`);
+      }
+      state.scenario = scenario;
+      state.bumps = 0;
+      state.requests = [];
+    },
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, "127.0.0.1", () => resolve(this.url));
+        server.once("error", reject);
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.closeAllConnections?.();
+        return server.close(() => resolve());
+      });
+    }
+  };
+}
+
+module.exports = {
+  POST_ID,
+  SCENARIOS,
+  createTargetSite
+};
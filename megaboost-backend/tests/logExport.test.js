@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildCsvHeader,
+  buildLogExportFileName,
+  escapeCsvField,
+  formatLogCsvRow,
+  formatLogNdjsonLine
+} = require("../src/utils/logExport");
+const logController = require("../src/controller/logController");
+
+const LOG = {
+  _id: "65f000000000000000000001",
+  createdAt: new Date("2026-03-10T10:00:00.000Z"),
+  level: "error",
+  email: "user@example.com",
+  ip: "10.0.0.1",
+  accountId: "65f000000000000000000002",
+  message: 'Login failed: "bad password", retrying',
+  metadata: { attempt: 2 }
+};
+
+test("csv fields are quoted only when needed", () => {
+  assert.equal(escapeCsvField("plain"), "plain");
+  assert.equal(escapeCsvField(null), "");
+  assert.equal(escapeCsvField("a,b"), '"a,b"');
+  assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsvField("line\nbreak"), '"line\nbreak"');
+  assert.equal(escapeCsvField({ a: 1 }), '"{""a"":1}"');
+});
+
+test("csv fields that look like formulas are neutralised", () => {
+  assert.equal(escapeCsvField("=HYPERLINK(1)"), "'=HYPERLINK(1)");
+  assert.equal(escapeCsvField("-1"), "'-1");
+});
+
+test("a log becomes one csv row matching the header columns", () => {
+  assert.equal(buildCsvHeader(), "createdAt,level,email,ip,accountId,message,metadata\r\n");
+  assert.equal(
+    formatLogCsvRow(LOG),
+    '2026-03-10T10:00:00.000Z,error,user@example.com,10.0.0.1,65f000000000000000000002,' +
+      '"Login failed: ""bad password"", retrying","{""attempt"":2}"\r\n'
+  );
+  assert.equal(formatLogCsvRow({ level: "info", message: "ok", metadata: {} }), ",info,,,,ok,\r\n");
+});
+
+test("a log becomes one ndjson line", () => {
+  const line = formatLogNdjsonLine(LOG);
+  assert.ok(line.endsWith("\n"));
+  assert.equal(line.trim().includes("\n"), false);
+  assert.deepEqual(JSON.parse(line), {
+    _id: LOG._id,
+    createdAt: "2026-03-10T10:00:00.000Z",
+    level: "error",
+    email: "user@example.com",
+    ip: "10.0.0.1",
+    accountId: LOG.accountId,
+    message: LOG.message,
+    metadata: { attempt: 2 }
+  });
+});
+
+test("export file names carry the format extension", () => {
+  const now = new Date("2026-03-10T10:00:00.123Z");
+  assert.equal(buildLogExportFileName("csv", now), "logs-20260310T100000Z.csv");
+  assert.equal(buildLogExportFileName("ndjson", now), "logs-20260310T100000Z.ndjson");
+});
+
+test("exports answer 400 for a bad date bound instead of exporting everything", async () => {
+  for (const query of [{ from: "yesterday" }, { from: "2026-03-10", to: "2026-03-01" }]) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        this.body = payload;
+        return this;
+      }
+    };
+    await logController.exportLogs({ query, user: { _id: "64b7f0c2a1b2c3d4e5f60719" } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+  }
+});
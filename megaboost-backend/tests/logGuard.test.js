@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isPrivateLogPath, privateLogGuard } = require("../src/middleware/privateLogGuard");
+
+test("archive paths are private however they are spelled", () => {
+  assert.equal(isPrivateLogPath("/archive/logs-1.ndjson.gz"), true);
+  assert.equal(isPrivateLogPath("/ARCHIVE/logs-1.ndjson.gz"), true);
+  assert.equal(isPrivateLogPath("/%61rchive/logs-1.ndjson.gz"), true);
+  assert.equal(isPrivateLogPath("//archive/logs-1.ndjson.gz"), true);
+  assert.equal(isPrivateLogPath("/./archive/logs-1.ndjson.gz"), true);
+  assert.equal(isPrivateLogPath("/other/../archive/logs-1.ndjson.gz"), true);
+});
+
+test("phase traces are private too", () => {
+  assert.equal(isPrivateLogPath("/traces/worker-phases.jsonl"), true);
+  assert.equal(isPrivateLogPath("/%74races/worker-phases.jsonl"), true);
+  assert.equal(isPrivateLogPath("/Traces/worker-phases.jsonl.1"), true);
+});
+
+test("failure evidence is only served through the account API", () => {
+  assert.equal(isPrivateLogPath("/evidence/65f000000000000000000001/shot.png"), true);
+  assert.equal(isPrivateLogPath("/%65vidence/65f000000000000000000001/page.html"), true);
+  assert.equal(isPrivateLogPath("/traces/../evidence/x"), true);
+});
+
+test("other log files stay public and undecodable paths are rejected", () => {
+  assert.equal(isPrivateLogPath("/activity.log"), false);
+  assert.equal(isPrivateLogPath("/archived.log"), false);
+  assert.equal(isPrivateLogPath("/"), false);
+  assert.equal(isPrivateLogPath("/%E0%A4%A"), null);
+});
+
+test("the guard answers 404 for private paths and passes the rest on", () => {
+  const run = (requestPath) => {
+    const result = { status: null, next: false };
+    const res = {
+      status(code) {
+        result.status = code;
+        return { end() {} };
+      }
+    };
+    privateLogGuard({ path: requestPath }, res, () => {
+      result.next = true;
+    });
+    return result;
+  };
+
+  assert.deepEqual(run("/%2561rchive/x"), { status: null, next: true });
+  assert.deepEqual(run("/%61rchive/x"), { status: 404, next: false });
+  assert.deepEqual(run("/%zz"), { status: 400, next: false });
+  assert.deepEqual(run("/activity.log"), { status: null, next: true });
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_LOG_RETENTION_POLICY,
+  buildRetentionRules,
+  normalizeLogRetentionPolicy
+} = require("../src/utils/logRetention");
+
+const NOW = new Date("2026-03-10T00:00:00.000Z");
+
+test("policy updates merge onto the current policy and are validated", () => {
+  const { policy } = normalizeLogRetentionPolicy(
+    { levels: { error: 180 }, archiveBeforeDelete: true },
+    DEFAULT_LOG_RETENTION_POLICY
+  );
+  assert.deepEqual(policy.levels, { success: 30, info: 30, warning: 60, error: 180 });
+  assert.equal(policy.archiveBeforeDelete, true);
+  assert.deepEqual(policy.categories, [{ name: "Heartbeats", match: "heartbeat", days: 3 }]);
+
+  assert.match(normalizeLogRetentionPolicy({ levels: { info: -1 } }).error, /levels\.info/);
+  assert.match(normalizeLogRetentionPolicy({ levels: { info: 1.5 } }).error, /levels\.info/);
+  assert.match(normalizeLogRetentionPolicy({ categories: [{ name: "x", days: 3 }] }).error, /match/);
+  assert.match(normalizeLogRetentionPolicy({ categories: "heartbeat" }).error, /array/);
+});
+
+test("each log is governed by its first matching category, else by its level", () => {
+  const rules = buildRetentionRules(
+    {
+      levels: { success: 30, info: 0, warning: 60, error: 90 },
+      categories: [
+        { name: "Heartbeats", match: "heartbeat", days: 3 },
+        { name: "Logins", match: "login (failed)", days: 0 },
+        { name: "Bumps", match: "bump", days: 14 }
+      ]
+    },
+    NOW
+  );
+
+  assert.deepEqual(
+    rules.map((rule) => rule.label),
+    ["category:Heartbeats", "category:Bumps", "level:success", "level:warning", "level:error"]
+  );
+
+  const [heartbeats, bumps, success] = rules;
+  assert.equal(heartbeats.filter.createdAt.$lt.toISOString(), "2026-03-07T00:00:00.000Z");
+  assert.ok(heartbeats.filter.message.test("Heartbeat running/idle: a@b.c"));
+  assert.equal(heartbeats.filter.$nor, undefined);
+
+  // Regex characters in a match are literal, and earlier categories are excluded.
+  assert.deepEqual(
+    bumps.filter.$nor.map((entry) => entry.message.source),
+    ["heartbeat", "login \\(failed\\)"]
+  );
+  assert.equal(success.filter.level, "success");
+  assert.equal(success.filter.$nor.length, 3);
+});
+
+test("the built-in policy is off and archives before deleting", () => {
+  assert.equal(DEFAULT_LOG_RETENTION_POLICY.enabled, false);
+  assert.equal(DEFAULT_LOG_RETENTION_POLICY.archiveBeforeDelete, true);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCounter,
+  createGauge,
+  createHistogram,
+  isMetricsRequestAuthorized,
+  renderMetrics
+} = require("../src/utils/metrics");
+
+test("counters and gauges render in Prometheus text format", async () => {
+  const counter = createCounter("test_events_total", "Events seen.", ["tenant", "kind"]);
+  counter.inc({ tenant: "t1", kind: "a" });
+  counter.inc({ tenant: "t1", kind: "a" }, 2);
+  counter.inc({ kind: 'quote"d' });
+
+  const gauge = createGauge("test_queue_size", "Queue size.");
+  gauge.set({}, 7);
+
+  const output = await renderMetrics();
+  assert.match(output, /# TYPE test_events_total counter\n/);
+  assert.match(output, /test_events_total\{tenant="t1",kind="a"\} 3\n/);
+  assert.match(output, /test_events_total\{tenant="none",kind="quote\\"d"\} 1\n/);
+  assert.match(output, /test_queue_size 7\n/);
+  assert.match(output, /megaboost_event_loop_lag_seconds \d/);
+});
+
+test("histograms emit cumulative buckets, sum and count", async () => {
+  const histogram = createHistogram("test_duration_seconds", "Durations.", ["target"], [1, 5]);
+  histogram.observe({ target: "login" }, 0.5);
+  histogram.observe({ target: "login" }, 3);
+  histogram.observe({ target: "login" }, 9);
+
+  const output = await renderMetrics();
+  assert.match(output, /test_duration_seconds_bucket\{target="login",le="1"\} 1\n/);
+  assert.match(output, /test_duration_seconds_bucket\{target="login",le="5"\} 2\n/);
+  assert.match(output, /test_duration_seconds_bucket\{target="login",le="\+Inf"\} 3\n/);
+  assert.match(output, /test_duration_seconds_sum\{target="login"\} 12.5\n/);
+  assert.match(output, /test_duration_seconds_count\{target="login"\} 3\n/);
+});
+
+test("a metric name can only be registered once", () => {
+  assert.throws(() => createGauge("test_queue_size", "Again."), /already registered/);
+});
+
+test("/metrics needs the bearer token when set and is closed in production without one", () => {
+  const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+  assert.equal(isMetricsRequestAuthorized(request(), { token: "", production: false }), true);
+  assert.equal(isMetricsRequestAuthorized(request(), { token: "", production: true }), false);
+
+  const options = { token: "s3cret", production: true };
+  assert.equal(isMetricsRequestAuthorized(request("Bearer s3cret"), options), true);
+  assert.equal(isMetricsRequestAuthorized(request("bearer s3cret"), options), true);
+  assert.equal(isMetricsRequestAuthorized(request("Bearer wrong"), options), false);
+  assert.equal(isMetricsRequestAuthorized(request(), options), false);
+});
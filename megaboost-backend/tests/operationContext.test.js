@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  formatOperationTag,
+  getOperationId,
+  normalizeOperationId,
+  operationMiddleware,
+  runWithOperation,
+  runWithoutOperation,
+  withOperationId
+} = require("../src/utils/operationContext");
+
+test("operation ids follow async work started inside the operation", async () => {
+  assert.equal(getOperationId(), null);
+
+  await runWithOperation("op-restart-1234", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    assert.equal(getOperationId(), "op-restart-1234");
+    assert.equal(formatOperationTag(), " op=op-restart-1234");
+
+    await runWithoutOperation(async () => {
+      assert.equal(getOperationId(), null);
+      assert.equal(formatOperationTag(), "");
+    });
+  });
+
+  assert.equal(getOperationId(), null);
+});
+
+test("a missing or malformed id starts a fresh operation", () => {
+  const generated = runWithOperation(null, () => getOperationId());
+  assert.match(generated, /^[0-9a-f-]{36}$/);
+  assert.notEqual(runWithOperation("bad id!", () => getOperationId()), "bad id!");
+  assert.equal(normalizeOperationId("  abcdefgh  "), "abcdefgh");
+  assert.equal(normalizeOperationId("short"), null);
+  assert.equal(normalizeOperationId("<script>alert(1)</script>"), null);
+});
+
+test("payloads pick up the current operation without overriding their own", () => {
+  runWithOperation("op-current-0001", () => {
+    assert.deepEqual(withOperationId({ accountId: "a" }), {
+      accountId: "a",
+      operationId: "op-current-0001"
+    });
+    assert.deepEqual(withOperationId({ operationId: "op-earlier-0001" }), {
+      operationId: "op-earlier-0001"
+    });
+    assert.deepEqual(withOperationId(["list"]), ["list"]);
+  });
+  assert.deepEqual(withOperationId({ accountId: "a" }), { accountId: "a" });
+});
+
+test("the edge middleware reuses a caller's id and echoes it back", () => {
+  const headers = {};
+  const res = { set: (name, value) => (headers[name] = value) };
+  const req = { headers: { "x-operation-id": "client-op-0001" } };
+
+  const seen = operationMiddleware(req, res, () => getOperationId());
+  assert.equal(seen, "client-op-0001");
+  assert.equal(req.operationId, "client-op-0001");
+  assert.equal(headers["X-Operation-Id"], "client-op-0001");
+
+  const fresh = { headers: {} };
+  operationMiddleware(fresh, res, () => null);
+  assert.ok(fresh.operationId);
+  assert.equal(headers["X-Operation-Id"], fresh.operationId);
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  buildOtlpTracePayload,
+  recordPhaseTimings,
+  startTrace,
+  summarizePhaseTimings,
+  tracePhase,
+  writeTrace
+} = require("../src/utils/phaseTracer");
+
+function createClock(start = 1773136800000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => {
+    current += ms;
+  };
+  return now;
+}
+
+test("phase spans hang off the trace's root span", () => {
+  const now = createClock();
+  const trace = startTrace("bump_cycle", { cycle: 3 }, { now });
+  const span = trace.startSpan("posts_list_ready");
+  now.advance(1500);
+  span.end();
+  now.advance(500);
+  const spans = trace.end();
+
+  assert.equal(spans.length, 2);
+  const [root, child] = spans;
+  assert.equal(root.name, "bump_cycle");
+  assert.equal(child.parentSpanId, root.spanId);
+  assert.equal(child.traceId, root.traceId);
+  assert.equal(child.endMs - child.startMs, 1500);
+  assert.equal(root.endMs - root.startMs, 2000);
+});
+
+test("ending a trace closes open phases and blames them for the error", () => {
+  const now = createClock();
+  const trace = startTrace("worker_start", {}, { now });
+  trace.startSpan("login");
+  now.advance(800);
+  const [root, login] = trace.end({ error: new Error("Login failed") });
+
+  assert.equal(root.error, "Login failed");
+  assert.equal(login.error, "Login failed");
+  assert.equal(login.attributes.interrupted, true);
+  assert.equal(login.endMs - login.startMs, 800);
+});
+
+test("tracePhase records failures and still rethrows them", async () => {
+  const trace = startTrace("bump_cycle");
+  await assert.rejects(
+    tracePhase(trace, "bump_click", async () => {
+      throw new Error("Navigation timeout");
+    }),
+    /Navigation timeout/
+  );
+  assert.equal(await tracePhase(null, "wait", async () => "ran"), "ran");
+
+  const spans = trace.end();
+  assert.equal(spans[1].name, "bump_click");
+  assert.equal(spans[1].error, "Navigation timeout");
+});
+
+test("payloads follow the OTLP/JSON trace layout", () => {
+  const now = createClock();
+  const trace = startTrace("bump_cycle", { cycle: 2, selfTest: false, ratio: 0.5 }, { now });
+  const span = trace.startSpan("cooldown_detection", { stage: "before_click" });
+  now.advance(250);
+  span.end({ error: "selector missing" });
+  const payload = buildOtlpTracePayload(trace.end());
+
+  const [resourceSpans] = payload.resourceSpans;
+  assert.deepEqual(resourceSpans.resource.attributes[0], {
+    key: "service.name",
+    value: { stringValue: "megaboost-worker" }
+  });
+  const [root, child] = resourceSpans.scopeSpans[0].spans;
+  assert.match(root.traceId, /^[0-9a-f]{32}$/);
+  assert.match(root.spanId, /^[0-9a-f]{16}$/);
+  assert.equal(root.parentSpanId, undefined);
+  assert.equal(child.parentSpanId, root.spanId);
+  assert.equal(root.startTimeUnixNano, "1773136800000000000");
+  assert.equal(child.endTimeUnixNano, "1773136800250000000");
+  assert.deepEqual(root.attributes, [
+    { key: "cycle", value: { intValue: "2" } },
+    { key: "selfTest", value: { boolValue: false } },
+    { key: "ratio", value: { doubleValue: 0.5 } }
+  ]);
+  assert.deepEqual(root.status, { code: 1 });
+  assert.deepEqual(child.status, { code: 2, message: "selector missing" });
+});
+
+test("phase timings summarize totals, recent samples and errors", () => {
+  const now = createClock();
+  let timings = {};
+  for (const durationMs of [1000, 3000, 2000]) {
+    const trace = startTrace("bump_cycle", {}, { now });
+    const span = trace.startSpan("posts_list_ready");
+    now.advance(durationMs);
+    span.end(durationMs === 3000 ? { error: "slow" } : {});
+    timings = recordPhaseTimings(timings, trace.end());
+  }
+
+  const [summary] = summarizePhaseTimings(timings);
+  assert.equal(summary.phase, "posts_list_ready");
+  assert.equal(summary.count, 3);
+  assert.equal(summary.errors, 1);
+  assert.equal(summary.lastMs, 2000);
+  assert.equal(summary.avgMs, 2000);
+  assert.equal(summary.maxMs, 3000);
+  assert.equal(summary.recentP95Ms, 3000);
+  assert.equal(summary.lastError, "slow");
+  assert.deepEqual(summarizePhaseTimings({}), []);
+});
+
+test("summaries list phases in cycle order and skip root spans", () => {
+  const trace = startTrace("bump_cycle");
+  trace.startSpan("wait").end();
+  trace.startSpan("launch").end();
+  const timings = recordPhaseTimings({}, trace.end());
+
+  assert.equal(timings.bump_cycle, undefined);
+  assert.deepEqual(
+    summarizePhaseTimings(timings).map((entry) => entry.phase),
+    ["launch", "wait"]
+  );
+});
+
+test("traces are appended one per line and rotated past the size limit", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phase-trace-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "traces", "worker-phases.jsonl");
+
+  const trace = startTrace("bump_cycle");
+  trace.startSpan("wait").end();
+  const spans = trace.end();
+  await writeTrace(spans, {}, { filePath, maxBytes: 1024 * 1024 });
+  await writeTrace(spans, {}, { filePath, maxBytes: 1024 * 1024 });
+
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  assert.equal(lines.length, 2);
+  assert.equal(JSON.parse(lines[0]).resourceSpans[0].scopeSpans[0].spans.length, 2);
+
+  await writeTrace(spans, {}, { filePath, maxBytes: 10 });
+  assert.equal(fs.readFileSync(filePath, "utf8").trim().split("\n").length, 1);
+  assert.equal(fs.readFileSync(`${filePath}.1`, "utf8").trim().split("\n").length, 2);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCycleSeconds, simulateSchedule } = require("../src/utils/scheduleSimulator");
+
+const BASE_ACCOUNT = {
+  baseIntervalMinutes: 30,
+  randomMinMinutes: 0,
+  randomMaxMinutes: 10,
+  maxDailyRuntimeHours: 2,
+  runtimeWindows: ["08:00-11:00", "18:00-23:00"]
+};
+
+function run(overrides = {}) {
+  return simulateSchedule({
+    account: BASE_ACCOUNT,
+    appSettings: { timezone: "Asia/Dhaka" },
+    start: "2026-03-07T00:00:00.000Z", // 6:00 AM BDT
+    days: 2,
+    seed: "forecast",
+    cycleSeconds: 600,
+    ...overrides
+  });
+}
+
+test("the same seed replays the same forecast", () => {
+  const first = run();
+  const second = run();
+  assert.deepEqual(first.bumps, second.bumps);
+  assert.notDeepEqual(run({ seed: "other" }).bumps, first.bumps);
+});
+
+test("forecast starts at the first window and reports closures and caps", () => {
+  const forecast = run();
+
+  assert.equal(forecast.bumps[0].at, "2026-03-07T02:00:00.000Z"); // 8:00 AM BDT
+  assert.equal(forecast.windowClosures[0].closedAt, "2026-03-07T05:01:00.000Z");
+  assert.equal(forecast.windowClosures[0].reopensAt, "2026-03-07T12:00:00.000Z");
+
+  const runtimeCaps = forecast.capHits.filter((hit) => hit.cap === "max_daily_runtime");
+  assert.equal(runtimeCaps.length, 2);
+  assert.equal(runtimeCaps[0].resumesAt, "2026-03-08T02:00:00.000Z");
+  forecast.perDay.forEach((day) => {
+    assert.ok(day.runtimeMs <= 2 * 60 * 60 * 1000);
+  });
+});
+
+test("maxDailyBumps stops the day once reached and resumes at the next opening", () => {
+  const forecast = run({ account: { ...BASE_ACCOUNT, maxDailyBumps: 3 } });
+  const bumpCaps = forecast.capHits.filter((hit) => hit.cap === "max_daily_bumps");
+
+  assert.equal(bumpCaps.length, 2);
+  assert.equal(bumpCaps[0].enforced, true);
+  assert.equal(bumpCaps[0].resumesAt, "2026-03-08T02:00:00.000Z"); // 8:00 AM BDT next day
+  forecast.perDay.forEach((day) => {
+    assert.ok(day.bumps <= 3, `${day.dayKey} has ${day.bumps} bumps`);
+  });
+  assert.equal(forecast.bumps[3].at, bumpCaps[0].resumesAt);
+});
+
+test("cycleSeconds must be a sane positive length", () => {
+  assert.deepEqual(parseCycleSeconds(undefined), { cycleSeconds: 90 });
+  assert.deepEqual(parseCycleSeconds("120"), { cycleSeconds: 120 });
+  for (const value of [0, -5, "abc", Number.NaN, 1e9]) {
+    assert.match(parseCycleSeconds(value).error || "", /cycleSeconds/, String(value));
+  }
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeScheduledCommandInput,
+  parseRunAt
+} = require("../src/utils/scheduledCommands");
+
+const NOW = new Date("2026-03-10T00:00:00.000Z");
+
+test("a run time without an offset is read in the user's timezone", () => {
+  assert.equal(parseRunAt("2026-03-10T08:00", "Asia/Dhaka").toISOString(), "2026-03-10T02:00:00.000Z");
+  assert.equal(parseRunAt("2026-03-10T08:00Z", "Asia/Dhaka").toISOString(), "2026-03-10T08:00:00.000Z");
+  assert.equal(parseRunAt("not a date"), null);
+});
+
+test("commands are validated and normalized", () => {
+  const { command, error } = normalizeScheduledCommandInput(
+    {
+      action: "apply_preset",
+      preset: "Business Hours",
+      target: { type: "tag", tag: " Night Shift " },
+      runAt: "2026-03-10T20:00"
+    },
+    { timezone: "Asia/Dhaka", now: NOW }
+  );
+  assert.equal(error, undefined);
+  assert.equal(command.presetKey, "business_hours");
+  assert.deepEqual(command.target, { type: "tag", tag: "night-shift" });
+
+  const options = { now: NOW };
+  const runAt = "2026-03-11T00:00";
+  assert.match(normalizeScheduledCommandInput({ action: "explode", target: { type: "all" }, runAt }, options).error, /action/);
+  assert.match(normalizeScheduledCommandInput({ action: "stop", target: { type: "account" }, runAt }, options).error, /accountIds/);
+  assert.match(normalizeScheduledCommandInput({ action: "stop", target: { type: "all" }, runAt: "2026-03-01T00:00" }, options).error, /past/);
+  assert.match(normalizeScheduledCommandInput({ action: "apply_preset", target: { type: "all" }, runAt }, options).error, /preset/);
+});
+
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_SITE_PROFILE,
+  getSiteProfile,
+  urlMatches,
+  validateSiteProfile
+} = require("../src/utils/siteProfile");
+
+test("an empty profile falls back to the built-in profile", () => {
+  const { profile, errors } = validateSiteProfile({});
+  assert.deepEqual(errors, []);
+  assert.deepEqual(profile.selectors, DEFAULT_SITE_PROFILE.selectors);
+  assert.deepEqual(profile.text, DEFAULT_SITE_PROFILE.text);
+});
+
+test("changing the root URL moves the derived login and posts-list URLs", () => {
+  const { profile, errors } = validateSiteProfile({
+    urls: { root: "https://mirror.example.test/" },
+    selectors: { bumpButton: "#bumpNow" }
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(profile.urls.login, "https://mirror.example.test/users/auth/login");
+  assert.equal(profile.urls.postsList, "https://mirror.example.test/users/posts/list");
+  assert.equal(profile.selectors.bumpButton, "#bumpNow");
+});
+
+test("invalid fields are reported instead of loaded", () => {
+  const { errors } = validateSiteProfile({
+    urls: { root: "not a url" },
+    urlPatterns: { postsList: [], invalidCredentialsQuery: "error" },
+    selectors: { email: "  " },
+    text: { okButtons: ["ok", ""] },
+    extra: true
+  });
+  assert.ok(errors.includes("urls.root must be an absolute URL"));
+  assert.ok(errors.includes("urlPatterns.postsList must be a non-empty list of non-empty strings"));
+  assert.ok(errors.includes("urlPatterns.invalidCredentialsQuery must look like key=value"));
+  assert.ok(errors.includes("selectors.email must be a non-empty selector"));
+  assert.ok(errors.includes("text.okButtons must be a non-empty list of non-empty strings"));
+  assert.ok(errors.includes("Unknown profile section: extra"));
+  assert.deepEqual(validateSiteProfile([]).errors, ["Profile must be an object"]);
+});
+
+test("URL patterns match case-insensitively against the loaded profile", () => {
+  assert.equal(getSiteProfile(), DEFAULT_SITE_PROFILE);
+  assert.equal(urlMatches("https://megapersonals.eu/Users/Posts/List?x=1", "postsList"), true);
+  assert.equal(urlMatches("https://megapersonals.eu/users/auth/login", "postsList"), false);
+});
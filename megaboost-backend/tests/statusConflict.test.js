@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Account = require("../src/model/Account");
+const accountController = require("../src/controller/accountController");
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+}
+
+test("starting a banned account through the controller answers 409", async (t) => {
+  const bannedAccount = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    userId: "64b7f0c2a1b2c3d4e5f60719",
+    email: "banned@example.com",
+    status: "banned",
+    workerState: {}
+  };
+  const originalFindOne = Account.findOne;
+  Account.findOne = async () => bannedAccount;
+  t.after(() => {
+    Account.findOne = originalFindOne;
+  });
+
+  const res = createResponse();
+  await accountController.startAccount(
+    {
+      params: { id: bannedAccount._id },
+      user: { _id: bannedAccount.userId, role: "user" },
+      headers: {},
+      socket: {}
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, "ILLEGAL_STATUS_TRANSITION");
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  evaluateStatusTransition,
+  getStatusContext,
+  runWithStatusContext
+} = require("../src/utils/statusTransitions");
+
+test("banned accounts cannot jump straight back into the bump loop", () => {
+  const transition = evaluateStatusTransition("banned", "bumping");
+  assert.equal(transition.changed, true);
+  assert.equal(transition.legal, false);
+  assert.equal(transition.accepted, false);
+
+  assert.equal(evaluateStatusTransition("banned", "stopped").legal, true);
+});
+
+test("normal worker lifecycle transitions are legal", () => {
+  const path = ["pending", "starting", "running", "bumping", "waiting_cooldown", "bumping", "stopped"];
+  for (let index = 1; index < path.length; index += 1) {
+    assert.equal(
+      evaluateStatusTransition(path[index - 1], path[index]).legal,
+      true,
+      `${path[index - 1]} -> ${path[index]}`
+    );
+  }
+});
+
+test("stopped accounts must pass through starting before bumping", () => {
+  assert.equal(evaluateStatusTransition("stopped", "bumping").legal, false);
+  assert.equal(evaluateStatusTransition("stopped", "starting").legal, true);
+});
+
+test("unchanged and initial statuses are not transitions", () => {
+  assert.equal(evaluateStatusTransition("running", "running").changed, false);
+  assert.equal(evaluateStatusTransition(null, "pending").legal, true);
+});
+
+test("status context carries actor and reason across async work", async () => {
+  assert.equal(getStatusContext().actor, "system");
+
+  const context = await runWithStatusContext({ actor: "watchdog", reason: "stall" }, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    return runWithStatusContext({}, () => getStatusContext());
+  });
+  assert.deepEqual(context, { actor: "watchdog", reason: "stall" });
+
+  const fallback = runWithStatusContext({ actor: "unknown" }, () => getStatusContext());
+  assert.equal(fallback.actor, "system");
+});
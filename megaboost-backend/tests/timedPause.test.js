@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  formatPauseRemaining,
+  parsePauseDuration,
+  resolvePausedUntil
+} = require("../src/utils/timedPause");
+
+const NOW = new Date("2026-03-10T10:00:00.000Z");
+
+test("pause durations accept minutes and hour/minute text", () => {
+  assert.equal(parsePauseDuration(45), 45);
+  assert.equal(parsePauseDuration("90"), 90);
+  assert.equal(parsePauseDuration("2h"), 120);
+  assert.equal(parsePauseDuration("1h30m"), 90);
+  assert.equal(parsePauseDuration("soon"), null);
+  assert.equal(parsePauseDuration(0), null);
+});
+
+test("pause expiry resolves from a duration or a wall-clock time", () => {
+  assert.deepEqual(resolvePausedUntil({}, { now: NOW }), { pausedUntil: null });
+  assert.equal(
+    resolvePausedUntil({ duration: "2h" }, { now: NOW }).pausedUntil.toISOString(),
+    "2026-03-10T12:00:00.000Z"
+  );
+  // 16:00 in Dhaka (UTC+6) is 10:00Z, already reached, so it rolls to tomorrow.
+  assert.equal(
+    resolvePausedUntil({ until: "16:00" }, { timezone: "Asia/Dhaka", now: NOW }).pausedUntil.toISOString(),
+    "2026-03-11T10:00:00.000Z"
+  );
+  assert.match(resolvePausedUntil({ duration: "1h", until: "18:00" }, { now: NOW }).error, /either/);
+  assert.match(resolvePausedUntil({ until: "2026-03-01T00:00Z" }, { now: NOW }).error, /past/);
+  assert.match(resolvePausedUntil({ duration: "800h" }, { now: NOW }).error, /30 days/);
+});
+
+test("remaining pause time is formatted compactly", () => {
+  assert.equal(formatPauseRemaining(new Date("2026-03-11T12:05:00.000Z"), NOW), "1d 2h 5m");
+  assert.equal(formatPauseRemaining(new Date("2026-03-10T10:00:20.000Z"), NOW), "1m");
+  assert.equal(formatPauseRemaining(NOW, NOW), "<1m");
+});
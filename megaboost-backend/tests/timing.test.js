@@ -6,12 +6,15 @@ const {
   QUICK_BUMP_PRESETS,
   evaluateRuntimeAvailability,
   computeNextRunSchedule,
-  buildDailyRuntimeStatePatch
+  buildDailyRuntimeStatePatch,
+  getNextRuntimeWindowOpen
 } = require("../src/utils/timing");
 const {
   format24HourTo12Hour,
   isInsideRuntimeWindow,
-  getNextRuntimeStart
+  getNextRuntimeStart,
+  normalizeRuntimeCalendar,
+  parseRuntimeWindowList
 } = require("../src/utils/runtimeWindow");
 
 function toBdtIso(date) {
@@ -235,3 +238,151 @@ test("retry scheduling never returns a next run in the past", () => {
   assert.ok(new Date(schedule.nextRunAt).valueOf() > new Date(now).valueOf());
   assert.equal(toBdtIso(schedule.nextRunAt), "2026-03-08T06:58:31.330+06:00");
 });
+
+test("weekday calendar closes days that are switched off", () => {
+  const account = {
+    ...QUICK_BUMP_PRESETS.standard,
+    maxDailyRuntime: 24,
+    runtimeWindow: "09:00-17:00",
+    runtimeCalendar: {
+      weekdays: [
+        { day: "sat", enabled: false },
+        { day: "sun", enabled: false }
+      ]
+    }
+  };
+  // Friday 2026-03-06 16:50 BDT; the next run lands after Friday's close.
+  const schedule = computeNextRunSchedule({
+    account,
+    appSettings: { timezone: "Asia/Dhaka" },
+    now: "2026-03-06T10:50:00.000Z",
+    anchorAt: "2026-03-06T10:50:00.000Z",
+    workerState: {},
+    randomValue: 0
+  });
+
+  assert.equal(schedule.decision, "wait_until_next_valid_window");
+  assert.equal(toBdtIso(schedule.nextRunAt), "2026-03-09T09:00:00.000+06:00");
+  assert.equal(schedule.runtimeCalendarActive, true);
+});
+
+test("date exceptions override the weekday window", () => {
+  const account = {
+    maxDailyRuntime: 24,
+    runtimeWindow: "09:00-17:00",
+    runtimeCalendar: {
+      weekdays: [{ day: "sat", enabled: true, window: "10:00-12:00" }],
+      exceptions: [
+        { date: "2026-03-07", enabled: true, window: "08:00-22:00" },
+        { date: "2026-03-09", enabled: false }
+      ]
+    }
+  };
+  const appSettings = { timezone: "Asia/Dhaka" };
+
+  // Saturday 20:00 BDT is inside the extended exception hours.
+  const extended = evaluateRuntimeAvailability({
+    account,
+    appSettings,
+    now: "2026-03-07T14:00:00.000Z"
+  });
+  assert.equal(extended.allowedNow, true);
+
+  // Sunday after close skips the Monday exception and opens Tuesday.
+  const closed = evaluateRuntimeAvailability({
+    account,
+    appSettings,
+    now: "2026-03-08T12:00:00.000Z"
+  });
+  assert.equal(closed.allowedNow, false);
+  assert.equal(toBdtIso(closed.nextAllowedStart), "2026-03-10T09:00:00.000+06:00");
+});
+
+test("overnight weekday windows spill into the next morning", () => {
+  const calendar = {
+    weekdays: [
+      { day: "fri", enabled: true, window: "22:00-02:00" },
+      { day: "sat", enabled: false }
+    ]
+  };
+  const open = getNextRuntimeWindowOpen(
+    "2026-03-06T19:30:00.000Z", // Saturday 01:30 BDT, inside Friday's window
+    "09:00-17:00",
+    "Asia/Dhaka",
+    calendar
+  );
+  assert.equal(open.toISO(), "2026-03-07T01:30:00.000+06:00");
+
+  const next = getNextRuntimeWindowOpen(
+    "2026-03-06T21:00:00.000Z", // Saturday 03:00 BDT, Saturday is off
+    "09:00-17:00",
+    "Asia/Dhaka",
+    calendar
+  );
+  assert.equal(next.toISO(), "2026-03-08T09:00:00.000+06:00");
+});
+
+test("calendar validation rejects bad entries", () => {
+  const { errors } = normalizeRuntimeCalendar({
+    weekdays: [{ day: "funday", enabled: true, window: "09:00-17:00" }],
+    exceptions: [{ date: "2026-02-30", enabled: false }]
+  });
+  assert.equal(errors.length, 2);
+});
+
+test("multiple runtime windows jump to the next open window", () => {
+  const availability = evaluateRuntimeAvailability({
+    account: {
+      ...QUICK_BUMP_PRESETS.standard,
+      runtimeWindows: ["08:00-11:00", "18:00-23:00"]
+    },
+    appSettings: { timezone: "Asia/Dhaka" },
+    now: "2026-03-07T06:00:00.000Z" // 12:00 PM BDT
+  });
+
+  assert.equal(availability.allowedNow, false);
+  assert.equal(toBdtIso(availability.nextAllowedStart), "2026-03-07T18:00:00.000+06:00");
+});
+
+test("runtime window lists reject overlaps on the 24h clock", () => {
+  assert.deepEqual(parseRuntimeWindowList("09:00-12:00, 12:00-14:00").errors, []);
+  assert.equal(parseRuntimeWindowList(["22:00-02:00", "01:00-03:00"]).errors.length, 1);
+  assert.deepEqual(parseRuntimeWindowList(["18:00-20:00", "08:00-10:00"]).normalized, [
+    "08:00-10:00",
+    "18:00-20:00"
+  ]);
+});
+
+test("overnight runtime counts toward the day the window opened", () => {
+  const account = {
+    ...QUICK_BUMP_PRESETS.standard,
+    runtimeWindows: ["08:00-11:00", "22:00-02:00"],
+    maxDailyRuntime: 2
+  };
+  const now = "2026-03-07T19:00:00.000Z"; // 1:00 AM BDT on 2026-03-08
+  const workerState = {
+    dailyRuntimeDayKey: "2026-03-07",
+    dailyRuntimeUsedMs: 90 * 60 * 1000
+  };
+
+  const patch = buildDailyRuntimeStatePatch(
+    workerState,
+    now,
+    "Asia/Dhaka",
+    30 * 60 * 1000,
+    { runtimeWindows: account.runtimeWindows }
+  );
+  assert.equal(patch.dailyRuntimeDayKey, "2026-03-07");
+  assert.equal(patch.dailyRuntimeUsedMs, 2 * 60 * 60 * 1000);
+
+  const schedule = computeNextRunSchedule({
+    account,
+    appSettings: { timezone: "Asia/Dhaka" },
+    now,
+    anchorAt: now,
+    workerState: { dailyRuntimeDayKey: patch.dailyRuntimeDayKey, dailyRuntimeUsedMs: patch.dailyRuntimeUsedMs },
+    randomValue: 0.5
+  });
+  assert.equal(schedule.decision, "blocked_by_daily_runtime_cap");
+  assert.equal(toBdtIso(schedule.nextRunAt), "2026-03-08T08:00:00.000+06:00");
+});
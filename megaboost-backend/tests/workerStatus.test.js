@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeWorkerStatuses } = require("../src/utils/workerStatus");
+
+const nodes = [
+  { nodeId: "node-a", url: "http://a/internal/worker" },
+  { nodeId: "node-b", url: "http://b/internal/worker" }
+];
+
+test("two nodes sum their own jobs and count unassigned jobs once", () => {
+  const merged = mergeWorkerStatuses(
+    nodes,
+    [
+      {
+        status: "fulfilled",
+        value: { nodeId: "node-a", running: 2, queued: 3, retryScheduled: 1, maxConcurrency: 8, runningAccounts: ["1", "2"] }
+      },
+      {
+        status: "fulfilled",
+        value: { nodeId: "node-b", running: 1, queued: 2, retryScheduled: 0, maxConcurrency: 8, runningAccounts: ["3"] }
+      }
+    ],
+    { queued: 4, retryScheduled: 2 }
+  );
+
+  assert.equal(merged.running, 3);
+  assert.equal(merged.queued, 3 + 2 + 4);
+  assert.equal(merged.retryScheduled, 1 + 0 + 2);
+  assert.equal(merged.maxConcurrency, 16);
+  assert.deepEqual(merged.unassigned, { queued: 4, retryScheduled: 2 });
+  assert.deepEqual(merged.runningAccounts.sort(), ["1", "2", "3"]);
+  assert.deepEqual(merged.nodes.map((node) => node.queued), [3, 2]);
+});
+
+test("an unreachable node is listed without dropping the unassigned backlog", () => {
+  const merged = mergeWorkerStatuses(
+    nodes,
+    [
+      { status: "fulfilled", value: { nodeId: "node-a", queued: 1, maxConcurrency: 8 } },
+      { status: "rejected", reason: new Error("timeout") }
+    ],
+    { queued: 2, retryScheduled: 0 }
+  );
+
+  assert.equal(merged.queued, 3);
+  assert.equal(merged.nodes[1].ok, false);
+  assert.equal(merged.nodes[1].error, "timeout");
+});
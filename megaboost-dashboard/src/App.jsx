@@ -15,9 +15,14 @@ import EditAccount from "./pages/EditAccount";
 import BumpingSettings from "./pages/BumpingSettings";
 import AccountDetails from "./pages/AccountDetails";
 import ActivityLogs from "./pages/ActivityLogs";
+import ScheduledCommands from "./pages/ScheduledCommands";
+import Analytics from "./pages/Analytics";
+import Alerts from "./pages/Alerts";
+import Reports from "./pages/Reports";
 import AdminOverview from "./pages/AdminOverview";
 import AdminLicenses from "./pages/AdminLicenses";
 import AdminUsers from "./pages/AdminUsers";
+import AdminSiteProfile from "./pages/AdminSiteProfile";
 import Login from "./pages/Login";
 import NotFound from "./pages/NotFound";
 
@@ -76,11 +81,16 @@ function App() {
           <Route path="/dashboard/accounts/:id/edit" element={<EditAccount />} />
           <Route path="/settings" element={<Settings />} />
           <Route path="/activity" element={<ActivityLogs />} />
+          <Route path="/scheduled" element={<ScheduledCommands />} />
+          <Route path="/analytics" element={<Analytics />} />
+          <Route path="/alerts" element={<Alerts />} />
+          <Route path="/reports" element={<Reports />} />
 
           <Route element={<AdminRoute />}>
             <Route path="/admin" element={<AdminOverview />} />
             <Route path="/admin/licenses" element={<AdminLicenses />} />
             <Route path="/admin/users" element={<AdminUsers />} />
+            <Route path="/admin/site-profile" element={<AdminSiteProfile />} />
           </Route>
 
           <Route path="*" element={<NotFound />} />
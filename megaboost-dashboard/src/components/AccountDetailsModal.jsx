@@ -56,7 +56,10 @@ function normalizeBumps(payload) {
         ? payload.items
         : [];
 
-  const total = toNumber(payload.total ?? payload.totalBumps ?? payload.count, items.length);
+  const total = toNumber(
+    payload.stats?.success ?? payload.total ?? payload.totalBumps ?? payload.count,
+    items.length
+  );
   return { total, items };
 }
 
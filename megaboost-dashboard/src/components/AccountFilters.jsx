@@ -1,61 +1,68 @@
-import { Search, Filter, X } from "lucide-react";
-import { useState } from "react";
+import { Search, X } from "lucide-react";
 
-export default function AccountFilters() {
-  const [status, setStatus] = useState("all");
+const FIELD_CLASS = "themeField w-full rounded-lg px-3 py-2 text-sm outline-none";
 
-  return (
-    <div className="bg-card p-6 rounded-xl border border-red-800 mb-6">
-      
-      <div className="grid grid-cols-3 gap-6 items-end">
-
-        {/* Search */}
-        <div>
-          <label className="block text-sm mb-2 opacity-70">
-            Search Accounts
-          </label>
-          <div className="flex items-center bg-red-950 rounded-lg px-3 py-2">
-            <Search size={16} className="opacity-50 mr-2" />
-            <input
-              type="text"
-              placeholder="Search by email..."
-              className="bg-transparent outline-none w-full text-sm"
-            />
-          </div>
-        </div>
+export default function AccountFilters({ filters, tags = [], onChange, onClear }) {
+  const setFilter = (field, value) => onChange({ ...filters, [field]: value });
 
-        {/* Filter */}
-        <div>
-          <label className="block text-sm mb-2 opacity-70">
-            Filter by Status
-          </label>
-          <select
-            value={status}
-            onChange={(e) => setStatus(e.target.value)}
-            className="w-full bg-red-950 px-3 py-2 rounded-lg text-sm outline-none"
-          >
-            <option value="all">All Statuses</option>
-            <option value="running">Running</option>
-            <option value="stopped">Stopped</option>
-            <option value="paused">Paused</option>
-            <option value="crashed">Crashed</option>
-            <option value="needs2fa">Awaiting 2FA</option>
-          </select>
+  return (
+    <div className="themeBorder grid grid-cols-1 gap-3 border-b p-4 sm:grid-cols-4 sm:items-end">
+      <div>
+        <label className="block text-xs mb-1 opacity-70">Search Accounts</label>
+        <div className="themeField flex items-center rounded-lg px-3 py-2">
+          <Search size={14} className="opacity-50 mr-2" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => setFilter("search", e.target.value)}
+            placeholder="Search by email..."
+            className="bg-transparent outline-none w-full text-sm"
+          />
         </div>
+      </div>
 
-        {/* Buttons */}
-        <div className="flex gap-3">
-          <button className="flex items-center gap-2 bg-accent px-4 py-2 rounded-lg text-sm hover:scale-105 transition">
-            <Filter size={16} />
-            Filter
-          </button>
+      <div>
+        <label className="block text-xs mb-1 opacity-70">Filter by Status</label>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilter("status", e.target.value)}
+          className={FIELD_CLASS}
+        >
+          <option value="all">All Statuses</option>
+          <option value="running">Running</option>
+          <option value="stopped">Stopped</option>
+          <option value="paused">Paused</option>
+          <option value="crashed">Crashed</option>
+          <option value="needs2fa">Awaiting 2FA</option>
+          <option value="banned">Banned</option>
+        </select>
+      </div>
 
-          <button className="flex items-center gap-2 bg-gray-600 px-4 py-2 rounded-lg text-sm hover:scale-105 transition">
-            <X size={16} />
-            Clear
-          </button>
-        </div>
+      <div>
+        <label className="block text-xs mb-1 opacity-70">Filter by Tag</label>
+        <select
+          value={filters.tag}
+          onChange={(e) => setFilter("tag", e.target.value)}
+          className={FIELD_CLASS}
+        >
+          <option value="all">All Tags</option>
+          {tags.map((tag) => (
+            <option key={tag} value={tag}>
+              #{tag}
+            </option>
+          ))}
+        </select>
+      </div>
 
+      <div>
+        <button
+          type="button"
+          onClick={onClear}
+          className="themeBtnMuted flex items-center gap-2 px-4 py-2 text-sm"
+        >
+          <X size={14} />
+          Clear
+        </button>
       </div>
     </div>
   );
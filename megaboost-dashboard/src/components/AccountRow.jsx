@@ -68,7 +68,11 @@ function AccountRow({
     account.status === "awaiting_2fa" || account.status === "awaiting_verification_code";
   const nextBumpAtMs = useMemo(() => toTimestamp(account.nextBumpAt), [account.nextBumpAt]);
   const hasCountdown = nextBumpAtMs !== null;
-  const nowTs = useNowTick(hasCountdown);
+  const pausedUntilMs = useMemo(
+    () => (account.status === "paused" ? toTimestamp(account.pausedUntil) : null),
+    [account.pausedUntil, account.status]
+  );
+  const nowTs = useNowTick(hasCountdown || pausedUntilMs !== null);
   const remainingMs = hasCountdown ? Math.max(nextBumpAtMs - nowTs, 0) : null;
   const isDue = hasCountdown && remainingMs <= 0;
   const baseLastBumpAtMs = useMemo(() => toTimestamp(account.lastBumpAt), [account.lastBumpAt]);
@@ -119,10 +123,29 @@ function AccountRow({
       <div className="accountRowCell accountRowAccount" data-label="Account">
         <div className="font-medium break-all">{account.email}</div>
         <div className="text-xs opacity-60 break-all">ID: {account._id}</div>
+        {Array.isArray(account.tags) && account.tags.length > 0 ? (
+          <div className="mt-1 flex flex-wrap gap-1">
+            {account.tags.map((tag) => (
+              <span key={tag} className="themeBorder rounded-full border px-2 py-0.5 text-[11px] opacity-80">
+                #{tag}
+              </span>
+            ))}
+          </div>
+        ) : null}
       </div>
 
       <div className="accountRowCell" data-label="Status">
         <StatusBadge status={account.status || "stopped"} />
+        {pausedUntilMs !== null && (
+          <div
+            className="text-xs opacity-70"
+            title={`Resumes at ${formatDateTimeBDT(account.pausedUntil)}`}
+          >
+            {pausedUntilMs > nowTs
+              ? `resumes in ${formatCountdown(pausedUntilMs - nowTs)}`
+              : "resuming..."}
+          </div>
+        )}
         {account.__syncing && (
           <div className="syncPill">
             <LoaderCircle size={11} className="animate-spin" />
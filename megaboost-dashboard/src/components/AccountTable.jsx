@@ -1,12 +1,20 @@
 import { useCallback, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { LoaderCircle, Play, Square } from "lucide-react";
+import { LoaderCircle, Play, RefreshCw, RotateCcw, Square } from "lucide-react";
 import { useAccounts } from "../context/AccountsContext";
 import AccountDetailsModal from "./AccountDetailsModal";
 import DeleteConfirmModal from "./DeleteConfirmModal";
 import AccountRow from "./AccountRow";
 import VerificationModal from "./VerificationModal";
-import { isRunningLikeStatus } from "../utils/accountStatus";
+import AccountFilters from "./AccountFilters";
+import { resetRetryAccounts, restartAccounts } from "../lib/api";
+import {
+  collectAccountTags,
+  filterAccounts,
+  isRunningLikeStatus
+} from "../utils/accountStatus";
+
+const EMPTY_FILTERS = { search: "", status: "all", tag: "all" };
 
 export default function AccountTable() {
   const navigate = useNavigate();
@@ -29,20 +37,27 @@ export default function AccountTable() {
   const [selectedAccount, setSelectedAccount] = useState(null);
   const [detailsAccount, setDetailsAccount] = useState(null);
   const [verificationAccount, setVerificationAccount] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [groupAction, setGroupAction] = useState("");
+
+  const tags = useMemo(() => collectAccountTags(accounts), [accounts]);
+  const visibleAccounts = useMemo(() => filterAccounts(accounts, filters), [accounts, filters]);
+  const isFiltered =
+    Boolean(filters.search.trim()) || filters.status !== "all" || filters.tag !== "all";
 
   const runningCount = useMemo(
-    () => accounts.filter((account) => isRunningLikeStatus(account.status)).length,
-    [accounts]
+    () => visibleAccounts.filter((account) => isRunningLikeStatus(account.status)).length,
+    [visibleAccounts]
   );
 
   const stoppedCount = useMemo(
-    () => accounts.filter((account) => account.status === "stopped").length,
-    [accounts]
+    () => visibleAccounts.filter((account) => account.status === "stopped").length,
+    [visibleAccounts]
   );
 
   const crashedCount = useMemo(
-    () => accounts.filter((account) => account.status === "crashed").length,
-    [accounts]
+    () => visibleAccounts.filter((account) => account.status === "crashed").length,
+    [visibleAccounts]
   );
 
   const handleToggle = useCallback(
@@ -54,19 +69,46 @@ export default function AccountTable() {
 
   const handleStartAll = useCallback(async () => {
     try {
-      await startAllAccounts(accounts);
+      await startAllAccounts(visibleAccounts);
     } catch {
       // Toast is handled by context.
     }
-  }, [accounts, startAllAccounts]);
+  }, [visibleAccounts, startAllAccounts]);
 
   const handleStopAll = useCallback(async () => {
     try {
-      await stopAllAccounts(accounts);
+      await stopAllAccounts(visibleAccounts);
     } catch {
       // Toast is handled by context.
     }
-  }, [accounts, stopAllAccounts]);
+  }, [visibleAccounts, stopAllAccounts]);
+
+  const runGroupAction = useCallback(
+    async (action, request, failureLabel) => {
+      if (visibleAccounts.length === 0) return;
+      setGroupAction(action);
+      try {
+        const body = await request({ accountIds: visibleAccounts.map((account) => account._id) });
+        showToast(body?.message || "Done", body?.success === false ? "error" : "success");
+        await fetchAccounts();
+      } catch (apiError) {
+        showToast(`${failureLabel}: ${apiError.response?.data?.message || apiError.message}`, "error");
+      } finally {
+        setGroupAction("");
+      }
+    },
+    [fetchAccounts, showToast, visibleAccounts]
+  );
+
+  const handleRestartAll = useCallback(
+    () => runGroupAction("restart", restartAccounts, "Restart failed"),
+    [runGroupAction]
+  );
+
+  const handleResetRetryAll = useCallback(
+    () => runGroupAction("reset-retry", resetRetryAccounts, "Reset retry failed"),
+    [runGroupAction]
+  );
 
   const handleRestart = useCallback(
     async (id) => {
@@ -106,6 +148,11 @@ export default function AccountTable() {
         <div>
           <h2 className="font-semibold">Bulk Operations</h2>
           <div className="text-xs text-yellow-300 mt-1">Queue {pendingCount} pending</div>
+          {isFiltered ? (
+            <div className="text-xs opacity-70 mt-1">
+              Applies to the {visibleAccounts.length} filtered account(s)
+            </div>
+          ) : null}
         </div>
 
         <div className="accountTableActions flex flex-col gap-2 sm:flex-row sm:items-center sm:gap-3">
@@ -127,6 +174,24 @@ export default function AccountTable() {
             {isGlobalPending ? <LoaderCircle size={14} className="animate-spin" /> : <Square size={14} />}
             Stop All
           </button>
+          <button
+            type="button"
+            onClick={handleRestartAll}
+            disabled={isGlobalPending || Boolean(groupAction)}
+            className="themeBtnMuted flex w-full sm:w-auto items-center justify-center gap-2 px-3 py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {groupAction === "restart" ? <LoaderCircle size={14} className="animate-spin" /> : <RotateCcw size={14} />}
+            Restart All
+          </button>
+          <button
+            type="button"
+            onClick={handleResetRetryAll}
+            disabled={isGlobalPending || Boolean(groupAction)}
+            className="themeBtnMuted flex w-full sm:w-auto items-center justify-center gap-2 px-3 py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {groupAction === "reset-retry" ? <LoaderCircle size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+            Reset Retry
+          </button>
           <div className="accountTableStats text-xs opacity-80">
             <span className="text-green-400 mr-3">Running {runningCount}</span>
             <span className="text-gray-400 mr-3">Stopped {stoppedCount}</span>
@@ -135,6 +200,13 @@ export default function AccountTable() {
         </div>
       </div>
 
+      <AccountFilters
+        filters={filters}
+        tags={tags}
+        onChange={setFilters}
+        onClear={() => setFilters(EMPTY_FILTERS)}
+      />
+
       <div className="accountTableHeader themePanelHeader themeBorder hidden sm:grid grid-cols-9 p-4 text-sm font-semibold border-t border-b">
         <div>Account</div>
         <div>Status</div>
@@ -154,7 +226,11 @@ export default function AccountTable() {
         <div className="p-6 text-center text-sm opacity-60">No accounts available.</div>
       )}
 
-      {accounts.map((account) => (
+      {!loading && !error && accounts.length > 0 && visibleAccounts.length === 0 && (
+        <div className="p-6 text-center text-sm opacity-60">No accounts match the filters.</div>
+      )}
+
+      {visibleAccounts.map((account) => (
         <AccountRow
           key={account._id}
           account={account}
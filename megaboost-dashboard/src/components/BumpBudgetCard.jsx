@@ -0,0 +1,188 @@
+import { useCallback, useEffect, useState } from "react";
+import { Gauge, LoaderCircle, RefreshCw } from "lucide-react";
+import { getAppSettings, getBumpBudgetUsage, updateAppSettings } from "../lib/api";
+import { formatDateTimeBDT } from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField w-full rounded-lg px-3 py-2 text-sm outline-none transition";
+
+function toForm(budget = {}) {
+  return {
+    enabled: Boolean(budget?.enabled),
+    dailyLimit: String(budget?.dailyLimit || ""),
+    hourlyLimit: String(budget?.hourlyLimit || ""),
+    fairShare: budget?.fairShare === "weighted" ? "weighted" : "round_robin"
+  };
+}
+
+function validateForm(form) {
+  const dailyLimit = Number(form.dailyLimit || 0);
+  const hourlyLimit = Number(form.hourlyLimit || 0);
+  if (!Number.isInteger(dailyLimit) || dailyLimit < 0) {
+    return "Daily limit must be a whole number";
+  }
+  if (form.enabled && dailyLimit < 1) {
+    return "Set a daily limit to enable the budget";
+  }
+  if (!Number.isInteger(hourlyLimit) || hourlyLimit < 0) {
+    return "Hourly limit must be a whole number";
+  }
+  return "";
+}
+
+export default function BumpBudgetCard({ showToast, appSettings }) {
+  const [form, setForm] = useState(toForm());
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadBudget = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [settings, nextUsage] = await Promise.all([getAppSettings(), getBumpBudgetUsage()]);
+      setForm(toForm(settings?.bumpBudget));
+      setUsage(nextUsage || null);
+      setError("");
+    } catch (loadError) {
+      setError(loadError?.response?.data?.message || loadError?.message || "Failed to load bump budget");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBudget();
+  }, [loadBudget]);
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setError("");
+  };
+
+  const handleSave = async () => {
+    const validationError = validateForm(form);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await updateAppSettings({
+        bumpBudget: {
+          enabled: form.enabled,
+          dailyLimit: Number(form.dailyLimit || 0),
+          hourlyLimit: Number(form.hourlyLimit || 0),
+          fairShare: form.fairShare
+        }
+      });
+      setForm(toForm(saved?.bumpBudget));
+      setUsage(await getBumpBudgetUsage().catch(() => usage));
+      showToast?.("Bump budget saved", "success");
+    } catch (saveError) {
+      const message = saveError?.response?.data?.message || saveError?.message || "Failed to save bump budget";
+      setError(message);
+      showToast?.(message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-red-800 bg-card p-6">
+      <div className="mb-4 flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Gauge size={20} />
+          <h2 className="text-lg font-semibold">Bump Budget</h2>
+        </div>
+        <button
+          type="button"
+          onClick={loadBudget}
+          disabled={loading}
+          className="themeBtnMuted inline-flex items-center gap-1 px-3 py-1 text-xs"
+        >
+          <RefreshCw size={12} />
+          Refresh
+        </button>
+      </div>
+
+      <p className="mb-4 text-sm opacity-70">
+        Daily bump limit shared by all of your accounts.
+      </p>
+
+      {usage?.enabled ? (
+        <div className="mb-4 space-y-1 text-sm opacity-80">
+          <div>
+            Used today: {usage.used} / {usage.dailyLimit} ({usage.remaining} remaining)
+          </div>
+          {usage.hourlyLimit > 0 ? (
+            <div>
+              This hour: {usage.usedThisHour} / {usage.hourlyLimit} ({usage.remainingThisHour} remaining)
+            </div>
+          ) : null}
+          <div>
+            Resets: {formatDateTimeBDT(usage.resetsAt, appSettings, { includeSeconds: false })}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        <label className="flex items-center gap-2 text-sm sm:col-span-2">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(event) => updateField("enabled", event.target.checked)}
+          />
+          Enforce bump budget
+        </label>
+        <label className="text-sm">
+          <span className="mb-1 block opacity-70">Bumps per day</span>
+          <input
+            type="number"
+            min="0"
+            value={form.dailyLimit}
+            onChange={(event) => updateField("dailyLimit", event.target.value)}
+            className={FIELD_CLASS}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="mb-1 block opacity-70">Bumps per hour (0 = no ceiling)</span>
+          <input
+            type="number"
+            min="0"
+            value={form.hourlyLimit}
+            onChange={(event) => updateField("hourlyLimit", event.target.value)}
+            className={FIELD_CLASS}
+          />
+        </label>
+        <label className="text-sm sm:col-span-2">
+          <span className="mb-1 block opacity-70">Fair share</span>
+          <select
+            value={form.fairShare}
+            onChange={(event) => updateField("fairShare", event.target.value)}
+            className={FIELD_CLASS}
+          >
+            <option value="round_robin">Round robin (equal share per running account)</option>
+            <option value="weighted">Weighted by account priority</option>
+          </select>
+        </label>
+      </div>
+
+      {error ? (
+        <p className="mt-4 rounded-md border border-red-700 bg-red-950/70 px-3 py-2 text-xs text-red-200">
+          {error}
+        </p>
+      ) : null}
+
+      <button
+        type="button"
+        onClick={handleSave}
+        disabled={loading || saving}
+        className="mt-4 inline-flex w-full items-center justify-center gap-2 rounded-lg bg-accent px-4 py-2 text-sm font-medium transition hover:scale-105 disabled:opacity-60 sm:w-auto"
+      >
+        {saving ? <LoaderCircle size={14} className="animate-spin" /> : null}
+        Save Budget
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+import { useCallback, useEffect, useState } from "react";
+import { Archive, LoaderCircle, Play, Plus, Save, Trash2 } from "lucide-react";
+import { adminGetLogRetention, adminRunLogRetention, adminUpdateLogRetention } from "../lib/api";
+import { useAccounts } from "../context/AccountsContext";
+
+const LEVELS = ["success", "info", "warning", "error"];
+const FIELD_CLASS =
+  "rounded-lg border border-red-800 bg-red-950 px-3 py-2 text-sm outline-none focus:border-red-500";
+
+function formatBytes(value) {
+  const bytes = Number(value || 0);
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return `${size.toFixed(size >= 100 ? 0 : 1)} ${units[unit]}`;
+}
+
+function toDraft(policy = {}) {
+  return {
+    enabled: Boolean(policy.enabled),
+    archiveBeforeDelete: Boolean(policy.archiveBeforeDelete),
+    levels: Object.fromEntries(LEVELS.map((level) => [level, String(policy.levels?.[level] ?? 0)])),
+    categories: (policy.categories || []).map((category) => ({
+      name: category.name || "",
+      match: category.match || "",
+      days: String(category.days ?? 0)
+    }))
+  };
+}
+
+function toPayload(draft) {
+  return {
+    enabled: draft.enabled,
+    archiveBeforeDelete: draft.archiveBeforeDelete,
+    levels: Object.fromEntries(LEVELS.map((level) => [level, Number(draft.levels[level])])),
+    categories: draft.categories.map((category) => ({
+      name: category.name.trim(),
+      match: category.match.trim(),
+      days: Number(category.days)
+    }))
+  };
+}
+
+function errorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+export default function LogRetentionPanel() {
+  const { showToast } = useAccounts();
+  const [draft, setDraft] = useState(() => toDraft());
+  const [stats, setStats] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+
+  const applyPolicy = useCallback((policy) => {
+    setDraft(toDraft(policy));
+    setLastRun(policy?.lastRunAt ? { at: policy.lastRunAt, ...(policy.lastRunResult || {}) } : null);
+  }, []);
+
+  useEffect(() => {
+    let mounted = true;
+    adminGetLogRetention()
+      .then((payload) => {
+        if (!mounted) return;
+        applyPolicy(payload?.policy);
+        setStats(payload?.stats || null);
+      })
+      .catch((loadError) => {
+        if (mounted) showToast?.(errorMessage(loadError, "Failed to load log retention"), "error");
+      })
+      .finally(() => {
+        if (mounted) setLoading(false);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, [applyPolicy, showToast]);
+
+  const updateLevel = (level, value) =>
+    setDraft((previous) => ({ ...previous, levels: { ...previous.levels, [level]: value } }));
+
+  const updateCategory = (index, field, value) =>
+    setDraft((previous) => ({
+      ...previous,
+      categories: previous.categories.map((category, position) =>
+        position === index ? { ...category, [field]: value } : category
+      )
+    }));
+
+  const handleSave = async () => {
+    setBusy("save");
+    try {
+      applyPolicy(await adminUpdateLogRetention(toPayload(draft)));
+      showToast?.("Log retention policy saved", "success");
+    } catch (saveError) {
+      showToast?.(errorMessage(saveError, "Failed to save policy"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleRun = async () => {
+    setBusy("run");
+    try {
+      const payload = await adminRunLogRetention();
+      const result = payload?.result || {};
+      setStats(payload?.stats || stats);
+      setLastRun({ at: new Date().toISOString(), ...result });
+      showToast?.(
+        `Deleted ${Number(result.deleted || 0)} log record(s)${
+          result.archived ? `, archived to ${result.archiveFile}` : ""
+        }`,
+        "success"
+      );
+    } catch (runError) {
+      showToast?.(errorMessage(runError, "Retention run failed"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-red-800 bg-card p-5">
+      <div className="mb-4 flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold">Log Retention</h2>
+          <p className="mt-1 text-sm text-white/70">
+            {stats
+              ? `${Number(stats.count || 0).toLocaleString()} records, ${formatBytes(stats.sizeBytes)} data, ${formatBytes(
+                  stats.storageBytes
+                )} on disk, ${formatBytes(stats.indexBytes)} indexes`
+              : loading
+                ? "Loading collection size..."
+                : "Collection size unavailable"}
+          </p>
+          {stats ? (
+            <p className="text-xs text-white/50">
+              Oldest record: {stats.oldestAt ? new Date(stats.oldestAt).toLocaleString() : "-"} | Archives:{" "}
+              {stats.archives?.files || 0} file(s), {formatBytes(stats.archives?.bytes)}
+            </p>
+          ) : null}
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleRun}
+            disabled={loading || Boolean(busy)}
+            className="inline-flex items-center justify-center gap-2 rounded-lg border border-cyan-500/40 bg-cyan-900/25 px-4 py-2 text-sm font-semibold text-cyan-100 disabled:opacity-60"
+          >
+            {busy === "run" ? <LoaderCircle size={14} className="animate-spin" /> : <Play size={14} />}
+            Run Now
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={loading || Boolean(busy)}
+            className="inline-flex items-center justify-center gap-2 rounded-lg bg-accent px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+          >
+            {busy === "save" ? <LoaderCircle size={14} className="animate-spin" /> : <Save size={14} />}
+            Save Policy
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-4 flex flex-wrap gap-5 text-sm">
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(event) => setDraft((previous) => ({ ...previous, enabled: event.target.checked }))}
+          />
+          Enforce automatically
+        </label>
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.archiveBeforeDelete}
+            onChange={(event) =>
+              setDraft((previous) => ({ ...previous, archiveBeforeDelete: event.target.checked }))
+            }
+          />
+          <Archive size={14} />
+          Archive to logs/archive (gzip NDJSON) before deleting
+        </label>
+      </div>
+
+      <h3 className="mb-2 text-sm font-semibold text-white/80">Days to keep per level (0 = forever)</h3>
+      <div className="mb-4 grid grid-cols-2 gap-3 md:grid-cols-4">
+        {LEVELS.map((level) => (
+          <label key={level} className="flex flex-col gap-1 text-xs capitalize text-white/70">
+            {level}
+            <input
+              type="number"
+              min="0"
+              value={draft.levels[level]}
+              onChange={(event) => updateLevel(level, event.target.value)}
+              className={FIELD_CLASS}
+            />
+          </label>
+        ))}
+      </div>
+
+      <h3 className="mb-1 text-sm font-semibold text-white/80">Message categories</h3>
+      <p className="mb-2 text-xs text-white/50">
+        A log whose message contains the match text keeps the category's retention instead of its
+        level's. The first matching category wins.
+      </p>
+      <div className="space-y-2">
+        {draft.categories.map((category, index) => (
+          <div key={index} className="grid grid-cols-1 gap-2 md:grid-cols-[1fr_1fr_120px_auto]">
+            <input
+              value={category.name}
+              onChange={(event) => updateCategory(index, "name", event.target.value)}
+              placeholder="Name"
+              className={FIELD_CLASS}
+            />
+            <input
+              value={category.match}
+              onChange={(event) => updateCategory(index, "match", event.target.value)}
+              placeholder="Message contains"
+              className={FIELD_CLASS}
+            />
+            <input
+              type="number"
+              min="0"
+              value={category.days}
+              onChange={(event) => updateCategory(index, "days", event.target.value)}
+              className={FIELD_CLASS}
+            />
+            <button
+              type="button"
+              onClick={() =>
+                setDraft((previous) => ({
+                  ...previous,
+                  categories: previous.categories.filter((_, position) => position !== index)
+                }))
+              }
+              className="inline-flex items-center justify-center rounded-lg border border-red-600/70 px-3 py-2 text-xs"
+              aria-label="Remove category"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() =>
+            setDraft((previous) => ({
+              ...previous,
+              categories: [...previous.categories, { name: "", match: "", days: "7" }]
+            }))
+          }
+          className="inline-flex items-center gap-2 rounded-lg border border-white/30 px-3 py-1.5 text-xs"
+        >
+          <Plus size={14} />
+          Add category
+        </button>
+      </div>
+
+      {lastRun ? (
+        <p className="mt-4 text-xs text-white/50">
+          Last run {new Date(lastRun.at).toLocaleString()}: deleted {Number(lastRun.deleted || 0)}
+          {lastRun.archived ? `, archived ${lastRun.archived} to ${lastRun.archiveFile}` : ""}
+          {lastRun.truncated ? " (archive limit reached, continues next run)" : ""}
+          {lastRun.error ? ` - failed: ${lastRun.error}` : ""}
+        </p>
+      ) : null}
+    </div>
+  );
+}
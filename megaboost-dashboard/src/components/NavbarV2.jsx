@@ -7,7 +7,11 @@ import {
   KeyRound,
   UserCircle,
   FileText,
+  CalendarClock,
+  BarChart3,
+  BellRing,
   Menu,
+  Newspaper,
   X,
   LogOut,
   Shield
@@ -163,6 +167,26 @@ export default function NavbarV2() {
               Activity Logs
             </Link>
 
+            <Link to="/scheduled" className={linkStyle("/scheduled")}>
+              <CalendarClock size={18} />
+              Scheduled
+            </Link>
+
+            <Link to="/analytics" className={linkStyle("/analytics")}>
+              <BarChart3 size={18} />
+              Analytics
+            </Link>
+
+            <Link to="/alerts" className={linkStyle("/alerts")}>
+              <BellRing size={18} />
+              Alerts
+            </Link>
+
+            <Link to="/reports" className={linkStyle("/reports")}>
+              <Newspaper size={18} />
+              Reports
+            </Link>
+
             {isAdmin ? (
               <Link to="/admin" className={linkStyle("/admin")}>
                 <Shield size={18} />
@@ -235,6 +259,26 @@ export default function NavbarV2() {
             Activity Logs
           </Link>
 
+          <Link to="/scheduled" className={linkStyle("/scheduled")} onClick={closeMobileMenu}>
+            <CalendarClock size={18} />
+            Scheduled
+          </Link>
+
+          <Link to="/analytics" className={linkStyle("/analytics")} onClick={closeMobileMenu}>
+            <BarChart3 size={18} />
+            Analytics
+          </Link>
+
+          <Link to="/alerts" className={linkStyle("/alerts")} onClick={closeMobileMenu}>
+            <BellRing size={18} />
+            Alerts
+          </Link>
+
+          <Link to="/reports" className={linkStyle("/reports")} onClick={closeMobileMenu}>
+            <Newspaper size={18} />
+            Reports
+          </Link>
+
           {isAdmin ? (
             <Link to="/admin" className={linkStyle("/admin")} onClick={closeMobileMenu}>
               <Shield size={18} />
@@ -0,0 +1,162 @@
+import { Plus, Trash2 } from "lucide-react";
+import { RUNTIME_WEEKDAYS, createEmptyException } from "../utils/runtimeCalendar";
+
+const FIELD_CLASS = "themeField rounded-lg px-2 py-1 text-sm outline-none transition";
+
+export default function RuntimeCalendarGrid({ value, onChange, hint = "" }) {
+  const updateDay = (day, patch) => {
+    onChange({
+      ...value,
+      days: value.days.map((row) => (row.day === day ? { ...row, ...patch } : row))
+    });
+  };
+
+  const updateException = (index, patch) => {
+    onChange({
+      ...value,
+      exceptions: value.exceptions.map((row, rowIndex) =>
+        rowIndex === index ? { ...row, ...patch } : row
+      )
+    });
+  };
+
+  const addException = () => {
+    onChange({ ...value, exceptions: [...value.exceptions, createEmptyException()] });
+  };
+
+  const removeException = (index) => {
+    onChange({
+      ...value,
+      exceptions: value.exceptions.filter((_, rowIndex) => rowIndex !== index)
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {hint ? <p className="text-xs opacity-60">{hint}</p> : null}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-left text-sm">
+          <thead>
+            <tr className="opacity-70">
+              <th className="px-2 py-2 font-semibold">Day</th>
+              <th className="px-2 py-2 font-semibold">Schedule</th>
+              <th className="px-2 py-2 font-semibold">From</th>
+              <th className="px-2 py-2 font-semibold">To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {value.days.map((row) => {
+              const label = RUNTIME_WEEKDAYS.find((day) => day.key === row.day)?.label || row.day;
+              const custom = row.mode === "custom";
+              return (
+                <tr key={row.day}>
+                  <td className="px-2 py-1">{label}</td>
+                  <td className="px-2 py-1">
+                    <select
+                      value={row.mode}
+                      onChange={(event) => updateDay(row.day, { mode: event.target.value })}
+                      className={FIELD_CLASS}
+                    >
+                      <option value="default">Daily window</option>
+                      <option value="custom">Custom hours</option>
+                      <option value="off">Off</option>
+                    </select>
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="time"
+                      value={row.start}
+                      disabled={!custom}
+                      onChange={(event) => updateDay(row.day, { start: event.target.value })}
+                      className={`${FIELD_CLASS} disabled:opacity-40`}
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="time"
+                      value={row.end}
+                      disabled={!custom}
+                      onChange={(event) => updateDay(row.day, { end: event.target.value })}
+                      className={`${FIELD_CLASS} disabled:opacity-40`}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div className="mb-2 flex items-center justify-between gap-2">
+          <span className="text-sm font-semibold">Date exceptions</span>
+          <button
+            type="button"
+            onClick={addException}
+            className="themeBtnMuted inline-flex items-center gap-1 px-3 py-1 text-xs"
+          >
+            <Plus size={12} />
+            Add date
+          </button>
+        </div>
+
+        {value.exceptions.length === 0 ? (
+          <p className="text-xs opacity-60">No exceptions. Holidays or one-off extended hours go here.</p>
+        ) : (
+          <div className="space-y-2">
+            {value.exceptions.map((row, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <input
+                  type="date"
+                  value={row.date}
+                  onChange={(event) => updateException(index, { date: event.target.value })}
+                  className={FIELD_CLASS}
+                />
+                <select
+                  value={row.mode}
+                  onChange={(event) => updateException(index, { mode: event.target.value })}
+                  className={FIELD_CLASS}
+                >
+                  <option value="off">Off</option>
+                  <option value="custom">Custom hours</option>
+                </select>
+                {row.mode === "custom" ? (
+                  <>
+                    <input
+                      type="time"
+                      value={row.start}
+                      onChange={(event) => updateException(index, { start: event.target.value })}
+                      className={FIELD_CLASS}
+                    />
+                    <span className="opacity-60">-</span>
+                    <input
+                      type="time"
+                      value={row.end}
+                      onChange={(event) => updateException(index, { end: event.target.value })}
+                      className={FIELD_CLASS}
+                    />
+                  </>
+                ) : null}
+                <input
+                  value={row.note}
+                  placeholder="Note"
+                  onChange={(event) => updateException(index, { note: event.target.value })}
+                  className={`${FIELD_CLASS} min-w-[8rem] flex-1`}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeException(index)}
+                  className="rounded border border-red-600/70 p-1"
+                  aria-label="Remove exception"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { Plus, Trash2 } from "lucide-react";
+import { MAX_RUNTIME_WINDOWS, createEmptyWindowRow } from "../utils/runtimeWindows";
+
+const FIELD_CLASS = "themeField rounded-lg px-2 py-1 text-sm outline-none transition";
+
+export default function RuntimeWindowList({ value, onChange, hint = "" }) {
+  const updateRow = (index, patch) => {
+    onChange(value.map((row, rowIndex) => (rowIndex === index ? { ...row, ...patch } : row)));
+  };
+
+  const addRow = () => {
+    onChange([...value, createEmptyWindowRow()]);
+  };
+
+  const removeRow = (index) => {
+    onChange(value.filter((_, rowIndex) => rowIndex !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        {hint ? <p className="text-xs opacity-60">{hint}</p> : <span />}
+        <button
+          type="button"
+          onClick={addRow}
+          disabled={value.length + 1 >= MAX_RUNTIME_WINDOWS}
+          className="themeBtnMuted inline-flex items-center gap-1 px-3 py-1 text-xs disabled:opacity-40"
+        >
+          <Plus size={12} />
+          Add window
+        </button>
+      </div>
+
+      {value.map((row, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="time"
+            value={row.start}
+            onChange={(event) => updateRow(index, { start: event.target.value })}
+            className={FIELD_CLASS}
+          />
+          <span className="opacity-60">-</span>
+          <input
+            type="time"
+            value={row.end}
+            onChange={(event) => updateRow(index, { end: event.target.value })}
+            className={FIELD_CLASS}
+          />
+          <button
+            type="button"
+            onClick={() => removeRow(index)}
+            className="rounded border border-red-600/70 p-1"
+            aria-label="Remove window"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useState } from "react";
+import { LoaderCircle, Save, Trash2 } from "lucide-react";
+import {
+  applyCustomBumpPreset,
+  createCustomBumpPreset,
+  deleteCustomBumpPreset,
+  getCustomBumpPresets,
+  updateCustomBumpPreset
+} from "../lib/api";
+import { formatRuntimeWindowBDT } from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField rounded-lg px-3 py-2 text-sm outline-none transition";
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+// Converts the page's timing patch into the fields a saved preset stores.
+function toPresetValues(patch) {
+  return {
+    baseIntervalMinutes: patch.baseIntervalMinutes,
+    randomMinMinutes: patch.randomMinMinutes,
+    randomMaxMinutes: patch.randomMaxMinutes,
+    runtimeWindows: patch.runtimeWindows,
+    maxDailyRuntimeHours: patch.maxDailyRuntimeHours
+  };
+}
+
+export default function SavedPresetPanel({ accounts, buildTimingPatch, showToast, onApplied }) {
+  const [presets, setPresets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+  const [name, setName] = useState("");
+  const [targetMode, setTargetMode] = useState("accounts");
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [tag, setTag] = useState("");
+
+  const loadPresets = useCallback(async () => {
+    setLoading(true);
+    try {
+      setPresets(await getCustomBumpPresets());
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load saved presets"), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  const readFormValues = () => {
+    const { patch, error } = buildTimingPatch();
+    if (error) {
+      showToast(error, "error");
+      return null;
+    }
+    return toPresetValues(patch);
+  };
+
+  const handleCreate = async () => {
+    if (!name.trim()) {
+      showToast("Preset name is required", "error");
+      return;
+    }
+    const values = readFormValues();
+    if (!values) return;
+
+    setBusy("create");
+    try {
+      await createCustomBumpPreset({ name: name.trim(), ...values });
+      setName("");
+      showToast("Preset saved", "success");
+      await loadPresets();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to save preset"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleUpdate = async (preset) => {
+    const values = readFormValues();
+    if (!values) return;
+    const confirmed = window.confirm(
+      `Replace ${preset.name} with the current timing settings? ${preset.accountCount} account(s) follow it.`
+    );
+    if (!confirmed) return;
+
+    setBusy(`update-${preset._id}`);
+    try {
+      const response = await updateCustomBumpPreset(preset._id, values);
+      showToast(response?.message || "Preset updated", "success");
+      await loadPresets();
+      await onApplied?.();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to update preset"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleDelete = async (preset) => {
+    const confirmed = window.confirm(
+      `Delete ${preset.name}? Accounts keep their current timing.`
+    );
+    if (!confirmed) return;
+
+    setBusy(`delete-${preset._id}`);
+    try {
+      await deleteCustomBumpPreset(preset._id);
+      showToast("Preset deleted", "success");
+      await loadPresets();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to delete preset"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleApply = async (preset) => {
+    const target =
+      targetMode === "tag" ? { tag: tag.trim() } : { accountIds: selectedIds };
+    if (targetMode === "tag" ? !target.tag : selectedIds.length === 0) {
+      showToast(targetMode === "tag" ? "Enter a tag" : "Select at least one account", "error");
+      return;
+    }
+
+    setBusy(`apply-${preset._id}`);
+    try {
+      const response = await applyCustomBumpPreset(preset._id, target);
+      showToast(response?.message || "Preset applied", "success");
+      await loadPresets();
+      await onApplied?.();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to apply preset"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder="New preset name"
+          className={`${FIELD_CLASS} min-w-[12rem] flex-1`}
+        />
+        <button
+          type="button"
+          onClick={handleCreate}
+          disabled={Boolean(busy)}
+          className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+        >
+          {busy === "create" ? <LoaderCircle size={14} className="animate-spin" /> : <Save size={14} />}
+          Save current settings
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-3 text-sm">
+        <select
+          value={targetMode}
+          onChange={(event) => setTargetMode(event.target.value)}
+          className={FIELD_CLASS}
+        >
+          <option value="accounts">Apply to selected accounts</option>
+          <option value="tag">Apply to a tag</option>
+        </select>
+        {targetMode === "tag" ? (
+          <input
+            value={tag}
+            onChange={(event) => setTag(event.target.value)}
+            placeholder="Tag"
+            className={FIELD_CLASS}
+          />
+        ) : (
+          <select
+            multiple
+            value={selectedIds}
+            onChange={(event) =>
+              setSelectedIds(Array.from(event.target.selectedOptions, (option) => option.value))
+            }
+            className={`${FIELD_CLASS} min-w-[16rem]`}
+            size={Math.min(6, Math.max(3, accounts.length))}
+          >
+            {accounts.map((account) => (
+              <option key={account._id} value={account._id}>
+                {account.email}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-xs opacity-60">Loading saved presets...</p>
+      ) : presets.length === 0 ? (
+        <p className="text-xs opacity-60">No saved presets yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          {presets.map((preset) => (
+            <div key={preset._id} className="bg-card themeBorder rounded-xl border p-4">
+              <div className="flex items-start justify-between gap-3">
+                <div className="font-semibold">{preset.name}</div>
+                <div className="text-xs opacity-70">{preset.accountCount} following</div>
+              </div>
+              <div className="text-xs opacity-70 mt-3">
+                Interval {preset.baseIntervalMinutes}m, random {preset.randomMinMinutes}-
+                {preset.randomMaxMinutes}m, {preset.maxDailyRuntimeHours}h/day
+              </div>
+              <div className="text-xs opacity-70 mt-1">
+                Run {(preset.runtimeWindows || []).map((window) => formatRuntimeWindowBDT(window)).join(", ")}
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleApply(preset)}
+                  disabled={Boolean(busy)}
+                  className="themeBtnMuted px-3 py-1 text-xs disabled:opacity-60"
+                >
+                  {busy === `apply-${preset._id}` ? "Applying..." : "Apply"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleUpdate(preset)}
+                  disabled={Boolean(busy)}
+                  className="themeBtnMuted px-3 py-1 text-xs disabled:opacity-60"
+                >
+                  {busy === `update-${preset._id}` ? "Saving..." : "Update from form"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(preset)}
+                  disabled={Boolean(busy)}
+                  className="rounded border border-red-600/70 p-1 disabled:opacity-60"
+                  aria-label="Delete preset"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
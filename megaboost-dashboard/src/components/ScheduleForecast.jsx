@@ -0,0 +1,182 @@
+import { useMemo, useState } from "react";
+import { DateTime } from "luxon";
+import { CalendarClock, LoaderCircle } from "lucide-react";
+import { simulateBumpSchedule } from "../lib/api";
+import { formatDateTimeBDT } from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField rounded-lg px-2 py-1 text-sm outline-none transition";
+const DAY_OPTIONS = [1, 3, 7, 14];
+const MINUTES_PER_DAY = 24 * 60;
+
+function toZoned(value, timezone) {
+  return DateTime.fromISO(value, { zone: "utc" }).setZone(timezone);
+}
+
+function toPercent(dateTime) {
+  return ((dateTime.hour * 60 + dateTime.minute) / MINUTES_PER_DAY) * 100;
+}
+
+// One row per calendar day in the forecast timezone, each holding the
+// markers that fall on it.
+function buildTimelineRows(forecast) {
+  const rows = new Map();
+  const rowFor = (dateTime) => {
+    const key = dateTime.toFormat("yyyy-LL-dd");
+    if (!rows.has(key)) {
+      rows.set(key, { key, label: dateTime.toFormat("ccc dd LLL"), bumps: [], caps: [], closures: [] });
+    }
+    return rows.get(key);
+  };
+
+  forecast.bumps.forEach((bump) => {
+    const at = toZoned(bump.at, forecast.timezone);
+    rowFor(at).bumps.push({ at: bump.at, left: toPercent(at) });
+  });
+  forecast.capHits.forEach((hit) => {
+    const at = toZoned(hit.at, forecast.timezone);
+    rowFor(at).caps.push({ ...hit, left: toPercent(at) });
+  });
+  forecast.windowClosures.forEach((closure) => {
+    const at = toZoned(closure.closedAt, forecast.timezone);
+    rowFor(at).closures.push({ ...closure, left: toPercent(at) });
+  });
+
+  return Array.from(rows.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function describeCap(hit) {
+  if (hit.cap === "max_daily_runtime") return "Daily runtime cap reached";
+  return "Max daily bumps reached";
+}
+
+export default function ScheduleForecast({ buildRequest }) {
+  const [days, setDays] = useState(7);
+  const [seed, setSeed] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [forecast, setForecast] = useState(null);
+
+  const rows = useMemo(() => (forecast ? buildTimelineRows(forecast) : []), [forecast]);
+  const display = { timezone: forecast?.timezone, timezoneLabel: forecast?.timezoneLabel };
+
+  const runForecast = async () => {
+    const request = buildRequest();
+    if (request.error) {
+      setError(request.error);
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+    try {
+      const result = await simulateBumpSchedule({
+        ...request.payload,
+        days,
+        ...(seed.trim() ? { seed: seed.trim() } : {})
+      });
+      setForecast(result);
+      setSeed(result?.seed || "");
+    } catch (requestError) {
+      setError(requestError?.response?.data?.message || requestError.message || "Forecast failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={days}
+          onChange={(event) => setDays(Number(event.target.value))}
+          className={FIELD_CLASS}
+        >
+          {DAY_OPTIONS.map((value) => (
+            <option key={value} value={value}>
+              {value} day{value === 1 ? "" : "s"}
+            </option>
+          ))}
+        </select>
+        <input
+          value={seed}
+          onChange={(event) => setSeed(event.target.value)}
+          placeholder="Seed (optional)"
+          className={`${FIELD_CLASS} w-40`}
+        />
+        <button
+          type="button"
+          onClick={runForecast}
+          disabled={loading}
+          className="themeBtnMuted inline-flex items-center gap-2 px-3 py-1 text-sm disabled:opacity-60"
+        >
+          {loading ? <LoaderCircle size={14} className="animate-spin" /> : <CalendarClock size={14} />}
+          Preview schedule
+        </button>
+      </div>
+
+      {error ? <p className="text-sm text-red-300">{error}</p> : null}
+
+      {forecast ? (
+        <div className="space-y-3">
+          <p className="text-xs opacity-70">
+            {forecast.bumps.length} bumps over {forecast.days} day{forecast.days === 1 ? "" : "s"} |{" "}
+            {forecast.windowClosures.length} window closures | {forecast.capHits.length} cap hits | seed{" "}
+            {forecast.seed}
+            {forecast.truncated ? " | truncated" : ""}
+          </p>
+
+          <div className="space-y-1">
+            {rows.map((row) => (
+              <div key={row.key} className="grid grid-cols-[6.5rem_minmax(0,1fr)_3rem] items-center gap-2 text-xs">
+                <span className="opacity-70">{row.label}</span>
+                <div className="relative h-5 rounded bg-white/5">
+                  {row.bumps.map((bump) => (
+                    <span
+                      key={bump.at}
+                      title={formatDateTimeBDT(bump.at, display)}
+                      className="absolute top-1 h-3 w-0.5 bg-cyan-300"
+                      style={{ left: `${bump.left}%` }}
+                    />
+                  ))}
+                  {row.closures.map((closure) => (
+                    <span
+                      key={`closure-${closure.closedAt}`}
+                      title={`Window closed ${formatDateTimeBDT(closure.closedAt, display)}, reopens ${formatDateTimeBDT(closure.reopensAt, display)}`}
+                      className="absolute top-0 h-5 w-0.5 bg-white/40"
+                      style={{ left: `${closure.left}%` }}
+                    />
+                  ))}
+                  {row.caps.map((hit) => (
+                    <span
+                      key={`${hit.cap}-${hit.at}`}
+                      title={`${describeCap(hit)} at ${formatDateTimeBDT(hit.at, display)}`}
+                      className={`absolute top-0 h-5 w-1 ${hit.enforced ? "bg-red-500" : "bg-yellow-400"}`}
+                      style={{ left: `${hit.left}%` }}
+                    />
+                  ))}
+                </div>
+                <span className="text-right opacity-70">{row.bumps.length}</span>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-xs opacity-60">
+            Blue: bump. Grey: window closes. Red: daily runtime cap. Yellow: max daily bumps.
+            Hover a marker for the exact time.
+          </p>
+
+          {forecast.capHits.length > 0 ? (
+            <ul className="space-y-1 text-xs">
+              {forecast.capHits.map((hit) => (
+                <li key={`${hit.cap}-${hit.at}`}>
+                  {formatDateTimeBDT(hit.at, display)}: {describeCap(hit)}
+                  {hit.resumesAt ? `, resumes ${formatDateTimeBDT(hit.resumesAt, display)}` : ""}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import "./SystemStatusBar.css";
 
 const HEARTBEAT_STALE_MS = 25_000;
 const HEARTBEAT_PRUNE_MS = 5_000;
+const WORKER_STATUS_POLL_MS = 15_000;
 
 function toNumber(value, fallback = 0) {
   const numeric = Number(value);
@@ -18,6 +19,7 @@ export default function SystemStatusBar() {
   const [logStats, setLogStats] = useState({ total: 0, error: 0 });
   const [systemSnapshot, setSystemSnapshot] = useState(null);
   const [heartbeatByAccountId, setHeartbeatByAccountId] = useState({});
+  const [drainingNodes, setDrainingNodes] = useState(null);
 
   useEffect(() => {
     let mounted = true;
@@ -38,7 +40,24 @@ export default function SystemStatusBar() {
       }
     };
 
+    const loadWorkerStatus = async () => {
+      try {
+        const response = await api.get("/api/workers/status");
+        const status = response.data || {};
+        const nodes = Array.isArray(status.nodes) ? status.nodes : [];
+        const draining = nodes.filter((node) => node?.draining).length;
+
+        if (mounted) {
+          setDrainingNodes(status.draining ? Math.max(1, draining) : 0);
+        }
+      } catch (error) {
+        console.error("Failed to load worker status", error);
+      }
+    };
+
     loadStats();
+    loadWorkerStatus();
+    const workerStatusTimer = window.setInterval(loadWorkerStatus, WORKER_STATUS_POLL_MS);
 
     const socket = io(getSocketBaseUrl(), {
       withCredentials: true,
@@ -112,6 +131,7 @@ export default function SystemStatusBar() {
     return () => {
       mounted = false;
       window.clearInterval(pruneTimer);
+      window.clearInterval(workerStatusTimer);
       socket.disconnect();
     };
   }, []);
@@ -154,6 +174,14 @@ export default function SystemStatusBar() {
         {" — "}
         {`Workers Running: ${workersRunning}`}
       </span>
+      {drainingNodes ? (
+        <>
+          <span className="statusDivider">|</span>
+          <span className="statusSegment statusDraining">
+            {drainingNodes > 1 ? `Draining (${drainingNodes} nodes)` : "Draining"}
+          </span>
+        </>
+      ) : null}
       <span className="statusDivider">|</span>
       <span className="statusSegment">Heartbeat: {heartbeatWorkersRunning}</span>
       <span className="statusDivider">|</span>
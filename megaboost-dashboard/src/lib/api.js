@@ -291,6 +291,17 @@ export async function updateAccount(id, payload, options = {}) {
   return res.data?.data || res.data;
 }
 
+// pause: { duration } ("2h", "1h30m") or { until } ("18:00"); {} pauses indefinitely.
+export async function pauseAccount(id, pause = {}, options = {}) {
+  const res = await api.post(`/api/accounts/${id}/pause`, pause, options);
+  return res.data?.data || res.data;
+}
+
+export async function resumeAccount(id, options = {}) {
+  const res = await api.post(`/api/accounts/${id}/resume`, {}, options);
+  return res.data?.data || res.data;
+}
+
 export async function getAccountActivity(id, options = {}) {
   const res = await api.get(`/api/accounts/${id}/activity`, options);
   return res.data?.data || res.data;
@@ -301,6 +312,33 @@ export async function getAccountBumps(id, options = {}) {
   return res.data?.data || res.data;
 }
 
+export async function getAccountEvidence(id, options = {}) {
+  const res = await api.get(`/api/accounts/${id}/evidence`, options);
+  return res.data?.data || res.data;
+}
+
+// Screenshots and HTML snapshots are opened by the browser itself (an <img> or
+// a new tab), so they need a full URL rather than an API call.
+export function getAccountEvidenceFileUrl(id, evidenceId, kind) {
+  return resolveRequestUrl(`/api/accounts/${id}/evidence/${evidenceId}/${kind}`);
+}
+
+// The export is streamed by the backend, so the browser downloads it straight
+// from this URL instead of buffering it through fetch.
+export function getLogExportUrl(params = {}) {
+  return resolveRequestUrl(`/api/logs/export${toQueryString(params)}`);
+}
+
+export async function restartAccounts(target, options = {}) {
+  const res = await api.post("/api/accounts/restart-all", target, options);
+  return res.data;
+}
+
+export async function resetRetryAccounts(target, options = {}) {
+  const res = await api.post("/api/accounts/reset-retry-all", target, options);
+  return res.data;
+}
+
 export async function getBumpPresets(options = {}) {
   const res = await api.get("/api/bump/presets", options);
   return res.data?.data || [];
@@ -311,14 +349,114 @@ export async function applyBumpPreset(
   applyTo = "all",
   options = {}
 ) {
+  // applyTo is "all", "stopped" or a { tag } / { accountIds } target.
+  const target = typeof applyTo === "object" && applyTo ? applyTo : { applyTo };
   const res = await api.post(
     "/api/bump/presets/apply",
-    { preset, applyTo },
+    { preset, ...target },
     options
   );
   return res.data;
 }
 
+export async function getCustomBumpPresets(options = {}) {
+  const res = await api.get("/api/bump/presets/custom", options);
+  return res.data?.data || [];
+}
+
+export async function createCustomBumpPreset(payload, options = {}) {
+  const res = await api.post("/api/bump/presets/custom", payload, options);
+  return res.data?.data || res.data;
+}
+
+export async function updateCustomBumpPreset(id, payload, options = {}) {
+  const res = await api.put(`/api/bump/presets/custom/${id}`, payload, options);
+  return res.data;
+}
+
+export async function deleteCustomBumpPreset(id, options = {}) {
+  const res = await api.delete(`/api/bump/presets/custom/${id}`, options);
+  return res.data;
+}
+
+export async function applyCustomBumpPreset(id, target, options = {}) {
+  const res = await api.post(`/api/bump/presets/custom/${id}/apply`, target, options);
+  return res.data;
+}
+
+export async function simulateBumpSchedule(payload, options = {}) {
+  const res = await api.post("/api/bump/simulate", payload, options);
+  return res.data?.data || res.data;
+}
+
+export async function getScheduledCommands(params = {}, options = {}) {
+  const query = toQueryString(params);
+  const res = await api.get(`/api/scheduled-commands${query}`, options);
+  return res.data?.data || [];
+}
+
+export async function createScheduledCommand(payload, options = {}) {
+  const res = await api.post("/api/scheduled-commands", payload, options);
+  return res.data;
+}
+
+export async function cancelScheduledCommand(id, options = {}) {
+  const res = await api.post(`/api/scheduled-commands/${id}/cancel`, {}, options);
+  return res.data;
+}
+
+export async function getAlertRules(options = {}) {
+  const res = await api.get("/api/alerts/rules", options);
+  return res.data?.data || [];
+}
+
+export async function createAlertRule(payload, options = {}) {
+  const res = await api.post("/api/alerts/rules", payload, options);
+  return res.data;
+}
+
+export async function updateAlertRule(id, payload, options = {}) {
+  const res = await api.put(`/api/alerts/rules/${id}`, payload, options);
+  return res.data;
+}
+
+export async function deleteAlertRule(id, options = {}) {
+  const res = await api.delete(`/api/alerts/rules/${id}`, options);
+  return res.data;
+}
+
+// params: status (firing|resolved), severity, ruleId, limit.
+export async function getAlertEvents(params = {}, options = {}) {
+  const query = toQueryString(params);
+  const res = await api.get(`/api/alerts/events${query}`, options);
+  return res.data?.data || [];
+}
+
+// params: period (daily|weekly), limit.
+export async function getDigestReports(params = {}, options = {}) {
+  const query = toQueryString(params);
+  const res = await api.get(`/api/digests${query}`, options);
+  return res.data?.data || [];
+}
+
+export async function getDigestReport(id, options = {}) {
+  const res = await api.get(`/api/digests/${id}`, options);
+  return res.data?.data || res.data;
+}
+
+export async function runDigestReport(period, options = {}) {
+  const res = await api.post("/api/digests/run", { period }, options);
+  return res.data;
+}
+
+// report is one of summary, bumps-per-day, outcomes, cooldowns, drift,
+// logins, heatmap or accounts; params take from/to or days and accountId.
+export async function getAnalyticsReport(report, params = {}, options = {}) {
+  const query = toQueryString(params);
+  const res = await api.get(`/api/analytics/${report}${query}`, options);
+  return res.data?.data || res.data;
+}
+
 export async function getTelegramSettings(options = {}) {
   const res = await api.get("/api/settings/telegram", options);
   return res.data;
@@ -334,6 +472,11 @@ export async function updateAppSettings(payload, options = {}) {
   return res.data;
 }
 
+export async function getBumpBudgetUsage(options = {}) {
+  const res = await api.get("/api/settings/bump-budget", options);
+  return res.data;
+}
+
 export async function updateTelegramSettings(payload, options = {}) {
   const res = await api.put("/api/settings/telegram", payload, options);
   return res.data;
@@ -381,5 +524,45 @@ export async function adminUpdateUser(id, payload, options = {}) {
   return res.data?.data || res.data;
 }
 
+export async function adminGetLogRetention(options = {}) {
+  const res = await api.get("/api/admin/log-retention", options);
+  return res.data?.data || res.data;
+}
+
+export async function adminUpdateLogRetention(policy, options = {}) {
+  const res = await api.put("/api/admin/log-retention", policy, options);
+  return res.data?.data || res.data;
+}
+
+export async function adminRunLogRetention(options = {}) {
+  const res = await api.post("/api/admin/log-retention/run", {}, options);
+  return res.data?.data || res.data;
+}
+
+export async function adminGetSiteProfile(options = {}) {
+  const res = await api.get("/api/admin/site-profile", options);
+  return res.data?.data || res.data;
+}
+
+export async function adminListSiteProfileVersions(options = {}) {
+  const res = await api.get("/api/admin/site-profile/versions", options);
+  return res.data?.data || res.data;
+}
+
+export async function adminValidateSiteProfile(profile, options = {}) {
+  const res = await api.post("/api/admin/site-profile/validate", { profile }, options);
+  return res.data?.data || res.data;
+}
+
+export async function adminPublishSiteProfile(payload, options = {}) {
+  const res = await api.put("/api/admin/site-profile", payload, options);
+  return res.data?.data || res.data;
+}
+
+export async function adminActivateSiteProfile(version, options = {}) {
+  const res = await api.post(`/api/admin/site-profile/versions/${version}/activate`, {}, options);
+  return res.data?.data || res.data;
+}
+
 export { isRetryableError };
 export default api;
@@ -1,8 +1,26 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
-import { Edit3, LoaderCircle, Play, RotateCcw } from "lucide-react";
+import {
+  Camera,
+  ChevronLeft,
+  ChevronRight,
+  Edit3,
+  ExternalLink,
+  LoaderCircle,
+  Pause,
+  Play,
+  RotateCcw
+} from "lucide-react";
 import { useAccounts } from "../context/AccountsContext";
-import { getAccountActivity, getAccountBumps, getAccountById } from "../lib/api";
+import {
+  getAccountActivity,
+  getAccountBumps,
+  getAccountById,
+  getAccountEvidence,
+  getAccountEvidenceFileUrl,
+  pauseAccount,
+  resumeAccount
+} from "../lib/api";
 import { isRunningLikeStatus, toStatusClass } from "../utils/accountStatus";
 import { formatDateTimeBDT, formatRuntimeWindowBDT } from "../utils/timeDisplay";
 import "./AccountDetails.css";
@@ -22,6 +40,23 @@ function formatProxyAuth(account) {
   return account.proxyUsername ? `${base} (auth configured)` : base;
 }
 
+const ACTIVITY_PAGE_SIZE = 8;
+const BUMP_PAGE_SIZE = 10;
+const ACTIVITY_LEVEL_OPTIONS = ["all", "success", "info", "warning", "error"];
+const BUMP_OUTCOME_OPTIONS = [
+  "all",
+  "success",
+  "cooldown",
+  "retryable_failure",
+  "non_retryable_failure",
+  "blocked"
+];
+
+// Matches the backend's default per-account limit, so one page normally holds
+// everything that is kept.
+const EVIDENCE_PAGE_SIZE = 20;
+const EVIDENCE_REASON_OPTIONS = ["all", "worker_failure", "navigation_timeout", "unknown_page_state"];
+
 function normalizeActivity(payload) {
   if (Array.isArray(payload)) return payload;
   if (Array.isArray(payload?.data)) return payload.data;
@@ -30,6 +65,36 @@ function normalizeActivity(payload) {
   return [];
 }
 
+function normalizePageMeta(payload, itemCount) {
+  const total = toNumber(payload?.total, itemCount);
+  return {
+    page: Math.max(1, toNumber(payload?.page, 1)),
+    pages: Math.max(1, toNumber(payload?.pages, 1)),
+    total
+  };
+}
+
+function formatDurationMs(value) {
+  const ms = toNumber(value, -1);
+  if (ms < 0) return "-";
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function formatDrift(value) {
+  if (value === null || value === undefined) return "unscheduled";
+  const ms = toNumber(value, 0);
+  if (Math.abs(ms) < 1000) return "on time";
+  return ms > 0 ? `${formatDurationMs(ms)} late` : `${formatDurationMs(-ms)} early`;
+}
+
+function formatOutcome(outcome) {
+  return String(outcome || "unknown").replace(/_/g, " ");
+}
+
 function resolveBumpTime(item) {
   return (
     item?.createdAt ||
@@ -43,11 +108,11 @@ function resolveBumpTime(item) {
 
 function normalizeBumps(payload) {
   if (Array.isArray(payload)) {
-    return { total: payload.length, items: payload };
+    return { total: payload.length, items: payload, page: 1, pages: 1 };
   }
 
   if (!payload || typeof payload !== "object") {
-    return { total: 0, items: [] };
+    return { total: 0, items: [], page: 1, pages: 1 };
   }
 
   const items = Array.isArray(payload?.data)
@@ -58,10 +123,93 @@ function normalizeBumps(payload) {
         ? payload.items
         : [];
 
-  const total = toNumber(payload.total ?? payload.totalBumps ?? payload.count, items.length);
-  return { total, items };
+  const total = toNumber(
+    payload.stats?.success ?? payload.total ?? payload.totalBumps ?? payload.count,
+    items.length
+  );
+  return { total, items, ...normalizePageMeta(payload, items.length) };
+}
+
+function PageControls({ page, pages, onChange }) {
+  if (pages <= 1) return null;
+  return (
+    <div className="adp-pager">
+      <button type="button" disabled={page <= 1} onClick={() => onChange(page - 1)}>
+        <ChevronLeft size={14} />
+      </button>
+      <span>
+        {page} / {pages}
+      </span>
+      <button type="button" disabled={page >= pages} onClick={() => onChange(page + 1)}>
+        <ChevronRight size={14} />
+      </button>
+    </div>
+  );
+}
+
+function FailureEvidenceDetail({ accountId, evidence }) {
+  const screenshotUrl = evidence.screenshotFile
+    ? getAccountEvidenceFileUrl(accountId, evidence._id, "screenshot")
+    : "";
+  const consoleErrors = Array.isArray(evidence.consoleErrors) ? evidence.consoleErrors : [];
+
+  return (
+    <div className="adp-evidence-detail">
+      {screenshotUrl ? (
+        <a href={screenshotUrl} target="_blank" rel="noreferrer">
+          <img src={screenshotUrl} alt={`Page at ${formatDateTime(evidence.createdAt)}`} />
+        </a>
+      ) : (
+        <p className="adp-empty">No screenshot was captured.</p>
+      )}
+      <div className="account-details-fields">
+        <div><span>Reason</span><strong>{formatOutcome(evidence.reason)}</strong></div>
+        <div><span>Captured</span><strong>{formatDateTime(evidence.createdAt)}</strong></div>
+        <div><span>Error Type</span><strong>{evidence.errorType || "-"}</strong></div>
+        <div><span>Step</span><strong>{evidence.step || "-"}</strong></div>
+        <div className="adp-full"><span>Message</span><strong>{evidence.message || "-"}</strong></div>
+        <div className="adp-full"><span>URL</span><strong>{evidence.url || "-"}</strong></div>
+        <div className="adp-full"><span>Title</span><strong>{evidence.title || "-"}</strong></div>
+      </div>
+      {evidence.htmlFile && (
+        <a
+          className="adp-evidence-link"
+          href={getAccountEvidenceFileUrl(accountId, evidence._id, "html")}
+          target="_blank"
+          rel="noreferrer"
+        >
+          <ExternalLink size={13} />
+          Open page HTML{evidence.htmlTruncated ? " (truncated)" : ""}
+        </a>
+      )}
+      <h3>Console Errors</h3>
+      {consoleErrors.length === 0 ? (
+        <p className="adp-empty">No console errors before the failure.</p>
+      ) : (
+        <ul className="adp-evidence-console">
+          {consoleErrors.map((entry, index) => (
+            <li key={`${entry.at || "error"}-${index}`}>
+              <span>{entry.source === "pageerror" ? "uncaught" : "console"}</span>
+              {entry.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
+const PAUSE_DURATION_OPTIONS = [
+  { value: "30m", label: "30 minutes" },
+  { value: "1h", label: "1 hour" },
+  { value: "2h", label: "2 hours" },
+  { value: "4h", label: "4 hours" },
+  { value: "8h", label: "8 hours" },
+  { value: "24h", label: "24 hours" },
+  { value: "until", label: "Until a time..." },
+  { value: "", label: "Until resumed" }
+];
+
 function normalizeStatusClass(status) {
   return toStatusClass(status);
 }
@@ -92,10 +240,26 @@ export default function AccountDetails() {
   }, [accountFromContext, id, stateAccount]);
 
   const [accountData, setAccountData] = useState(fallbackAccount);
-  const [activity, setActivity] = useState([]);
-  const [bumpStats, setBumpStats] = useState({ total: toNumber(fallbackAccount?.totalBumpsToday, 0), items: [] });
+  const [activity, setActivity] = useState({ items: [], page: 1, pages: 1, total: 0 });
+  const [activityLevel, setActivityLevel] = useState("all");
+  const [activityPage, setActivityPage] = useState(1);
+  const [bumpStats, setBumpStats] = useState({
+    total: toNumber(fallbackAccount?.totalBumpsToday, 0),
+    items: [],
+    page: 1,
+    pages: 1
+  });
+  const [bumpOutcome, setBumpOutcome] = useState("all");
+  const [bumpPage, setBumpPage] = useState(1);
+  const [evidence, setEvidence] = useState({ items: [], page: 1, pages: 1, total: 0 });
+  const [evidenceReason, setEvidenceReason] = useState("all");
+  const [evidencePage, setEvidencePage] = useState(1);
+  const [selectedEvidenceId, setSelectedEvidenceId] = useState("");
+  const evidenceSectionRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState("");
+  const [pauseDuration, setPauseDuration] = useState("1h");
+  const [pauseUntil, setPauseUntil] = useState("");
 
   useEffect(() => {
     if (!fallbackAccount) return;
@@ -108,30 +272,18 @@ export default function AccountDetails() {
     let active = true;
     setLoading(true);
 
-    Promise.allSettled([
-      getAccountById(id),
-      getAccountActivity(id),
-      getAccountBumps(id)
-    ])
-      .then(([accountResult, activityResult, bumpsResult]) => {
+    getAccountById(id)
+      .then((latest) => {
         if (!active) return;
-
-        if (accountResult.status === "fulfilled" && accountResult.value) {
-          setAccountData((previous) => ({ ...(previous || {}), ...accountResult.value }));
+        if (latest) {
+          setAccountData((previous) => ({ ...(previous || {}), ...latest }));
         } else {
           setAccountData((previous) => previous || { _id: id, email: "Unknown account" });
         }
-
-        if (activityResult.status === "fulfilled") {
-          setActivity(normalizeActivity(activityResult.value));
-        } else {
-          setActivity([]);
-        }
-
-        if (bumpsResult.status === "fulfilled") {
-          setBumpStats(normalizeBumps(bumpsResult.value));
-        } else {
-          setBumpStats({ total: 0, items: [] });
+      })
+      .catch(() => {
+        if (active) {
+          setAccountData((previous) => previous || { _id: id, email: "Unknown account" });
         }
       })
       .finally(() => {
@@ -145,6 +297,95 @@ export default function AccountDetails() {
     };
   }, [id]);
 
+  useEffect(() => {
+    if (!id) return;
+
+    let active = true;
+    getAccountActivity(id, {
+      params: {
+        page: activityPage,
+        limit: ACTIVITY_PAGE_SIZE,
+        level: activityLevel
+      }
+    })
+      .then((payload) => {
+        if (!active) return;
+        const items = normalizeActivity(payload);
+        setActivity({ items, ...normalizePageMeta(payload, items.length) });
+      })
+      .catch(() => {
+        if (active) {
+          setActivity({ items: [], page: 1, pages: 1, total: 0 });
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [activityLevel, activityPage, id]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    let active = true;
+    getAccountBumps(id, {
+      params: {
+        page: bumpPage,
+        limit: BUMP_PAGE_SIZE,
+        outcome: bumpOutcome
+      }
+    })
+      .then((payload) => {
+        if (active) {
+          setBumpStats(normalizeBumps(payload));
+        }
+      })
+      .catch(() => {
+        if (active) {
+          setBumpStats({ total: 0, items: [], page: 1, pages: 1 });
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [bumpOutcome, bumpPage, id]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    let active = true;
+    getAccountEvidence(id, {
+      params: {
+        page: evidencePage,
+        limit: EVIDENCE_PAGE_SIZE,
+        reason: evidenceReason
+      }
+    })
+      .then((payload) => {
+        if (!active) return;
+        const items = normalizeActivity(payload);
+        setEvidence({ items, ...normalizePageMeta(payload, items.length) });
+      })
+      .catch(() => {
+        if (active) {
+          setEvidence({ items: [], page: 1, pages: 1, total: 0 });
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [evidencePage, evidenceReason, id]);
+
+  // Log entries for a failure link to the evidence captured with it.
+  const showEvidence = useCallback((evidenceId) => {
+    setEvidenceReason("all");
+    setEvidencePage(1);
+    setSelectedEvidenceId(String(evidenceId));
+    evidenceSectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, []);
+
   const refreshAccountFromApi = useCallback(async () => {
     if (!id) return;
     try {
@@ -189,16 +430,63 @@ export default function AccountDetails() {
     }
   }, [id, refreshAccountFromApi, restartAccount, showToast]);
 
+  const handlePause = useCallback(async () => {
+    if (!id) return;
+
+    const pause =
+      pauseDuration === "until"
+        ? { until: pauseUntil }
+        : pauseDuration
+          ? { duration: pauseDuration }
+          : {};
+
+    setActionLoading("pause");
+    try {
+      const latest = await pauseAccount(id, pause);
+      if (latest?._id) {
+        setAccountData((previous) => ({ ...(previous || {}), ...latest }));
+      }
+      showToast(
+        latest?.pausedUntil ? `Paused until ${formatDateTime(latest.pausedUntil)}` : "Account paused",
+        "success"
+      );
+    } catch (apiError) {
+      showToast(`Pause failed: ${apiError.response?.data?.message || apiError.message}`, "error");
+    } finally {
+      setActionLoading("");
+    }
+  }, [id, pauseDuration, pauseUntil, showToast]);
+
+  const handleResume = useCallback(async () => {
+    if (!id) return;
+
+    setActionLoading("resume");
+    try {
+      const latest = await resumeAccount(id);
+      if (latest?._id) {
+        setAccountData((previous) => ({ ...(previous || {}), ...latest }));
+      }
+      showToast("Account resumed", "success");
+    } catch (apiError) {
+      showToast(`Resume failed: ${apiError.response?.data?.message || apiError.message}`, "error");
+    } finally {
+      setActionLoading("");
+    }
+  }, [id, showToast]);
+
   const resolved = accountData || fallbackAccount || { _id: id };
   const email = resolved?.email || "Unknown account";
   const statusClass = normalizeStatusClass(resolved?.status);
   const busy = Boolean(isAccountPending(id)) || actionLoading !== "";
-  const latestActivity = activity.slice(0, 8);
-  const bumpItems = bumpStats.items || [];
-  const latestBumps = bumpItems.slice(0, 10);
+  const latestActivity = activity.items.slice(0, ACTIVITY_PAGE_SIZE);
+  const latestBumps = (bumpStats.items || []).slice(0, BUMP_PAGE_SIZE);
+  const selectedEvidence = selectedEvidenceId
+    ? evidence.items.find((item) => item._id === selectedEvidenceId) || null
+    : null;
   const randomMin = toNumber(resolved?.randomMin, 0);
   const randomMax = toNumber(resolved?.randomMax, 10);
   const isRunning = isRunningLikeStatus(resolved?.status);
+  const isPaused = resolved?.status === "paused";
   const statusChangedAt = resolved?.statusChangedAt || resolved?.statusChanged || resolved?.updatedAt;
 
   return (
@@ -268,7 +556,22 @@ export default function AccountDetails() {
           </section>
 
           <section className="account-details-card">
-            <h2>Recent Activity</h2>
+            <div className="adp-card-head">
+              <h2>Recent Activity</h2>
+              <select
+                value={activityLevel}
+                onChange={(event) => {
+                  setActivityLevel(event.target.value);
+                  setActivityPage(1);
+                }}
+              >
+                {ACTIVITY_LEVEL_OPTIONS.map((level) => (
+                  <option key={level} value={level}>
+                    {level === "all" ? "All levels" : level}
+                  </option>
+                ))}
+              </select>
+            </div>
             {latestActivity.length === 0 ? (
               <p className="adp-empty">No recent activity</p>
             ) : (
@@ -279,15 +582,41 @@ export default function AccountDetails() {
                     <li key={key}>
                       <div>{item?.message || "Activity event"}</div>
                       <time>{formatDateTime(item?.createdAt || item?.timestamp, "-")}</time>
+                      {item?.metadata?.evidenceId && (
+                        <button
+                          type="button"
+                          className="adp-evidence-link"
+                          onClick={() => showEvidence(item.metadata.evidenceId)}
+                        >
+                          <Camera size={13} />
+                          View failure evidence
+                        </button>
+                      )}
                     </li>
                   );
                 })}
               </ul>
             )}
+            <PageControls page={activity.page} pages={activity.pages} onChange={setActivityPage} />
           </section>
 
           <section className="account-details-card">
-            <h2>Bump History</h2>
+            <div className="adp-card-head">
+              <h2>Bump History</h2>
+              <select
+                value={bumpOutcome}
+                onChange={(event) => {
+                  setBumpOutcome(event.target.value);
+                  setBumpPage(1);
+                }}
+              >
+                {BUMP_OUTCOME_OPTIONS.map((outcome) => (
+                  <option key={outcome} value={outcome}>
+                    {outcome === "all" ? "All outcomes" : formatOutcome(outcome)}
+                  </option>
+                ))}
+              </select>
+            </div>
             <p className="adp-total">Total Bumps: {toNumber(bumpStats.total, 0)}</p>
             {latestBumps.length === 0 ? (
               <p className="adp-empty">No bumps yet</p>
@@ -297,13 +626,81 @@ export default function AccountDetails() {
                   const key = item?._id || `${resolveBumpTime(item) || "bump"}-${index}`;
                   return (
                     <li key={key}>
-                      <div>{item?.message || "Bump completed"}</div>
-                      <time>{formatDateTime(resolveBumpTime(item), "-")}</time>
+                      <div>
+                        <span className={`adp-outcome adp-outcome-${item?.outcome || "unknown"}`}>
+                          {formatOutcome(item?.outcome)}
+                        </span>
+                        {item?.message || "Bump completed"}
+                      </div>
+                      <div className="adp-bump-meta">
+                        <span>Scheduled {formatDateTime(item?.scheduledAt, "-")}</span>
+                        <span>{formatDrift(item?.driftMs)}</span>
+                        <span>Took {formatDurationMs(item?.durationMs)}</span>
+                        {item?.cooldownDetected && (
+                          <span>Cooldown {formatDurationMs(item?.cooldownMs)}</span>
+                        )}
+                        {item?.postId && <span>Post {item.postId}</span>}
+                      </div>
+                      <time>{formatDateTime(item?.startedAt || resolveBumpTime(item), "-")}</time>
                     </li>
                   );
                 })}
               </ul>
             )}
+            <PageControls page={bumpStats.page} pages={bumpStats.pages} onChange={setBumpPage} />
+          </section>
+
+          <section className="account-details-card" ref={evidenceSectionRef}>
+            <div className="adp-card-head">
+              <h2>Failure Evidence</h2>
+              <select
+                value={evidenceReason}
+                onChange={(event) => {
+                  setEvidenceReason(event.target.value);
+                  setEvidencePage(1);
+                }}
+              >
+                {EVIDENCE_REASON_OPTIONS.map((reason) => (
+                  <option key={reason} value={reason}>
+                    {reason === "all" ? "All reasons" : formatOutcome(reason)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {evidence.items.length === 0 ? (
+              <p className="adp-empty">No failures captured</p>
+            ) : (
+              <div className="adp-evidence-grid">
+                {evidence.items.map((item) => (
+                  <button
+                    key={item._id}
+                    type="button"
+                    className={`adp-evidence-tile${item._id === selectedEvidenceId ? " adp-evidence-selected" : ""}`}
+                    onClick={() => setSelectedEvidenceId(item._id === selectedEvidenceId ? "" : item._id)}
+                  >
+                    {item.screenshotFile ? (
+                      <img
+                        src={getAccountEvidenceFileUrl(id, item._id, "screenshot")}
+                        alt=""
+                        loading="lazy"
+                      />
+                    ) : (
+                      <span className="adp-evidence-missing">
+                        <Camera size={18} />
+                      </span>
+                    )}
+                    <span className="adp-outcome adp-outcome-blocked">{formatOutcome(item.reason)}</span>
+                    <time>{formatDateTime(item.createdAt)}</time>
+                  </button>
+                ))}
+              </div>
+            )}
+            <PageControls page={evidence.page} pages={evidence.pages} onChange={setEvidencePage} />
+            {selectedEvidence ? (
+              <FailureEvidenceDetail accountId={id} evidence={selectedEvidence} />
+            ) : selectedEvidenceId && evidence.items.length > 0 ? (
+              <p className="adp-empty">That capture has been removed by the retention limits.</p>
+            ) : null}
           </section>
         </div>
 
@@ -342,6 +739,63 @@ export default function AccountDetails() {
             </div>
           </section>
 
+          <section className="account-details-card">
+            <h2>Pause</h2>
+            {isPaused ? (
+              <p className="adp-total">
+                {resolved?.pausedUntil
+                  ? `Paused until ${formatDateTime(resolved.pausedUntil)}`
+                  : "Paused until resumed"}
+              </p>
+            ) : null}
+            <div className="adp-action-grid">
+              <select
+                className="adp-pause-field"
+                value={pauseDuration}
+                disabled={busy}
+                onChange={(event) => setPauseDuration(event.target.value)}
+              >
+                {PAUSE_DURATION_OPTIONS.map((option) => (
+                  <option key={option.value || "manual"} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+
+              {pauseDuration === "until" && (
+                <input
+                  type="time"
+                  className="adp-pause-field"
+                  value={pauseUntil}
+                  disabled={busy}
+                  onChange={(event) => setPauseUntil(event.target.value)}
+                />
+              )}
+
+              <button
+                type="button"
+                className="adp-action-btn"
+                disabled={
+                  busy || (!isRunning && !isPaused) || (pauseDuration === "until" && !pauseUntil)
+                }
+                onClick={handlePause}
+              >
+                {actionLoading === "pause" ? <LoaderCircle size={15} className="animate-spin" /> : <Pause size={15} />}
+                {isPaused ? "Change Pause" : "Pause Account"}
+              </button>
+
+              <button
+                type="button"
+                className="adp-action-btn"
+                disabled={busy || !isPaused}
+                onClick={handleResume}
+              >
+                {actionLoading === "resume" ? <LoaderCircle size={15} className="animate-spin" /> : <Play size={15} />}
+                Resume Now
+              </button>
+            </div>
+          </section>
+
           <section className="account-details-card">
             <h2>Runtime Config</h2>
             <div className="account-details-fields">
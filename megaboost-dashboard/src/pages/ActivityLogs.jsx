@@ -1,9 +1,11 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
-import api from "../lib/api";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Download, Link2, X } from "lucide-react";
+import api, { getLogExportUrl } from "../lib/api";
 import { formatDateTimeBDT } from "../utils/timeDisplay";
 
 const PAGE_LIMIT = 50;
+const EMPTY_FILTERS = { level: "all", q: "", from: "", to: "", operationId: "" };
 const EMPTY_STATS = {
   total: 0,
   success: 0,
@@ -30,6 +32,31 @@ function normalizeStats(value) {
   };
 }
 
+// Date inputs are whole local days; "to" covers the entire day it names.
+function toRangeBoundary(day, endOfDay) {
+  if (!day) return "";
+  const date = new Date(`${day}T${endOfDay ? "23:59:59.999" : "00:00:00"}`);
+  return Number.isNaN(date.valueOf()) ? "" : date.toISOString();
+}
+
+function buildFilterParams(filters) {
+  return {
+    level: filters.level || "all",
+    q: filters.q || "",
+    from: toRangeBoundary(filters.from, false),
+    to: toRangeBoundary(filters.to, true),
+    operationId: filters.operationId || ""
+  };
+}
+
+function sameFilters(left, right) {
+  return Object.keys(EMPTY_FILTERS).every((key) => left[key] === right[key]);
+}
+
+function shortOperationId(operationId) {
+  return String(operationId || "").slice(0, 8);
+}
+
 function formatDateTime(value) {
   return formatDateTimeBDT(value);
 }
@@ -102,6 +129,11 @@ function resolveDisplayKey(log) {
 
 export default function ActivityLogs() {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const initialFiltersRef = useRef(null);
+  if (!initialFiltersRef.current) {
+    initialFiltersRef.current = { ...EMPTY_FILTERS, operationId: searchParams.get("operation") || "" };
+  }
 
   const [items, setItems] = useState([]);
   const [total, setTotal] = useState(0);
@@ -111,7 +143,9 @@ export default function ActivityLogs() {
 
   const [level, setLevel] = useState("all");
   const [searchInput, setSearchInput] = useState("");
-  const [appliedFilters, setAppliedFilters] = useState({ level: "all", q: "" });
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [appliedFilters, setAppliedFilters] = useState(initialFiltersRef.current);
 
   const [stats, setStats] = useState(EMPTY_STATS);
   const [loading, setLoading] = useState(false);
@@ -129,7 +163,7 @@ export default function ActivityLogs() {
   const autoRefreshRef = useRef(false);
   const pausedRef = useRef(false);
   const pageRef = useRef(1);
-  const filtersRef = useRef({ level: "all", q: "" });
+  const filtersRef = useRef(initialFiltersRef.current);
   const lastScrollTimeRef = useRef(0);
 
   const scrollPausedRef = useRef(false);
@@ -196,14 +230,12 @@ export default function ActivityLogs() {
     setError("");
 
     try {
-      const safeLevel = filters.level || "all";
-      const safeQuery = filters.q || "";
-      const response = await api.get(
-        `/api/logs?page=${targetPage}&limit=${PAGE_LIMIT}&level=${encodeURIComponent(
-          safeLevel
-        )}&q=${encodeURIComponent(safeQuery)}`,
-        { cache: "no-store" }
-      );
+      const query = new URLSearchParams({
+        page: String(targetPage),
+        limit: String(PAGE_LIMIT),
+        ...buildFilterParams(filters)
+      });
+      const response = await api.get(`/api/logs?${query.toString()}`, { cache: "no-store" });
 
       const rawPayload = response?.data;
       const payload =
@@ -368,14 +400,13 @@ export default function ActivityLogs() {
   const applyFilters = () => {
     const nextFilters = {
       level,
-      q: searchInput.trim()
+      q: searchInput.trim(),
+      from: fromDate,
+      to: toDate,
+      operationId: appliedFilters.operationId
     };
 
-    const sameFilters =
-      nextFilters.level === appliedFilters.level &&
-      nextFilters.q === appliedFilters.q;
-
-    if (sameFilters && page === 1) {
+    if (sameFilters(nextFilters, appliedFilters) && page === 1) {
       fetchLogs({ targetPage: 1, filters: nextFilters });
       return;
     }
@@ -385,14 +416,15 @@ export default function ActivityLogs() {
   };
 
   const clearFilters = () => {
-    const cleared = { level: "all", q: "" };
+    const cleared = EMPTY_FILTERS;
 
     setSearchInput("");
     setLevel("all");
+    setFromDate("");
+    setToDate("");
+    setSearchParams({}, { replace: true });
 
-    const sameFilters = appliedFilters.level === "all" && appliedFilters.q === "";
-
-    if (sameFilters && page === 1) {
+    if (sameFilters(appliedFilters, cleared) && page === 1) {
       fetchLogs({ targetPage: 1, filters: cleared });
       return;
     }
@@ -401,6 +433,30 @@ export default function ActivityLogs() {
     setAppliedFilters(cleared);
   };
 
+  // Shows everything one operator action produced, across API, worker and
+  // recovery logs, regardless of the other filters.
+  const focusOperation = (operationId) => {
+    setSearchInput("");
+    setLevel("all");
+    setFromDate("");
+    setToDate("");
+    setSearchParams(operationId ? { operation: operationId } : {}, { replace: true });
+    setPage(1);
+    setAppliedFilters({ ...EMPTY_FILTERS, operationId: operationId || "" });
+  };
+
+  // Exports what the list is showing, so unapplied edits in the filter bar
+  // are not included.
+  const exportLogs = (format) => {
+    const link = document.createElement("a");
+    link.href = getLogExportUrl({ format, ...buildFilterParams(appliedFilters) });
+    link.download = "";
+    link.rel = "noopener";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
   const goToPage = (nextPage) => {
     if (nextPage < 1 || nextPage > totalPages || nextPage === page) {
       return;
@@ -465,6 +521,24 @@ export default function ActivityLogs() {
             <option value="info">Info</option>
           </select>
 
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(event) => setFromDate(event.target.value)}
+            aria-label="From date"
+            className="w-full lg:w-auto rounded-lg themeField px-3 py-2 text-sm outline-none"
+          />
+
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(event) => setToDate(event.target.value)}
+            aria-label="To date"
+            className="w-full lg:w-auto rounded-lg themeField px-3 py-2 text-sm outline-none"
+          />
+
           <button
             type="button"
             onClick={applyFilters}
@@ -481,6 +555,22 @@ export default function ActivityLogs() {
           Clear
         </button>
 
+        <div className="flex w-full gap-2 lg:w-auto">
+          {["csv", "ndjson"].map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => exportLogs(format)}
+              disabled={total === 0}
+              title={`Export the filtered logs as ${format.toUpperCase()}`}
+              className="inline-flex flex-1 items-center justify-center gap-2 rounded-lg border themeBorder px-4 py-2 text-sm font-medium hover:bg-[#161b22] disabled:cursor-not-allowed disabled:opacity-40 lg:flex-none"
+            >
+              <Download size={14} />
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+
         <label className="ml-0 flex items-center gap-2 text-sm lg:ml-auto">
           <input
             type="checkbox"
@@ -493,6 +583,23 @@ export default function ActivityLogs() {
         </label>
       </div>
 
+        {appliedFilters.operationId && (
+          <div className="mt-3 inline-flex items-center gap-2 rounded-full border themeBorder px-3 py-1 text-xs">
+            <Link2 size={12} />
+            <span>
+              Operation <span className="font-mono">{appliedFilters.operationId}</span>
+            </span>
+            <button
+              type="button"
+              onClick={() => focusOperation("")}
+              className="opacity-70 hover:opacity-100"
+              aria-label="Clear operation filter"
+            >
+              <X size={12} />
+            </button>
+          </div>
+        )}
+
         {autoRefresh && (
           <p className="mt-2 text-xs opacity-70">
             {autoPaused ? "Paused while scrolling" : "Refreshing every 5s"}
@@ -533,6 +640,18 @@ export default function ActivityLogs() {
                     {displayKey && (
                       <p className="mt-1 text-xs opacity-70 break-words">{displayKey}</p>
                     )}
+
+                    {log.metadata?.operationId && (
+                      <button
+                        type="button"
+                        onClick={() => focusOperation(log.metadata.operationId)}
+                        title="Show everything from this operation"
+                        className="mt-1 inline-flex items-center gap-1 text-xs opacity-60 hover:opacity-100"
+                      >
+                        <Link2 size={11} />
+                        <span className="font-mono">op {shortOperationId(log.metadata.operationId)}</span>
+                      </button>
+                    )}
                   </div>
 
                   <span
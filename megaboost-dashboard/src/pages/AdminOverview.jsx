@@ -1,8 +1,9 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { KeyRound, Users, AlertTriangle, ShieldCheck } from "lucide-react";
+import { KeyRound, Users, AlertTriangle, ShieldCheck, ScrollText } from "lucide-react";
 import { adminGetOverview } from "../lib/api";
 import { useAccounts } from "../context/AccountsContext";
+import LogRetentionPanel from "../components/LogRetentionPanel";
 
 function OverviewCard({ title, value, icon }) {
   return (
@@ -25,7 +26,8 @@ export default function AdminOverview() {
     totalUsers: 0,
     totalLicenses: 0,
     activeLicenses: 0,
-    expiringSoon: 0
+    expiringSoon: 0,
+    logRecords: 0
   });
 
   useEffect(() => {
@@ -41,7 +43,8 @@ export default function AdminOverview() {
           totalUsers: Number(payload?.totalUsers || 0),
           totalLicenses: Number(payload?.totalLicenses || 0),
           activeLicenses: Number(payload?.activeLicenses || 0),
-          expiringSoon: Number(payload?.expiringSoon || 0)
+          expiringSoon: Number(payload?.expiringSoon || 0),
+          logRecords: Number(payload?.logs?.count || 0)
         });
       } catch (loadError) {
         if (!mounted) return;
@@ -71,11 +74,12 @@ export default function AdminOverview() {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-5">
         <OverviewCard title="Total Users" value={loading ? "-" : overview.totalUsers} icon={<Users size={18} className="text-cyan-300" />} />
         <OverviewCard title="Total Licenses" value={loading ? "-" : overview.totalLicenses} icon={<KeyRound size={18} className="text-yellow-300" />} />
         <OverviewCard title="Active Licenses" value={loading ? "-" : overview.activeLicenses} icon={<ShieldCheck size={18} className="text-green-300" />} />
         <OverviewCard title="Expiring in 7 Days" value={loading ? "-" : overview.expiringSoon} icon={<AlertTriangle size={18} className="text-red-300" />} />
+        <OverviewCard title="Log Records" value={loading ? "-" : overview.logRecords.toLocaleString()} icon={<ScrollText size={18} className="text-white/70" />} />
       </div>
 
       {error ? (
@@ -101,8 +105,17 @@ export default function AdminOverview() {
           >
             Create User
           </button>
+          <button
+            type="button"
+            onClick={() => navigate("/admin/site-profile")}
+            className="rounded-lg border border-white/30 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10"
+          >
+            Site Profile
+          </button>
         </div>
       </div>
+
+      <LogRetentionPanel />
     </div>
   );
 }
@@ -0,0 +1,259 @@
+import { useCallback, useEffect, useState } from "react";
+import { CheckCircle2, LoaderCircle, RefreshCw, Upload } from "lucide-react";
+import {
+  adminActivateSiteProfile,
+  adminGetSiteProfile,
+  adminListSiteProfileVersions,
+  adminPublishSiteProfile,
+  adminValidateSiteProfile
+} from "../lib/api";
+import { useAccounts } from "../context/AccountsContext";
+
+function toEditorValue(profile) {
+  return JSON.stringify(profile || {}, null, 2);
+}
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+export default function AdminSiteProfile() {
+  const { showToast } = useAccounts();
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [meta, setMeta] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [note, setNote] = useState("");
+  const [issues, setIssues] = useState([]);
+
+  const loadProfile = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const [active, history] = await Promise.all([
+        adminGetSiteProfile(),
+        adminListSiteProfileVersions()
+      ]);
+      setMeta(active?.meta || null);
+      setDraft(toEditorValue(active?.profile));
+      setVersions(Array.isArray(history) ? history : []);
+      setIssues([]);
+    } catch (loadError) {
+      const message = readErrorMessage(loadError, "Failed to load site profile");
+      setError(message);
+      showToast?.(message, "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadProfile();
+  }, [loadProfile]);
+
+  const parseDraft = () => {
+    try {
+      return JSON.parse(draft);
+    } catch (parseError) {
+      setIssues([`Invalid JSON: ${parseError.message}`]);
+      return null;
+    }
+  };
+
+  const handleValidate = async () => {
+    const profile = parseDraft();
+    if (!profile) return;
+
+    setBusy("validate");
+    try {
+      const result = await adminValidateSiteProfile(profile);
+      setIssues(Array.isArray(result?.errors) ? result.errors : []);
+      if (result?.valid) {
+        showToast?.("Site profile is valid", "success");
+      }
+    } catch (validateError) {
+      showToast?.(readErrorMessage(validateError, "Validation failed"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handlePublish = async () => {
+    const profile = parseDraft();
+    if (!profile) return;
+
+    setBusy("publish");
+    try {
+      const created = await adminPublishSiteProfile({ profile, note });
+      showToast?.(`Site profile v${created?.version} is live`, "success");
+      setNote("");
+      await loadProfile();
+    } catch (publishError) {
+      const details = publishError?.response?.data?.errors;
+      if (Array.isArray(details)) {
+        setIssues(details);
+      }
+      showToast?.(readErrorMessage(publishError, "Publish failed"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleActivate = async (version) => {
+    setBusy(`activate-${version}`);
+    try {
+      await adminActivateSiteProfile(version);
+      showToast?.(`Site profile v${version} activated`, "success");
+      await loadProfile();
+    } catch (activateError) {
+      showToast?.(readErrorMessage(activateError, "Activation failed"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-white sm:text-3xl">Site Profile</h1>
+          <p className="mt-1 text-sm text-white/70">
+            Selectors, URLs and text matchers used by the worker. Published versions reach running
+            workers without a restart.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={loadProfile}
+          className="inline-flex items-center gap-2 rounded-lg border border-red-700 px-3 py-2 text-sm text-white/90"
+        >
+          <RefreshCw size={14} />
+          Refresh
+        </button>
+      </div>
+
+      {error ? (
+        <div className="rounded-lg border border-red-700 bg-red-950/70 px-4 py-3 text-sm text-red-200">
+          {error}
+        </div>
+      ) : null}
+
+      <div className="rounded-xl border border-red-800 bg-card p-4">
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2 text-sm text-white/70">
+          <span>
+            {meta
+              ? `Loaded: ${meta.source} v${meta.version} at ${new Date(meta.loadedAt).toLocaleString()}`
+              : "Loaded: -"}
+          </span>
+        </div>
+
+        <textarea
+          value={loading ? "" : draft}
+          onChange={(event) => setDraft(event.target.value)}
+          rows={24}
+          spellCheck={false}
+          disabled={loading}
+          className="w-full rounded-lg border border-red-800 bg-red-950 px-3 py-2 font-mono text-xs outline-none focus:border-red-500"
+        />
+
+        {issues.length > 0 ? (
+          <ul className="mt-3 space-y-1 rounded-lg border border-yellow-500/40 bg-yellow-900/20 px-3 py-2 text-sm text-yellow-100">
+            {issues.map((issue) => (
+              <li key={issue}>{issue}</li>
+            ))}
+          </ul>
+        ) : null}
+
+        <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-[1fr_auto_auto]">
+          <input
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            placeholder="Change note (optional)"
+            className="rounded-lg border border-red-800 bg-red-950 px-3 py-2 text-sm outline-none focus:border-red-500"
+          />
+          <button
+            type="button"
+            onClick={handleValidate}
+            disabled={loading || Boolean(busy)}
+            className="inline-flex items-center justify-center gap-2 rounded-lg border border-cyan-500/40 bg-cyan-900/25 px-4 py-2 text-sm font-semibold text-cyan-100 disabled:opacity-60"
+          >
+            {busy === "validate" ? <LoaderCircle size={14} className="animate-spin" /> : <CheckCircle2 size={14} />}
+            Validate
+          </button>
+          <button
+            type="button"
+            onClick={handlePublish}
+            disabled={loading || Boolean(busy)}
+            className="inline-flex items-center justify-center gap-2 rounded-lg bg-accent px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+          >
+            {busy === "publish" ? <LoaderCircle size={14} className="animate-spin" /> : <Upload size={14} />}
+            Publish
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-xl border border-red-800 bg-card p-4">
+        <h2 className="mb-3 text-lg font-semibold">Versions</h2>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-left text-sm">
+            <thead>
+              <tr className="border-b border-red-900/70 text-white/75">
+                <th className="px-2 py-2 font-semibold">Version</th>
+                <th className="px-2 py-2 font-semibold">Note</th>
+                <th className="px-2 py-2 font-semibold">Author</th>
+                <th className="px-2 py-2 font-semibold">Created</th>
+                <th className="px-2 py-2 font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && versions.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="px-2 py-6 text-center text-white/65">
+                    No stored versions. Workers use the built-in profile.
+                  </td>
+                </tr>
+              ) : null}
+
+              {versions.map((entry) => (
+                <tr key={entry._id} className="border-b border-red-900/40">
+                  <td className="px-2 py-3 font-mono text-xs">
+                    v{entry.version}
+                    {entry.active ? (
+                      <span className="ml-2 rounded-full border border-green-500/40 bg-green-900/25 px-2 py-1 text-xs font-semibold text-green-200">
+                        active
+                      </span>
+                    ) : null}
+                  </td>
+                  <td className="px-2 py-3">{entry.note || "-"}</td>
+                  <td className="px-2 py-3">{entry.createdBy?.username || entry.createdBy?.email || "-"}</td>
+                  <td className="px-2 py-3">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-2 py-3">
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setDraft(toEditorValue(entry.profile))}
+                        className="rounded border border-white/30 px-2 py-1 text-xs"
+                      >
+                        Load
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleActivate(entry.version)}
+                        disabled={entry.active || Boolean(busy)}
+                        className="rounded border border-red-600/70 px-2 py-1 text-xs disabled:opacity-50"
+                      >
+                        {busy === `activate-${entry.version}` ? "Activating..." : "Activate"}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,529 @@
+import { useCallback, useEffect, useState } from "react";
+import { BellRing, LoaderCircle, RefreshCw, Trash2 } from "lucide-react";
+import { useAccounts } from "../context/AccountsContext";
+import {
+  createAlertRule,
+  deleteAlertRule,
+  getAlertEvents,
+  getAlertRules,
+  getAppSettings,
+  updateAlertRule
+} from "../lib/api";
+import { DEFAULT_TIMEZONE, formatDateTimeBDT } from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField rounded-lg px-3 py-2 text-sm outline-none transition";
+
+const CONDITION_OPTIONS = [
+  { value: "account_crashes", label: "Account crashes repeatedly" },
+  { value: "no_successful_bump", label: "No successful bump" },
+  { value: "accounts_in_status", label: "Too many accounts in a status" },
+  { value: "queue_backlog", label: "Start queue backlog" }
+];
+
+const WATCHABLE_STATUSES = [
+  "login_failed",
+  "verification_failed",
+  "2fa_failed",
+  "awaiting_verification_code",
+  "awaiting_2fa",
+  "awaiting_captcha",
+  "proxy_failed",
+  "retry_scheduled",
+  "stalled",
+  "crashed",
+  "error",
+  "blocked",
+  "banned"
+];
+
+const SEVERITY_STYLES = {
+  info: "border-blue-500/50 bg-blue-900/30 text-blue-300",
+  warning: "border-amber-500/50 bg-amber-900/30 text-amber-300",
+  critical: "border-red-500/50 bg-red-900/30 text-red-300"
+};
+
+const STATUS_STYLES = {
+  firing: "border-red-500/50 bg-red-900/30 text-red-300",
+  resolved: "border-green-500/50 bg-green-900/30 text-green-300"
+};
+
+const EMPTY_FORM = {
+  name: "",
+  type: "account_crashes",
+  threshold: "3",
+  windowMinutes: "60",
+  hours: "6",
+  status: "login_failed",
+  severity: "warning",
+  forMinutes: "0",
+  cooldownMinutes: "60",
+  telegram: true,
+  webhookUrl: ""
+};
+
+// Parameter defaults follow the backend so switching type starts from sane values.
+const CONDITION_DEFAULTS = {
+  account_crashes: { threshold: "3", windowMinutes: "60", forMinutes: "0" },
+  no_successful_bump: { hours: "6", forMinutes: "0" },
+  accounts_in_status: { status: "login_failed", threshold: "0", forMinutes: "0" },
+  queue_backlog: { threshold: "20", forMinutes: "10" }
+};
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+function buildCondition(form) {
+  if (form.type === "account_crashes") {
+    return { type: form.type, threshold: Number(form.threshold), windowMinutes: Number(form.windowMinutes) };
+  }
+  if (form.type === "no_successful_bump") {
+    return { type: form.type, hours: Number(form.hours) };
+  }
+  if (form.type === "accounts_in_status") {
+    return { type: form.type, status: form.status, threshold: Number(form.threshold) };
+  }
+  return { type: form.type, threshold: Number(form.threshold) };
+}
+
+function describeChannels(channels = {}) {
+  const names = [];
+  if (channels.telegram) names.push("Telegram");
+  if (channels.webhookUrl) names.push("Webhook");
+  return names.length > 0 ? names.join(", ") : "History only";
+}
+
+function describeNotified(event) {
+  if (event.suppressed) return "Suppressed (cooldown)";
+  const sent = (event.notifications || []).filter((item) => item.ok).length;
+  const failed = (event.notifications || []).length - sent;
+  if (sent === 0 && failed === 0) return "-";
+  return failed > 0 ? `${sent} sent, ${failed} failed` : `${sent} sent`;
+}
+
+export default function Alerts() {
+  const { showToast } = useAccounts();
+
+  const [rules, setRules] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [severityFilter, setSeverityFilter] = useState("");
+  const [timingSettings, setTimingSettings] = useState({ timezone: DEFAULT_TIMEZONE });
+
+  const loadAlerts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [nextRules, nextEvents] = await Promise.all([
+        getAlertRules(),
+        getAlertEvents({ status: statusFilter, severity: severityFilter })
+      ]);
+      setRules(nextRules);
+      setEvents(nextEvents);
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load alerts"), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast, statusFilter, severityFilter]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  useEffect(() => {
+    getAppSettings()
+      .then((settings) => setTimingSettings(settings || { timezone: DEFAULT_TIMEZONE }))
+      .catch(() => null);
+  }, []);
+
+  const updateForm = (patch) => setForm((current) => ({ ...current, ...patch }));
+
+  const handleTypeChange = (type) => updateForm({ type, ...CONDITION_DEFAULTS[type] });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!form.name.trim()) {
+      showToast("Give the rule a name", "error");
+      return;
+    }
+
+    setBusy("create");
+    try {
+      const response = await createAlertRule({
+        name: form.name.trim(),
+        severity: form.severity,
+        condition: buildCondition(form),
+        forMinutes: Number(form.forMinutes),
+        cooldownMinutes: Number(form.cooldownMinutes),
+        channels: { telegram: form.telegram, webhookUrl: form.webhookUrl.trim() }
+      });
+      showToast(response?.message || "Alert rule created", "success");
+      setForm(EMPTY_FORM);
+      await loadAlerts();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to create alert rule"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    setBusy(`toggle-${rule._id}`);
+    try {
+      const response = await updateAlertRule(rule._id, { enabled: !rule.enabled });
+      showToast(response?.message || "Alert rule saved", "success");
+      await loadAlerts();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to update alert rule"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete alert rule "${rule.name}"?`)) return;
+    setBusy(`delete-${rule._id}`);
+    try {
+      const response = await deleteAlertRule(rule._id);
+      showToast(response?.message || "Alert rule deleted", "success");
+      await loadAlerts();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to delete alert rule"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-8 flex items-center gap-2 text-2xl font-bold sm:text-3xl">
+        <BellRing size={28} />
+        Alerts
+      </h1>
+
+      <form onSubmit={handleSubmit} className="mb-8 rounded-xl border border-red-800 bg-card p-6 space-y-4">
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Name</span>
+            <input
+              value={form.name}
+              onChange={(event) => updateForm({ name: event.target.value })}
+              placeholder="e.g. Crash loop"
+              maxLength={80}
+              className={`${FIELD_CLASS} w-full`}
+            />
+          </label>
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Condition</span>
+            <select
+              value={form.type}
+              onChange={(event) => handleTypeChange(event.target.value)}
+              className={`${FIELD_CLASS} w-full`}
+            >
+              {CONDITION_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Severity</span>
+            <select
+              value={form.severity}
+              onChange={(event) => updateForm({ severity: event.target.value })}
+              className={`${FIELD_CLASS} w-full`}
+            >
+              <option value="info">Info</option>
+              <option value="warning">Warning</option>
+              <option value="critical">Critical</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-4">
+          {form.type === "accounts_in_status" ? (
+            <label className="space-y-1 text-sm">
+              <span className="block opacity-70">Status</span>
+              <select
+                value={form.status}
+                onChange={(event) => updateForm({ status: event.target.value })}
+                className={`${FIELD_CLASS} w-full`}
+              >
+                {WATCHABLE_STATUSES.map((status) => (
+                  <option key={status} value={status}>
+                    {status}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+
+          {form.type === "no_successful_bump" ? (
+            <label className="space-y-1 text-sm">
+              <span className="block opacity-70">Hours without a bump</span>
+              <input
+                type="number"
+                min={1}
+                max={168}
+                value={form.hours}
+                onChange={(event) => updateForm({ hours: event.target.value })}
+                className={`${FIELD_CLASS} w-full`}
+              />
+            </label>
+          ) : (
+            <label className="space-y-1 text-sm">
+              <span className="block opacity-70">
+                {form.type === "account_crashes"
+                  ? "Crashes more than"
+                  : form.type === "queue_backlog"
+                    ? "Queued starts more than"
+                    : "Accounts more than"}
+              </span>
+              <input
+                type="number"
+                min={0}
+                value={form.threshold}
+                onChange={(event) => updateForm({ threshold: event.target.value })}
+                className={`${FIELD_CLASS} w-full`}
+              />
+            </label>
+          )}
+
+          {form.type === "account_crashes" ? (
+            <label className="space-y-1 text-sm">
+              <span className="block opacity-70">Within (minutes)</span>
+              <input
+                type="number"
+                min={5}
+                value={form.windowMinutes}
+                onChange={(event) => updateForm({ windowMinutes: event.target.value })}
+                className={`${FIELD_CLASS} w-full`}
+              />
+            </label>
+          ) : null}
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Must hold for (minutes)</span>
+            <input
+              type="number"
+              min={0}
+              value={form.forMinutes}
+              onChange={(event) => updateForm({ forMinutes: event.target.value })}
+              className={`${FIELD_CLASS} w-full`}
+            />
+          </label>
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Cooldown (minutes)</span>
+            <input
+              type="number"
+              min={1}
+              value={form.cooldownMinutes}
+              onChange={(event) => updateForm({ cooldownMinutes: event.target.value })}
+              className={`${FIELD_CLASS} w-full`}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.telegram}
+              onChange={(event) => updateForm({ telegram: event.target.checked })}
+            />
+            Telegram
+          </label>
+          <input
+            value={form.webhookUrl}
+            onChange={(event) => updateForm({ webhookUrl: event.target.value })}
+            placeholder="Webhook URL (optional)"
+            className={`${FIELD_CLASS} min-w-[16rem] flex-1`}
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={Boolean(busy)}
+          className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+        >
+          {busy === "create" ? <LoaderCircle size={14} className="animate-spin" /> : <BellRing size={14} />}
+          Add rule
+        </button>
+      </form>
+
+      <div className="mb-8 rounded-xl border border-red-800 bg-card p-6">
+        <div className="mb-4 flex items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">Rules</h2>
+          <button
+            type="button"
+            onClick={loadAlerts}
+            disabled={loading}
+            className="themeBtnMuted inline-flex items-center gap-2 px-3 py-1 text-xs disabled:opacity-60"
+          >
+            <RefreshCw size={12} className={loading ? "animate-spin" : ""} />
+            Refresh
+          </button>
+        </div>
+
+        {loading && rules.length === 0 ? (
+          <p className="text-xs opacity-60">Loading alert rules...</p>
+        ) : rules.length === 0 ? (
+          <p className="text-xs opacity-60">No alert rules yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase opacity-60">
+                <tr>
+                  <th className="py-2 pr-4">Rule</th>
+                  <th className="py-2 pr-4">Severity</th>
+                  <th className="py-2 pr-4">Channels</th>
+                  <th className="py-2 pr-4">Firing</th>
+                  <th className="py-2 pr-4">Enabled</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule) => (
+                  <tr key={rule._id} className="themeBorder border-t align-top">
+                    <td className="py-2 pr-4">
+                      <div className="font-semibold">{rule.name}</div>
+                      <div className="text-xs opacity-60">
+                        Fires when {rule.description}
+                        {rule.forMinutes > 0 ? ` for ${rule.forMinutes} min` : ""}; cooldown{" "}
+                        {rule.cooldownMinutes} min
+                      </div>
+                      {rule.lastError ? <div className="text-xs text-red-300">{rule.lastError}</div> : null}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span
+                        className={`inline-flex rounded-full border px-2 py-0.5 text-xs font-semibold ${
+                          SEVERITY_STYLES[rule.severity] || SEVERITY_STYLES.warning
+                        }`}
+                      >
+                        {rule.severity}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 text-xs">{describeChannels(rule.channels)}</td>
+                    <td className="py-2 pr-4">{rule.firingCount || 0}</td>
+                    <td className="py-2 pr-4">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(rule.enabled)}
+                        onChange={() => handleToggle(rule)}
+                        disabled={Boolean(busy)}
+                        aria-label={`Toggle ${rule.name}`}
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(rule)}
+                        disabled={Boolean(busy)}
+                        className="rounded border border-red-600/70 p-1 disabled:opacity-60"
+                        aria-label="Delete rule"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="rounded-xl border border-red-800 bg-card p-6">
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">History</h2>
+          <div className="flex flex-wrap gap-2 text-sm">
+            <select
+              value={statusFilter}
+              onChange={(event) => setStatusFilter(event.target.value)}
+              className={FIELD_CLASS}
+            >
+              <option value="">All statuses</option>
+              <option value="firing">Firing</option>
+              <option value="resolved">Resolved</option>
+            </select>
+            <select
+              value={severityFilter}
+              onChange={(event) => setSeverityFilter(event.target.value)}
+              className={FIELD_CLASS}
+            >
+              <option value="">All severities</option>
+              <option value="info">Info</option>
+              <option value="warning">Warning</option>
+              <option value="critical">Critical</option>
+            </select>
+          </div>
+        </div>
+
+        {loading && events.length === 0 ? (
+          <p className="text-xs opacity-60">Loading alert history...</p>
+        ) : events.length === 0 ? (
+          <p className="text-xs opacity-60">No alerts have fired.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase opacity-60">
+                <tr>
+                  <th className="py-2 pr-4">Fired</th>
+                  <th className="py-2 pr-4">Rule</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Details</th>
+                  <th className="py-2 pr-4">Seen</th>
+                  <th className="py-2">Notified</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event._id} className="themeBorder border-t align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {formatDateTimeBDT(event.firedAt, timingSettings)}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <div>{event.ruleName}</div>
+                      <span
+                        className={`inline-flex rounded-full border px-2 py-0.5 text-xs font-semibold ${
+                          SEVERITY_STYLES[event.severity] || SEVERITY_STYLES.warning
+                        }`}
+                      >
+                        {event.severity}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span
+                        className={`inline-flex rounded-full border px-2 py-0.5 text-xs font-semibold ${
+                          STATUS_STYLES[event.status] || STATUS_STYLES.resolved
+                        }`}
+                      >
+                        {event.status}
+                      </span>
+                      {event.resolvedAt ? (
+                        <div className="text-xs opacity-60 whitespace-nowrap">
+                          {formatDateTimeBDT(event.resolvedAt, timingSettings)}
+                        </div>
+                      ) : null}
+                    </td>
+                    <td className="py-2 pr-4 text-xs opacity-80">{event.message}</td>
+                    <td className="py-2 pr-4 text-xs">{event.occurrences || 1}x</td>
+                    <td className="py-2 text-xs">{describeNotified(event)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
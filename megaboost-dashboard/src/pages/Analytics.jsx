@@ -0,0 +1,497 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { BarChart3, LoaderCircle, RefreshCw } from "lucide-react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from "recharts";
+import { useAccounts } from "../context/AccountsContext";
+import { getAnalyticsReport } from "../lib/api";
+
+const FIELD_CLASS = "themeField rounded-lg px-3 py-2 text-sm outline-none transition";
+const RANGE_OPTIONS = [7, 14, 30, 90];
+const REPORTS = ["summary", "bumps-per-day", "outcomes", "cooldowns", "drift", "logins", "heatmap", "accounts"];
+const SERIES_COLORS = [
+  "#f7a600",
+  "#3b82f6",
+  "#0ecb81",
+  "#f6465d",
+  "#a855f7",
+  "#14b8a6",
+  "#ec4899",
+  "#eab308",
+  "#6366f1",
+  "#84cc16",
+  "#64748b"
+];
+const AXIS_PROPS = { stroke: "rgba(255,255,255,0.45)", fontSize: 11 };
+const TOOLTIP_PROPS = {
+  contentStyle: { background: "#0f1319", border: "1px solid rgba(255,255,255,0.15)", fontSize: 12 }
+};
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+function formatPercent(value) {
+  return `${(Number(value || 0) * 100).toFixed(1)}%`;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "-";
+  const sign = ms < 0 ? "-" : "";
+  const totalSeconds = Math.round(Math.abs(ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${sign}${hours}h ${minutes}m`;
+  if (minutes > 0) return `${sign}${minutes}m ${seconds}s`;
+  return `${sign}${seconds}s`;
+}
+
+function toMinutes(ms) {
+  return ms === null || ms === undefined ? null : Math.round((ms / 60000) * 10) / 10;
+}
+
+function shortDay(day) {
+  return String(day || "").slice(5);
+}
+
+function describeConfig(config = {}) {
+  const parts = [];
+  if (config.preset) parts.push(config.preset);
+  if (config.baseIntervalMinutes !== null && config.baseIntervalMinutes !== undefined) {
+    parts.push(`${config.baseIntervalMinutes}m +${config.randomMinMinutes ?? 0}-${config.randomMaxMinutes ?? 0}m`);
+  }
+  if (config.maxDailyBumps) parts.push(`max ${config.maxDailyBumps}/day`);
+  if (config.proxyType) parts.push(config.proxyType);
+  return parts.join(" · ") || "-";
+}
+
+function ChartCard({ title, subtitle, children }) {
+  return (
+    <section className="rounded-xl border border-red-800 bg-card p-4">
+      <h2 className="text-base font-semibold">{title}</h2>
+      {subtitle ? <p className="mb-3 text-xs opacity-60">{subtitle}</p> : <div className="mb-3" />}
+      <div className="h-64">{children}</div>
+    </section>
+  );
+}
+
+function SummaryCard({ label, value, detail }) {
+  return (
+    <article className="rounded-xl border border-red-800 bg-card p-4">
+      <p className="text-sm opacity-70">{label}</p>
+      <p className="mt-2 text-2xl font-bold">{value}</p>
+      {detail ? <p className="mt-1 text-xs opacity-60">{detail}</p> : null}
+    </article>
+  );
+}
+
+function HourHeatmap({ grid = [] }) {
+  const maxAttempts = Math.max(
+    1,
+    ...grid.flatMap((row) => row.hours.map((cell) => cell.attempts))
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="border-separate text-[10px]" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th />
+            {Array.from({ length: 24 }, (_, hour) => (
+              <th key={hour} className="w-6 font-normal opacity-60">
+                {hour}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.map((row) => (
+            <tr key={row.weekday}>
+              <th className="pr-2 text-left font-normal opacity-60">{row.weekday}</th>
+              {row.hours.map((cell) => {
+                const intensity = cell.attempts / maxAttempts;
+                // Hue runs from red (all failing) to green (all succeeding).
+                const hue = Math.round(cell.successRate * 120);
+                return (
+                  <td
+                    key={cell.hour}
+                    title={`${row.weekday} ${cell.hour}:00 - ${cell.attempts} attempt(s), ${formatPercent(
+                      cell.successRate
+                    )} success`}
+                    className="h-6 w-6 rounded"
+                    style={{
+                      background:
+                        cell.attempts > 0
+                          ? `hsla(${hue}, 70%, 45%, ${0.25 + intensity * 0.75})`
+                          : "rgba(255,255,255,0.04)"
+                    }}
+                  />
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs opacity-60">
+        Darker cells had more attempts; colour runs from red (failing) to green (succeeding).
+      </p>
+    </div>
+  );
+}
+
+export default function Analytics() {
+  const { accounts, showToast } = useAccounts();
+
+  const [days, setDays] = useState("14");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [accountId, setAccountId] = useState("");
+  const [reports, setReports] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const params = useMemo(
+    () =>
+      fromDate || toDate
+        ? { from: fromDate, to: toDate, accountId }
+        : { days, accountId },
+    [accountId, days, fromDate, toDate]
+  );
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const results = await Promise.all(REPORTS.map((report) => getAnalyticsReport(report, params)));
+      setReports(Object.fromEntries(REPORTS.map((report, index) => [report, results[index]])));
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load analytics"), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [params, showToast]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  const summary = reports.summary;
+  const bumpsReport = reports["bumps-per-day"];
+  const accountSeries = bumpsReport?.series || [];
+
+  const bumpsPerDay = useMemo(() => {
+    const series = bumpsReport?.series || [];
+    return (bumpsReport?.range?.days || []).map((day, index) => ({
+      day: shortDay(day),
+      // Emails contain dots, which recharts would read as nested paths.
+      ...Object.fromEntries(series.map((entry, position) => [`s${position}`, entry.counts[index]]))
+    }));
+  }, [bumpsReport]);
+
+  const outcomes = useMemo(
+    () =>
+      (reports.outcomes?.daily || []).map((entry) => ({
+        ...entry,
+        day: shortDay(entry.day),
+        successRatePct: Math.round(entry.successRate * 1000) / 10
+      })),
+    [reports.outcomes]
+  );
+
+  const cooldowns = useMemo(
+    () =>
+      (reports.cooldowns?.daily || []).map((entry) => ({
+        day: shortDay(entry.day),
+        count: entry.count,
+        avgMinutes: toMinutes(entry.avgCooldownMs)
+      })),
+    [reports.cooldowns]
+  );
+
+  const drift = useMemo(
+    () =>
+      (reports.drift?.daily || []).map((entry) => ({
+        day: shortDay(entry.day),
+        avgMinutes: toMinutes(entry.avgDriftMs),
+        maxMinutes: toMinutes(entry.maxDriftMs)
+      })),
+    [reports.drift]
+  );
+
+  const logins = useMemo(
+    () =>
+      (reports.logins?.daily || []).map((entry) => ({
+        ...entry,
+        day: shortDay(entry.day),
+        failureRatePct: Math.round(entry.failureRate * 1000) / 10
+      })),
+    [reports.logins]
+  );
+
+  return (
+    <div className="space-y-6">
+      <header className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between">
+        <div>
+          <h1 className="flex items-center gap-2 text-2xl font-bold sm:text-3xl">
+            <BarChart3 size={28} />
+            Bump Analytics
+          </h1>
+          <p className="text-sm opacity-70">
+            {summary?.range
+              ? `${new Date(summary.range.from).toLocaleDateString()} - ${new Date(
+                  summary.range.to
+                ).toLocaleDateString()} (${summary.range.timezone})`
+              : "Performance of real bump cycles; self-tests are excluded."}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={fromDate || toDate ? "" : days}
+            onChange={(event) => {
+              setDays(event.target.value);
+              setFromDate("");
+              setToDate("");
+            }}
+            className={FIELD_CLASS}
+            aria-label="Range"
+          >
+            {fromDate || toDate ? <option value="">Custom range</option> : null}
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option} value={String(option)}>
+                Last {option} days
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(event) => setFromDate(event.target.value)}
+            className={FIELD_CLASS}
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(event) => setToDate(event.target.value)}
+            className={FIELD_CLASS}
+            aria-label="To date"
+          />
+          <select
+            value={accountId}
+            onChange={(event) => setAccountId(event.target.value)}
+            className={`${FIELD_CLASS} max-w-[220px]`}
+            aria-label="Account"
+          >
+            <option value="">All accounts</option>
+            {(accounts || []).map((account) => (
+              <option key={account._id} value={account._id}>
+                {account.email}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadReports}
+            disabled={loading}
+            className="inline-flex items-center gap-2 rounded-lg border border-white/30 px-3 py-2 text-sm disabled:opacity-60"
+          >
+            {loading ? <LoaderCircle size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      <section className="grid grid-cols-1 gap-4 sm:grid-cols-2 xl:grid-cols-5">
+        <SummaryCard
+          label="Bump success rate"
+          value={formatPercent(summary?.bumps?.successRate)}
+          detail={`${summary?.bumps?.success ?? 0} of ${summary?.bumps?.attempts ?? 0} attempts`}
+        />
+        <SummaryCard
+          label="Failure rate"
+          value={formatPercent(summary?.bumps?.failureRate)}
+          detail={`${summary?.bumps?.failures ?? 0} failed cycles`}
+        />
+        <SummaryCard
+          label="Cooldown frequency"
+          value={formatPercent(summary?.cooldowns?.frequency)}
+          detail={`${summary?.cooldowns?.count ?? 0} cooldowns, avg ${formatDuration(summary?.cooldowns?.avgCooldownMs)}`}
+        />
+        <SummaryCard
+          label="Average drift"
+          value={formatDuration(summary?.drift?.avgDriftMs)}
+          detail={`${summary?.drift?.lateStarts ?? 0} started over a minute late`}
+        />
+        <SummaryCard
+          label="Login failure rate"
+          value={formatPercent(summary?.logins?.failureRate)}
+          detail={`${summary?.logins?.failures ?? 0} of ${summary?.logins?.attempts ?? 0} starts, ${
+            summary?.logins?.checkpoints ?? 0
+          } verification prompts`}
+        />
+      </section>
+
+      <div className="grid grid-cols-1 gap-4 xl:grid-cols-2">
+        <ChartCard title="Bumps per account per day" subtitle="Successful bumps, busiest accounts first">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={bumpsPerDay}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="day" {...AXIS_PROPS} />
+              <YAxis allowDecimals={false} {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              {accountSeries.map((series, index) => (
+                <Bar
+                  key={series.accountId || "other"}
+                  dataKey={`s${index}`}
+                  name={series.email}
+                  stackId="bumps"
+                  fill={SERIES_COLORS[index % SERIES_COLORS.length]}
+                />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Success vs failure" subtitle="Cycles per day with the daily success rate">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={outcomes}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="day" {...AXIS_PROPS} />
+              <YAxis yAxisId="count" allowDecimals={false} {...AXIS_PROPS} />
+              <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} unit="%" {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Bar yAxisId="count" dataKey="success" name="Success" stackId="outcome" fill="#0ecb81" />
+              <Bar yAxisId="count" dataKey="cooldown" name="Cooldown" stackId="outcome" fill="#f59e0b" />
+              <Bar yAxisId="count" dataKey="failure" name="Failure" stackId="outcome" fill="#f6465d" />
+              <Line yAxisId="rate" dataKey="successRatePct" name="Success %" stroke="#3b82f6" dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Cooldowns" subtitle="Cooldowns hit per day and their average length (minutes)">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={cooldowns}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="day" {...AXIS_PROPS} />
+              <YAxis yAxisId="count" allowDecimals={false} {...AXIS_PROPS} />
+              <YAxis yAxisId="minutes" orientation="right" {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Bar yAxisId="count" dataKey="count" name="Cooldowns" fill="#f59e0b" />
+              <Line
+                yAxisId="minutes"
+                dataKey="avgMinutes"
+                name="Avg length (min)"
+                stroke="#a855f7"
+                connectNulls
+                dot={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Schedule drift" subtitle="Minutes between the scheduled and actual start">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={drift}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="day" {...AXIS_PROPS} />
+              <YAxis {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Line dataKey="avgMinutes" name="Average" stroke="#3b82f6" connectNulls dot={false} />
+              <Line dataKey="maxMinutes" name="Worst" stroke="#f6465d" connectNulls dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Drift distribution" subtitle="How late cycles started across the range">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={reports.drift?.histogram || []}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="label" {...AXIS_PROPS} />
+              <YAxis allowDecimals={false} {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Bar dataKey="count" name="Cycles" fill="#f7a600" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Logins and verification" subtitle="Worker starts, failed logins and verification prompts">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={logins}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+              <XAxis dataKey="day" {...AXIS_PROPS} />
+              <YAxis yAxisId="count" allowDecimals={false} {...AXIS_PROPS} />
+              <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} unit="%" {...AXIS_PROPS} />
+              <Tooltip {...TOOLTIP_PROPS} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Bar yAxisId="count" dataKey="attempts" name="Starts" fill="#3b82f6" />
+              <Bar yAxisId="count" dataKey="failures" name="Failed" fill="#f6465d" />
+              <Bar yAxisId="count" dataKey="checkpoints" name="Verification" fill="#f59e0b" />
+              <Line yAxisId="rate" dataKey="failureRatePct" name="Failure %" stroke="#e2e8f0" dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+      </div>
+
+      <section className="rounded-xl border border-red-800 bg-card p-4">
+        <h2 className="text-base font-semibold">Attempts by hour of day</h2>
+        <p className="mb-3 text-xs opacity-60">In the app timezone</p>
+        <HourHeatmap grid={reports.heatmap?.heatmap || []} />
+      </section>
+
+      <section className="rounded-xl border border-red-800 bg-card p-4">
+        <h2 className="text-base font-semibold">Account performance</h2>
+        <p className="mb-3 text-xs opacity-60">Each account's current config next to how it did in this range</p>
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[760px] text-left text-sm">
+            <thead className="text-xs uppercase opacity-60">
+              <tr>
+                <th className="py-2 pr-3">Account</th>
+                <th className="py-2 pr-3">Config</th>
+                <th className="py-2 pr-3 text-right">Attempts</th>
+                <th className="py-2 pr-3 text-right">Success</th>
+                <th className="py-2 pr-3 text-right">Cooldowns</th>
+                <th className="py-2 pr-3 text-right">Avg cooldown</th>
+                <th className="py-2 text-right">Avg drift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(reports.accounts?.accounts || []).map((row) => (
+                <tr key={row.accountId} className="border-t border-white/10">
+                  <td className="py-2 pr-3">{row.email}</td>
+                  <td className="py-2 pr-3 text-xs opacity-80">{describeConfig(row.config)}</td>
+                  <td className="py-2 pr-3 text-right">{row.attempts}</td>
+                  <td className="py-2 pr-3 text-right">{formatPercent(row.successRate)}</td>
+                  <td className="py-2 pr-3 text-right">{formatPercent(row.cooldownFrequency)}</td>
+                  <td className="py-2 pr-3 text-right">{formatDuration(row.avgCooldownMs)}</td>
+                  <td className="py-2 text-right">{formatDuration(row.avgDriftMs)}</td>
+                </tr>
+              ))}
+              {!loading && (reports.accounts?.accounts || []).length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="py-6 text-center opacity-60">
+                    No bump cycles in this range.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
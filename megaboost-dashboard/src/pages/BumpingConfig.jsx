@@ -11,7 +11,11 @@ import {
 import { useAccounts } from "../context/AccountsContext";
 import { applyBumpPreset, getBumpPresets } from "../lib/api";
 import TimePickerField from "../components/TimePickerField";
-import { isRunningLikeStatus } from "../utils/accountStatus";
+import RuntimeCalendarGrid from "../components/RuntimeCalendarGrid";
+import RuntimeWindowList from "../components/RuntimeWindowList";
+import ScheduleForecast from "../components/ScheduleForecast";
+import SavedPresetPanel from "../components/SavedPresetPanel";
+import { collectAccountTags, isRunningLikeStatus } from "../utils/accountStatus";
 import {
   buildRuntimeWindowFromClockTimes,
   DEFAULT_TIMEZONE_LABEL,
@@ -19,6 +23,12 @@ import {
   formatRuntimeWindowBDT
 } from "../utils/timeDisplay";
 import { TIMING_PRESETS } from "../utils/timingPresets";
+import {
+  buildRuntimeCalendarPayload,
+  createCalendarRows,
+  validateCalendarRows
+} from "../utils/runtimeCalendar";
+import { buildRuntimeWindowsList, validateRuntimeWindows } from "../utils/runtimeWindows";
 
 const PRESET_THEME = {
   conservative: {
@@ -82,10 +92,13 @@ export default function BumpingConfig() {
     maxDailyRuntime: "8"
   });
   const [applyTo, setApplyTo] = useState("all");
+  const [applyTag, setApplyTag] = useState("");
   const [saving, setSaving] = useState(false);
   const [selectedPreset, setSelectedPreset] = useState("");
   const [applyingPreset, setApplyingPreset] = useState("");
   const [presets, setPresets] = useState(TIMING_PRESETS);
+  const [calendarRows, setCalendarRows] = useState(() => createCalendarRows());
+  const [windowRows, setWindowRows] = useState([]);
 
   const stats = useMemo(() => {
     const bumping = accounts.filter((account) => account.status === "bumping").length;
@@ -100,15 +113,21 @@ export default function BumpingConfig() {
     };
   }, [accounts]);
 
+  const accountTags = useMemo(() => collectAccountTags(accounts), [accounts]);
+
   const targetAccounts = useMemo(() => {
     if (applyTo === "all") return accounts;
+    if (applyTo === "tag") {
+      return accounts.filter((account) => (account.tags || []).includes(applyTag));
+    }
     return accounts.filter((account) => account.status === "stopped");
-  }, [accounts, applyTo]);
+  }, [accounts, applyTo, applyTag]);
 
   const affectedLabel = useMemo(() => {
     if (applyTo === "all") return `all accounts (${targetAccounts.length})`;
+    if (applyTo === "tag") return `#${applyTag || "?"} accounts (${targetAccounts.length})`;
     return `stopped accounts (${targetAccounts.length})`;
-  }, [applyTo, targetAccounts.length]);
+  }, [applyTo, applyTag, targetAccounts.length]);
 
   useEffect(() => {
     let active = true;
@@ -135,7 +154,7 @@ export default function BumpingConfig() {
     setForm((prev) => ({ ...prev, [field]: value }));
   };
 
-  const handleSave = async () => {
+  const buildTimingPatch = () => {
     const baseInterval = Number(form.baseInterval);
     const randomMin = Number(form.randomMin);
     const randomMax = Number(form.randomMax);
@@ -147,29 +166,68 @@ export default function BumpingConfig() {
       Number.isNaN(randomMax) ||
       Number.isNaN(maxDailyRuntime)
     ) {
-      showToast("All timing fields must be numeric", "error");
-      return;
+      return { error: "All timing fields must be numeric" };
     }
 
     if (!form.runFromTime.trim()) {
-      showToast("Run Account From is required", "error");
-      return;
+      return { error: "Run Account From is required" };
     }
 
     if (!form.runToTime.trim()) {
-      showToast("Run Account To is required", "error");
-      return;
+      return { error: "Run Account To is required" };
     }
 
     const runtimeWindow = buildRuntimeWindowFromClockTimes(form.runFromTime, form.runToTime);
     const runtimeRange = runtimeWindow ? getRuntimeWindowClockRange(runtimeWindow) : null;
     if (!runtimeWindow) {
-      showToast("Run account time range is invalid", "error");
-      return;
+      return { error: "Run account time range is invalid" };
+    }
+
+    const runtimeWindows = buildRuntimeWindowsList(runtimeWindow, windowRows);
+    const windowsError = validateRuntimeWindows(runtimeWindows);
+    if (windowsError) {
+      return { error: windowsError };
     }
 
     if (randomMax < randomMin) {
-      showToast("Random Max must be >= Random Min", "error");
+      return { error: "Random Max must be >= Random Min" };
+    }
+
+    const calendarError = validateCalendarRows(calendarRows);
+    if (calendarError) {
+      return { error: calendarError };
+    }
+
+    return {
+      patch: {
+        baseInterval,
+        baseIntervalMinutes: baseInterval,
+        randomMin,
+        randomMinMinutes: randomMin,
+        randomMax,
+        randomMaxMinutes: randomMax,
+        runtimeWindow,
+        runtimeWindows,
+        runtimeStart: runtimeRange?.start24h,
+        runtimeEnd: runtimeRange?.end24h,
+        runtimeStartTime: form.runFromTime.trim(),
+        runtimeEndTime: form.runToTime.trim(),
+        maxDailyRuntime,
+        maxDailyRuntimeHours: maxDailyRuntime,
+        runtimeCalendar: buildRuntimeCalendarPayload(calendarRows)
+      }
+    };
+  };
+
+  const buildForecastRequest = () => {
+    const { patch, error } = buildTimingPatch();
+    return error ? { error } : { payload: { config: patch } };
+  };
+
+  const handleSave = async () => {
+    const { patch, error } = buildTimingPatch();
+    if (error) {
+      showToast(error, "error");
       return;
     }
 
@@ -178,22 +236,6 @@ export default function BumpingConfig() {
       return;
     }
 
-    const patch = {
-      baseInterval,
-      baseIntervalMinutes: baseInterval,
-      randomMin,
-      randomMinMinutes: randomMin,
-      randomMax,
-      randomMaxMinutes: randomMax,
-      runtimeWindow,
-      runtimeStart: runtimeRange?.start24h,
-      runtimeEnd: runtimeRange?.end24h,
-      runtimeStartTime: form.runFromTime.trim(),
-      runtimeEndTime: form.runToTime.trim(),
-      maxDailyRuntime,
-      maxDailyRuntimeHours: maxDailyRuntime
-    };
-
     setSaving(true);
     try {
       const results = await Promise.allSettled(
@@ -230,7 +272,10 @@ export default function BumpingConfig() {
 
     setApplyingPreset(presetKey);
     try {
-      const response = await applyBumpPreset(preset.key, applyTo);
+      const response = await applyBumpPreset(
+        preset.key,
+        applyTo === "tag" ? { tag: applyTag } : applyTo
+      );
       const payload = response?.data || {};
       const values = payload.values || {};
 
@@ -246,6 +291,7 @@ export default function BumpingConfig() {
         runFromTime: runtimeRange.start,
         runToTime: runtimeRange.end
       }));
+      setWindowRows([]);
 
       await fetchAccounts();
       showToast(
@@ -325,6 +371,32 @@ export default function BumpingConfig() {
               warning
               onClick={() => setApplyTo("all")}
             />
+
+            {accountTags.length > 0 ? (
+              <ApplyModeCard
+                active={applyTo === "tag"}
+                title="Apply to accounts with a tag"
+                subtitle="Only accounts carrying the chosen tag"
+                onClick={() => {
+                  setApplyTo("tag");
+                  setApplyTag((current) => current || accountTags[0]);
+                }}
+              />
+            ) : null}
+
+            {applyTo === "tag" ? (
+              <select
+                value={applyTag}
+                onChange={(event) => setApplyTag(event.target.value)}
+                className="themeField rounded-lg px-3 py-2 text-sm outline-none"
+              >
+                {accountTags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    #{tag}
+                  </option>
+                ))}
+              </select>
+            ) : null}
           </div>
         </div>
 
@@ -374,6 +446,19 @@ export default function BumpingConfig() {
           </div>
         </div>
 
+        <div className="mb-8">
+          <h3 className="font-semibold mb-1">Saved Presets</h3>
+          <p className="text-xs opacity-70 mb-4">
+            Accounts remember the preset they follow. Updating a preset re-applies it to them.
+          </p>
+          <SavedPresetPanel
+            accounts={accounts}
+            buildTimingPatch={buildTimingPatch}
+            showToast={showToast}
+            onApplied={fetchAccounts}
+          />
+        </div>
+
         <div className="mb-8">
           <h3 className="font-semibold mb-4">Timing Settings</h3>
 
@@ -438,6 +523,29 @@ export default function BumpingConfig() {
           </div>
         </div>
 
+        <div className="mb-8">
+          <h3 className="font-semibold mb-4">Extra Run Windows</h3>
+          <RuntimeWindowList
+            value={windowRows}
+            onChange={setWindowRows}
+            hint="Run again later the same day, e.g. a morning and an evening shift. Bangladesh time (24h)."
+          />
+        </div>
+
+        <div className="mb-8">
+          <h3 className="font-semibold mb-4">Weekly Schedule</h3>
+          <RuntimeCalendarGrid
+            value={calendarRows}
+            onChange={setCalendarRows}
+            hint="Days left on the daily window use the run windows above. Times are Bangladesh time (24h)."
+          />
+        </div>
+
+        <div className="mb-8">
+          <h3 className="font-semibold mb-4">Schedule Preview</h3>
+          <ScheduleForecast buildRequest={buildForecastRequest} />
+        </div>
+
         <div className="flex justify-end gap-4 mt-6">
           <button
             type="button"
@@ -4,12 +4,25 @@ import { LoaderCircle } from "lucide-react";
 import { useAccounts } from "../context/AccountsContext";
 import { getAccountById, updateAccount } from "../lib/api";
 import TimePickerField from "../components/TimePickerField";
+import RuntimeCalendarGrid from "../components/RuntimeCalendarGrid";
+import RuntimeWindowList from "../components/RuntimeWindowList";
+import ScheduleForecast from "../components/ScheduleForecast";
 import {
   buildRuntimeWindowFromClockTimes,
   DEFAULT_TIMEZONE_LABEL,
   getRuntimeWindowClockRange
 } from "../utils/timeDisplay";
 import { TIMING_PRESETS_BY_KEY } from "../utils/timingPresets";
+import {
+  buildRuntimeCalendarPayload,
+  createCalendarRows,
+  validateCalendarRows
+} from "../utils/runtimeCalendar";
+import {
+  buildRuntimeWindowsList,
+  createWindowRows,
+  validateRuntimeWindows
+} from "../utils/runtimeWindows";
 import "./AddAccount.css";
 
 const DEFAULT_UA =
@@ -39,13 +52,26 @@ function createInitialForm() {
     runToTime: "11:59 PM",
     randomMin: "0",
     randomMax: "5",
-    maxDailyRuntime: "24"
+    maxDailyRuntime: "24",
+    priority: "1",
+    tags: "",
+    extraWindows: [],
+    runtimeCalendar: createCalendarRows()
   };
 }
 
+function parseTagInput(value) {
+  return String(value || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
 function mapAccountToForm(account) {
   if (!account) return createInitialForm();
-  const runtimeRange = getRuntimeWindowClockRange(account.runtimeWindow || "00:00-23:59");
+  const runtimeRange = getRuntimeWindowClockRange(
+    account.runtimeWindows?.[0] || account.runtimeWindow || "00:00-23:59"
+  );
 
   return {
     email: account.email || "",
@@ -61,7 +87,11 @@ function mapAccountToForm(account) {
     runToTime: runtimeRange.end,
     randomMin: account.randomMin != null ? String(account.randomMin) : "0",
     randomMax: account.randomMax != null ? String(account.randomMax) : "5",
-    maxDailyRuntime: account.maxDailyRuntime != null ? String(account.maxDailyRuntime) : "24"
+    maxDailyRuntime: account.maxDailyRuntime != null ? String(account.maxDailyRuntime) : "24",
+    priority: account.priority != null ? String(account.priority) : "1",
+    tags: Array.isArray(account.tags) ? account.tags.join(", ") : "",
+    extraWindows: createWindowRows(account.runtimeWindows),
+    runtimeCalendar: createCalendarRows(account.runtimeCalendar)
   };
 }
 
@@ -142,7 +172,8 @@ export default function EditAccount() {
       randomMin: String(preset.randomMin),
       randomMax: String(preset.randomMax),
       runFromTime: runtimeRange.start,
-      runToTime: runtimeRange.end
+      runToTime: runtimeRange.end,
+      extraWindows: []
     }));
     setErrors((prev) => ({
       ...prev,
@@ -185,6 +216,16 @@ export default function EditAccount() {
       nextErrors.runToTime = "Run account time range is invalid";
     }
 
+    const primaryWindow = buildRuntimeWindowFromClockTimes(form.runFromTime, form.runToTime);
+    if (primaryWindow) {
+      const windowsError = validateRuntimeWindows(
+        buildRuntimeWindowsList(primaryWindow, form.extraWindows)
+      );
+      if (windowsError) {
+        nextErrors.extraWindows = windowsError;
+      }
+    }
+
     if (form.randomMin === "" || Number.isNaN(Number(form.randomMin))) {
       nextErrors.randomMin = "Random Range Min must be numeric";
     }
@@ -201,10 +242,46 @@ export default function EditAccount() {
       nextErrors.maxDailyRuntime = "Max Daily Runtime must be numeric";
     }
 
+    const priority = Number(form.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+      nextErrors.priority = "Priority must be a whole number between 1 and 10";
+    }
+
+    const calendarError = validateCalendarRows(form.runtimeCalendar);
+    if (calendarError) {
+      nextErrors.runtimeCalendar = calendarError;
+    }
+
     setErrors(nextErrors);
     return Object.keys(nextErrors).length === 0;
   };
 
+  const buildForecastRequest = () => {
+    const runtimeWindow = buildRuntimeWindowFromClockTimes(form.runFromTime, form.runToTime);
+    if (!runtimeWindow) {
+      return { error: "Run account time range is invalid" };
+    }
+    const runtimeWindows = buildRuntimeWindowsList(runtimeWindow, form.extraWindows);
+    const windowsError = validateRuntimeWindows(runtimeWindows) || validateCalendarRows(form.runtimeCalendar);
+    if (windowsError) {
+      return { error: windowsError };
+    }
+
+    return {
+      payload: {
+        accountId: id,
+        config: {
+          baseIntervalMinutes: Number(form.baseInterval),
+          randomMinMinutes: Number(form.randomMin),
+          randomMaxMinutes: Number(form.randomMax),
+          maxDailyRuntimeHours: Number(form.maxDailyRuntime),
+          runtimeWindows,
+          runtimeCalendar: buildRuntimeCalendarPayload(form.runtimeCalendar)
+        }
+      }
+    };
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setFormError("");
@@ -229,6 +306,7 @@ export default function EditAccount() {
         baseInterval: Number(form.baseInterval),
         baseIntervalMinutes: Number(form.baseInterval),
         runtimeWindow,
+        runtimeWindows: buildRuntimeWindowsList(runtimeWindow, form.extraWindows),
         runtimeStart: runtimeRange.start24h,
         runtimeEnd: runtimeRange.end24h,
         runtimeStartTime: form.runFromTime.trim(),
@@ -238,7 +316,10 @@ export default function EditAccount() {
         randomMax: Number(form.randomMax),
         randomMaxMinutes: Number(form.randomMax),
         maxDailyRuntime: Number(form.maxDailyRuntime),
-        maxDailyRuntimeHours: Number(form.maxDailyRuntime)
+        maxDailyRuntimeHours: Number(form.maxDailyRuntime),
+        priority: Number(form.priority),
+        tags: parseTagInput(form.tags),
+        runtimeCalendar: buildRuntimeCalendarPayload(form.runtimeCalendar)
       });
 
       setSuccessMessage("Account updated successfully.");
@@ -411,6 +492,25 @@ export default function EditAccount() {
                 onChange={(e) => setField("maxDailyRuntime", e.target.value)}
               />
             </Field>
+
+            <Field label="Budget Priority (1-10)" error={errors.priority}>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={form.priority}
+                onChange={(e) => setField("priority", e.target.value)}
+              />
+            </Field>
+
+            <Field label="Tags (comma separated)" error={errors.tags}>
+              <input
+                type="text"
+                placeholder="night-shift, vip"
+                value={form.tags}
+                onChange={(e) => setField("tags", e.target.value)}
+              />
+            </Field>
           </div>
 
           <p className="group-label">Quick Settings:</p>
@@ -421,6 +521,25 @@ export default function EditAccount() {
             <button type="button" onClick={() => applyQuickSetting("business")}>Business Hours</button>
           </div>
 
+          <p className="group-label">Extra Run Windows:</p>
+          <RuntimeWindowList
+            value={form.extraWindows}
+            onChange={(value) => setField("extraWindows", value)}
+            hint="Run again later the same day, e.g. a morning and an evening shift. Bangladesh time (24h)."
+          />
+          {errors.extraWindows ? <p className="field-error">{errors.extraWindows}</p> : null}
+
+          <p className="group-label">Weekly Schedule:</p>
+          <RuntimeCalendarGrid
+            value={form.runtimeCalendar}
+            onChange={(value) => setField("runtimeCalendar", value)}
+            hint="Days left on the daily window use the run windows above. Times are Bangladesh time (24h)."
+          />
+          {errors.runtimeCalendar ? <p className="field-error">{errors.runtimeCalendar}</p> : null}
+
+          <p className="group-label">Schedule Preview:</p>
+          <ScheduleForecast buildRequest={buildForecastRequest} />
+
           <p className="group-label">Common User Agents:</p>
           <div className="chip-row">
             {Object.entries(USER_AGENTS).map(([name, ua]) => (
@@ -0,0 +1,401 @@
+import { useCallback, useEffect, useState } from "react";
+import { LoaderCircle, Newspaper, Play, RefreshCw } from "lucide-react";
+import { useAccounts } from "../context/AccountsContext";
+import {
+  getAppSettings,
+  getDigestReport,
+  getDigestReports,
+  runDigestReport,
+  updateAppSettings
+} from "../lib/api";
+import { DEFAULT_TIMEZONE, formatDateTimeBDT } from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField rounded-lg px-3 py-2 text-sm outline-none transition";
+
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Monday" },
+  { value: 2, label: "Tuesday" },
+  { value: 3, label: "Wednesday" },
+  { value: 4, label: "Thursday" },
+  { value: 5, label: "Friday" },
+  { value: 6, label: "Saturday" },
+  { value: 7, label: "Sunday" }
+];
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const DEFAULT_DIGEST = { daily: false, weekly: false, hour: 9, weekday: 1, telegram: true };
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+function formatHours(ms) {
+  return `${(Number(ms || 0) / 3600000).toFixed(1)}h`;
+}
+
+function describeLicense(license) {
+  if (!license) return "None assigned";
+  if (license.status !== "active") return license.status;
+  return `${license.daysRemaining} day(s) left`;
+}
+
+function describeTelegram(report) {
+  if (report.telegram?.ok) return "Sent";
+  return report.telegram?.reason ? `Not sent (${report.telegram.reason})` : "Not sent";
+}
+
+export default function Reports() {
+  const { showToast } = useAccounts();
+
+  const [digest, setDigest] = useState(DEFAULT_DIGEST);
+  const [timingSettings, setTimingSettings] = useState({ timezone: DEFAULT_TIMEZONE });
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [periodFilter, setPeriodFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReports(await getDigestReports({ period: periodFilter }));
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load reports"), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast, periodFilter]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  useEffect(() => {
+    getAppSettings()
+      .then((settings) => {
+        setTimingSettings(settings || { timezone: DEFAULT_TIMEZONE });
+        setDigest({ ...DEFAULT_DIGEST, ...(settings?.digest || {}) });
+      })
+      .catch(() => null);
+  }, []);
+
+  const updateDigest = (patch) => setDigest((current) => ({ ...current, ...patch }));
+
+  const handleSaveSchedule = async () => {
+    setBusy("save");
+    try {
+      const saved = await updateAppSettings({ digest });
+      setDigest({ ...DEFAULT_DIGEST, ...(saved?.digest || {}) });
+      showToast("Digest schedule saved", "success");
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to save digest schedule"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleRun = async (period) => {
+    setBusy(`run-${period}`);
+    try {
+      const response = await runDigestReport(period);
+      showToast(response?.message || "Digest generated", "success");
+      if (response?.data) setSelected(response.data);
+      await loadReports();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to generate digest"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleSelect = async (report) => {
+    setBusy(`open-${report._id}`);
+    try {
+      setSelected(await getDigestReport(report._id));
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load report"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-8 flex items-center gap-2 text-2xl font-bold sm:text-3xl">
+        <Newspaper size={28} />
+        Reports
+      </h1>
+
+      <div className="mb-8 rounded-xl border border-red-800 bg-card p-6 space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold">Digest schedule</h2>
+          <p className="text-sm opacity-70">
+            Sent at the chosen hour in your settings timezone ({timingSettings?.timezoneLabel || timingSettings?.timezone}).
+            A daily digest covers the 24 hours before it, a weekly one the 7 days before it.
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={digest.daily}
+              onChange={(event) => updateDigest({ daily: event.target.checked })}
+            />
+            Daily
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={digest.weekly}
+              onChange={(event) => updateDigest({ weekly: event.target.checked })}
+            />
+            Weekly
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={digest.telegram}
+              onChange={(event) => updateDigest({ telegram: event.target.checked })}
+            />
+            Send to Telegram
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="space-y-1">
+            <span className="block opacity-70">Hour</span>
+            <select
+              value={digest.hour}
+              onChange={(event) => updateDigest({ hour: Number(event.target.value) })}
+              className={FIELD_CLASS}
+            >
+              {HOUR_OPTIONS.map((hour) => (
+                <option key={hour} value={hour}>
+                  {String(hour).padStart(2, "0")}:00
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="block opacity-70">Weekly on</span>
+            <select
+              value={digest.weekday}
+              onChange={(event) => updateDigest({ weekday: Number(event.target.value) })}
+              className={FIELD_CLASS}
+            >
+              {WEEKDAY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={handleSaveSchedule}
+            disabled={Boolean(busy)}
+            className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+          >
+            {busy === "save" ? <LoaderCircle size={14} className="animate-spin" /> : null}
+            Save schedule
+          </button>
+          <button
+            type="button"
+            onClick={() => handleRun("daily")}
+            disabled={Boolean(busy)}
+            className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+          >
+            {busy === "run-daily" ? <LoaderCircle size={14} className="animate-spin" /> : <Play size={14} />}
+            Run daily now
+          </button>
+          <button
+            type="button"
+            onClick={() => handleRun("weekly")}
+            disabled={Boolean(busy)}
+            className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+          >
+            {busy === "run-weekly" ? <LoaderCircle size={14} className="animate-spin" /> : <Play size={14} />}
+            Run weekly now
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-8 rounded-xl border border-red-800 bg-card p-6">
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">History</h2>
+          <div className="flex items-center gap-2">
+            <select
+              value={periodFilter}
+              onChange={(event) => setPeriodFilter(event.target.value)}
+              className={FIELD_CLASS}
+            >
+              <option value="">All digests</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+            <button
+              type="button"
+              onClick={loadReports}
+              disabled={loading}
+              className="themeBtnMuted inline-flex items-center gap-2 px-3 py-1 text-xs disabled:opacity-60"
+            >
+              <RefreshCw size={12} className={loading ? "animate-spin" : ""} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {loading && reports.length === 0 ? (
+          <p className="text-xs opacity-60">Loading reports...</p>
+        ) : reports.length === 0 ? (
+          <p className="text-xs opacity-60">No digests yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase opacity-60">
+                <tr>
+                  <th className="py-2 pr-4">Period</th>
+                  <th className="py-2 pr-4">Covers</th>
+                  <th className="py-2 pr-4">Bumps</th>
+                  <th className="py-2 pr-4">Failures</th>
+                  <th className="py-2 pr-4">Attention</th>
+                  <th className="py-2 pr-4">License</th>
+                  <th className="py-2">Telegram</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reports.map((report) => (
+                  <tr
+                    key={report._id}
+                    onClick={() => handleSelect(report)}
+                    className={`themeBorder cursor-pointer border-t align-top ${
+                      selected?._id === report._id ? "bg-red-900/20" : ""
+                    }`}
+                  >
+                    <td className="py-2 pr-4 capitalize">
+                      {report.period}
+                      {report.manual ? <span className="ml-1 text-xs opacity-60">(manual)</span> : null}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap text-xs">
+                      {formatDateTimeBDT(report.from, timingSettings, { includeSeconds: false })} -{" "}
+                      {formatDateTimeBDT(report.to, timingSettings, { includeSeconds: false })}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {report.totals?.successes ?? 0} / {report.totals?.attempts ?? 0}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {(report.failuresByType || []).reduce((sum, entry) => sum + entry.count, 0)}
+                    </td>
+                    <td className="py-2 pr-4">{(report.attention || []).length}</td>
+                    <td className="py-2 pr-4 text-xs">{describeLicense(report.license)}</td>
+                    <td className="py-2 text-xs">{describeTelegram(report)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selected ? (
+        <div className="rounded-xl border border-red-800 bg-card p-6 space-y-6">
+          <div>
+            <h2 className="text-lg font-semibold capitalize">{selected.period} digest</h2>
+            <p className="text-xs opacity-60">
+              {formatDateTimeBDT(selected.from, timingSettings, { includeSeconds: false })} -{" "}
+              {formatDateTimeBDT(selected.to, timingSettings, { includeSeconds: false })}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 text-sm md:grid-cols-5">
+            <div>
+              <p className="opacity-70">Successful bumps</p>
+              <p className="text-xl font-bold">{selected.totals?.successes ?? 0}</p>
+            </div>
+            <div>
+              <p className="opacity-70">Success rate</p>
+              <p className="text-xl font-bold">{Math.round((selected.totals?.successRate || 0) * 100)}%</p>
+            </div>
+            <div>
+              <p className="opacity-70">Cooldowns</p>
+              <p className="text-xl font-bold">{selected.totals?.cooldowns ?? 0}</p>
+            </div>
+            <div>
+              <p className="opacity-70">Failed bumps</p>
+              <p className="text-xl font-bold">{selected.totals?.failures ?? 0}</p>
+            </div>
+            <div>
+              <p className="opacity-70">License</p>
+              <p className="text-xl font-bold">{describeLicense(selected.license)}</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase opacity-60">
+                <tr>
+                  <th className="py-2 pr-4">Account</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Bumps</th>
+                  <th className="py-2 pr-4">Cooldowns</th>
+                  <th className="py-2 pr-4">Failed</th>
+                  <th className="py-2">Runtime used</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(selected.accounts || []).map((entry) => (
+                  <tr key={String(entry.accountId)} className="themeBorder border-t">
+                    <td className="py-2 pr-4">{entry.email}</td>
+                    <td className="py-2 pr-4 text-xs">{entry.status}</td>
+                    <td className="py-2 pr-4">{entry.successes}</td>
+                    <td className="py-2 pr-4">{entry.cooldowns}</td>
+                    <td className="py-2 pr-4">{entry.failures}</td>
+                    <td className="py-2 text-xs">
+                      {formatHours(entry.runtimeUsedMs)} / {entry.maxDailyRuntimeHours}h
+                      {entry.runtimeDayKey ? <span className="opacity-60"> on {entry.runtimeDayKey}</span> : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 text-sm md:grid-cols-2">
+            <div>
+              <h3 className="mb-2 font-semibold">Failures by type</h3>
+              {(selected.failuresByType || []).length === 0 ? (
+                <p className="text-xs opacity-60">No failures.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {selected.failuresByType.map((entry) => (
+                    <li key={entry.type} className="flex justify-between gap-4">
+                      <span>{entry.label}</span>
+                      <span className="font-semibold">{entry.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div>
+              <h3 className="mb-2 font-semibold">Needs attention</h3>
+              {(selected.attention || []).length === 0 ? (
+                <p className="text-xs opacity-60">Every account is fine.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {selected.attention.map((entry) => (
+                    <li key={String(entry.accountId)} className="flex justify-between gap-4">
+                      <span>{entry.email}</span>
+                      <span className="text-red-300">{entry.status}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
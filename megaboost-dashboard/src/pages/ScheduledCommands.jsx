@@ -0,0 +1,378 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { CalendarClock, LoaderCircle, RefreshCw, X } from "lucide-react";
+import { useAccounts } from "../context/AccountsContext";
+import {
+  cancelScheduledCommand,
+  createScheduledCommand,
+  getAppSettings,
+  getBumpPresets,
+  getCustomBumpPresets,
+  getScheduledCommands
+} from "../lib/api";
+import {
+  DEFAULT_TIMEZONE,
+  DEFAULT_TIMEZONE_LABEL,
+  formatDateTimeBDT
+} from "../utils/timeDisplay";
+
+const FIELD_CLASS = "themeField rounded-lg px-3 py-2 text-sm outline-none transition";
+
+const ACTION_OPTIONS = [
+  { value: "start", label: "Start" },
+  { value: "stop", label: "Stop" },
+  { value: "pause", label: "Pause" },
+  { value: "resume", label: "Resume" },
+  { value: "restart", label: "Restart" },
+  { value: "apply_preset", label: "Apply preset" }
+];
+
+const STATUS_STYLES = {
+  pending: "border-blue-500/50 bg-blue-900/30 text-blue-300",
+  running: "border-amber-500/50 bg-amber-900/30 text-amber-300",
+  completed: "border-green-500/50 bg-green-900/30 text-green-300",
+  failed: "border-red-500/50 bg-red-900/30 text-red-300",
+  cancelled: "border-gray-500/50 bg-gray-800/40 text-gray-300"
+};
+
+function readErrorMessage(error, fallback) {
+  return error?.response?.data?.message || error?.message || fallback;
+}
+
+function describeTarget(target = {}, accountsById) {
+  if (target.type === "tag") return `Tag: ${target.tag}`;
+  if (target.type === "account") {
+    const ids = Array.isArray(target.accountIds) ? target.accountIds : [];
+    const emails = ids.map((id) => accountsById.get(String(id))?.email || String(id));
+    return emails.length > 2 ? `${emails.slice(0, 2).join(", ")} +${emails.length - 2}` : emails.join(", ");
+  }
+  return "All accounts";
+}
+
+function describeAction(command, presetNames) {
+  const label = ACTION_OPTIONS.find((option) => option.value === command.action)?.label || command.action;
+  if (command.action !== "apply_preset") return label;
+  const presetName = presetNames.get(String(command.presetId || command.presetKey || ""));
+  return `${label}: ${presetName || command.presetKey || "saved preset"}`;
+}
+
+export default function ScheduledCommands() {
+  const { accounts, showToast } = useAccounts();
+
+  const [commands, setCommands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState("");
+  const [quickPresets, setQuickPresets] = useState([]);
+  const [savedPresets, setSavedPresets] = useState([]);
+  const [timezoneLabel, setTimezoneLabel] = useState(DEFAULT_TIMEZONE_LABEL);
+  const [timingSettings, setTimingSettings] = useState({ timezone: DEFAULT_TIMEZONE });
+
+  const [action, setAction] = useState("pause");
+  const [targetType, setTargetType] = useState("account");
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [tag, setTag] = useState("");
+  const [preset, setPreset] = useState("");
+  const [runAt, setRunAt] = useState("");
+  const [note, setNote] = useState("");
+
+  const accountsById = useMemo(
+    () => new Map((accounts || []).map((account) => [String(account._id), account])),
+    [accounts]
+  );
+
+  const presetNames = useMemo(() => {
+    const names = new Map();
+    quickPresets.forEach((item) => names.set(String(item.key), item.name));
+    savedPresets.forEach((item) => names.set(String(item._id), item.name));
+    return names;
+  }, [quickPresets, savedPresets]);
+
+  const loadCommands = useCallback(async () => {
+    setLoading(true);
+    try {
+      setCommands(await getScheduledCommands());
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to load scheduled commands"), "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadCommands();
+  }, [loadCommands]);
+
+  useEffect(() => {
+    getAppSettings()
+      .then((settings) => {
+        setTimezoneLabel(String(settings?.timezoneLabel || DEFAULT_TIMEZONE_LABEL));
+        setTimingSettings(settings || { timezone: DEFAULT_TIMEZONE });
+      })
+      .catch(() => null);
+    getBumpPresets()
+      .then((items) => setQuickPresets(Array.isArray(items) ? items : []))
+      .catch(() => null);
+    getCustomBumpPresets()
+      .then((items) => setSavedPresets(Array.isArray(items) ? items : []))
+      .catch(() => null);
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!runAt) {
+      showToast("Choose when the command should run", "error");
+      return;
+    }
+    if (targetType === "account" && selectedIds.length === 0) {
+      showToast("Select at least one account", "error");
+      return;
+    }
+    if (targetType === "tag" && !tag.trim()) {
+      showToast("Enter a tag", "error");
+      return;
+    }
+    if (action === "apply_preset" && !preset) {
+      showToast("Choose a preset", "error");
+      return;
+    }
+
+    const target =
+      targetType === "account"
+        ? { type: "account", accountIds: selectedIds }
+        : targetType === "tag"
+          ? { type: "tag", tag: tag.trim() }
+          : { type: "all" };
+
+    setBusy("create");
+    try {
+      const response = await createScheduledCommand({
+        action,
+        target,
+        runAt,
+        note: note.trim(),
+        ...(action === "apply_preset" ? { preset } : {})
+      });
+      showToast(response?.message || "Command scheduled", "success");
+      setRunAt("");
+      setNote("");
+      await loadCommands();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to schedule command"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleCancel = async (command) => {
+    setBusy(`cancel-${command._id}`);
+    try {
+      const response = await cancelScheduledCommand(command._id);
+      showToast(response?.message || "Command cancelled", "success");
+      await loadCommands();
+    } catch (error) {
+      showToast(readErrorMessage(error, "Failed to cancel command"), "error");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-8 flex items-center gap-2 text-2xl font-bold sm:text-3xl">
+        <CalendarClock size={28} />
+        Scheduled Commands
+      </h1>
+
+      <form onSubmit={handleSubmit} className="mb-8 rounded-xl border border-red-800 bg-card p-6 space-y-4">
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Action</span>
+            <select
+              value={action}
+              onChange={(event) => setAction(event.target.value)}
+              className={`${FIELD_CLASS} w-full`}
+            >
+              {ACTION_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Run at ({timezoneLabel})</span>
+            <input
+              type="datetime-local"
+              value={runAt}
+              onChange={(event) => setRunAt(event.target.value)}
+              className={`${FIELD_CLASS} w-full`}
+            />
+          </label>
+
+          <label className="space-y-1 text-sm">
+            <span className="block opacity-70">Target</span>
+            <select
+              value={targetType}
+              onChange={(event) => setTargetType(event.target.value)}
+              className={`${FIELD_CLASS} w-full`}
+            >
+              <option value="account">Selected accounts</option>
+              <option value="tag">Accounts with a tag</option>
+              <option value="all">All accounts</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-start gap-3 text-sm">
+          {targetType === "account" ? (
+            <select
+              multiple
+              value={selectedIds}
+              onChange={(event) =>
+                setSelectedIds(Array.from(event.target.selectedOptions, (option) => option.value))
+              }
+              className={`${FIELD_CLASS} min-w-[16rem]`}
+              size={Math.min(6, Math.max(3, (accounts || []).length))}
+            >
+              {(accounts || []).map((account) => (
+                <option key={account._id} value={account._id}>
+                  {account.email}
+                </option>
+              ))}
+            </select>
+          ) : null}
+          {targetType === "tag" ? (
+            <input
+              value={tag}
+              onChange={(event) => setTag(event.target.value)}
+              placeholder="Tag"
+              className={FIELD_CLASS}
+            />
+          ) : null}
+          {action === "apply_preset" ? (
+            <select
+              value={preset}
+              onChange={(event) => setPreset(event.target.value)}
+              className={FIELD_CLASS}
+            >
+              <option value="">Choose a preset</option>
+              <optgroup label="Quick presets">
+                {quickPresets.map((item) => (
+                  <option key={item.key} value={item.key}>
+                    {item.name}
+                  </option>
+                ))}
+              </optgroup>
+              {savedPresets.length > 0 ? (
+                <optgroup label="Saved presets">
+                  {savedPresets.map((item) => (
+                    <option key={item._id} value={item._id}>
+                      {item.name}
+                    </option>
+                  ))}
+                </optgroup>
+              ) : null}
+            </select>
+          ) : null}
+          <input
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            placeholder="Note (optional)"
+            maxLength={200}
+            className={`${FIELD_CLASS} min-w-[12rem] flex-1`}
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={Boolean(busy)}
+          className="themeBtnMuted inline-flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-60"
+        >
+          {busy === "create" ? <LoaderCircle size={14} className="animate-spin" /> : <CalendarClock size={14} />}
+          Schedule
+        </button>
+      </form>
+
+      <div className="rounded-xl border border-red-800 bg-card p-6">
+        <div className="mb-4 flex items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">Queue and history</h2>
+          <button
+            type="button"
+            onClick={loadCommands}
+            disabled={loading}
+            className="themeBtnMuted inline-flex items-center gap-2 px-3 py-1 text-xs disabled:opacity-60"
+          >
+            <RefreshCw size={12} className={loading ? "animate-spin" : ""} />
+            Refresh
+          </button>
+        </div>
+
+        {loading && commands.length === 0 ? (
+          <p className="text-xs opacity-60">Loading scheduled commands...</p>
+        ) : commands.length === 0 ? (
+          <p className="text-xs opacity-60">Nothing scheduled yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase opacity-60">
+                <tr>
+                  <th className="py-2 pr-4">Run at</th>
+                  <th className="py-2 pr-4">Action</th>
+                  <th className="py-2 pr-4">Target</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Result</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {commands.map((command) => (
+                  <tr key={command._id} className="themeBorder border-t align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {formatDateTimeBDT(command.runAt, timingSettings)}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <div>{describeAction(command, presetNames)}</div>
+                      {command.note ? <div className="text-xs opacity-60">{command.note}</div> : null}
+                    </td>
+                    <td className="py-2 pr-4">{describeTarget(command.target, accountsById)}</td>
+                    <td className="py-2 pr-4">
+                      <span
+                        className={`inline-flex rounded-full border px-2 py-0.5 text-xs font-semibold ${
+                          STATUS_STYLES[command.status] || STATUS_STYLES.cancelled
+                        }`}
+                      >
+                        {command.status}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 text-xs opacity-80">
+                      <div>{command.result?.message || "-"}</div>
+                      {(command.result?.failures || []).slice(0, 3).map((failure) => (
+                        <div key={String(failure.accountId)} className="text-red-300">
+                          {failure.email || failure.accountId}: {failure.message}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-2 text-right">
+                      {command.status === "pending" ? (
+                        <button
+                          type="button"
+                          onClick={() => handleCancel(command)}
+                          disabled={Boolean(busy)}
+                          className="rounded border border-red-600/70 p-1 disabled:opacity-60"
+                          aria-label="Cancel command"
+                        >
+                          <X size={14} />
+                        </button>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
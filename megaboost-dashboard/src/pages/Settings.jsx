@@ -11,6 +11,7 @@ import { useAccounts } from "../context/AccountsContext";
 import { useAuth } from "../context/AuthContext";
 import { getAppSettings, getTelegramSettings } from "../lib/api";
 import TelegramConfigModal from "../components/TelegramConfigModal";
+import BumpBudgetCard from "../components/BumpBudgetCard";
 import {
   DEFAULT_TIMEZONE,
   DEFAULT_TIMEZONE_LABEL,
@@ -174,6 +175,8 @@ export default function Settings() {
             Configure Telegram
           </button>
         </div>
+
+        <BumpBudgetCard showToast={showToast} appSettings={appSettings} />
       </div>
 
       <div className="mb-8 rounded-xl border border-red-800 bg-card p-6">
@@ -143,3 +143,25 @@ export function toStatusClass(status) {
   if (normalized === "banned") return "banned";
   return "default";
 }
+
+export function collectAccountTags(accounts = []) {
+  const tags = new Set();
+  (Array.isArray(accounts) ? accounts : []).forEach((account) => {
+    (Array.isArray(account?.tags) ? account.tags : []).forEach((tag) => tags.add(tag));
+  });
+  return Array.from(tags).sort();
+}
+
+// filters: { search, status, tag }. "all" or empty leaves a field unfiltered.
+export function filterAccounts(accounts = [], filters = {}) {
+  const search = String(filters.search || "").trim().toLowerCase();
+  const status = filters.status && filters.status !== "all" ? filters.status : "";
+  const tag = filters.tag && filters.tag !== "all" ? filters.tag : "";
+
+  return (Array.isArray(accounts) ? accounts : []).filter((account) => {
+    if (search && !String(account?.email || "").toLowerCase().includes(search)) return false;
+    if (status && normalizeStatus(account?.status) !== status) return false;
+    if (tag && !(Array.isArray(account?.tags) && account.tags.includes(tag))) return false;
+    return true;
+  });
+}
@@ -0,0 +1,124 @@
+import { RUNTIME_WINDOW_PATTERN } from "./timeDisplay";
+
+export const RUNTIME_WEEKDAYS = [
+  { key: "mon", label: "Monday" },
+  { key: "tue", label: "Tuesday" },
+  { key: "wed", label: "Wednesday" },
+  { key: "thu", label: "Thursday" },
+  { key: "fri", label: "Friday" },
+  { key: "sat", label: "Saturday" },
+  { key: "sun", label: "Sunday" }
+];
+
+const DEFAULT_CUSTOM_START = "09:00";
+const DEFAULT_CUSTOM_END = "17:00";
+
+// The grid edits the first window of a day; any further windows set through
+// the API are carried along untouched in `extra`.
+function splitWindow(windowValue) {
+  const [first = "", ...rest] = String(windowValue || "").split(",");
+  const match = first.trim().match(RUNTIME_WINDOW_PATTERN);
+  if (!match) {
+    return { start: DEFAULT_CUSTOM_START, end: DEFAULT_CUSTOM_END, extra: "" };
+  }
+  return {
+    start: `${match[1]}:${match[2]}`,
+    end: `${match[3]}:${match[4]}`,
+    extra: rest.join(",")
+  };
+}
+
+function joinWindow(row) {
+  return [`${row.start}-${row.end}`, row.extra].filter(Boolean).join(",");
+}
+
+// Grid rows use mode "default" (follow the daily run window), "off" or
+// "custom" with its own start/end.
+export function createCalendarRows(calendar = {}) {
+  const weekdayByKey = new Map(
+    (Array.isArray(calendar?.weekdays) ? calendar.weekdays : []).map((entry) => [entry.day, entry])
+  );
+
+  return {
+    days: RUNTIME_WEEKDAYS.map(({ key }) => {
+      const entry = weekdayByKey.get(key);
+      if (!entry) {
+        return {
+          day: key,
+          mode: "default",
+          start: DEFAULT_CUSTOM_START,
+          end: DEFAULT_CUSTOM_END,
+          extra: ""
+        };
+      }
+      return {
+        day: key,
+        mode: entry.enabled === false ? "off" : "custom",
+        ...splitWindow(entry.window)
+      };
+    }),
+    exceptions: (Array.isArray(calendar?.exceptions) ? calendar.exceptions : []).map((entry) => ({
+      date: String(entry.date || ""),
+      mode: entry.enabled === false ? "off" : "custom",
+      note: String(entry.note || ""),
+      ...splitWindow(entry.window)
+    }))
+  };
+}
+
+export function createEmptyException() {
+  return {
+    date: "",
+    mode: "off",
+    note: "",
+    start: DEFAULT_CUSTOM_START,
+    end: DEFAULT_CUSTOM_END,
+    extra: ""
+  };
+}
+
+export function validateCalendarRows(rows) {
+  const badDay = rows.days.find(
+    (row) => row.mode === "custom" && !RUNTIME_WINDOW_PATTERN.test(`${row.start}-${row.end}`)
+  );
+  if (badDay) {
+    return `${RUNTIME_WEEKDAYS.find((day) => day.key === badDay.day)?.label} hours are invalid`;
+  }
+  if (rows.days.every((row) => row.mode === "off")) {
+    return "At least one weekday must stay enabled";
+  }
+
+  const seen = new Set();
+  for (const row of rows.exceptions) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date)) {
+      return "Every exception needs a date";
+    }
+    if (seen.has(row.date)) {
+      return `${row.date} is listed more than once`;
+    }
+    seen.add(row.date);
+    if (row.mode === "custom" && !RUNTIME_WINDOW_PATTERN.test(`${row.start}-${row.end}`)) {
+      return `${row.date} hours are invalid`;
+    }
+  }
+
+  return "";
+}
+
+export function buildRuntimeCalendarPayload(rows) {
+  return {
+    weekdays: rows.days
+      .filter((row) => row.mode !== "default")
+      .map((row) => ({
+        day: row.day,
+        enabled: row.mode === "custom",
+        window: row.mode === "custom" ? joinWindow(row) : ""
+      })),
+    exceptions: rows.exceptions.map((row) => ({
+      date: row.date,
+      enabled: row.mode === "custom",
+      window: row.mode === "custom" ? joinWindow(row) : "",
+      note: row.note.trim()
+    }))
+  };
+}
@@ -0,0 +1,66 @@
+import { RUNTIME_WINDOW_PATTERN } from "./timeDisplay";
+
+export const MAX_RUNTIME_WINDOWS = 6;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinutes(value) {
+  const [hour, minute] = value.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+// Mirrors the backend check: windows may wrap midnight but must not overlap
+// on the 24h clock. Touching ends are allowed.
+function toMinuteRanges(windowValue) {
+  const [start, end] = windowValue.split("-").map(toMinutes);
+  if (start === end || windowValue === "00:00-23:59") return [[0, MINUTES_PER_DAY]];
+  if (start < end) return [[start, end]];
+  return [
+    [start, MINUTES_PER_DAY],
+    [0, end]
+  ];
+}
+
+function windowsOverlap(a, b) {
+  return toMinuteRanges(a).some(([aStart, aEnd]) =>
+    toMinuteRanges(b).some(([bStart, bEnd]) => aStart < bEnd && bStart < aEnd)
+  );
+}
+
+// Rows hold the windows after the first one; the first stays on the
+// Run Account From/To pickers.
+export function createWindowRows(windows = []) {
+  return (Array.isArray(windows) ? windows.slice(1) : []).map((windowValue) => {
+    const [start = "", end = ""] = String(windowValue || "").split("-");
+    return { start, end };
+  });
+}
+
+export function createEmptyWindowRow() {
+  return { start: "18:00", end: "22:00" };
+}
+
+export function buildRuntimeWindowsList(primaryWindow, rows = []) {
+  return [primaryWindow, ...rows.map((row) => `${row.start}-${row.end}`)];
+}
+
+export function validateRuntimeWindows(windows) {
+  if (windows.length > MAX_RUNTIME_WINDOWS) {
+    return `At most ${MAX_RUNTIME_WINDOWS} runtime windows are allowed`;
+  }
+
+  const invalid = windows.find((windowValue) => !RUNTIME_WINDOW_PATTERN.test(windowValue));
+  if (invalid !== undefined) {
+    return "Every extra window needs a start and end time";
+  }
+
+  for (let i = 0; i < windows.length; i += 1) {
+    for (let j = i + 1; j < windows.length; j += 1) {
+      if (windowsOverlap(windows[i], windows[j])) {
+        return `${windows[i]} overlaps ${windows[j]}`;
+      }
+    }
+  }
+
+  return "";
+}